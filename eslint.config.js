@@ -26,4 +26,11 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Standalone Node service (indexer/)
+    files: ['indexer/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
@@ -33,6 +33,7 @@ contract RockPaperScissorsGame_FHE_ResultOnly is SepoliaConfig, ReentrancyGuard,
     mapping(uint256 => uint256) public latestRequestIds;    // gameId -> requestId
     mapping(uint256 => uint256) public reqIdToGameId;       // requestId -> gameId
     mapping(uint256 => bool) public usedRequestIds;         // replay protection
+    mapping(uint256 => bytes32) public resultHandles;       // gameId -> encrypted result handle (publicly decryptable)
     mapping(address => uint256) public withdrawableBalance;
 
     // ============ STRUCTS ============
@@ -139,6 +140,7 @@ contract RockPaperScissorsGame_FHE_ResultOnly is SepoliaConfig, ReentrancyGuard,
         newGame.moveDeadline = block.timestamp + moveDeadline;
 
         FHE.allowThis(newGame.encryptedMove1); // Hamle üzerinde FHE işlemlerine izin ver
+        FHE.allow(newGame.encryptedMove1, msg.sender); // Oyuncu kendi hamlesini çözebilsin (user decryption)
 
         emit GameCreated(gameId, msg.sender, betAmount);
     }
@@ -162,6 +164,7 @@ contract RockPaperScissorsGame_FHE_ResultOnly is SepoliaConfig, ReentrancyGuard,
         game.move2Submitted = true;
 
         FHE.allowThis(game.encryptedMove2); // Hamle üzerinde FHE işlemlerine izin ver
+        FHE.allow(game.encryptedMove2, msg.sender); // Oyuncu kendi hamlesini çözebilsin (user decryption)
         
         game.totalPot = game.betAmount * 2;
 
@@ -184,11 +187,13 @@ contract RockPaperScissorsGame_FHE_ResultOnly is SepoliaConfig, ReentrancyGuard,
             game.encryptedMove1 = eMove;
             game.move1Submitted = true;
             FHE.allowThis(game.encryptedMove1);
+            FHE.allow(game.encryptedMove1, msg.sender);
         } else {
             require(!game.move2Submitted, "P2 submitted");
             game.encryptedMove2 = eMove;
             game.move2Submitted = true;
             FHE.allowThis(game.encryptedMove2);
+            FHE.allow(game.encryptedMove2, msg.sender);
         }
 
         emit MoveSubmitted(gameId, msg.sender, msg.sender == game.player1);
@@ -209,6 +214,7 @@ contract RockPaperScissorsGame_FHE_ResultOnly is SepoliaConfig, ReentrancyGuard,
         // 2. Sadece ŞİFRELİ SONUCU çözmek için isteğe dahil et
         bytes32[] memory cts = new bytes32[](1);
         cts[0] = FHE.toBytes32(resultCipher);
+        resultHandles[gameId] = cts[0]; // İstemciler sonucu KMS imzalarıyla bağımsız doğrulayabilsin
         
         // 3. Şifre çözme isteğini gönder
         uint256 requestId = FHE.requestDecryption(cts, this.fulfillDecryption.selector);
@@ -1,4 +1,14 @@
-import { ethers } from "hardhat";
+import { artifacts, ethers, network } from "hardhat";
+import fs from "fs";
+import path from "path";
+
+const CANONICAL_MULTICALL3 = "0xcA11bde05977b3631167028862bE2a173976CA11";
+const CONTRACT_NAME = "RockPaperScissorsGame_FHE_ResultOnly";
+
+// Bump together with MANIFEST_VERSION in src/utils/deploymentManifest.js when the shape changes
+const MANIFEST_VERSION = 1;
+// Served by the Vite app as /deployments/<chainId>.json
+const MANIFEST_DIR = path.resolve(__dirname, "../../public/deployments");
 
 async function main() {
   console.log("🚀 Deploying Rock Paper Scissors FHE Game Contract...");
@@ -21,7 +31,7 @@ async function main() {
   console.log("- Max Bet:", ethers.formatEther(MAX_BET), "ETH");
 
   // Get the contract factory
-  const RockPaperScissorsGameFHE = await ethers.getContractFactory("RockPaperScissorsGame_FHE_ResultOnly");
+  const RockPaperScissorsGameFHE = await ethers.getContractFactory(CONTRACT_NAME);
 
   // Deploy the contract
   console.log("Deploying contract...");
@@ -35,6 +45,7 @@ async function main() {
 
   await contract.waitForDeployment();
   const contractAddress = await contract.getAddress();
+  const deployReceipt = await contract.deploymentTransaction()!.wait();
 
   console.log("✅ Contract deployed successfully!");
   console.log("Contract Address:", contractAddress);
@@ -54,24 +65,63 @@ async function main() {
   console.log("- Max Bet:", ethers.formatEther(maxBet), "ETH");
   console.log("- Paused:", paused);
 
-  // Save deployment info
+  // Multicall3 batches the frontend's contract reads. Public chains have the canonical deployment;
+  // a local node gets its own, wherever it lands: the manifest records the address and the app reads it from there
+  let multicallAddress = CANONICAL_MULTICALL3;
+  if ((await ethers.provider.getCode(CANONICAL_MULTICALL3)) === "0x") {
+    console.log("\n📦 No Multicall3 on this chain, deploying one...");
+    const multicall = await (await ethers.getContractFactory("Multicall3")).deploy();
+    await multicall.waitForDeployment();
+    multicallAddress = await multicall.getAddress();
+  }
+  console.log("Multicall3 Address:", multicallAddress);
+
+  // Deployment manifest: the frontend and the indexer take the address, deploy block and ABI from here
+  const artifact = await artifacts.readArtifact(CONTRACT_NAME);
+  const buildInfo = await artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  const settings = buildInfo!.input.settings;
+  const { chainId } = await ethers.provider.getNetwork();
   const deploymentInfo = {
-    contractAddress,
-    network: await ethers.provider.getNetwork(),
-    deploymentTime: new Date().toISOString(),
-    parameters: {
+    manifestVersion: MANIFEST_VERSION,
+    chainId: Number(chainId),
+    network: network.name,
+    contractName: CONTRACT_NAME,
+    address: contractAddress,
+    deployBlock: deployReceipt!.blockNumber,
+    deployTxHash: deployReceipt!.hash,
+    deployer: deployer.address,
+    deployedAt: new Date().toISOString(),
+    compiler: {
+      version: buildInfo!.solcLongVersion,
+      optimizer: settings.optimizer,
+      viaIR: settings.viaIR ?? false,
+      evmVersion: settings.evmVersion
+    },
+    constructorArgs: {
       maxOracleResponseDelay: MAX_ORACLE_RESPONSE_DELAY,
       platformFeePercent: PLATFORM_FEE_PERCENT,
       feeRecipient: FEE_RECIPIENT,
-      minBet: ethers.formatEther(MIN_BET),
-      maxBet: ethers.formatEther(MAX_BET)
-    }
+      minBet: MIN_BET.toString(),
+      maxBet: MAX_BET.toString()
+    },
+    // The app compares this with the code at `address`, so a manifest outliving its deployment fails loudly
+    deployedBytecodeHash: ethers.keccak256(await ethers.provider.getCode(contractAddress)),
+    multicallAddress,
+    abi: artifact.abi
   };
 
+  fs.mkdirSync(MANIFEST_DIR, { recursive: true });
+  const manifestPath = path.join(MANIFEST_DIR, `${deploymentInfo.chainId}.json`);
+  fs.writeFileSync(manifestPath, JSON.stringify(deploymentInfo, null, 2) + "\n");
+
   console.log("\n📋 Deployment Summary:");
   console.log("Contract Address:", contractAddress);
-  console.log("Network:", deploymentInfo.network.name, "(", deploymentInfo.network.chainId, ")");
-  console.log("Deployment Time:", deploymentInfo.deploymentTime);
+  console.log("Deploy Block:", deploymentInfo.deployBlock);
+  console.log("Multicall3 Address:", multicallAddress);
+  console.log("Network:", deploymentInfo.network, "(", deploymentInfo.chainId, ")");
+  console.log("Compiler:", deploymentInfo.compiler.version);
+  console.log("Deployment Time:", deploymentInfo.deployedAt);
+  console.log("Manifest:", path.relative(process.cwd(), manifestPath));
 
   return deploymentInfo;
 }
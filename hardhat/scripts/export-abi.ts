@@ -0,0 +1,25 @@
+import { artifacts } from "hardhat";
+import fs from "fs";
+import path from "path";
+
+const CONTRACT_NAME = "RockPaperScissorsGame_FHE_ResultOnly";
+// The frontend and the indexer import it through src/config/contract.js
+const ABI_FILE = path.resolve(__dirname, "../../src/config/contractAbi.js");
+
+// Write the compiled contract's ABI where the app reads it, so the app never works from a hand-copied ABI
+async function main() {
+  const { abi } = await artifacts.readArtifact(CONTRACT_NAME);
+  const source = [
+    `// Generated from the compiled ${CONTRACT_NAME} artifact by \`npm run hardhat:abi\` (also run after every`,
+    "// `npm run hardhat:compile`); do not edit by hand",
+    `export const CONTRACT_ABI = ${JSON.stringify(abi, null, 2)};`,
+    "",
+  ].join("\n");
+  fs.writeFileSync(ABI_FILE, source);
+  console.log(`ABI of ${CONTRACT_NAME} written to ${path.relative(process.cwd(), ABI_FILE)}`);
+}
+
+main().catch((error) => {
+  console.error("❌ ABI export failed:", error);
+  process.exitCode = 1;
+});
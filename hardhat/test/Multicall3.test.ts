@@ -0,0 +1,52 @@
+import { expect } from "chai";
+import { ethers } from "hardhat";
+
+describe("Multicall3", function () {
+  let game: any;
+  let multicall: any;
+
+  const MIN_BET = ethers.parseEther("0.001");
+  const MAX_BET = ethers.parseEther("0.1");
+
+  beforeEach(async function () {
+    const [, feeRecipient] = await ethers.getSigners();
+
+    const Game = await ethers.getContractFactory("RockPaperScissorsGame_FHE_ResultOnly");
+    game = await Game.deploy(600, 250, feeRecipient.address, MIN_BET, MAX_BET);
+    await game.waitForDeployment();
+
+    multicall = await (await ethers.getContractFactory("Multicall3")).deploy();
+    await multicall.waitForDeployment();
+  });
+
+  const call = (method: string, args: unknown[] = [], allowFailure = true) => ({
+    target: game.target,
+    allowFailure,
+    callData: game.interface.encodeFunctionData(method, args),
+  });
+
+  it("Should batch the game parameter reads into one call", async function () {
+    const results = await multicall.aggregate3.staticCall([call("minBet"), call("maxBet"), call("platformFeePercent")]);
+
+    expect(results.map((r: any) => r.success)).to.deep.equal([true, true, true]);
+    expect(game.interface.decodeFunctionResult("minBet", results[0].returnData)[0]).to.equal(MIN_BET);
+    expect(game.interface.decodeFunctionResult("maxBet", results[1].returnData)[0]).to.equal(MAX_BET);
+    expect(game.interface.decodeFunctionResult("platformFeePercent", results[2].returnData)[0]).to.equal(250);
+  });
+
+  it("Should report a failing call without reverting the batch", async function () {
+    // withdraw() reverts with "No balance" for an account that never played
+    const results = await multicall.aggregate3.staticCall([call("withdraw"), call("minBet")]);
+
+    expect(results[0].success).to.be.false;
+    expect(ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(results[0].returnData, 4))[0])
+      .to.equal("No balance");
+    expect(results[1].success).to.be.true;
+  });
+
+  it("Should revert when a call that does not allow failure fails", async function () {
+    await expect(multicall.aggregate3.staticCall([call("withdraw", [], false)])).to.be.revertedWith(
+      "Multicall3: call failed",
+    );
+  });
+});
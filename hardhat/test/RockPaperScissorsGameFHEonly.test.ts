@@ -1,5 +1,6 @@
+import { FhevmType } from "@fhevm/hardhat-plugin";
 import { expect } from "chai";
-import { ethers } from "hardhat";
+import { ethers, fhevm } from "hardhat";
 
 describe("RockPaperScissorsGame_FHE_ResultOnly", function () {
   let contract: any;
@@ -282,6 +283,67 @@ describe("RockPaperScissorsGame_FHE_ResultOnly", function () {
     });
   });
 
+  describe("Move Access", function () {
+    let contractAddress: string;
+    let betAmount: bigint;
+    const moveDeadline = 300;
+
+    async function encryptMoveFor(player: any, move: number) {
+      const input = fhevm.createEncryptedInput(contractAddress, player.address);
+      input.add8(move);
+      return input.encrypt();
+    }
+
+    beforeEach(async function () {
+      // Real encrypted inputs and user decryption need the mock coprocessor
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+      contractAddress = await contract.getAddress();
+      betAmount = ethers.parseEther("0.01");
+
+      const move1 = await encryptMoveFor(player1, 1); // PAPER
+      await contract.connect(player1).createGame(
+        move1.handles[0],
+        move1.inputProof,
+        moveDeadline,
+        betAmount,
+        { value: betAmount }
+      );
+    });
+
+    it("Should let player1 decrypt their own move", async function () {
+      const game = await contract.games(1);
+      const move = await fhevm.userDecryptEuint(FhevmType.euint8, game.encryptedMove1, contractAddress, player1);
+      expect(move).to.equal(1n);
+    });
+
+    it("Should let player2 decrypt their own move but not the opponent's", async function () {
+      const move2 = await encryptMoveFor(player2, 2); // SCISSORS
+      await contract.connect(player2).joinGame(1, move2.handles[0], move2.inputProof, { value: betAmount });
+
+      const game = await contract.games(1);
+      const move = await fhevm.userDecryptEuint(FhevmType.euint8, game.encryptedMove2, contractAddress, player2);
+      expect(move).to.equal(2n);
+
+      await expect(
+        fhevm.userDecryptEuint(FhevmType.euint8, game.encryptedMove1, contractAddress, player2)
+      ).to.be.rejected;
+    });
+
+    it("Should expose a publicly decryptable result handle once both moves are in", async function () {
+      expect(await contract.resultHandles(1)).to.equal(ethers.ZeroHash);
+
+      const move2 = await encryptMoveFor(player2, 0); // ROCK
+      await contract.connect(player2).joinGame(1, move2.handles[0], move2.inputProof, { value: betAmount });
+
+      const handle = await contract.resultHandles(1);
+      expect(handle).to.not.equal(ethers.ZeroHash);
+      // PAPER beats ROCK
+      expect(await fhevm.publicDecryptEuint(FhevmType.euint8, handle)).to.equal(0n);
+    });
+  });
+
   describe("Constants", function () {
     it("Should have correct move constants", async function () {
       expect(await contract.ROCK()).to.equal(0);
@@ -0,0 +1,138 @@
+// HTTP/JSON API over the indexed games (read-only)
+// Games have the IndexedGame shape of src/utils/gameIndexer.js; amounts are wei as decimal strings
+import http from 'node:http';
+import { ethers } from 'ethers';
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+function readPositiveInteger(params, name, fallback, max = Number.MAX_SAFE_INTEGER) {
+  const raw = params.get(name);
+  if (raw === null || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    throw new HttpError(400, `${name} must be an integer between 1 and ${max}`);
+  }
+  return value;
+}
+
+// ?page=&pageSize= to the store's limit/offset
+function readPage(params) {
+  const page = readPositiveInteger(params, 'page', 1);
+  const pageSize = readPositiveInteger(params, 'pageSize', DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  return { page, pageSize, limit: pageSize, offset: (page - 1) * pageSize };
+}
+
+function paged({ games, total }, { page, pageSize }) {
+  return { games, total, page, pageSize, totalPages: Math.ceil(total / pageSize) };
+}
+
+function readAddress(raw) {
+  try {
+    return ethers.getAddress(raw);
+  } catch {
+    throw new HttpError(400, `Invalid address: ${raw}`);
+  }
+}
+
+/**
+ * Route table: [method, path pattern, handler(match, query)]
+ * @param {ReturnType<import('./store.js').openSqliteStore>} store
+ * @param {() => Object} getStatus - Chain, contract and sync state reported by /health
+ */
+function createRoutes(store, getStatus) {
+  return [
+    ['GET', /^\/health$/, () => ({ ...getStatus(), lastBlock: store.getLastBlock() })],
+
+    // Everything changed after a block, so a client can keep its own copy up to date (the frontend does)
+    ['GET', /^\/games$/, (match, query) => {
+      const raw = query.get('updatedSince');
+      const updatedSince = raw === null ? null : Number(raw);
+      if (updatedSince !== null && (!Number.isInteger(updatedSince) || updatedSince < 0)) {
+        throw new HttpError(400, 'updatedSince must be a block number');
+      }
+      return { games: store.listGamesUpdatedSince(updatedSince), lastBlock: store.getLastBlock() };
+    }],
+
+    ['GET', /^\/games\/open$/, (match, query) => {
+      const page = readPage(query);
+      return paged(store.listOpenGames(page), page);
+    }],
+
+    ['GET', /^\/games\/completed$/, (match, query) => {
+      const page = readPage(query);
+      return paged(store.listCompletedGames(page), page);
+    }],
+
+    ['GET', /^\/games\/(\d+)$/, ([, id]) => {
+      const game = store.getGame(Number(id));
+      if (!game) throw new HttpError(404, `Game ${id} not found`);
+      return game;
+    }],
+
+    ['GET', /^\/players\/([^/]+)\/games$/, ([, address], query) => {
+      const page = readPage(query);
+      return paged(store.listPlayerGames(readAddress(address), page), page);
+    }],
+
+    ['GET', /^\/stats$/, () => store.getStats()]
+  ];
+}
+
+/**
+ * Create the API server (not listening yet)
+ * @param {ReturnType<import('./store.js').openSqliteStore>} store
+ * @param {Object} [options]
+ * @param {string} [options.corsOrigin='*']
+ * @param {() => Object} [options.getStatus] - Extra fields for /health
+ * @returns {http.Server}
+ */
+export function createApiServer(store, { corsOrigin = '*', getStatus = () => ({}) } = {}) {
+  const routes = createRoutes(store, getStatus);
+
+  return http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': corsOrigin,
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Cache-Control': 'no-store'
+      });
+      res.end(body === undefined ? undefined : JSON.stringify(body));
+    };
+
+    if (req.method === 'OPTIONS') {
+      send(204);
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+    try {
+      const matching = routes.filter(([, pattern]) => pattern.test(pathname));
+      if (matching.length === 0) throw new HttpError(404, `No route for ${pathname}`);
+
+      const route = matching.find(([method]) => method === req.method);
+      if (!route) throw new HttpError(405, `${req.method} is not allowed on ${pathname}`);
+
+      const [, pattern, handler] = route;
+      send(200, handler(pathname.match(pattern), url.searchParams));
+    } catch (err) {
+      if (err instanceof HttpError) {
+        send(err.status, { error: err.message });
+      } else {
+        console.error(`${req.method} ${req.url} failed:`, err);
+        send(500, { error: 'Internal error' });
+      }
+    }
+  });
+}
@@ -0,0 +1,13 @@
+// Run before `npm start` and `npm test`: the indexer imports the frontend's modules from ../../src, and those (like the
+// indexer itself) resolve ethers from the repository root's node_modules, so `npm install` in indexer/ alone is not
+// enough
+import { createRequire } from 'node:module';
+
+const require = createRequire(new URL('../../src/', import.meta.url));
+
+try {
+  require.resolve('ethers');
+} catch {
+  console.error("The indexer uses the repository root's ethers: run `npm install` in the root, then `npm run indexer:start` there.");
+  process.exit(1);
+}
@@ -0,0 +1,47 @@
+// Indexer settings, read from the environment
+// Without CONTRACT_ADDRESS the game contract comes from the deployment manifest of the node's chain,
+// which hardhat:deploy writes into public/deployments
+import { fileURLToPath } from 'node:url';
+
+/**
+ * @typedef {Object} IndexerConfig
+ * @property {string} rpcUrl - JSON-RPC endpoint of the chain the game contract lives on
+ * @property {string|null} contractAddress - RockPaperScissorsGame_FHE_ResultOnly address; null reads it from the manifest
+ * @property {number|null} deploymentBlock - First block worth scanning; null takes the manifest's deploy block
+ * @property {string|null} multicallAddress - Multicall3 the per-game reads are batched through; null takes the manifest's
+ * @property {string} deploymentsDir - Directory holding the <chainId>.json deployment manifests
+ * @property {string} dbPath - SQLite file (':memory:' keeps nothing across restarts)
+ * @property {string} host - Interface the HTTP API listens on
+ * @property {number} port
+ * @property {number} pollIntervalMs - How often the node is asked for new blocks
+ * @property {string} corsOrigin - Access-Control-Allow-Origin sent with every response
+ */
+
+function readInteger(env, name, fallback) {
+  const raw = env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative integer, got "${raw}"`);
+  }
+  return value;
+}
+
+/**
+ * @param {Object<string, string|undefined>} [env=process.env]
+ * @returns {IndexerConfig}
+ */
+export function loadConfig(env = process.env) {
+  return {
+    rpcUrl: env.RPC_URL || 'http://localhost:8545',
+    contractAddress: env.CONTRACT_ADDRESS || null,
+    deploymentBlock: readInteger(env, 'DEPLOYMENT_BLOCK', null),
+    multicallAddress: env.MULTICALL_ADDRESS || null,
+    deploymentsDir: env.DEPLOYMENTS_DIR || fileURLToPath(new URL('../../public/deployments', import.meta.url)),
+    dbPath: env.DB_PATH || 'data/indexer.sqlite',
+    host: env.HOST || '127.0.0.1',
+    port: readInteger(env, 'PORT', 4000),
+    pollIntervalMs: readInteger(env, 'POLL_INTERVAL_MS', 4000),
+    corsOrigin: env.CORS_ORIGIN || '*'
+  };
+}
@@ -0,0 +1,106 @@
+// RPS indexer: follows the game contract's events into SQLite and serves them over HTTP
+// Reuses the frontend's ABI and event reducer, so the API returns exactly the records the app builds itself
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { ethers } from 'ethers';
+import { CONTRACT_ABI, REQUIRED_ABI } from '../../src/config/contract.js';
+import { createGameIndexer } from '../../src/utils/gameIndexer.js';
+import { createMulticall } from '../../src/utils/multicall.js';
+import { validateManifest, verifyAddressDeployment, verifyDeployment } from '../../src/utils/deploymentManifest.js';
+import { loadConfig } from './config.js';
+import { openSqliteStore } from './store.js';
+import { createApiServer } from './api.js';
+
+// Contract address, first block and Multicall3: from the environment, else from the chain's verified manifest
+async function resolveDeployment(config, chainId, provider) {
+  if (config.contractAddress) {
+    // No bytecode hash to compare against, but the code there must still implement what the indexer reads
+    const deployment = await verifyAddressDeployment(
+      { chainId, contractAddress: ethers.getAddress(config.contractAddress), deploymentBlock: config.deploymentBlock },
+      provider,
+      { requiredAbi: REQUIRED_ABI, abi: CONTRACT_ABI }
+    );
+    return { contractAddress: deployment.address, deploymentBlock: deployment.deployBlock, multicallAddress: config.multicallAddress };
+  }
+
+  const manifestPath = path.join(config.deploymentsDir, `${chainId}.json`);
+  let manifest;
+  try {
+    manifest = JSON.parse(await readFile(manifestPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read the deployment manifest ${manifestPath}; deploy the contract or set CONTRACT_ADDRESS`, { cause: err });
+  }
+  await verifyDeployment(validateManifest(manifest, chainId), provider, { requiredAbi: REQUIRED_ABI });
+  return {
+    contractAddress: ethers.getAddress(manifest.address),
+    deploymentBlock: config.deploymentBlock ?? manifest.deployBlock,
+    multicallAddress: config.multicallAddress ?? manifest.multicallAddress ?? null
+  };
+}
+
+async function main() {
+  const config = loadConfig();
+
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl, undefined, { pollingInterval: config.pollIntervalMs });
+  let chainId;
+  try {
+    chainId = Number((await provider.getNetwork()).chainId);
+  } catch (err) {
+    throw new Error(`Cannot reach the node at ${config.rpcUrl} (is \`npm run hardhat:node\` running?)`, { cause: err });
+  }
+
+  const { contractAddress, deploymentBlock, multicallAddress } = await resolveDeployment(config, chainId, provider);
+  const contract = new ethers.Contract(contractAddress, CONTRACT_ABI, provider);
+  const multicall = createMulticall({ provider, address: multicallAddress });
+
+  const store = openSqliteStore({
+    dbPath: config.dbPath,
+    scope: `${chainId}:${contractAddress.toLowerCase()}`,
+    async readSettlement(gameId) {
+      const game = await multicall.read(contract, 'games', gameId);
+      return { feeAmount: game.feeAmount.toString(), payoutAmount: game.payoutAmount.toString() };
+    }
+  });
+
+  const indexer = createGameIndexer({
+    contract,
+    provider,
+    store,
+    deploymentBlock,
+    async readMoveDeadlines(gameIds) {
+      const games = await Promise.all(gameIds.map((id) => multicall.read(contract, 'games', id)));
+      return games.map((game) => Number(game.moveDeadline));
+    }
+  });
+
+  const server = createApiServer(store, {
+    corsOrigin: config.corsOrigin,
+    getStatus: () => ({ chainId, contractAddress })
+  });
+
+  console.log(`Indexing ${contractAddress} on chain ${chainId} from block ${deploymentBlock} (${config.dbPath})`);
+  await indexer.sync();
+  console.log(`Caught up at block ${store.getLastBlock()}`);
+  indexer.start();
+
+  server.listen(config.port, config.host, () => {
+    console.log(`API listening on http://${config.host}:${config.port}`);
+  });
+
+  const shutdown = () => {
+    indexer.stop();
+    provider.destroy();
+    server.close(() => {
+      store.close();
+      process.exit(0);
+    });
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((err) => {
+  console.error('Indexer failed:', err.message);
+  if (err.cause) console.error(err.cause);
+  process.exit(1);
+});
@@ -0,0 +1,354 @@
+// SQLite store of the indexed games, their players and payouts
+// Implements the IndexerStore interface of src/utils/indexerStore.js, so the frontend's event indexer writes into it,
+// and answers the queries of the HTTP API
+import fs from 'node:fs';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+import { ethers } from 'ethers';
+import { DEFAULT_MOVE_WINDOW_SECONDS } from '../../src/utils/gameState.js';
+
+// Bump when the schema or the meaning of a column changes; databases of older versions are rebuilt from the chain
+export const STORE_SCHEMA_VERSION = 2;
+
+const PLAYER1_WINS = 0;
+const PLAYER2_WINS = 1;
+const DRAW = 2;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS games (
+    id INTEGER PRIMARY KEY,
+    player1 TEXT NOT NULL,
+    player2 TEXT NOT NULL,
+    bet_amount TEXT NOT NULL,
+    start_time INTEGER NOT NULL,
+    move_deadline INTEGER NOT NULL,
+    decryption_requested INTEGER NOT NULL,
+    decryption_completed INTEGER NOT NULL,
+    request_id TEXT,
+    decrypt_request_time INTEGER NOT NULL,
+    decrypt_deadline INTEGER NOT NULL,
+    result_code INTEGER,
+    winner TEXT NOT NULL,
+    is_expired INTEGER NOT NULL,
+    refunded_players TEXT NOT NULL,
+    end_time INTEGER NOT NULL,
+    fee_amount TEXT,
+    payout_amount TEXT,
+    updated_block INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS games_player1 ON games (player1);
+  CREATE INDEX IF NOT EXISTS games_player2 ON games (player2);
+  CREATE INDEX IF NOT EXISTS games_updated_block ON games (updated_block);
+
+  CREATE TABLE IF NOT EXISTS players (
+    address TEXT PRIMARY KEY,
+    first_game_id INTEGER NOT NULL,
+    first_seen_block INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS payouts (
+    game_id INTEGER NOT NULL,
+    player TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    PRIMARY KEY (game_id, player, kind)
+  );
+  CREATE INDEX IF NOT EXISTS payouts_player ON payouts (player);
+`;
+
+// Finished: resolved by the oracle or expired with refunds
+const COMPLETED = 'decryption_completed = 1 OR is_expired = 1';
+
+// GAME_STATUS.OPEN of src/utils/gameState.js: nobody joined yet and joinGame still accepts a player 2
+const OPEN = `player2 = @zero AND is_expired = 0 AND decryption_completed = 0
+  AND COALESCE(NULLIF(move_deadline, 0), start_time + ${DEFAULT_MOVE_WINDOW_SECONDS}) >= @now`;
+
+function toRow(game, settlement) {
+  return {
+    id: Number(game.id),
+    player1: game.player1,
+    player2: game.player2,
+    bet_amount: game.betAmount,
+    start_time: game.startTime,
+    move_deadline: game.moveDeadline ?? 0,
+    decryption_requested: game.decryptionRequested ? 1 : 0,
+    decryption_completed: game.decryptionCompleted ? 1 : 0,
+    request_id: game.requestId,
+    decrypt_request_time: game.decryptRequestTime,
+    decrypt_deadline: game.decryptDeadline,
+    result_code: game.resultCode,
+    winner: game.winner,
+    is_expired: game.isExpired ? 1 : 0,
+    refunded_players: JSON.stringify(game.refundedPlayers),
+    end_time: game.endTime,
+    fee_amount: settlement?.feeAmount ?? null,
+    payout_amount: settlement?.payoutAmount ?? null,
+    updated_block: game.updatedBlock
+  };
+}
+
+/**
+ * Row back to the IndexedGame record of src/utils/gameIndexer.js, plus the settlement of won games
+ * @returns {import('../../src/utils/gameIndexer.js').IndexedGame & { feeAmount: string|null, payoutAmount: string|null }}
+ */
+function fromRow(row) {
+  return {
+    id: String(row.id),
+    player1: row.player1,
+    player2: row.player2,
+    betAmount: row.bet_amount,
+    startTime: row.start_time,
+    moveDeadline: row.move_deadline,
+    decryptionRequested: row.decryption_requested === 1,
+    decryptionCompleted: row.decryption_completed === 1,
+    requestId: row.request_id,
+    decryptRequestTime: row.decrypt_request_time,
+    decryptDeadline: row.decrypt_deadline,
+    resultCode: row.result_code,
+    winner: row.winner,
+    isExpired: row.is_expired === 1,
+    refundedPlayers: JSON.parse(row.refunded_players),
+    endTime: row.end_time,
+    feeAmount: row.fee_amount,
+    payoutAmount: row.payout_amount,
+    updatedBlock: row.updated_block
+  };
+}
+
+function isWon(game) {
+  return game.decryptionCompleted && (game.resultCode === PLAYER1_WINS || game.resultCode === PLAYER2_WINS);
+}
+
+// Money that left the pot for each player of a game: winnings, draw returns and expiry refunds
+function payoutsOf(game, settlement) {
+  const payouts = [];
+  if (isWon(game) && settlement) {
+    payouts.push({ player: game.winner, kind: 'win', amount: settlement.payoutAmount });
+  } else if (game.decryptionCompleted && game.resultCode === DRAW) {
+    payouts.push({ player: game.player1, kind: 'draw', amount: game.betAmount });
+    payouts.push({ player: game.player2, kind: 'draw', amount: game.betAmount });
+  }
+  game.refundedPlayers.forEach((player) => payouts.push({ player, kind: 'refund', amount: game.betAmount }));
+  return payouts;
+}
+
+function sumWei(values) {
+  return values.reduce((total, value) => total + BigInt(value ?? 0), 0n).toString();
+}
+
+/**
+ * Open (or create) the indexer database for one game contract
+ * @param {Object} options
+ * @param {string} options.dbPath - SQLite file, or ':memory:'
+ * @param {string} options.scope - Identifies the contract, e.g. `${chainId}:${contractAddress}`; a database
+ *   written for another scope is wiped
+ * @param {(gameId: string) => Promise<{ feeAmount: string, payoutAmount: string }>} options.readSettlement - Fee and
+ *   payout of a won game (the events only carry the pot); read once per game
+ */
+export function openSqliteStore({ dbPath, scope, readSettlement }) {
+  if (dbPath !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(dbPath)), { recursive: true });
+  }
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const statements = {
+    getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+    setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+    allGames: db.prepare('SELECT * FROM games'),
+    getGame: db.prepare('SELECT * FROM games WHERE id = ?'),
+    getSettlement: db.prepare('SELECT fee_amount, payout_amount FROM games WHERE id = ? AND payout_amount IS NOT NULL'),
+    upsertGame: db.prepare(`
+      INSERT INTO games VALUES (
+        @id, @player1, @player2, @bet_amount, @start_time, @move_deadline, @decryption_requested, @decryption_completed,
+        @request_id, @decrypt_request_time, @decrypt_deadline, @result_code, @winner, @is_expired,
+        @refunded_players, @end_time, @fee_amount, @payout_amount, @updated_block
+      )
+      ON CONFLICT (id) DO UPDATE SET
+        player1 = excluded.player1, player2 = excluded.player2, bet_amount = excluded.bet_amount,
+        start_time = excluded.start_time, move_deadline = excluded.move_deadline,
+        decryption_requested = excluded.decryption_requested,
+        decryption_completed = excluded.decryption_completed, request_id = excluded.request_id,
+        decrypt_request_time = excluded.decrypt_request_time, decrypt_deadline = excluded.decrypt_deadline,
+        result_code = excluded.result_code, winner = excluded.winner, is_expired = excluded.is_expired,
+        refunded_players = excluded.refunded_players, end_time = excluded.end_time,
+        fee_amount = excluded.fee_amount, payout_amount = excluded.payout_amount,
+        updated_block = excluded.updated_block
+    `),
+    addPlayer: db.prepare(`
+      INSERT INTO players (address, first_game_id, first_seen_block) VALUES (?, ?, ?)
+      ON CONFLICT (address) DO NOTHING
+    `),
+    upsertPayout: db.prepare(`
+      INSERT INTO payouts (game_id, player, kind, amount, block_number) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (game_id, player, kind) DO UPDATE SET amount = excluded.amount, block_number = excluded.block_number
+    `),
+    openGames: db.prepare(`
+      SELECT * FROM games WHERE ${OPEN}
+      ORDER BY id DESC LIMIT @limit OFFSET @offset
+    `),
+    countOpenGames: db.prepare(`
+      SELECT COUNT(*) AS total FROM games WHERE ${OPEN}
+    `),
+    playerGames: db.prepare(`
+      SELECT * FROM games WHERE player1 = @player OR player2 = @player
+      ORDER BY id DESC LIMIT @limit OFFSET @offset
+    `),
+    countPlayerGames: db.prepare('SELECT COUNT(*) AS total FROM games WHERE player1 = @player OR player2 = @player'),
+    completedGames: db.prepare(`SELECT * FROM games WHERE ${COMPLETED} ORDER BY end_time DESC, id DESC LIMIT @limit OFFSET @offset`),
+    countCompletedGames: db.prepare(`SELECT COUNT(*) AS total FROM games WHERE ${COMPLETED}`),
+    gamesUpdatedSince: db.prepare('SELECT * FROM games WHERE updated_block > ? ORDER BY id DESC'),
+    gameCounts: db.prepare(`
+      SELECT
+        COUNT(*) AS total,
+        COALESCE(SUM(${OPEN}), 0) AS open,
+        COALESCE(SUM(player2 != @zero AND is_expired = 0 AND decryption_completed = 0), 0) AS inProgress,
+        COALESCE(SUM(decryption_completed = 1), 0) AS resolved,
+        COALESCE(SUM(decryption_completed = 1 AND result_code = ${DRAW}), 0) AS draws,
+        COALESCE(SUM(is_expired = 1), 0) AS expired
+      FROM games
+    `),
+    stakes: db.prepare('SELECT bet_amount, player2, fee_amount FROM games'),
+    payoutAmounts: db.prepare('SELECT kind, amount FROM payouts'),
+    countPlayers: db.prepare('SELECT COUNT(*) AS total FROM players')
+  };
+
+  const readMeta = (key) => statements.getMeta.get(key)?.value ?? null;
+
+  function getLastBlock() {
+    const lastBlock = readMeta('lastBlock');
+    return lastBlock === null ? null : Number(lastBlock);
+  }
+
+  const wipe = db.transaction(() => {
+    db.exec('DELETE FROM games; DELETE FROM players; DELETE FROM payouts; DELETE FROM meta;');
+  });
+
+  const writeBatch = db.transaction((batch, lastBlock, lastBlockHash) => {
+    for (const { game, settlement } of batch) {
+      statements.upsertGame.run(toRow(game, settlement));
+      [game.player1, game.player2]
+        .filter((player) => player !== ethers.ZeroAddress)
+        .forEach((player) => statements.addPlayer.run(player, Number(game.id), game.updatedBlock));
+      payoutsOf(game, settlement).forEach(({ player, kind, amount }) => {
+        statements.upsertPayout.run(Number(game.id), player, kind, amount, game.updatedBlock);
+      });
+    }
+    statements.setMeta.run('lastBlock', String(lastBlock));
+    statements.setMeta.run('lastBlockHash', lastBlockHash ?? '');
+    statements.setMeta.run('scope', scope);
+    statements.setMeta.run('schemaVersion', String(STORE_SCHEMA_VERSION));
+  });
+
+  // Settlement of a won game: already stored, or read from the contract once
+  async function settlementOf(game) {
+    if (!isWon(game)) return null;
+    const stored = statements.getSettlement.get(Number(game.id));
+    if (stored) return { feeAmount: stored.fee_amount, payoutAmount: stored.payout_amount };
+    return readSettlement(game.id);
+  }
+
+  function page(rows, total, { limit, offset }) {
+    return { games: rows.map(fromRow), total, limit, offset };
+  }
+
+  const openGameParams = (now) => ({ zero: ethers.ZeroAddress, now });
+
+  return {
+    // ---- IndexerStore (see src/utils/indexerStore.js) ----
+
+    async load() {
+      const lastBlock = readMeta('lastBlock');
+      if (lastBlock === null || readMeta('scope') !== scope || readMeta('schemaVersion') !== String(STORE_SCHEMA_VERSION)) {
+        // Nothing indexed yet, indexed for another contract or with an older schema: start over
+        wipe();
+        return { games: [], lastBlock: null, lastBlockHash: null };
+      }
+      return {
+        games: statements.allGames.all().map(fromRow),
+        lastBlock: Number(lastBlock),
+        lastBlockHash: readMeta('lastBlockHash') || null
+      };
+    },
+
+    async save(games, lastBlock, lastBlockHash = null) {
+      // Contract reads happen before the transaction: better-sqlite3 transactions must not await
+      const batch = await Promise.all(games.map(async (game) => ({ game, settlement: await settlementOf(game) })));
+      writeBatch(batch, lastBlock, lastBlockHash);
+    },
+
+    async clear() {
+      wipe();
+    },
+
+    // ---- Queries ----
+
+    getLastBlock,
+
+    getGame(id) {
+      const row = statements.getGame.get(id);
+      return row ? fromRow(row) : null;
+    },
+
+    // Games waiting for a second player, newest first
+    listOpenGames({ limit, offset, now = Math.floor(Date.now() / 1000) }) {
+      const params = openGameParams(now);
+      const rows = statements.openGames.all({ ...params, limit, offset });
+      return page(rows, statements.countOpenGames.get(params).total, { limit, offset });
+    },
+
+    // Games a player created or joined, newest first
+    listPlayerGames(player, { limit, offset }) {
+      // player2 of a game nobody joined yet is the zero address, which is nobody's game
+      if (player === ethers.ZeroAddress) return page([], 0, { limit, offset });
+      const rows = statements.playerGames.all({ player, limit, offset });
+      return page(rows, statements.countPlayerGames.get({ player }).total, { limit, offset });
+    },
+
+    // Resolved and expired games, most recently finished first
+    listCompletedGames({ limit, offset }) {
+      const rows = statements.completedGames.all({ limit, offset });
+      return page(rows, statements.countCompletedGames.get().total, { limit, offset });
+    },
+
+    // Every game changed after a block (all games for null), for clients keeping their own copy
+    listGamesUpdatedSince(block) {
+      return statements.gamesUpdatedSince.all(block ?? -1).map(fromRow);
+    },
+
+    // Platform totals; amounts in wei as decimal strings
+    getStats({ now = Math.floor(Date.now() / 1000) } = {}) {
+      const counts = statements.gameCounts.get(openGameParams(now));
+      const stakes = statements.stakes.all();
+      const payouts = statements.payoutAmounts.all();
+      const paidOut = (kind) => sumWei(payouts.filter((payout) => payout.kind === kind).map((payout) => payout.amount));
+
+      return {
+        games: counts,
+        players: statements.countPlayers.get().total,
+        totalWagered: sumWei(stakes.flatMap((game) => (
+          game.player2 === ethers.ZeroAddress ? [game.bet_amount] : [game.bet_amount, game.bet_amount]
+        ))),
+        totalFees: sumWei(stakes.map((game) => game.fee_amount)),
+        payouts: {
+          winnings: paidOut('win'),
+          draws: paidOut('draw'),
+          refunds: paidOut('refund'),
+          total: sumWei(payouts.map((payout) => payout.amount))
+        },
+        lastBlock: getLastBlock()
+      };
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
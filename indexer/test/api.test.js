@@ -0,0 +1,110 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { applyGameEvent } from '../../src/utils/gameIndexer.js';
+import { openSqliteStore } from '../src/store.js';
+import { createApiServer } from '../src/api.js';
+
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const BET = '10000000000000000';
+
+function created(id, player1 = ALICE) {
+  return applyGameEvent(undefined, {
+    name: 'GameCreated',
+    gameId: String(id),
+    args: { player1, betAmount: BET },
+    blockNumber: id,
+    timestamp: Math.floor(Date.now() / 1000) - 60
+  });
+}
+
+function drawn(id) {
+  return [
+    ['GameJoined', { player2: BOB }],
+    ['DecryptionRequested', { requestId: '1', timestamp: '0', deadline: '0' }],
+    ['GameResolved', { resultCode: '2', winner: ethers.ZeroAddress, totalPot: '0' }]
+  ].reduce((record, [name, args]) => applyGameEvent(record, { name, gameId: String(id), args, blockNumber: id + 1, timestamp: id }), created(id));
+}
+
+describe('createApiServer', () => {
+  let store;
+  let server;
+  let baseUrl;
+
+  const get = async (path, options) => {
+    const res = await fetch(`${baseUrl}${path}`, options);
+    return { status: res.status, headers: res.headers, body: res.status === 204 ? null : await res.json() };
+  };
+
+  before(async () => {
+    store = openSqliteStore({ dbPath: ':memory:', scope: '31337:0xgame', readSettlement: async () => null });
+    await store.save([created(1), created(2, BOB), created(3), drawn(4), drawn(5), drawn(6)], 10);
+
+    server = createApiServer(store, { getStatus: () => ({ chainId: 31337 }) });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    store.close();
+  });
+
+  it('reports the chain and the last indexed block', async () => {
+    const { status, body, headers } = await get('/health');
+    assert.equal(status, 200);
+    assert.deepEqual(body, { chainId: 31337, lastBlock: 10 });
+    assert.equal(headers.get('access-control-allow-origin'), '*');
+  });
+
+  it('pages open games', async () => {
+    const { body } = await get('/games/open?page=2&pageSize=2');
+    assert.deepEqual(body.games.map((game) => game.id), ['1']);
+    assert.deepEqual({ ...body, games: undefined }, { games: undefined, total: 3, page: 2, pageSize: 2, totalPages: 2 });
+  });
+
+  it('pages completed games', async () => {
+    const { body } = await get('/games/completed?pageSize=2');
+    assert.deepEqual(body.games.map((game) => game.id), ['6', '5']);
+    assert.equal(body.total, 3);
+    assert.equal(body.totalPages, 2);
+  });
+
+  it('lists the games of a player, whatever the address casing', async () => {
+    const { body } = await get(`/players/${BOB.toLowerCase()}/games`);
+    assert.deepEqual(body.games.map((game) => game.id), ['6', '5', '4', '2']);
+  });
+
+  it('returns one game and the games changed after a block', async () => {
+    assert.equal((await get('/games/4')).body.resultCode, 2);
+    assert.equal((await get('/games/99')).status, 404);
+
+    const { body } = await get('/games?updatedSince=4');
+    assert.deepEqual(body.games.map((game) => game.id), ['6', '5', '4']);
+    assert.equal(body.lastBlock, 10);
+  });
+
+  it('serves the platform totals', async () => {
+    const { body } = await get('/stats');
+    assert.equal(body.games.total, 6);
+    assert.equal(body.players, 2);
+    assert.equal(body.payouts.draws, String(6n * BigInt(BET)));
+  });
+
+  it('rejects bad input with a JSON error', async () => {
+    for (const path of ['/games/open?page=0', '/games/open?pageSize=1000', '/players/0x123/games', '/games?updatedSince=-1']) {
+      const { status, body } = await get(path);
+      assert.equal(status, 400, path);
+      assert.equal(typeof body.error, 'string');
+    }
+    assert.equal((await get('/nope')).status, 404);
+    assert.equal((await get('/stats', { method: 'POST' })).status, 405);
+  });
+
+  it('answers CORS preflights', async () => {
+    const { status, headers } = await get('/games/open', { method: 'OPTIONS' });
+    assert.equal(status, 204);
+    assert.match(headers.get('access-control-allow-methods'), /GET/);
+  });
+});
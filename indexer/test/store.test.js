@@ -0,0 +1,201 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { ethers } from 'ethers';
+import { applyGameEvent } from '../../src/utils/gameIndexer.js';
+import { openSqliteStore } from '../src/store.js';
+
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const CAROL = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const BET = '10000000000000000'; // 0.01 ETH
+const NOW = 1_700_000_000;
+
+// Fold events into a record the way the game indexer does
+function game(id, events) {
+  return events.reduce((record, [name, args, blockNumber, timestamp, moveDeadline]) => (
+    applyGameEvent(record, { name, gameId: String(id), args, blockNumber, timestamp, moveDeadline })
+  ), undefined);
+}
+
+const open = (id, player1 = ALICE, startTime = NOW - 60, moveDeadline = startTime + 86400) => game(id, [
+  ['GameCreated', { player1, betAmount: BET }, id, startTime, moveDeadline]
+]);
+
+const joined = (id) => game(id, [
+  ['GameCreated', { player1: ALICE, betAmount: BET }, id, NOW - 60],
+  ['GameJoined', { player2: BOB }, id + 1],
+  ['DecryptionRequested', { requestId: String(id), timestamp: String(NOW), deadline: String(NOW + 600) }, id + 1]
+]);
+
+const resolved = (id, resultCode, endTime = NOW) => game(id, [
+  ['GameCreated', { player1: ALICE, betAmount: BET }, id, NOW - 60],
+  ['GameJoined', { player2: BOB }, id + 1],
+  ['DecryptionRequested', { requestId: String(id), timestamp: String(NOW), deadline: String(NOW + 600) }, id + 1],
+  ['GameResolved', {
+    resultCode: String(resultCode),
+    winner: [ALICE, BOB, ethers.ZeroAddress][resultCode],
+    totalPot: String(2n * BigInt(BET))
+  }, id + 2, endTime]
+]);
+
+const expired = (id) => game(id, [
+  ['GameCreated', { player1: CAROL, betAmount: BET }, id, NOW - 90000],
+  ['RefundProcessed', { player: CAROL, amount: BET }, id + 1],
+  ['GameExpired', {}, id + 1, NOW - 100]
+]);
+
+// 2.5% platform fee on a 0.02 ETH pot
+const SETTLEMENT = { feeAmount: '500000000000000', payoutAmount: '19500000000000000' };
+
+describe('openSqliteStore', () => {
+  let store;
+  let settlementReads;
+
+  beforeEach(() => {
+    settlementReads = [];
+    store = openSqliteStore({
+      dbPath: ':memory:',
+      scope: '31337:0xgame',
+      async readSettlement(gameId) {
+        settlementReads.push(gameId);
+        return SETTLEMENT;
+      }
+    });
+  });
+
+  afterEach(() => store.close());
+
+  it('starts empty', async () => {
+    assert.deepEqual(await store.load(), { games: [], lastBlock: null, lastBlockHash: null });
+    assert.equal(store.getLastBlock(), null);
+  });
+
+  it('round-trips indexed records through load()', async () => {
+    const records = [open(1), joined(2), resolved(3, 2), expired(4)];
+    await store.save(records, 42, '0x42');
+
+    const { games, lastBlock, lastBlockHash } = await store.load();
+    assert.equal(lastBlock, 42);
+    assert.equal(lastBlockHash, '0x42');
+    const byId = new Map(games.map((record) => [record.id, record]));
+    for (const record of records) {
+      assert.deepEqual(byId.get(record.id), { ...record, feeAmount: null, payoutAmount: null });
+    }
+  });
+
+  it('reads the settlement of a won game once', async () => {
+    await store.save([resolved(1, 0)], 10);
+    await store.save([resolved(1, 0)], 11);
+
+    assert.deepEqual(settlementReads, ['1']);
+    assert.equal(store.getGame(1).payoutAmount, SETTLEMENT.payoutAmount);
+    assert.equal(store.getGame(1).feeAmount, SETTLEMENT.feeAmount);
+  });
+
+  it('does not advance the block when a settlement cannot be read', async () => {
+    const failing = openSqliteStore({
+      dbPath: ':memory:',
+      scope: '31337:0xgame',
+      readSettlement: async () => { throw new Error('node down'); }
+    });
+    await failing.save([open(1)], 5);
+    await assert.rejects(failing.save([resolved(2, 1)], 6), /node down/);
+    assert.equal(failing.getLastBlock(), 5);
+    assert.equal(failing.getGame(2), null);
+    failing.close();
+  });
+
+  it('wipes a database written for another contract', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rps-indexer-'));
+    const dbPath = path.join(dir, 'indexer.sqlite');
+    const readSettlement = async () => SETTLEMENT;
+    try {
+      const first = openSqliteStore({ dbPath, scope: '31337:0xgame', readSettlement });
+      await first.save([open(1)], 10);
+      first.close();
+
+      const same = openSqliteStore({ dbPath, scope: '31337:0xgame', readSettlement });
+      assert.equal((await same.load()).lastBlock, 10);
+      same.close();
+
+      const other = openSqliteStore({ dbPath, scope: '31337:0xother', readSettlement });
+      assert.deepEqual(await other.load(), { games: [], lastBlock: null, lastBlockHash: null });
+      assert.equal(other.getGame(1), null);
+      other.close();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('forgets everything on clear()', async () => {
+    await store.save([open(1)], 10);
+    await store.clear();
+    assert.deepEqual(await store.load(), { games: [], lastBlock: null, lastBlockHash: null });
+  });
+
+  it('lists open games that can still be joined, newest first', async () => {
+    // 5 is past its move deadline; 6 is older than a day but was created with a longer move window
+    await store.save([
+      open(1), open(2), joined(3), expired(4), open(5, BOB, NOW - 600, NOW - 1), open(6, BOB, NOW - 90000, NOW + 100)
+    ], 10);
+
+    const page = store.listOpenGames({ limit: 10, offset: 0, now: NOW });
+    assert.deepEqual(page.games.map((record) => record.id), ['6', '2', '1']);
+    assert.equal(page.total, 3);
+    assert.deepEqual(store.listOpenGames({ limit: 1, offset: 2, now: NOW }).games.map((record) => record.id), ['1']);
+  });
+
+  it('lists the games of a player', async () => {
+    await store.save([open(1), joined(2), expired(3)], 10);
+
+    assert.deepEqual(store.listPlayerGames(BOB, { limit: 10, offset: 0 }).games.map((record) => record.id), ['2']);
+    assert.deepEqual(store.listPlayerGames(ALICE, { limit: 10, offset: 0 }).games.map((record) => record.id), ['2', '1']);
+    assert.equal(store.listPlayerGames(ethers.ZeroAddress, { limit: 10, offset: 0 }).total, 0);
+  });
+
+  it('pages completed games by the time they finished', async () => {
+    await store.save([resolved(1, 0, NOW - 10), resolved(2, 2, NOW - 30), expired(3), joined(4), open(5)], 10);
+
+    const first = store.listCompletedGames({ limit: 2, offset: 0 });
+    assert.deepEqual(first.games.map((record) => record.id), ['1', '2']);
+    assert.equal(first.total, 3);
+    assert.deepEqual(store.listCompletedGames({ limit: 2, offset: 2 }).games.map((record) => record.id), ['3']);
+  });
+
+  it('returns the games changed after a block', async () => {
+    await store.save([open(1), open(5)], 10);
+
+    assert.deepEqual(store.listGamesUpdatedSince(null).map((record) => record.id), ['5', '1']);
+    assert.deepEqual(store.listGamesUpdatedSince(1).map((record) => record.id), ['5']);
+    assert.deepEqual(store.listGamesUpdatedSince(5), []);
+  });
+
+  it('totals games, players, stakes, fees and payouts', async () => {
+    // Won by Alice, drawn, expired with a refund to Carol, in progress, open
+    await store.save([resolved(1, 0), resolved(10, 2), expired(20), joined(30), open(40)], 50);
+
+    const stats = store.getStats({ now: NOW });
+    assert.deepEqual(stats.games, { total: 5, open: 1, inProgress: 1, resolved: 2, draws: 1, expired: 1 });
+    assert.equal(stats.players, 3);
+    // Three joined games stake two bets each, the expired and the open one a single bet
+    assert.equal(stats.totalWagered, String(8n * BigInt(BET)));
+    assert.equal(stats.totalFees, SETTLEMENT.feeAmount);
+    assert.deepEqual(stats.payouts, {
+      winnings: SETTLEMENT.payoutAmount,
+      draws: String(2n * BigInt(BET)),
+      refunds: BET,
+      total: String(BigInt(SETTLEMENT.payoutAmount) + 3n * BigInt(BET))
+    });
+    assert.equal(stats.lastBlock, 50);
+  });
+
+  it('keeps payouts idempotent when a block is indexed again', async () => {
+    await store.save([expired(1)], 10);
+    await store.save([expired(1)], 10);
+
+    assert.equal(store.getStats({ now: NOW }).payouts.refunds, BET);
+  });
+});
@@ -1,194 +1,98 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { ethers } from 'ethers';
+import React, { useState, useEffect, useCallback, useSyncExternalStore } from 'react';
 import Header from './components/Header.jsx';
 import WalletConnect from './components/WalletConnect.jsx';
 import GamePanel from './components/GamePanel.jsx';
-import { CONTRACT_ADDRESS, CONTRACT_ABI } from './config/contract';
+import UnsupportedNetwork from './components/UnsupportedNetwork.jsx';
+import DeploymentUnavailable from './components/DeploymentUnavailable.jsx';
+import FheProvider from './context/FheProvider.jsx';
+import GameIndexerProvider from './context/GameIndexerProvider.jsx';
+import TxTrackerProvider from './context/TxTrackerProvider.jsx';
+import { createChainSubscriber } from './utils/chainSubscriber';
+import { createWalletConnectors } from './utils/walletConnectors';
+import { createWalletSession } from './utils/walletSession';
 
 function App() {
-  const [account, setAccount] = useState(null);
-  const [provider, setProvider] = useState(null);
-  const [contract, setContract] = useState(null);
-  const [balance, setBalance] = useState('0');
-  const [loading, setLoading] = useState(false);
+  const [walletConnectors] = useState(() => createWalletConnectors());
+  // Account, provider, contract and network: of the connected wallet, else read-only (no wallet)
+  const [session] = useState(() => createWalletSession({ connectors: walletConnectors }));
+  const {
+    account,
+    provider,
+    contract,
+    network,
+    chainId,
+    deploymentError,
+    connector,
+    readOnly,
+    loading,
+    balance
+  } = useSyncExternalStore(session.subscribe, session.getSnapshot);
+  const [subscriber, setSubscriber] = useState(null);
   const [initializing, setInitializing] = useState(true);
-  const [, setError] = useState(null);
+  const [showConnect, setShowConnect] = useState(false);
 
-  // Contract configuration
-  const CONTRACT_CONFIG = {
-    address: CONTRACT_ADDRESS,
-    abi: CONTRACT_ABI
-  };
-
-  // Connect wallet
-  const connectWallet = useCallback(async (isInitialLoad = false) => {
-    try {
-      console.log('connectWallet called, isInitialLoad:', isInitialLoad);
-      
-      if (!isInitialLoad) {
-        setLoading(true);
-      }
-      setError(null);
-
-      // Check if MetaMask is installed
-      if (typeof window.ethereum === 'undefined') {
-        console.error('MetaMask not detected');
-        setError('MetaMask not detected. Please install MetaMask extension.');
-        return;
-      }
-
-      console.log('MetaMask detected, version:', window.ethereum.version);
-      console.log('Available providers:', window.ethereum.providers);
-
-      if (window.ethereum) {
-        // Check if already connected
-        let accounts = await window.ethereum.request({
-          method: 'eth_accounts'
-        });
-
-        // If not connected and not initial load, request connection
-        if (accounts.length === 0 && !isInitialLoad) {
-          accounts = await window.ethereum.request({
-            method: 'eth_requestAccounts'
-          });
-        }
-
-        if (accounts.length > 0) {
-          const provider = new ethers.BrowserProvider(window.ethereum);
-          const signer = await provider.getSigner();
-          
-          // Verify contract address is valid
-          if (CONTRACT_CONFIG.address === "0x0000000000000000000000000000000000000000") {
-            throw new Error('Contract address not configured. Please set VITE_CONTRACT_ADDRESS in .env file.');
-          }
-          
-          // Check if contract is deployed
-          const code = await provider.getCode(CONTRACT_CONFIG.address);
-          if (code === '0x') {
-            throw new Error(`Contract not deployed at address: ${CONTRACT_CONFIG.address}`);
-          }
-          
-          const contract = new ethers.Contract(
-            CONTRACT_CONFIG.address,
-            CONTRACT_CONFIG.abi,
-            signer
-          );
-
-          setAccount(accounts[0]);
-          setProvider(provider);
-          setContract(contract);
-
-          // Get balance
-          const balance = await provider.getBalance(accounts[0]);
-          setBalance(ethers.formatEther(balance));
-
-          console.log('Wallet connected:', accounts[0]);
-          console.log('Contract address:', CONTRACT_CONFIG.address);
-        }
-      } else {
-        setError('MetaMask not detected. Please install MetaMask extension.');
-      }
-    } catch (err) {
-      console.error('Error connecting wallet:', err);
-      if (err.code === 4001) {
-        setError('Connection rejected. Please try again and approve the connection.');
-      } else if (err.code === -32002) {
-        setError('Connection request already pending. Please check MetaMask.');
-      } else {
-        setError('Failed to connect wallet. Please refresh the page and try again.');
-      }
-    } finally {
-      if (!isInitialLoad) {
-        setLoading(false);
-      }
-    }
-  }, [CONTRACT_CONFIG.address, CONTRACT_CONFIG.abi]);
-
-  // Disconnect wallet
-  const disconnectWallet = () => {
-    setAccount(null);
-    setProvider(null);
-    setContract(null);
-    setBalance('0');
-    setError(null);
-  };
+  // Spectators pick a wallet when they try something that needs one
+  const requestConnect = useCallback(() => setShowConnect(true), []);
 
   // Handle withdraw success
   const handleWithdrawSuccess = async () => {
     // Update balance after withdrawal
-    await updateBalance();
+    await session.refreshBalance();
     console.log('Funds withdrawn successfully');
   };
 
-  // Check if wallet is already connected on page load
+  // Reconnect the wallet used last time, if it is still installed and authorized
   const checkWalletConnection = useCallback(async () => {
     try {
-      if (window.ethereum) {
-        const accounts = await window.ethereum.request({
-          method: 'eth_accounts'
-        });
-
-        if (accounts.length > 0) {
-          console.log('Wallet already connected, setting up contract...');
-          await connectWallet(true); // Pass true for initial load
-        }
-      }
+      await session.restore();
     } catch (err) {
       console.error('Error checking wallet connection:', err);
     } finally {
       setInitializing(false);
     }
-  }, [connectWallet]);
+  }, [session]);
 
-  // Update balance
-  const updateBalance = useCallback(async () => {
-    if (provider && account) {
-      try {
-        const balance = await provider.getBalance(account);
-        setBalance(ethers.formatEther(balance));
-      } catch (err) {
-        console.error('Error updating balance:', err);
-      }
-    }
-  }, [provider, account]);
+  // Discover the installed wallets while the app is open
+  useEffect(() => {
+    walletConnectors.start();
+    return () => walletConnectors.stop();
+  }, [walletConnectors]);
 
   // Check wallet connection on page load
   useEffect(() => {
     checkWalletConnection();
   }, [checkWalletConnection]);
 
-  // Listen for account changes
+  // Until a wallet connects (and after it disconnects) visitors browse read-only
   useEffect(() => {
-    if (window.ethereum) {
-      window.ethereum.on('accountsChanged', (accounts) => {
-        if (accounts.length === 0) {
-          disconnectWallet();
-        } else {
-          connectWallet();
-        }
-      });
-
-      window.ethereum.on('chainChanged', () => {
-        window.location.reload();
-      });
+    if (!initializing && !account && !loading && !readOnly) {
+      session.connectReadOnly();
     }
+  }, [initializing, account, loading, readOnly, session]);
+
+  useEffect(() => {
+    if (account) setShowConnect(false);
+  }, [account]);
 
-    return () => {
-      if (window.ethereum) {
-        window.ethereum.removeAllListeners('accountsChanged');
-        window.ethereum.removeAllListeners('chainChanged');
-      }
-    };
-  }, [connectWallet]);
+  // New blocks and contract logs for the whole app: over the network's WebSocket, or by polling the wallet
+  useEffect(() => {
+    if (!provider || !network) {
+      setSubscriber(null);
+      return;
+    }
+    const chainSubscriber = createChainSubscriber({ provider, wsUrl: network.wsUrl, chainId: network.chainId });
+    chainSubscriber.start();
+    setSubscriber(chainSubscriber);
+    return () => chainSubscriber.stop();
+  }, [provider, network]);
 
-  // Update balance periodically
+  // The balance can only change with a new block
   useEffect(() => {
     if (account) {
-      updateBalance();
-      const interval = setInterval(updateBalance, 10000); // Update every 10 seconds
-      return () => clearInterval(interval);
+      session.refreshBalance();
+      return subscriber?.watchBlocks(session.refreshBalance);
     }
-  }, [account, updateBalance]);
+  }, [account, provider, subscriber, session]);
 
   // Show loading screen during initialization
   if (initializing) {
@@ -204,26 +108,75 @@ function App() {
   }
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-gray-950 via-gray-900 to-gray-950">
-      <Header 
-        account={account} 
-        balance={balance} 
-        onConnect={connectWallet}
-        onDisconnect={disconnectWallet}
-        contract={contract}
-        onWithdrawSuccess={handleWithdrawSuccess}
-        loading={loading}
-      />
+    <FheProvider chainId={network?.chainId ?? null}>
+      <GameIndexerProvider contract={contract} network={network} subscriber={subscriber}>
+        <TxTrackerProvider provider={provider} account={account} chainId={network?.chainId ?? null}>
+          <div className="min-h-screen bg-gradient-to-br from-gray-950 via-gray-900 to-gray-950">
+            <Header 
+              account={account} 
+              balance={balance} 
+              onConnect={readOnly ? requestConnect : session.connect}
+              onDisconnect={session.disconnect}
+              contract={contract}
+              onWithdrawSuccess={handleWithdrawSuccess}
+              loading={loading}
+              connector={connector}
+            />
       
-      <main className="container mx-auto px-4 py-4">
-
-        {!account ? (
-          <WalletConnect onConnect={connectWallet} loading={loading} />
-        ) : (
-          <GamePanel contract={contract} account={account} provider={provider} onBalanceUpdate={updateBalance} />
-        )}
-      </main>
-    </div>
+            <main className="container mx-auto px-4 py-4">
+
+              {!account && !readOnly ? (
+                <WalletConnect connectors={walletConnectors} onConnect={session.connect} loading={loading} />
+              ) : deploymentError ? (
+                <DeploymentUnavailable error={deploymentError} chainId={chainId} />
+              ) : !network ? (
+                <UnsupportedNetwork
+                  chainId={chainId}
+                  connecting={loading}
+                  onSwitch={connector?.switchChain ? session.switchNetwork : null}
+                />
+              ) : (
+                <>
+                  {readOnly && (
+                    <div className="bg-blue-900/30 border border-blue-500/50 rounded-lg p-3 mb-4 flex items-center justify-between">
+                      <span className="text-blue-200 text-sm">
+                        Browsing {network.name} read-only. Connect a wallet to create, join or withdraw.
+                      </span>
+                      <button
+                        onClick={requestConnect}
+                        className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium transition-colors"
+                      >
+                        Connect Wallet
+                      </button>
+                    </div>
+                  )}
+                  {/* Keyed by chain and account: selected moves, pages, revealed moves and open reviews never carry over */}
+                  <GamePanel
+                    key={`${network.chainId}:${account ?? 'read-only'}`}
+                    contract={contract}
+                    account={account}
+                    provider={provider}
+                    onBalanceUpdate={session.refreshBalance}
+                    onConnectRequest={requestConnect}
+                  />
+                </>
+              )}
+            </main>
+
+            {showConnect && !account && (
+              <div className="fixed inset-0 bg-black bg-opacity-60 backdrop-blur-sm flex items-center justify-center z-50 animate-fadeIn modal-overlay">
+                <WalletConnect
+                  connectors={walletConnectors}
+                  onConnect={session.connect}
+                  onClose={() => setShowConnect(false)}
+                  loading={loading}
+                />
+              </div>
+            )}
+          </div>
+        </TxTrackerProvider>
+      </GameIndexerProvider>
+    </FheProvider>
   );
 }
 
@@ -0,0 +1,38 @@
+import React, { useState } from 'react';
+
+// Development burner wallets: switch between the two players to play both sides from one browser
+// (see utils/walletConnectors/burner.js); the app reconnects through the connector's accountsChanged
+const BurnerPlayerSwitch = ({ connector }) => {
+  const [switching, setSwitching] = useState(false);
+  const active = connector.getPlayer();
+
+  const switchTo = async (id) => {
+    setSwitching(true);
+    try {
+      await connector.switchPlayer(id);
+    } catch (err) {
+      console.error('Could not switch burner player:', err);
+    } finally {
+      setSwitching(false);
+    }
+  };
+
+  return (
+    <div className="flex bg-gray-800/60 rounded-lg p-1 space-x-1" title="Burner wallets (development only)">
+      {connector.getPlayers().map((player) => (
+        <button
+          key={player.id}
+          onClick={() => switchTo(player.id)}
+          disabled={switching || player.id === active}
+          className={`px-3 py-1 rounded-md text-xs font-medium transition-colors ${
+            player.id === active ? 'bg-amber-500 text-gray-900' : 'text-gray-300 hover:bg-gray-700'
+          }`}
+        >
+          {player.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default BurnerPlayerSwitch;
@@ -0,0 +1,83 @@
+import React from 'react';
+import { createPortal } from 'react-dom';
+import { ethers } from 'ethers';
+
+// Shown between simulation and the wallet prompt: what the transaction costs and what a win pays out
+
+const formatEth = (wei) => {
+  const [whole, fraction = '0'] = ethers.formatEther(wei).split('.');
+  return `${whole}.${fraction.slice(0, 6).padEnd(2, '0')} ETH`;
+};
+
+const formatGwei = (wei) =>
+  `${Number(ethers.formatUnits(wei, 'gwei')).toLocaleString(undefined, { maximumFractionDigits: 3 })} gwei`;
+
+const Row = ({ label, value, strong = false }) => (
+  <div className="flex justify-between text-sm">
+    <span className="text-slate-400">{label}</span>
+    <span className={strong ? 'text-white font-semibold' : 'text-slate-200'}>{value}</span>
+  </div>
+);
+
+const CostPreview = ({ review, onConfirm, onCancel }) => {
+  if (!review) return null;
+  const { cost } = review;
+  const insufficient = cost.shortfall > 0n;
+
+  return createPortal(
+    <div className="fixed inset-0 bg-black bg-opacity-60 backdrop-blur-sm flex items-center justify-center animate-fadeIn modal-overlay">
+      <div className="bg-slate-800 rounded-xl p-6 w-full max-w-md mx-4 shadow-2xl border border-slate-600/50 animate-slideUp">
+        <h2 className="text-xl font-bold text-white mb-6">Review: {review.label}</h2>
+
+        <div className="space-y-4">
+          <div className="bg-slate-700/50 rounded-lg p-4 space-y-2">
+            <Row label="Bet" value={formatEth(cost.value)} />
+            <Row label="Estimated gas" value={`${cost.gas.toLocaleString()} (limit ${cost.gasLimit.toLocaleString()})`} />
+            {cost.eip1559 ? (
+              <>
+                {cost.baseFeePerGas !== null && <Row label="Base fee" value={formatGwei(cost.baseFeePerGas)} />}
+                <Row label="Priority fee" value={formatGwei(cost.maxPriorityFeePerGas)} />
+                <Row label="Max fee" value={formatGwei(cost.maxFeePerGas)} />
+              </>
+            ) : (
+              <Row label="Gas price" value={formatGwei(cost.maxFeePerGas)} />
+            )}
+            <Row label="Network fee" value={`~${formatEth(cost.expectedGasCost)} (max ${formatEth(cost.maxGasCost)})`} />
+            <div className="border-t border-slate-600/50 pt-2">
+              <Row label="Total" value={`~${formatEth(cost.expectedTotal)}`} strong />
+              <Row label="Up to" value={formatEth(cost.maxTotal)} />
+            </div>
+          </div>
+
+          <div className="bg-green-900/30 border border-green-500/50 rounded-lg p-3 space-y-1">
+            <Row label="Pot" value={formatEth(review.pot)} />
+            <Row label={`Platform fee (${Number(review.platformFee) / 100}%)`} value={formatEth(review.fee)} />
+            <Row label="Winner receives" value={formatEth(review.payout)} strong />
+          </div>
+
+          <Row label="Wallet balance" value={formatEth(cost.balance)} />
+
+          {insufficient && (
+            <div className="bg-red-900/30 border border-red-500/50 rounded-lg p-3">
+              <div className="text-red-300 text-sm">
+                Insufficient balance: {formatEth(cost.shortfall)} short of the bet plus the maximum network fee.
+              </div>
+            </div>
+          )}
+
+          <div className="flex space-x-3 pt-4">
+            <button onClick={onCancel} className="flex-1 btn-secondary">
+              Cancel
+            </button>
+            <button onClick={onConfirm} className="flex-1 btn-success" disabled={insufficient}>
+              Confirm
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default CostPreview;
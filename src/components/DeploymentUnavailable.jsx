@@ -0,0 +1,41 @@
+import React from 'react';
+import { getNetworkConfig } from '../config/networks';
+
+const HINTS = {
+  MANIFEST_MISSING: 'Deploy the contract to this network (npm run hardhat:deploy) to generate its manifest in public/deployments.',
+  MANIFEST_INVALID: 'The manifest was written by another version of the deploy script. Redeploy to regenerate it.',
+  CHAIN_MISMATCH: 'The manifest file was copied from another network. Redeploy to regenerate it.',
+  NOT_DEPLOYED: 'The node no longer has this deployment (a restarted local node starts empty). Redeploy the contract.',
+  BYTECODE_MISMATCH: 'Another build of the contract is deployed at this address. Redeploy, or restore the manifest of this deployment.',
+  ABI_MISMATCH: 'The manifest ABI and the deployed contract disagree with each other or with this app. Rebuild and redeploy.'
+};
+
+const DeploymentUnavailable = ({ error, chainId }) => {
+  const network = getNetworkConfig(chainId);
+
+  return (
+    <div className="flex items-center justify-center min-h-[40vh] py-8">
+      <div className="game-card max-w-lg w-full p-6 text-center">
+        <div className="mb-6">
+          <div className="w-16 h-16 bg-gradient-to-r from-red-500 to-pink-600 rounded-full flex items-center justify-center mx-auto mb-3">
+            <span className="text-white text-2xl">📜</span>
+          </div>
+          <h2 className="text-2xl font-bold text-gray-800 mb-2">
+            Game Contract Unavailable
+          </h2>
+          <p className="text-gray-600">
+            The game deployment on {network ? network.name : `chain ID ${chainId}`} could not be verified, so no transaction is offered.
+          </p>
+        </div>
+
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-left">
+          <h3 className="font-semibold text-red-800 mb-1 text-sm">{error.code}</h3>
+          <p className="text-red-700 text-sm break-words mb-2">{error.message}</p>
+          {HINTS[error.code] && <p className="text-red-600 text-xs">{HINTS[error.code]}</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeploymentUnavailable;
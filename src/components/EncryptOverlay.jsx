@@ -0,0 +1,57 @@
+import React from 'react';
+
+// Encryption progress stages reported by the FHE worker, plus the cost estimate and wallet steps that follow
+const STAGES = {
+  preparing: { label: 'Preparing encrypted input...', percent: 15 },
+  encrypting: { label: 'Encrypting and generating proof...', percent: 55 },
+  finalizing: { label: 'Finalizing ciphertext...', percent: 90 },
+  estimating: { label: 'Choice encrypted. Estimating the cost...', percent: 95 },
+  wallet: { label: 'Choice encrypted. Waiting for wallet confirmation...', percent: 100 }
+};
+
+const EncryptOverlay = ({ stage, onCancel }) => {
+  const current = STAGES[stage] || STAGES.preparing;
+  const cancellable = onCancel && stage !== 'estimating' && stage !== 'wallet';
+
+  return (
+    <div className="encrypt-overlay">
+      <div className="encrypt-card animate-slideUp">
+        <div className="encrypt-title">Encrypting your choice</div>
+        <div className="encrypt-subtitle">Please wait while we securely encrypt via FHE relayer</div>
+        <div className="icon-row">
+          <span className="seq-icon seq-delay-1">
+            <img 
+              src="/images/granite-Photoroom.png" 
+              alt="Rock"
+              style={{ width: '2rem', height: '2rem' }}
+            />
+          </span>
+          <span className="seq-icon seq-delay-2">📄</span>
+          <span className="seq-icon seq-delay-3">✂️</span>
+        </div>
+        <div className="lock-wrap">
+          <svg className="lock-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+            <rect x="3" y="11" width="18" height="11" rx="2" ry="2"></rect>
+            <path d="M7 11V7a5 5 0 0 1 10 0v4"></path>
+          </svg>
+        </div>
+        <div className="encrypt-progress">
+          <div className="encrypt-progress-bar" style={{ width: `${current.percent}%` }}></div>
+        </div>
+        <div className="encrypt-stage">{current.label}</div>
+        {cancellable && (
+          <div className="flex justify-center mt-4">
+            <button
+              onClick={onCancel}
+              className="px-4 py-2 text-sm bg-slate-700 hover:bg-slate-600 text-slate-200 rounded-lg transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EncryptOverlay;
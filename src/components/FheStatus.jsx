@@ -0,0 +1,42 @@
+import React from 'react';
+import { useFhe } from '../hooks/useFhe';
+import { FHE_STATUS } from '../context/FheContext';
+
+const STATUS_LABELS = {
+  [FHE_STATUS.IDLE]: 'Waiting for wallet connection...',
+  [FHE_STATUS.LOADING_SDK]: 'Loading FHE SDK...',
+  [FHE_STATUS.INITIALIZING]: 'Initializing FHE encryption...'
+};
+
+// Banner for the shared FHE lifecycle; renders nothing once FHE is ready
+const FheStatus = () => {
+  const { status, error, attempt, retry } = useFhe();
+
+  if (status === FHE_STATUS.READY) return null;
+
+  if (status === FHE_STATUS.FAILED) {
+    return (
+      <div className="mb-6 bg-red-900/30 border border-red-500/50 text-red-300 px-4 py-3 rounded-lg flex items-center justify-between">
+        <span><strong>FHE Error:</strong> {error}</span>
+        <button
+          onClick={retry}
+          className="ml-4 px-3 py-1 text-sm bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors"
+        >
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-6 bg-blue-900/30 border border-blue-500/50 text-blue-300 px-4 py-3 rounded-lg">
+      <div className="flex items-center space-x-2">
+        <div className="spinner"></div>
+        <span>{STATUS_LABELS[status]}</span>
+        {attempt > 1 && <span className="text-blue-400 text-sm">(attempt {attempt})</span>}
+      </div>
+    </div>
+  );
+};
+
+export default FheStatus;
@@ -1,46 +1,41 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { ethers } from 'ethers';
 import { GAME_CONSTANTS } from '../config/contract';
-import { initializeFheInstance, encryptMove, isFheAvailable } from '../utils/fhe';
-
-const GameInterface = ({ contract, account, provider, onBalanceUpdate, onFHEStatusChange }) => {
+import { isFheTaskCancelled } from '../utils/fhe';
+import { FheError } from '../utils/fheErrors';
+import { RpsClientError } from '../utils/rpsClient';
+import { TxError } from '../utils/txErrors';
+import { useFhe } from '../hooks/useFhe';
+import { useRpsClient } from '../hooks/useRpsClient';
+import { useCostReview } from '../hooks/useCostReview';
+import { readContractMany } from '../utils/contractReads';
+import { getWinnerPayout } from '../utils/txCost';
+import CostPreview from './CostPreview';
+import EncryptOverlay from './EncryptOverlay';
+import FheStatus from './FheStatus';
+
+// `readOnly` (no wallet): parameters and payout are shown, creating asks to connect through onConnectRequest
+const GameInterface = ({ contract, provider, onBalanceUpdate, readOnly = false, onConnectRequest }) => {
   const [selectedChoice, setSelectedChoice] = useState(null);
   const [betAmount, setBetAmount] = useState('0.01');
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
   const [showEncryptModal, setShowEncryptModal] = useState(false);
+  const [encryptStage, setEncryptStage] = useState(null);
+  const encryptAbortRef = useRef(null);
   const [messageType, setMessageType] = useState('');
-  const [fheInitialized, setFheInitialized] = useState(false);
-  const [fheError, setFheError] = useState(null);
+  const { isReady: fheInitialized } = useFhe();
+  const client = useRpsClient(contract);
+  const { review, requestReview, confirm: confirmReview, cancel: cancelReview } = useCostReview(contract);
+
+  // Switching accounts remounts the panel: stop encrypting for the previous one
+  useEffect(() => () => encryptAbortRef.current?.abort(), []);
 
   // Contract state
   const [minBet, setMinBet] = useState('0');
   const [maxBet, setMaxBet] = useState('0');
   const [platformFee, setPlatformFee] = useState('0');
 
-  // Initialize FHE
-  useEffect(() => {
-    const initializeFHE = async () => {
-      try {
-        if (isFheAvailable()) {
-          await initializeFheInstance();
-          setFheInitialized(true);
-          setFheError(null);
-          onFHEStatusChange && onFHEStatusChange(true, null);
-        } else {
-          setFheError('FHE SDK not available. Please refresh the page.');
-          onFHEStatusChange && onFHEStatusChange(false, 'FHE SDK not available. Please refresh the page.');
-        }
-      } catch (err) {
-        console.error('FHE initialization failed:', err);
-        setFheError('Failed to initialize FHE. Please check your connection.');
-        onFHEStatusChange && onFHEStatusChange(false, 'Failed to initialize FHE. Please check your connection.');
-      }
-    };
-
-    initializeFHE();
-  }, [onFHEStatusChange]);
-
   // Load contract parameters
   useEffect(() => {
     const loadContractParams = async () => {
@@ -59,34 +54,18 @@ const GameInterface = ({ contract, account, provider, onBalanceUpdate, onFHEStat
           const network = await contract.runner.provider.getNetwork();
           console.log('Current network:', network);
 
-          // Try to load contract parameters with retry logic
-          let retries = 3;
-          let success = false;
-          
-          while (retries > 0 && !success) {
-            try {
-              const [minBet, maxBet, platformFee] = await Promise.all([
-                contract.minBet(),
-                contract.maxBet(),
-                contract.platformFeePercent()
-              ]);
+          // One batched read (Multicall3); failed requests are retried by the batcher
+          const [minBet, maxBet, platformFee] = await readContractMany(contract, [
+            ['minBet'],
+            ['maxBet'],
+            ['platformFeePercent']
+          ]);
 
-              console.log('Contract params loaded:', { minBet, maxBet, platformFee });
+          console.log('Contract params loaded:', { minBet, maxBet, platformFee });
 
-              setMinBet(ethers.formatEther(minBet));
-              setMaxBet(ethers.formatEther(maxBet));
-              setPlatformFee(platformFee.toString());
-              success = true;
-            } catch (retryErr) {
-              retries--;
-              console.warn(`Retry ${3 - retries}/3 failed:`, retryErr.message);
-              if (retries > 0) {
-                await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
-              } else {
-                throw retryErr;
-              }
-            }
-          }
+          setMinBet(ethers.formatEther(minBet));
+          setMaxBet(ethers.formatEther(maxBet));
+          setPlatformFee(platformFee.toString());
         } catch (err) {
           console.error('Error loading contract params:', err);
           
@@ -119,6 +98,11 @@ const GameInterface = ({ contract, account, provider, onBalanceUpdate, onFHEStat
   };
 
   const createGame = async () => {
+    if (readOnly) {
+      onConnectRequest?.();
+      return;
+    }
+
     if (!selectedChoice && selectedChoice !== 0) {
       showMessage('Please select a choice', 'error');
       return;
@@ -147,33 +131,36 @@ const GameInterface = ({ contract, account, provider, onBalanceUpdate, onFHEStat
     try {
       setLoading(true);
       setMessage('Encrypting move and creating game...');
+      setEncryptStage('preparing');
       setShowEncryptModal(true);
 
-      // Get contract address
-      const contractAddress = await contract.getAddress();
-
-      // Encrypt the choice using FHE
-      const encryptedData = await encryptMove(
-        selectedChoice,
-        contractAddress,
-        account
-      );
-      // Encryption finished: switch modal to wallet approval stage
-      showMessage('Choice encrypted. Waiting for wallet confirmation...', 'info');
-
-      const moveDeadline = 86400; // 24 hours
-
-      const tx = await contract.createGame(
-        encryptedData.handle,  // externalEuint8
-        encryptedData.proof,   // bytes proof
-        moveDeadline,
-        ethers.parseEther(betAmount),
-        {
-          value: ethers.parseEther(betAmount)
+      // Encrypt the choice using FHE (runs in the FHE worker, cancellable from the overlay), then send it with the bet
+      encryptAbortRef.current = new AbortController();
+      await client.createGame({
+        move: selectedChoice,
+        bet: betAmount,
+        encryptOptions: {
+          signal: encryptAbortRef.current.signal,
+          onProgress: ({ stage }) => setEncryptStage(stage)
+        },
+        // Encryption finished: the transaction is simulated and priced next
+        onEncrypted: () => {
+          encryptAbortRef.current = null;
+          setEncryptStage('estimating');
+        },
+        // Gas, fees and payout go past the player before the wallet prompt
+        onReview: async (tx) => {
+          setShowEncryptModal(false);
+          const confirmed = await requestReview(tx);
+          if (confirmed) {
+            setEncryptStage('wallet');
+            setShowEncryptModal(true);
+            showMessage('Choice encrypted. Waiting for wallet confirmation...', 'info');
+          }
+          return confirmed;
         }
-      );
-      await tx.wait();
-      
+      });
+
       showMessage('Game created successfully with encrypted choice!', 'success');
       setSelectedChoice(null);
       setBetAmount('0.01');
@@ -182,15 +169,39 @@ const GameInterface = ({ contract, account, provider, onBalanceUpdate, onFHEStat
         onBalanceUpdate();
       }
     } catch (err) {
+      if (isFheTaskCancelled(err)) {
+        showMessage('Encryption cancelled.', 'info');
+        return;
+      }
+      if (err instanceof RpsClientError && err.code === 'NOT_CONFIRMED') {
+        showMessage('Game creation cancelled.', 'info');
+        return;
+      }
       console.error('Error creating game:', err);
-      showMessage('Failed to create game. Please try again.', 'error');
+      // FHE, client and transaction failures carry an actionable message (utils/fheErrors.js, rpsClient.js, txErrors.js)
+      showMessage(
+        err instanceof FheError || err instanceof RpsClientError || err instanceof TxError
+          ? err.message
+          : 'Failed to create game. Please try again.',
+        'error'
+      );
     } finally {
+      encryptAbortRef.current = null;
       setLoading(false);
       setShowEncryptModal(false);
+      setEncryptStage(null);
     }
   };
 
 
+  // What a win pays for the bet being typed (the exact cost is reviewed before sending)
+  let winnerPayout = null;
+  try {
+    winnerPayout = ethers.formatEther(getWinnerPayout(ethers.parseEther(betAmount), platformFee).payout);
+  } catch {
+    // Not a valid amount yet
+  }
+
   const choices = [
     { value: GAME_CONSTANTS.ROCK, emoji: '🗿', name: 'Rock', isImage: true, imageUrl: '/images/granite-Photoroom.png' },
     { value: GAME_CONSTANTS.PAPER, emoji: '📄', name: 'Paper' },
@@ -200,46 +211,14 @@ const GameInterface = ({ contract, account, provider, onBalanceUpdate, onFHEStat
   return (
     <div className="space-y-8">
       {showEncryptModal && (
-        <div className="encrypt-overlay">
-          <div className="encrypt-card animate-slideUp">
-            <div className="encrypt-title">Encrypting your choice</div>
-            <div className="encrypt-subtitle">Please wait while we securely encrypt via FHE relayer</div>
-            <div className="icon-row">
-              <span className="seq-icon seq-delay-1">
-                <img 
-                  src="/images/granite-Photoroom.png" 
-                  alt="Rock"
-                  style={{ width: '2rem', height: '2rem' }}
-                />
-              </span>
-              <span className="seq-icon seq-delay-2">📄</span>
-              <span className="seq-icon seq-delay-3">✂️</span>
-            </div>
-            <div className="lock-wrap">
-              <svg className="lock-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                <rect x="3" y="11" width="18" height="11" rx="2" ry="2"></rect>
-                <path d="M7 11V7a5 5 0 0 1 10 0v4"></path>
-              </svg>
-            </div>
-          </div>
-        </div>
+        <EncryptOverlay
+          stage={encryptStage}
+          onCancel={() => encryptAbortRef.current?.abort()}
+        />
       )}
+      <CostPreview review={review} onConfirm={confirmReview} onCancel={cancelReview} />
       {/* FHE Status */}
-      {fheError && (
-        <div className="mb-6 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
-          <strong>FHE Error:</strong> {fheError}
-        </div>
-      )}
-
-      {!fheInitialized && !fheError && (
-        <div className="mb-6 bg-blue-100 border border-blue-400 text-blue-700 px-4 py-3 rounded-lg">
-          <div className="flex items-center space-x-2">
-            <div className="spinner"></div>
-            <span>Initializing FHE encryption...</span>
-          </div>
-        </div>
-      )}
-
+      <FheStatus />
 
       {/* Game Creation */}
       <div className="game-card p-8">
@@ -346,14 +325,14 @@ const GameInterface = ({ contract, account, provider, onBalanceUpdate, onFHEStat
               <button
                 onClick={createGame}
                 className="button w-full"
-                disabled={loading || selectedChoice === null || !fheInitialized}
+                disabled={!readOnly && (loading || selectedChoice === null || !fheInitialized)}
               >
                 <span className="shadow"></span>
                 <span className="edge"></span>
                 <span className="front">
                   <span className="flex items-center justify-center space-x-2">
                     {loading && <div className="spinner w-4 h-4"></div>}
-                    <span>{loading ? 'Creating Game...' : 'Create Game'}</span>
+                    <span>{readOnly ? 'Connect Wallet to Create' : loading ? 'Creating Game...' : 'Create Game'}</span>
                   </span>
                 </span>
               </button>
@@ -412,6 +391,12 @@ const GameInterface = ({ contract, account, provider, onBalanceUpdate, onFHEStat
                   <span className="text-slate-400">Max Bet:</span>
                   <span className="text-white font-medium">{maxBet} ETH</span>
                 </div>
+                {winnerPayout !== null && (
+                  <div className="flex justify-between">
+                    <span className="text-slate-400">Winner Receives:</span>
+                    <span className="text-white font-medium">{winnerPayout} ETH</span>
+                  </div>
+                )}
               </div>
             </div>
           </div>
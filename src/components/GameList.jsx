@@ -1,10 +1,28 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { ethers } from 'ethers';
 import { getMoveName, getResultText } from '../config/contract';
+import { useGameIndex } from '../hooks/useGameIndex';
+import { readContract } from '../utils/contractReads';
+import { useRpsClient } from '../hooks/useRpsClient';
+import { RpsClientError } from '../utils/rpsClient';
+import { TxError } from '../utils/txErrors';
+import { GAME_STATUS, GAME_ROLE, getGameStatus, getGameRole, isFinalStatus, nowSeconds } from '../utils/gameState';
+
+// Badge per game status (see utils/gameState)
+const STATUS_BADGES = {
+  [GAME_STATUS.OPEN]: { text: 'Waiting for Player 2', class: 'status-warning' },
+  [GAME_STATUS.EXPIRABLE]: { text: 'Deadline Passed', class: 'status-error' },
+  [GAME_STATUS.AWAITING_ORACLE]: { text: 'Decrypting...', class: 'status-pending' },
+  [GAME_STATUS.ORACLE_TIMED_OUT]: { text: 'Oracle Timed Out', class: 'status-error' },
+  [GAME_STATUS.RESOLVED]: { text: 'Completed', class: 'status-success' },
+  [GAME_STATUS.EXPIRED_REFUNDED]: { text: 'Expired', class: 'status-error' }
+};
 
 const GameList = ({ contract, account, provider }) => {
-  const [games, setGames] = useState([]);
-  const [loading, setLoading] = useState(false);
+  const { games: indexedGames, isLoading, refresh } = useGameIndex();
+  const client = useRpsClient(contract);
+  const [busy, setBusy] = useState(false);
+  const loading = busy || isLoading;
   const [message, setMessage] = useState('');
   const [messageType, setMessageType] = useState('');
 
@@ -17,99 +35,100 @@ const GameList = ({ contract, account, provider }) => {
     }, 5000);
   };
 
-  const loadGames = async () => {
-    if (!contract || !account) return;
-
-    try {
-      setLoading(true);
-
-      const counter = await contract.gameIdCounter();
-      const ids = Array.from({ length: Number(counter) }, (_, i) => BigInt(i + 1));
+  // The user's games from the event index (see hooks/useGameIndex)
+  const games = useMemo(() => {
+    if (!account) return [];
+    const now = nowSeconds();
+    return indexedGames
+      .filter((g) => getGameRole(g, account) !== GAME_ROLE.OTHER)
+      .map((g) => {
+        const hasPlayer2 = g.player2 !== ethers.ZeroAddress;
+        const status = getGameStatus(g, now);
+        return {
+          id: g.id,
+          player1: g.player1,
+          player2: g.player2,
+          betAmount: ethers.formatEther(g.betAmount),
+          totalPot: ethers.formatEther(BigInt(g.betAmount) * (hasPlayer2 ? 2n : 1n)),
+          move1Submitted: true,
+          move2Submitted: hasPlayer2,
+          decryptionRequested: g.decryptionRequested,
+          decryptionCompleted: g.decryptionCompleted,
+          resultCode: g.resultCode ?? 255,
+          winner: g.winner,
+          isExpired: g.isExpired,
+          refunded: g.refundedPlayers.length > 0,
+          endTime: g.endTime ? new Date(g.endTime * 1000) : null,
+          status,
+          isCompleted: isFinalStatus(status),
+          updatedBlock: g.updatedBlock
+        };
+      });
+  }, [indexedGames, account]);
 
-      const gameDetails = await Promise.all(
-        ids.map(async (gameId) => {
-          try {
-            const g = await contract.games(gameId);
-            // Filter only the user's games
-            const isUserGame =
-              g.player1?.toLowerCase() === account.toLowerCase() ||
-              (g.player2 && g.player2.toLowerCase() === account.toLowerCase());
-            if (!isUserGame) return null;
+  // The payout isn't in the event index: read games(id) for the user's games, batched into one eth_call,
+  // and again only for games whose record changed since (updatedBlock)
+  const [details, setDetails] = useState({});
+  const readBlocks = useRef({}); // gameId -> updatedBlock of the record last read
+  useEffect(() => {
+    readBlocks.current = {};
+    setDetails({});
+  }, [contract]);
 
-            const moveDeadlineMs = g.moveDeadline ? Number(g.moveDeadline) * 1000 : 0;
-            const endTimeMs = g.endTime ? Number(g.endTime) * 1000 : 0;
+  useEffect(() => {
+    const changed = games.filter((game) => readBlocks.current[game.id] !== game.updatedBlock);
+    if (!contract || changed.length === 0) return;
+    let cancelled = false;
 
-            return {
-              id: gameId.toString(),
-              player1: g.player1,
-              player2: g.player2,
-              betAmount: ethers.formatEther(g.betAmount),
-              totalPot: ethers.formatEther(g.totalPot),
-              payoutAmount: ethers.formatEther(g.payoutAmount ?? 0n),
-              moveDeadline: moveDeadlineMs ? new Date(moveDeadlineMs) : null,
-              move1Submitted: g.move1Submitted,
-              move2Submitted: g.move2Submitted,
-              decryptionRequested: g.decryptionRequested,
-              decryptionCompleted: g.decryptionCompleted,
-              resultCode: Number(g.resultCode ?? 255),
-              winner: g.winner,
-              isExpired: g.isExpired,
-              refunded: g.refunded,
-              payoutClaimedP1: g.payoutClaimedP1,
-              payoutClaimedP2: g.payoutClaimedP2,
-              endTime: endTimeMs ? new Date(endTimeMs) : null,
-              isCompleted: !!g.decryptionCompleted || !!g.isExpired
-            };
-          } catch (err) {
-            console.error(`Error loading game ${gameId}:`, err);
-            return null;
-          }
-        })
-      );
+    Promise.all(changed.map((game) =>
+      readContract(contract, 'games', game.id).then(
+        (g) => ({ game, payoutAmount: ethers.formatEther(g.payoutAmount ?? 0n) }),
+        (err) => {
+          console.error(`Error loading game ${game.id}:`, err);
+          return null;
+        }
+      )
+    )).then((entries) => {
+      if (cancelled) return;
+      const read = entries.filter(Boolean);
+      read.forEach(({ game }) => {
+        readBlocks.current[game.id] = game.updatedBlock;
+      });
+      setDetails((prev) => ({
+        ...prev,
+        ...Object.fromEntries(read.map(({ game, payoutAmount }) => [game.id, { payoutAmount }]))
+      }));
+    });
 
-      setGames(gameDetails.filter(Boolean));
-    } catch (err) {
-      console.error('Error loading games:', err);
-      showMessage('Failed to load games', 'error');
-    } finally {
-      setLoading(false);
-    }
-  };
+    return () => {
+      cancelled = true;
+    };
+  }, [contract, games]);
 
   // Manual requestDecryption/expire/claim are not supported in this contract version.
 
   const withdraw = async () => {
     try {
-      setLoading(true);
+      setBusy(true);
       setMessage('Withdrawing funds...');
 
-      const tx = await contract.withdraw();
-      await tx.wait();
+      await client.withdraw();
       
       showMessage('Funds withdrawn successfully!', 'success');
-      loadGames();
+      refresh();
     } catch (err) {
       console.error('Error withdrawing:', err);
-      showMessage('Failed to withdraw funds', 'error');
+      showMessage(err instanceof RpsClientError || err instanceof TxError ? err.message : 'Failed to withdraw funds', 'error');
     } finally {
-      setLoading(false);
+      setBusy(false);
     }
   };
 
-  const getGameStatus = (game) => {
-    if (game.isExpired) return { text: 'Expired', class: 'status-error' };
-    if (game.decryptionCompleted) return { text: 'Completed', class: 'status-success' };
-    if (game.decryptionRequested) return { text: 'Decrypting...', class: 'status-pending' };
-    if (game.move1Submitted && game.move2Submitted) return { text: 'Ready to Decrypt', class: 'status-pending' };
-    if (!game.player2 || game.player2 === '0x0000000000000000000000000000000000000000') return { text: 'Waiting for Player 2', class: 'status-warning' };
-    if (game.moveDeadline && game.moveDeadline < new Date()) return { text: 'Expired', class: 'status-error' };
-    return { text: 'Active', class: 'status-pending' };
-  };
-
   // Buttons controlled at app header (withdraw). No per-game actions here for this contract.
 
   const getGameResult = (game) => {
     if (!game.isCompleted) return null;
+    if (game.status === GAME_STATUS.EXPIRED_REFUNDED) return { text: 'Bets Refunded', class: 'result-draw' };
 
     const isPlayer1 = game.player1.toLowerCase() === account.toLowerCase();
     const isPlayer2 = game.player2?.toLowerCase && game.player2.toLowerCase() === account.toLowerCase();
@@ -127,10 +146,6 @@ const GameList = ({ contract, account, provider }) => {
     return { text: 'Unknown', class: 'result-unknown' };
   };
 
-  useEffect(() => {
-    loadGames();
-  }, [contract, account]);
-
   if (loading && games.length === 0) {
     return (
       <div className="game-card p-6 text-center">
@@ -145,7 +160,7 @@ const GameList = ({ contract, account, provider }) => {
       <div className="flex items-center justify-between">
         <h2 className="text-2xl font-bold text-white">Your Games</h2>
         <button
-          onClick={loadGames}
+          onClick={refresh}
           className="btn-secondary"
           disabled={loading}
         >
@@ -161,8 +176,9 @@ const GameList = ({ contract, account, provider }) => {
         </div>
       ) : (
         <div className="grid gap-6">
-          {games.map((game) => {
-            const status = getGameStatus(game);
+          {games.map((indexed) => {
+            const game = { ...indexed, ...details[indexed.id] };
+            const status = STATUS_BADGES[game.status];
             const isPlayer1 = game.player1.toLowerCase() === account.toLowerCase();
             const isPlayer2 = game.player2.toLowerCase() === account.toLowerCase();
             
@@ -176,7 +192,7 @@ const GameList = ({ contract, account, provider }) => {
                     <p className="text-sm text-gray-600">
                       Bet: {game.betAmount} ETH | Total Pot: {game.totalPot} ETH
                     </p>
-                    {game.isCompleted && (
+                    {game.isCompleted && game.payoutAmount && (
                       <p className="text-sm text-gray-600">
                         Payout: {game.payoutAmount} ETH
                       </p>
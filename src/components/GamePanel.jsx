@@ -1,7 +1,29 @@
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback, memo } from 'react';
 import { ethers } from 'ethers';
 import GameInterface from './GameInterface';
-import { encryptMove, isFheAvailable } from '../utils/fhe';
+import { isFheInitialized, awaitDecryptionOracle, isFheTaskCancelled, userDecrypt, publicDecrypt } from '../utils/fhe';
+import { FheError } from '../utils/fheErrors';
+import { RpsClientError } from '../utils/rpsClient';
+import { TxError } from '../utils/txErrors';
+import { useFhe } from '../hooks/useFhe';
+import { useGameIndex } from '../hooks/useGameIndex';
+import { useIndexedGame } from '../hooks/useIndexedGame';
+import { useRpsClient } from '../hooks/useRpsClient';
+import { useCostReview } from '../hooks/useCostReview';
+import { readContract } from '../utils/contractReads';
+import { getWinnerPayout } from '../utils/txCost';
+import {
+  GAME_STATUS,
+  GAME_ROLE,
+  GAME_ACTION,
+  getGameStatus,
+  getGameRole,
+  canPerform,
+  nowSeconds
+} from '../utils/gameState';
+import CostPreview from './CostPreview';
+import EncryptOverlay from './EncryptOverlay';
+import FheStatus from './FheStatus';
 
 const TABS = {
   CREATE: 'create',
@@ -10,6 +32,8 @@ const TABS = {
   COMPLETED: 'completed',
 };
 
+const MOVE_LABELS = ['🗿 Rock', '📄 Paper', '✂️ Scissors'];
+
 const ChoiceSelector = ({ value, onChange }) => {
   const choices = [
     { value: 0, label: 'Rock', emoji: '🗿', isImage: true, imageUrl: '/images/granite-Photoroom.png' },
@@ -43,157 +67,213 @@ const ChoiceSelector = ({ value, onChange }) => {
   );
 };
 
-const MyGamesList = ({ contract, account }) => {
-  const [games, setGames] = useState([]);
-  const [loading, setLoading] = useState(false);
+const getStatusBadge = (status, result, winner, account) => {
+  if (status === GAME_STATUS.EXPIRED_REFUNDED) {
+    return <span className="badge bg-orange-900/30 text-orange-300">Expired</span>;
+  }
+  if (status === GAME_STATUS.EXPIRABLE) {
+    return <span className="badge bg-orange-900/30 text-orange-300">Time Expired</span>;
+  }
+  if (status === GAME_STATUS.OPEN) {
+    return <span className="badge badge-accent">Waiting for Player</span>;
+  }
+  if (status === GAME_STATUS.AWAITING_ORACLE) {
+    return <span className="badge bg-blue-900/30 text-blue-300">Waiting for Result</span>;
+  }
+  if (status === GAME_STATUS.ORACLE_TIMED_OUT) {
+    return <span className="badge bg-orange-900/30 text-orange-300">Oracle Timed Out</span>;
+  }
+  if (status === GAME_STATUS.RESOLVED) {
+    if (result === 2) {
+      return <span className="badge bg-yellow-900/30 text-yellow-300">Draw</span>;
+    }
+    if (winner?.toLowerCase() === account?.toLowerCase()) {
+      return <span className="badge bg-green-900/30 text-green-300">Won</span>;
+    } else {
+      return <span className="badge bg-red-900/30 text-red-300">Lost</span>;
+    }
+  }
+  return <span className="badge badge-muted">Unknown</span>;
+};
 
-  const loadMyGames = useCallback(async () => {
-    if (!contract || !account) return;
-    try {
-      setLoading(true);
-      // Force clear games state before loading
-      setGames([]);
-      
-      // Force latest block to avoid cache issues
-      const counter = await contract.gameIdCounter({ blockTag: 'latest' });
-      const allIds = Array.from({ length: Number(counter) }, (_, i) => BigInt(i + 1));
-
-      // Read mapping and filter games where user is player1 or player2
-      // Force latest block for each read
-      const details = await Promise.all(
-        allIds.map(async (id) => {
-          const g = await contract.games(id, { blockTag: 'latest' });
-          const isMyGame = g.player1?.toLowerCase() === account?.toLowerCase() || g.player2?.toLowerCase() === account?.toLowerCase();
-          return isMyGame ? { id, g } : null;
-        })
-      );
-      const myGames = details.filter(Boolean);
-
-      // Sort by most recent
-      myGames.sort((a, b) => Number(b.id - a.id));
-
-      // Format games with status
-      const formattedGames = myGames.map(({ id, g }) => {
-        const isPlayer1 = g.player1?.toLowerCase() === account?.toLowerCase();
-        const isPlayer2 = g.player2?.toLowerCase() === account?.toLowerCase();
-        const hasBothPlayers = g.player1 && g.player1 !== ethers.ZeroAddress && g.player2 && g.player2 !== ethers.ZeroAddress;
-        const isExpired = g.isExpired;
-        const isDecryptRequested = Boolean(g.decryptionRequested);
-        const isDecryptCompleted = Boolean(g.decryptionCompleted);
-        // Treat result as valid only AFTER decryptionCompleted to avoid default 0 value
-        const resultCode = isDecryptCompleted && (g.resultCode !== null && g.resultCode !== undefined)
-          ? Number(g.resultCode)
-          : null;
-        const winner = g.winner;
-        
-        
-        // Check if game is within 24 hours deadline
-        const now = Math.floor(Date.now() / 1000);
-        const gameStartTime = g.startTime ? Number(g.startTime) : 0;
-        const isWithinDeadline = (now - gameStartTime) < 86400; // 24 hours
-        
-        let status = 'WAITING';
-        if (isExpired) {
-          status = 'EXPIRED';
-        } else if (!isWithinDeadline) {
-          status = 'EXPIRED'; // Timeout after 24 hours
-        } else if (hasBothPlayers) {
-          if (isDecryptRequested && !isDecryptCompleted) {
-            status = 'PENDING_DECRYPTION'; // Waiting for oracle result
-          } else if (isDecryptCompleted) {
-            status = 'COMPLETED';
-          } else {
-            status = 'ACTIVE';
-          }
-        }
+// One game of the account; re-renders only when its record or status changes, not with every other game
+const MyGameCard = memo(({ gameId, status, account, revealed, revealing, revealDisabled, onReveal }) => {
+  const record = useIndexedGame(gameId);
+  if (!record) return null;
+
+  const role = getGameRole(record, account);
+  const game = {
+    id: BigInt(record.id),
+    player1: record.player1,
+    player2: record.player2,
+    bet: ethers.formatEther(record.betAmount),
+    startTime: record.startTime ? new Date(record.startTime * 1000) : null,
+    status,
+    isPlayer1: role === GAME_ROLE.PLAYER1,
+    isPlayer2: role === GAME_ROLE.PLAYER2,
+    canRevealMove: canPerform(record, account, GAME_ACTION.REVEAL_MOVE),
+    // Treat result as valid only once RESOLVED: resultCode is 0 (a player 1 win) before that
+    result: status === GAME_STATUS.RESOLVED ? record.resultCode : null,
+    winner: record.winner
+  };
 
-        return {
-          id,
-          player1: g.player1,
-          player2: g.player2,
-          bet: ethers.formatEther(g.betAmount ?? 0n),
-          startTime: g.startTime ? new Date(Number(g.startTime) * 1000) : null,
-          status,
-          isPlayer1,
-          isPlayer2,
-          result: resultCode,
-          winner: winner
-        };
-      });
+  return (
+    <div className="game-card p-6">
+      <div className="grid grid-cols-1 lg:grid-cols-6 gap-4 items-center">
+        {/* Game Info */}
+        <div className="lg:col-span-2">
+          <div className="flex items-center space-x-3">
+            <div className="w-12 h-12 rounded-xl bg-teal-600/20 flex items-center justify-center">
+              <span className="text-2xl">🎯</span>
+            </div>
+            <div>
+              <h4 className="text-lg font-bold text-white">Game #{game.id.toString()}</h4>
+              <p className="text-sm text-slate-400">
+                {game.isPlayer1 ? 'You are Player 1' : 'You are Player 2'}
+              </p>
+            </div>
+          </div>
+        </div>
 
-      setGames(formattedGames);
-    } catch (e) {
-      console.error('Failed to load my games', e);
-    } finally {
-      setLoading(false);
-    }
-  }, [contract, account]);
+        {/* Opponent */}
+        <div className="text-center">
+          <div className="text-sm text-slate-400 mb-1">Opponent</div>
+          <div className="text-sm text-white font-medium">
+            {game.isPlayer1 
+              ? (game.player2 ? `${game.player2.slice(0,6)}...${game.player2.slice(-4)}` : 'Waiting...')
+              : (game.player1 ? `${game.player1.slice(0,6)}...${game.player1.slice(-4)}` : 'Unknown')
+            }
+          </div>
+        </div>
 
-  useEffect(() => {
-    loadMyGames();
-    const intervalId = setInterval(() => {
-      loadMyGames();
-    }, 30000); // auto-refresh every 30s (backup only, events should handle most updates)
-    return () => clearInterval(intervalId);
-  }, [loadMyGames]);
-
-  // Listen for DecryptionCompleted events
-  useEffect(() => {
-    if (!contract) return;
-    
-    const onDecryptionCompleted = (gameId, requestId, resultCode, winner, event) => {
-      // Immediately refresh games when decryption completes
-      loadMyGames();
-    };
-    
-    contract.on('DecryptionCompleted', onDecryptionCompleted);
-    
-    return () => {
-      try { contract.off('DecryptionCompleted', onDecryptionCompleted); } catch (_) {}
-    };
-  }, [contract, loadMyGames]);
+        {/* Bet Amount */}
+        <div className="text-center">
+          <div className="text-sm text-slate-400 mb-1">Bet Amount</div>
+          <div className="text-lg font-bold text-teal-400">
+            {game.bet} ETH
+          </div>
+        </div>
 
-  // Also listen for new blocks as backup
-  useEffect(() => {
-    const provider = contract?.runner?.provider;
-    if (!provider) return;
-    
-    const onBlock = () => {
-      loadMyGames();
-    };
-    
-    provider.on('block', onBlock);
-    
-    return () => {
-      try { provider.off('block', onBlock); } catch (_) {}
-    };
-  }, [contract, loadMyGames]);
+        {/* Status */}
+        <div className="text-center">
+          <div className="text-sm text-slate-400 mb-2">Status</div>
+          {getStatusBadge(game.status, game.result, game.winner, account)}
+        </div>
 
-  const getStatusBadge = (status, result, isPlayer1, winner, account) => {
-    if (status === 'EXPIRED') {
-      return <span className="badge bg-orange-900/30 text-orange-300">Time Expired</span>;
-    }
-    if (status === 'WAITING') {
-      return <span className="badge badge-accent">Waiting for Player</span>;
-    }
-    if (status === 'ACTIVE') {
-      return <span className="badge badge-accent">In Progress</span>;
-    }
-    if (status === 'PENDING_DECRYPTION') {
-      return <span className="badge bg-blue-900/30 text-blue-300">Waiting for Result</span>;
-    }
-    if (status === 'COMPLETED') {
-      if (result === 2) {
-        return <span className="badge bg-yellow-900/30 text-yellow-300">Draw</span>;
-      }
-      if (winner?.toLowerCase() === account?.toLowerCase()) {
-        return <span className="badge bg-green-900/30 text-green-300">Won</span>;
-      } else {
-        return <span className="badge bg-red-900/30 text-red-300">Lost</span>;
+        {/* Time */}
+        <div className="text-center">
+          <div className="text-sm text-slate-400 mb-1">Created</div>
+          <div className="text-sm text-white font-medium">
+            {game.startTime ? game.startTime.toLocaleString() : '-'}
+          </div>
+        </div>
+
+        {/* Actions */}
+        <div className="text-center">
+          {game.status === GAME_STATUS.OPEN && (
+            <span className="text-sm text-slate-400">Waiting for opponent...</span>
+          )}
+          {game.status === GAME_STATUS.AWAITING_ORACLE && (
+            <span className="text-sm text-blue-400">Waiting for oracle result...</span>
+          )}
+          {game.status === GAME_STATUS.EXPIRABLE && (
+            <span className="text-sm text-orange-400">Nobody joined in time, can be expired for a refund</span>
+          )}
+          {game.status === GAME_STATUS.ORACLE_TIMED_OUT && (
+            <span className="text-sm text-orange-400">No result in time, can be expired for a refund</span>
+          )}
+          {game.status === GAME_STATUS.EXPIRED_REFUNDED && (
+            <span className="text-sm text-orange-400">Expired, bets refunded</span>
+          )}
+          {game.status === GAME_STATUS.RESOLVED && (
+            <div className="text-sm">
+              {game.result === 2 ? (
+                <div>
+                  <div className="text-yellow-400 font-medium">Draw</div>
+                  <div className="text-xs text-slate-500">No winner</div>
+                </div>
+              ) : (
+                <div>
+                  <div className={game.winner?.toLowerCase() === account?.toLowerCase() ? 'text-green-400 font-medium' : 'text-red-400 font-medium'}>
+                    {game.winner?.toLowerCase() === account?.toLowerCase() ? 'You Won!' : 'You Lost'}
+                  </div>
+                  <div className="text-xs text-slate-500">
+                    {game.winner?.toLowerCase() === account?.toLowerCase() ? `+${game.bet} ETH` : `-${game.bet} ETH`}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* My Move (user decryption of the player's own ciphertext) */}
+      {game.canRevealMove && (
+        <div className="mt-4 pt-4 border-t border-slate-700/50 flex items-center justify-between text-sm">
+          <span className="text-slate-400">Your move</span>
+          {typeof revealed === 'number' ? (
+            <span className="text-white font-medium">{MOVE_LABELS[revealed] ?? 'Unknown'}</span>
+          ) : (
+            <div className="flex items-center space-x-3">
+              {revealed?.error && (
+                <span className="text-red-400">{revealed.error}</span>
+              )}
+              <button
+                onClick={() => onReveal(game)}
+                disabled={revealDisabled}
+                className="px-3 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 disabled:cursor-not-allowed text-slate-200 rounded-lg transition-colors"
+              >
+                {revealing ? 'Decrypting...' : 'Show my move'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+});
+
+const MyGamesList = ({ contract, account }) => {
+  const { games: indexedGames, isLoading, refresh } = useGameIndex();
+  const [revealedMoves, setRevealedMoves] = useState({}); // gameId -> move index, or { error }
+  const [revealingId, setRevealingId] = useState(null);
+  const { isReady: fheReady } = useFhe();
+
+  // The account's games (newest first) and their status, re-evaluated block by block; each card follows its own record
+  const games = useMemo(() => {
+    if (!account) return [];
+    const now = nowSeconds();
+    return indexedGames
+      .filter((g) => getGameRole(g, account) !== GAME_ROLE.OTHER)
+      .map((g) => ({ id: g.id, status: getGameStatus(g, now) }));
+  }, [indexedGames, account]);
+
+  const loading = isLoading && games.length === 0;
+
+  // Decrypt the player's own move through the relayer (first use asks the wallet for a signature)
+  const revealMyMove = useCallback(async (game) => {
+    const key = game.id.toString();
+    try {
+      setRevealingId(key);
+      const contractAddress = await contract.getAddress();
+      // Own encrypted move; the contract grants each player ACL access to it
+      const g = await readContract(contract, 'games', game.id);
+      const myMoveHandle = game.isPlayer1 ? g.encryptedMove1 : g.encryptedMove2;
+      if (myMoveHandle === ethers.ZeroHash) {
+        throw new FheError('No move submitted for this game yet.', { code: 'INVALID_HANDLE' });
       }
+      const values = await userDecrypt(myMoveHandle, contractAddress, contract.runner);
+      setRevealedMoves((prev) => ({ ...prev, [key]: Number(values[myMoveHandle]) }));
+    } catch (e) {
+      console.error('Failed to reveal move', e);
+      setRevealedMoves((prev) => ({
+        ...prev,
+        [key]: { error: e instanceof FheError ? e.message : 'Could not decrypt this move' }
+      }));
+    } finally {
+      setRevealingId(null);
     }
-    return <span className="badge badge-muted">Unknown</span>;
-  };
+  }, [contract]);
 
   return (
     <div className="space-y-6">
@@ -203,7 +283,7 @@ const MyGamesList = ({ contract, account }) => {
           <h3 className="text-2xl font-bold text-white mb-1">My Games</h3>
           <p className="text-slate-400">Track your active and completed games</p>
         </div>
-        <button className="refresh-btn" onClick={loadMyGames} disabled={loading} aria-label="Refresh My Games">
+        <button className="refresh-btn" onClick={refresh} disabled={loading} aria-label="Refresh My Games">
           <svg className={`refresh-icon ${loading ? 'spin' : ''}`} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
             <path d="M21 12a9 9 0 1 1-3-6.7"/>
             <polyline points="21 3 21 9 15 9"/>
@@ -225,93 +305,17 @@ const MyGamesList = ({ contract, account }) => {
             <p className="text-slate-400">Create or join a game to get started!</p>
           </div>
         ) : (
-          games.map((game) => (
-            <div key={game.id.toString()} className="game-card p-6">
-              <div className="grid grid-cols-1 lg:grid-cols-6 gap-4 items-center">
-                {/* Game Info */}
-                <div className="lg:col-span-2">
-                  <div className="flex items-center space-x-3">
-                    <div className="w-12 h-12 rounded-xl bg-teal-600/20 flex items-center justify-center">
-                      <span className="text-2xl">🎯</span>
-                    </div>
-                    <div>
-                      <h4 className="text-lg font-bold text-white">Game #{game.id.toString()}</h4>
-                      <p className="text-sm text-slate-400">
-                        {game.isPlayer1 ? 'You are Player 1' : 'You are Player 2'}
-                      </p>
-                    </div>
-                  </div>
-                </div>
-
-                {/* Opponent */}
-                <div className="text-center">
-                  <div className="text-sm text-slate-400 mb-1">Opponent</div>
-                  <div className="text-sm text-white font-medium">
-                    {game.isPlayer1 
-                      ? (game.player2 ? `${game.player2.slice(0,6)}...${game.player2.slice(-4)}` : 'Waiting...')
-                      : (game.player1 ? `${game.player1.slice(0,6)}...${game.player1.slice(-4)}` : 'Unknown')
-                    }
-                  </div>
-                </div>
-
-                {/* Bet Amount */}
-                <div className="text-center">
-                  <div className="text-sm text-slate-400 mb-1">Bet Amount</div>
-                  <div className="text-lg font-bold text-teal-400">
-                    {game.bet} ETH
-                  </div>
-                </div>
-
-                {/* Status */}
-                <div className="text-center">
-                  <div className="text-sm text-slate-400 mb-2">Status</div>
-                  {getStatusBadge(game.status, game.result, game.isPlayer1, game.winner, account)}
-                </div>
-
-                {/* Time */}
-                <div className="text-center">
-                  <div className="text-sm text-slate-400 mb-1">Created</div>
-                  <div className="text-sm text-white font-medium">
-                    {game.startTime ? game.startTime.toLocaleString() : '-'}
-                  </div>
-                </div>
-
-                {/* Actions */}
-                <div className="text-center">
-                  {game.status === 'WAITING' && (
-                    <span className="text-sm text-slate-400">Waiting for opponent...</span>
-                  )}
-                  {game.status === 'ACTIVE' && (
-                    <span className="text-sm text-slate-400">Game in progress...</span>
-                  )}
-                  {game.status === 'PENDING_DECRYPTION' && (
-                    <span className="text-sm text-blue-400">Waiting for oracle result...</span>
-                  )}
-                  {game.status === 'EXPIRED' && (
-                    <span className="text-sm text-orange-400">Time expired (24h)</span>
-                  )}
-                  {game.status === 'COMPLETED' && (
-                    <div className="text-sm">
-                      {game.result === 2 ? (
-                        <div>
-                          <div className="text-yellow-400 font-medium">Draw</div>
-                          <div className="text-xs text-slate-500">No winner</div>
-                        </div>
-                      ) : (
-                        <div>
-                          <div className={game.winner?.toLowerCase() === account?.toLowerCase() ? 'text-green-400 font-medium' : 'text-red-400 font-medium'}>
-                            {game.winner?.toLowerCase() === account?.toLowerCase() ? 'You Won!' : 'You Lost'}
-                          </div>
-                          <div className="text-xs text-slate-500">
-                            {game.winner?.toLowerCase() === account?.toLowerCase() ? `+${game.bet} ETH` : `-${game.bet} ETH`}
-                          </div>
-                        </div>
-                      )}
-                    </div>
-                  )}
-                </div>
-              </div>
-            </div>
+          games.map(({ id, status }) => (
+            <MyGameCard
+              key={id}
+              gameId={id}
+              status={status}
+              account={account}
+              revealed={revealedMoves[id]}
+              revealing={revealingId === id}
+              revealDisabled={!fheReady || revealingId !== null}
+              onReveal={revealMyMove}
+            />
           ))
         )}
       </div>
@@ -320,81 +324,78 @@ const MyGamesList = ({ contract, account }) => {
 };
 
 const CompletedGamesList = ({ contract, account }) => {
-  const [games, setGames] = useState([]);
-  const [loading, setLoading] = useState(false);
+  const { games: indexedGames, isLoading, refresh } = useGameIndex();
   const [page, setPage] = useState(1);
   const [pageSize] = useState(10);
+  const [verifications, setVerifications] = useState({}); // gameId -> 'verifying' | 'verified' | 'mismatch' | { error }
+  const { isReady: fheReady } = useFhe();
+  // Basis points, as the contract charges them; null until read
+  const [platformFee, setPlatformFee] = useState(null);
+  // Deployments from before resultHandles only have the result the oracle callback reported (GameResolved)
+  const verifiable = contract?.interface.hasFunction('resultHandles') ?? false;
+
+  // Past games from the event index (newest first): played (waiting on or past the oracle) or finished
+  const games = useMemo(() => {
+    const now = nowSeconds();
+    const pastGames = indexedGames
+      .map((g) => ({ g, status: getGameStatus(g, now) }))
+      .filter(({ status }) => status !== GAME_STATUS.OPEN && status !== GAME_STATUS.EXPIRABLE);
+
+    // Pagination
+    const start = (page - 1) * pageSize;
+    return pastGames.slice(start, start + pageSize).map(({ g, status }) => ({
+      id: BigInt(g.id),
+      player1: g.player1,
+      player2: g.player2,
+      bet: ethers.formatEther(g.betAmount),
+      betWei: BigInt(g.betAmount),
+      startTime: g.startTime ? new Date(g.startTime * 1000) : null,
+      result: status === GAME_STATUS.RESOLVED ? g.resultCode : null,
+      winner: g.winner,
+      isMyGame: getGameRole(g, account) !== GAME_ROLE.OTHER,
+      canVerify: verifiable && canPerform(g, account, GAME_ACTION.VERIFY_RESULT, now),
+      status
+    }));
+  }, [indexedGames, account, page, pageSize, verifiable]);
 
-  const loadCompletedGames = async () => {
+  useEffect(() => {
     if (!contract) return;
-    try {
-      setLoading(true);
-      const counter = await contract.gameIdCounter();
-      const allIds = Array.from({ length: Number(counter) }, (_, i) => BigInt(i + 1));
-
-      // Read mapping and filter past games: completed or pending decryption
-      const details = await Promise.all(
-        allIds.map(async (id) => {
-          const g = await contract.games(id);
-          const hasResult = g.resultCode !== null && g.resultCode !== undefined;
-          const pendingDecryption = g.decryptionRequested && !g.decryptionCompleted;
-          return (hasResult || pendingDecryption) ? { id, g } : null;
-        })
-      );
-      const completedGames = details.filter(Boolean);
-
-      // Sort by most recent
-      completedGames.sort((a, b) => Number(b.id - a.id));
-
-      // Pagination
-      const start = (page - 1) * pageSize;
-      const pageGames = completedGames.slice(start, start + pageSize).map(({ id, g }) => {
-        const isPlayer1 = g.player1?.toLowerCase() === account?.toLowerCase();
-        const isPlayer2 = g.player2?.toLowerCase() === account?.toLowerCase();
-        const isMyGame = isPlayer1 || isPlayer2;
-        const isDecryptRequested = Boolean(g.decryptionRequested);
-        const isDecryptCompleted = Boolean(g.decryptionCompleted);
-        const hasResult = g.resultCode !== null && g.resultCode !== undefined;
-        const resultCode = (isDecryptCompleted && hasResult) ? Number(g.resultCode) : null;
-        const winner = g.winner;
-
-        let status = 'WAITING';
-        if (isDecryptRequested && !isDecryptCompleted) {
-          status = 'PENDING_DECRYPTION';
-        } else if (isDecryptCompleted && hasResult) {
-          status = 'COMPLETED';
-        }
+    let cancelled = false;
+    readContract(contract, 'platformFeePercent')
+      .then((fee) => {
+        if (!cancelled) setPlatformFee(fee);
+      })
+      .catch((err) => console.error('Error loading the platform fee:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [contract]);
 
-        return {
-          id,
-          player1: g.player1,
-          player2: g.player2,
-          bet: ethers.formatEther(g.betAmount ?? 0n),
-          startTime: g.startTime ? new Date(Number(g.startTime) * 1000) : null,
-          result: resultCode,
-          winner: winner,
-          isPlayer1,
-          isPlayer2,
-          isMyGame,
-          status
-        };
-      });
+  const loading = isLoading && games.length === 0;
 
-      setGames(pageGames);
+  // Decrypt the result again with the KMS signatures checked locally and compare it with the on-chain result
+  const verifyResult = async (game) => {
+    const key = game.id.toString();
+    try {
+      setVerifications((prev) => ({ ...prev, [key]: 'verifying' }));
+      // Encrypted result the oracle decrypted; zero until the contract has requested its decryption
+      const resultHandle = await readContract(contract, 'resultHandles', game.id);
+      if (resultHandle === ethers.ZeroHash) {
+        throw new FheError('No encrypted result is stored for this game.', { code: 'INVALID_HANDLE' });
+      }
+      const value = await publicDecrypt(resultHandle, { verify: true });
+      setVerifications((prev) => ({ ...prev, [key]: Number(value) === game.result ? 'verified' : 'mismatch' }));
     } catch (e) {
-      console.error('Failed to load completed games', e);
-    } finally {
-      setLoading(false);
+      console.error('Failed to verify result', e);
+      setVerifications((prev) => ({
+        ...prev,
+        [key]: { error: e instanceof FheError ? e.message : 'Could not verify this result' }
+      }));
     }
   };
 
-  useEffect(() => {
-    loadCompletedGames();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [contract, account, page]);
-
-  const getResultInfo = (status, result, winner, isMyGame, account, betAmount) => {
-    if (status === 'PENDING_DECRYPTION') {
+  const getResultInfo = (status, result, winner, isMyGame, account, betWei) => {
+    if (status === GAME_STATUS.AWAITING_ORACLE) {
       return {
         text: 'Waiting for Result',
         color: 'text-blue-300',
@@ -402,6 +403,22 @@ const CompletedGamesList = ({ contract, account }) => {
         description: 'Oracle decryption pending'
       };
     }
+    if (status === GAME_STATUS.ORACLE_TIMED_OUT) {
+      return {
+        text: 'Oracle Timed Out',
+        color: 'text-orange-300',
+        bgColor: 'bg-orange-900/30',
+        description: 'Can be expired for a refund'
+      };
+    }
+    if (status === GAME_STATUS.EXPIRED_REFUNDED) {
+      return {
+        text: 'Expired',
+        color: 'text-orange-300',
+        bgColor: 'bg-orange-900/30',
+        description: 'Bets refunded'
+      };
+    }
     if (result === 2) {
       return {
         text: 'Draw',
@@ -428,24 +445,23 @@ const CompletedGamesList = ({ contract, account }) => {
         };
       }
     } else {
-      // Calculate winnings (2x bet amount minus fees)
-      const totalPot = parseFloat(betAmount) * 2;
-      const feeAmount = totalPot * 0.025; // 2.5% platform fee
-      const winnings = totalPot - feeAmount;
-      
+      // The pot minus the platform fee, in wei and rounded as the contract pays it
+      const winnings = platformFee === null ? null : ethers.formatEther(getWinnerPayout(betWei, platformFee).payout);
+      const description = winnings === null ? 'Pot paid out' : `+${winnings} ETH`;
+
       if (winner?.toLowerCase() === account?.toLowerCase()) {
         return {
           text: 'Player 1 Won',
           color: 'text-green-400',
           bgColor: 'bg-green-900/30',
-          description: `+${winnings.toFixed(4)} ETH`
+          description
         };
       } else {
         return {
           text: 'Player 2 Won',
           color: 'text-green-400',
           bgColor: 'bg-green-900/30',
-          description: `+${winnings.toFixed(4)} ETH`
+          description
         };
       }
     }
@@ -459,7 +475,7 @@ const CompletedGamesList = ({ contract, account }) => {
           <h3 className="text-2xl font-bold text-white mb-1">Game History</h3>
           <p className="text-slate-400">All completed games on the platform</p>
         </div>
-        <button className="refresh-btn ml-4" onClick={() => { setPage(1); loadCompletedGames(); }} disabled={loading} aria-label="Refresh Completed Games">
+        <button className="refresh-btn ml-4" onClick={() => { setPage(1); refresh(); }} disabled={loading} aria-label="Refresh Completed Games">
           <svg className={`refresh-icon ${loading ? 'spin' : ''}`} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
             <path d="M21 12a9 9 0 1 1-3-6.7"/>
             <polyline points="21 3 21 9 15 9"/>
@@ -511,7 +527,7 @@ const CompletedGamesList = ({ contract, account }) => {
           </div>
         ) : (
           games.map((game) => {
-            const resultInfo = getResultInfo(game.status, game.result, game.winner, game.isMyGame, account, game.bet);
+            const resultInfo = getResultInfo(game.status, game.result, game.winner, game.isMyGame, account, game.betWei);
             return (
               <div key={game.id.toString()} className="game-card p-6">
                 <div className="grid grid-cols-1 lg:grid-cols-6 gap-4 items-center">
@@ -536,7 +552,7 @@ const CompletedGamesList = ({ contract, account }) => {
                     <div className="text-sm text-white font-medium">
                       <div>{game.player1 ? `${game.player1.slice(0,6)}...${game.player1.slice(-4)}` : 'Unknown'}</div>
                       <div className="text-slate-500">vs</div>
-                      <div>{game.player2 ? `${game.player2.slice(0,6)}...${game.player2.slice(-4)}` : 'Unknown'}</div>
+                      <div>{game.player2 !== ethers.ZeroAddress ? `${game.player2.slice(0,6)}...${game.player2.slice(-4)}` : 'Nobody joined'}</div>
                     </div>
                   </div>
 
@@ -557,6 +573,30 @@ const CompletedGamesList = ({ contract, account }) => {
                     <div className="text-xs text-slate-500 mt-1">
                       {resultInfo.description}
                     </div>
+                    {game.canVerify && (
+                      <div className="text-xs mt-1">
+                        {verifications[game.id.toString()] === 'verified' ? (
+                          <span className="text-teal-400" title="KMS signatures checked in your browser against the on-chain signer set">
+                            ✓ Verified
+                          </span>
+                        ) : verifications[game.id.toString()] === 'mismatch' ? (
+                          <span className="text-red-400" title="The signed decryption differs from the result stored on-chain">
+                            ⚠ Result mismatch
+                          </span>
+                        ) : (
+                          <button
+                            onClick={() => verifyResult(game)}
+                            disabled={!fheReady || verifications[game.id.toString()] === 'verifying'}
+                            title={verifications[game.id.toString()]?.error}
+                            className={`underline disabled:opacity-50 disabled:cursor-not-allowed ${verifications[game.id.toString()]?.error ? 'text-red-400' : 'text-slate-400 hover:text-slate-200'}`}
+                          >
+                            {verifications[game.id.toString()] === 'verifying'
+                              ? 'Verifying...'
+                              : verifications[game.id.toString()]?.error ? 'Verification failed, retry' : 'Verify result'}
+                          </button>
+                        )}
+                      </div>
+                    )}
                   </div>
 
                   {/* Time */}
@@ -569,7 +609,7 @@ const CompletedGamesList = ({ contract, account }) => {
 
                   {/* Prize Info */}
                   <div className="text-center">
-                    {game.isMyGame && (
+                    {game.isMyGame && game.status === GAME_STATUS.RESOLVED && (
                       <div className="text-sm">
                         {game.result === 2 ? (
                           <div>
@@ -599,144 +639,127 @@ const CompletedGamesList = ({ contract, account }) => {
   );
 };
 
-const ActiveGamesList = ({ contract, account, onJoined, fheInitialized, fheError }) => {
+// Without an account the list is read-only and joining asks to connect through onConnectRequest
+const ActiveGamesList = ({ contract, account, onJoined, onConnectRequest }) => {
+  const { isReady: fheInitialized } = useFhe();
   const [page, setPage] = useState(1);
   const [pageSize] = useState(10);
-  const [rows, setRows] = useState([]);
-  const [loading, setLoading] = useState(false);
+  const { games: indexedGames, isLoading, refresh } = useGameIndex();
   const [selectedMoves, setSelectedMoves] = useState({}); // gameId -> move
   const [showEncryptModal, setShowEncryptModal] = useState(false);
-
-
-  const loadPage = async () => {
-    if (!contract) return;
-    try {
-      setLoading(true);
-      const counter = await contract.gameIdCounter();
-      const allIds = Array.from({ length: Number(counter) }, (_, i) => BigInt(i + 1));
-
-      // Read mapping and filter Active (has player1, no player2, not expired, before deadline)
-      const details = await Promise.all(
-        allIds.map(async (id) => {
-          const g = await contract.games(id);
-          const isWaiting = g.player1 && g.player1 !== ethers.ZeroAddress && (!g.player2 || g.player2 === ethers.ZeroAddress);
-          const isAlive = !g.isExpired;
-          
-          // Check if game is within 24 hours deadline
-          const now = Math.floor(Date.now() / 1000);
-          const gameStartTime = g.startTime ? Number(g.startTime) : 0;
-          const isWithinDeadline = (now - gameStartTime) < 86400; // 24 hours
-          
-          return isWaiting && isAlive && isWithinDeadline ? { id, g } : null;
-        })
-      );
-      const active = details.filter(Boolean);
-
-      // Sort by most recent
-      active.sort((a, b) => Number(b.id - a.id));
-
-      // Pagination
-      const start = (page - 1) * pageSize;
-      const pageRows = active.slice(start, start + pageSize).map(({ id, g }) => ({
-        id,
-        opponent: g.player1,
-        time: g.startTime ? new Date(Number(g.startTime) * 1000) : null,
-        bet: ethers.formatEther(g.betAmount ?? 0n),
-      }));
-
-      setRows(pageRows);
-    } catch (e) {
-      console.error('Failed to load active games page', e);
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  useEffect(() => {
-    loadPage();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [contract, page]);
+  const [encryptStage, setEncryptStage] = useState(null);
+  const encryptAbortRef = useRef(null);
+  const client = useRpsClient(contract);
+  const { review, requestReview, confirm: confirmReview, cancel: cancelReview } = useCostReview(contract);
+
+  // Switching accounts remounts the panel: stop encrypting for the previous one
+  useEffect(() => () => encryptAbortRef.current?.abort(), []);
+
+  // Open games from the event index (newest first): nobody joined yet and the move deadline hasn't passed
+  const rows = useMemo(() => {
+    const now = nowSeconds();
+    const active = indexedGames.filter((g) => getGameStatus(g, now) === GAME_STATUS.OPEN);
+
+    // Pagination
+    const start = (page - 1) * pageSize;
+    return active.slice(start, start + pageSize).map((g) => ({
+      id: BigInt(g.id),
+      opponent: g.player1,
+      time: g.startTime ? new Date(g.startTime * 1000) : null,
+      bet: ethers.formatEther(g.betAmount),
+      // Player 1 can't join their own game
+      canJoin: canPerform(g, account, GAME_ACTION.JOIN, now)
+    }));
+  }, [indexedGames, account, page, pageSize]);
+
+  const loading = isLoading && rows.length === 0;
 
   const joinGame = async (row) => {
-    if (!fheInitialized) {
-      alert('FHE not initialized. Please go to Create Game tab first to initialize FHE encryption.');
+    if (!account) {
+      onConnectRequest?.();
       return;
     }
+    if (!fheInitialized) return;
 
     if (selectedMoves[row.id?.toString()] === undefined) {
       alert('Please select a move first.');
       return;
     }
 
+    let joined = false;
     try {
+      setEncryptStage('preparing');
       setShowEncryptModal(true);
       const move = selectedMoves[row.id?.toString()];
-      const contractAddress = await contract.getAddress();
       
-      // Check if FHE is available and initialized
-      if (!isFheAvailable()) {
+      // Check if FHE is initialized
+      if (!isFheInitialized()) {
         throw new Error('FHE not available');
       }
       
-      const enc = await encryptMove(move, contractAddress, account);
-      
-      const tx = await contract.joinGame(row.id, enc.handle, enc.proof, { value: ethers.parseEther(row.bet) });
-      await tx.wait();
-      
+      // The client pays the game's exact bet and refuses games that can't be joined any more
+      encryptAbortRef.current = new AbortController();
+      await client.joinGame(row.id, {
+        move,
+        encryptOptions: {
+          signal: encryptAbortRef.current.signal,
+          onProgress: ({ stage }) => setEncryptStage(stage)
+        },
+        onEncrypted: () => {
+          encryptAbortRef.current = null;
+          setEncryptStage('estimating');
+        },
+        onReview: async (tx) => {
+          setShowEncryptModal(false);
+          const confirmed = await requestReview(tx);
+          if (confirmed) {
+            setEncryptStage('wallet');
+            setShowEncryptModal(true);
+          }
+          return confirmed;
+        }
+      });
+
+      joined = true;
       onJoined && onJoined();
-      loadPage();
+      refresh();
     } catch (e) {
+      if (isFheTaskCancelled(e)) return;
+      if (e instanceof RpsClientError && e.code === 'NOT_CONFIRMED') return;
       console.error('Join failed', e);
-      alert(`Join failed: ${e.message}`);
+      // Reverts are caught by the client's simulation, before the wallet prompt, and explained
+      alert(e instanceof FheError || e instanceof RpsClientError || e instanceof TxError ? e.message : 'Join failed. Please try again.');
     } finally {
+      encryptAbortRef.current = null;
       setShowEncryptModal(false);
+      setEncryptStage(null);
+    }
+    if (!joined) return;
+
+    // Joining requests the result decryption; drive the oracle where it needs it (local mock). The join already went
+    // through, so a failure here only leaves the game waiting for its result
+    try {
+      await awaitDecryptionOracle();
+      onJoined && onJoined();
+      refresh();
+    } catch (e) {
+      console.error('Decryption oracle failed', e);
+      alert(`You joined the game, but its result is not decrypted yet${e instanceof FheError ? `: ${e.message}` : '.'}`);
     }
   };
 
   return (
     <div className="space-y-6">
       {showEncryptModal && (
-        <div className="encrypt-overlay">
-          <div className="encrypt-card animate-slideUp">
-            <div className="encrypt-title">Encrypting your choice</div>
-            <div className="encrypt-subtitle">Please wait while we securely encrypt via FHE relayer</div>
-            <div className="icon-row">
-              <span className="seq-icon seq-delay-1">
-                <img 
-                  src="/images/granite-Photoroom.png" 
-                  alt="Rock"
-                  style={{ width: '2rem', height: '2rem' }}
-                />
-              </span>
-              <span className="seq-icon seq-delay-2">📄</span>
-              <span className="seq-icon seq-delay-3">✂️</span>
-            </div>
-            <div className="lock-wrap">
-              <svg className="lock-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                <rect x="3" y="11" width="18" height="11" rx="2" ry="2"></rect>
-                <path d="M7 11V7a5 5 0 0 1 10 0v4"></path>
-              </svg>
-            </div>
-          </div>
-        </div>
+        <EncryptOverlay
+          stage={encryptStage}
+          onCancel={() => encryptAbortRef.current?.abort()}
+        />
       )}
+      <CostPreview review={review} onConfirm={confirmReview} onCancel={cancelReview} />
       
       {/* FHE Status */}
-      {fheError && (
-        <div className="mb-6 bg-red-900/30 border border-red-500/50 text-red-300 px-4 py-3 rounded-lg">
-          <strong>FHE Error:</strong> {fheError}
-        </div>
-      )}
-
-      {!fheInitialized && !fheError && (
-        <div className="mb-6 bg-yellow-900/30 border border-yellow-500/50 text-yellow-300 px-4 py-3 rounded-lg">
-          <div className="flex items-center space-x-2">
-            <span>⚠️</span>
-            <span>FHE not initialized. Please go to Create Game tab first.</span>
-          </div>
-        </div>
-      )}
-
+      <FheStatus />
 
       {/* Header */}
       <div className="flex items-center justify-between">
@@ -744,7 +767,7 @@ const ActiveGamesList = ({ contract, account, onJoined, fheInitialized, fheError
           <h3 className="text-2xl font-bold text-white mb-1">Join Active Games</h3>
           <p className="text-slate-400">Select a game and choose your choice to join</p>
         </div>
-        <button className="refresh-btn ml-4" onClick={() => { setPage(1); loadPage(); }} disabled={loading} aria-label="Refresh Active Games">
+        <button className="refresh-btn ml-4" onClick={() => { setPage(1); refresh(); }} disabled={loading} aria-label="Refresh Active Games">
           <svg className={`refresh-icon ${loading ? 'spin' : ''}`} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
             <path d="M21 12a9 9 0 1 1-3-6.7"/>
             <polyline points="21 3 21 9 15 9"/>
@@ -843,14 +866,15 @@ const ActiveGamesList = ({ contract, account, onJoined, fheInitialized, fheError
                   <button 
                     className="button" 
                     onClick={()=>joinGame(row)}
-                    disabled={selectedMoves[row.id?.toString()] === undefined || !fheInitialized}
+                    disabled={account && (!row.canJoin || selectedMoves[row.id?.toString()] === undefined || !fheInitialized)}
+                    title={row.canJoin || !account ? undefined : 'You created this game'}
                   >
                     <span className="shadow"></span>
                     <span className="edge"></span>
                     <span className="front">
                       <span className="flex items-center justify-center space-x-2">
                         <span>🎮</span>
-                        <span>Join Game</span>
+                        <span>{account ? 'Join Game' : 'Connect to Join'}</span>
                       </span>
                     </span>
                   </button>
@@ -864,10 +888,10 @@ const ActiveGamesList = ({ contract, account, onJoined, fheInitialized, fheError
   );
 };
 
-const GamePanel = ({ contract, account, provider, onBalanceUpdate }) => {
-  const [tab, setTab] = useState(TABS.CREATE);
-  const [fheInitialized, setFheInitialized] = useState(false);
-  const [fheError, setFheError] = useState(null);
+// Without an account (spectator mode) the panel opens on the open games and leaves out My Games
+const GamePanel = ({ contract, account, provider, onBalanceUpdate, onConnectRequest }) => {
+  const readOnly = !account;
+  const [tab, setTab] = useState(readOnly ? TABS.JOIN : TABS.CREATE);
   const [showHowToPlay, setShowHowToPlay] = useState(false);
   return (
     <div className="game-card p-6">
@@ -883,11 +907,13 @@ const GamePanel = ({ contract, account, provider, onBalanceUpdate }) => {
             <span className="edge"></span>
             <span className="front"><span>Join Game</span></span>
           </button>
-          <button className="button" onClick={()=>setTab(TABS.MINE)} aria-label="My Games">
-            <span className="shadow"></span>
-            <span className="edge"></span>
-            <span className="front"><span>My Games</span></span>
-          </button>
+          {!readOnly && (
+            <button className="button" onClick={()=>setTab(TABS.MINE)} aria-label="My Games">
+              <span className="shadow"></span>
+              <span className="edge"></span>
+              <span className="front"><span>My Games</span></span>
+            </button>
+          )}
           <button className="button" onClick={()=>setTab(TABS.COMPLETED)} aria-label="Completed">
             <span className="shadow"></span>
             <span className="edge"></span>
@@ -905,13 +931,10 @@ const GamePanel = ({ contract, account, provider, onBalanceUpdate }) => {
       {tab === TABS.CREATE && (
         <GameInterface 
           contract={contract} 
-          account={account} 
           provider={provider} 
           onBalanceUpdate={onBalanceUpdate}
-          onFHEStatusChange={(initialized, error) => {
-            setFheInitialized(initialized);
-            setFheError(error);
-          }}
+          readOnly={readOnly}
+          onConnectRequest={onConnectRequest}
         />
       )}
 
@@ -920,12 +943,11 @@ const GamePanel = ({ contract, account, provider, onBalanceUpdate }) => {
           contract={contract} 
           account={account} 
           onJoined={onBalanceUpdate}
-          fheInitialized={fheInitialized}
-          fheError={fheError}
+          onConnectRequest={onConnectRequest}
         />
       )}
 
-      {tab === TABS.MINE && (
+      {tab === TABS.MINE && !readOnly && (
         <MyGamesList contract={contract} account={account} />
       )}
 
@@ -1,8 +1,13 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import WithdrawModal from './WithdrawModal';
+import TxTray from './TxTray';
+import BurnerPlayerSwitch from './BurnerPlayerSwitch';
 
-const Header = ({ account, balance, onConnect, onDisconnect, contract, onWithdrawSuccess, loading }) => {
+const Header = ({ account, balance, onConnect, onDisconnect, contract, onWithdrawSuccess, loading, connector = null }) => {
   const [showWithdrawModal, setShowWithdrawModal] = useState(false);
+
+  // The withdrawable balance shown belongs to one account
+  useEffect(() => setShowWithdrawModal(false), [account]);
   
   const formatAddress = (address) => {
     if (!address) return '';
@@ -45,6 +50,12 @@ const Header = ({ account, balance, onConnect, onDisconnect, contract, onWithdra
                   </div>
                 </div>
 
+                {/* Transactions sent from this account, kept across reloads */}
+                <TxTray />
+
+                {/* Dev burner wallet: Player 1 / Player 2 */}
+                {connector?.switchPlayer && <BurnerPlayerSwitch connector={connector} />}
+
                 {/* Wallet Address */}
                 <div className="bg-gray-800/60 rounded-lg px-4 py-2">
                   <div className="text-white text-sm font-medium">
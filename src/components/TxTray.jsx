@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { useTxTracker } from '../hooks/useTxTracker';
+import { TX_STATUS } from '../utils/txTracker';
+
+const STATUS_STYLES = {
+  [TX_STATUS.PENDING]: { text: 'Pending', className: 'bg-yellow-500/20 text-yellow-300' },
+  [TX_STATUS.CONFIRMED]: { text: 'Confirmed', className: 'bg-green-500/20 text-green-300' },
+  [TX_STATUS.FAILED]: { text: 'Failed', className: 'bg-red-500/20 text-red-300' },
+  [TX_STATUS.REPLACED]: { text: 'Replaced', className: 'bg-blue-500/20 text-blue-300' },
+  [TX_STATUS.CANCELLED]: { text: 'Cancelled', className: 'bg-gray-500/20 text-gray-300' },
+  [TX_STATUS.DROPPED]: { text: 'Dropped', className: 'bg-orange-500/20 text-orange-300' }
+};
+
+const shortHash = (hash) => `${hash.slice(0, 10)}...${hash.slice(-6)}`;
+
+const TxTray = () => {
+  const { transactions, pendingCount, speedUp, cancel, dismiss, clearSettled } = useTxTracker();
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  if (transactions.length === 0) return null;
+
+  // Speed-up and cancel open the wallet; a rejection there just leaves the original pending
+  const replace = async (action, hash) => {
+    try {
+      setBusy(hash);
+      setError(null);
+      await action(hash);
+    } catch (err) {
+      console.error('Replacement transaction failed:', err);
+      setError(err.shortMessage || err.message || 'Replacement transaction failed');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen((value) => !value)}
+        className="bg-gray-800/60 hover:bg-gray-700/60 rounded-lg px-4 py-2 text-white text-sm font-medium transition-colors"
+      >
+        {pendingCount > 0 ? (
+          <span className="flex items-center space-x-2">
+            <span className="animate-spin rounded-full h-3 w-3 border-b-2 border-yellow-300"></span>
+            <span>{pendingCount} pending</span>
+          </span>
+        ) : (
+          'Transactions'
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-96 bg-gray-900 border border-gray-700 rounded-lg shadow-xl z-50">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-gray-700">
+            <span className="text-white text-sm font-semibold">Transactions</span>
+            <button onClick={clearSettled} className="text-gray-400 hover:text-white text-xs">
+              Clear finished
+            </button>
+          </div>
+
+          {error && <div className="px-4 py-2 text-red-300 text-xs break-words">{error}</div>}
+
+          <ul className="max-h-96 overflow-y-auto divide-y divide-gray-800">
+            {transactions.map((tx) => {
+              const status = STATUS_STYLES[tx.status];
+              const pending = tx.status === TX_STATUS.PENDING;
+              return (
+                <li key={tx.hash} className="px-4 py-3">
+                  <div className="flex items-center justify-between">
+                    <span className="text-white text-sm">{tx.label}</span>
+                    <span className={`px-2 py-0.5 rounded text-xs ${status.className}`}>{status.text}</span>
+                  </div>
+                  <div className="flex items-center justify-between mt-1">
+                    <span className="text-gray-400 text-xs font-mono" title={tx.hash}>
+                      {shortHash(tx.hash)} · nonce {tx.nonce}
+                    </span>
+                    {pending ? (
+                      <span className="flex space-x-2">
+                        <button
+                          onClick={() => replace(speedUp, tx.hash)}
+                          disabled={busy === tx.hash}
+                          className="text-blue-300 hover:text-blue-200 text-xs disabled:opacity-50"
+                        >
+                          Speed up
+                        </button>
+                        {!tx.isCancel && (
+                          <button
+                            onClick={() => replace(cancel, tx.hash)}
+                            disabled={busy === tx.hash}
+                            className="text-red-300 hover:text-red-200 text-xs disabled:opacity-50"
+                          >
+                            Cancel
+                          </button>
+                        )}
+                      </span>
+                    ) : (
+                      <button onClick={() => dismiss(tx.hash)} className="text-gray-500 hover:text-gray-300 text-xs">
+                        Dismiss
+                      </button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TxTray;
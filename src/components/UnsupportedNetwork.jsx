@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { getNetworkConfig, getSupportedNetworks } from '../config/networks';
+import { ChainSwitchError } from '../utils/chainSwitch';
+
+// Network guard: the wallet's chain isn't in the registry (or the app is still reconnecting after a switch)
+// `onSwitch` asks the wallet to switch, adding the network first if needed; null where the wallet can't switch
+const UnsupportedNetwork = ({ chainId, connecting = false, onSwitch = null }) => {
+  const supportedNetworks = getSupportedNetworks();
+  const [pendingChainId, setPendingChainId] = useState(null);
+  const [error, setError] = useState(null);
+  const target = getNetworkConfig(chainId);
+
+  const handleSwitch = async (networkChainId) => {
+    setPendingChainId(networkChainId);
+    setError(null);
+    try {
+      await onSwitch(networkChainId);
+    } catch (err) {
+      console.error('Network switch failed:', err);
+      setError(err instanceof ChainSwitchError ? err.message : 'Could not switch networks. Please switch in your wallet.');
+    } finally {
+      setPendingChainId(null);
+    }
+  };
+
+  if (target && connecting) {
+    return (
+      <div className="flex items-center justify-center min-h-[40vh] py-8">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mx-auto mb-4"></div>
+          <p className="text-white text-lg">Connecting to {target.name}...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center justify-center min-h-[40vh] py-8">
+      <div className="game-card max-w-lg w-full p-6 text-center">
+        <div className="mb-6">
+          <div className="w-16 h-16 bg-gradient-to-r from-orange-500 to-red-600 rounded-full flex items-center justify-center mx-auto mb-3">
+            <span className="text-white text-2xl">🌐</span>
+          </div>
+          <h2 className="text-2xl font-bold text-gray-800 mb-2">
+            Unsupported Network
+          </h2>
+          <p className="text-gray-600">
+            Your wallet is connected to {chainId ? `chain ID ${chainId}` : 'an unknown network'}, where the game is not deployed.
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4 text-sm text-red-700">
+            {error}
+          </div>
+        )}
+
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-left">
+          <h3 className="font-semibold text-blue-800 mb-2 text-sm">Switch your wallet to one of these networks:</h3>
+          <ul className="space-y-2 text-blue-700 text-sm">
+            {supportedNetworks.map((network) => (
+              <li key={network.chainId} className="flex items-center justify-between">
+                <span>
+                  {network.name} <span className="text-blue-500">(Chain ID {network.chainId})</span>
+                </span>
+                {onSwitch && (
+                  <button
+                    onClick={() => handleSwitch(network.chainId)}
+                    className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-xs font-medium transition-colors"
+                    disabled={pendingChainId !== null}
+                  >
+                    {pendingChainId === network.chainId ? 'Check your wallet...' : 'Switch'}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UnsupportedNetwork;
@@ -1,24 +1,15 @@
-import React, { useState, useEffect } from 'react';
+import React, { useSyncExternalStore } from 'react';
 
-const WalletConnect = ({ onConnect, loading }) => {
-  const [metamaskAvailable, setMetamaskAvailable] = useState(false);
-  const [error, setError] = useState('');
+// Every wallet the connectors found (EIP-6963 announcements, window.ethereum, ...), one button each
+// `onClose` shows a close button, for the chooser spectators open from the read-only app
+const WalletConnect = ({ connectors, onConnect, onClose = null, loading }) => {
+  const wallets = useSyncExternalStore(connectors.subscribe, connectors.getSnapshot);
+  const lastUsed = connectors.getLastUsed();
+  const error = wallets.length === 0 ? 'No wallet detected. Please install a browser wallet extension to continue.' : '';
 
-  useEffect(() => {
-    // Check if MetaMask is available
-    if (typeof window.ethereum !== 'undefined') {
-      setMetamaskAvailable(true);
-      setError('');
-    } else {
-      setMetamaskAvailable(false);
-      setError('MetaMask not detected. Please install MetaMask extension to continue.');
-    }
-  }, []);
-  const handleConnect = () => {
-    console.log('WalletConnect: Connect button clicked');
-    console.log('onConnect function:', typeof onConnect);
+  const handleConnect = (connectorId) => {
     if (typeof onConnect === 'function') {
-      onConnect();
+      onConnect(connectorId);
     } else {
       console.error('onConnect is not a function');
     }
@@ -26,7 +17,18 @@ const WalletConnect = ({ onConnect, loading }) => {
 
   return (
     <div className="flex items-center justify-center min-h-[40vh] py-8">
-      <div className="game-card max-w-lg w-full p-6 text-center">
+      <div className="game-card max-w-lg w-full p-6 text-center relative">
+        {onClose && (
+          <button
+            onClick={onClose}
+            className="absolute top-4 right-4 text-gray-400 hover:text-gray-600 transition-colors"
+            aria-label="Close"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        )}
         <div className="mb-6">
           <div className="w-16 h-16 bg-gradient-to-r from-blue-500 to-purple-600 rounded-full flex items-center justify-center mx-auto mb-3">
             <span className="text-white text-2xl">🔐</span>
@@ -51,13 +53,13 @@ const WalletConnect = ({ onConnect, loading }) => {
                 </div>
                 <div className="ml-3">
                   <h3 className="text-sm font-medium text-red-800">
-                    MetaMask Required
+                    Wallet Required
                   </h3>
                   <div className="mt-2 text-sm text-red-700">
                     <p>{error}</p>
                     <p className="mt-1">
                       <a href="https://metamask.io/download/" target="_blank" rel="noopener noreferrer" className="font-medium underline hover:text-red-600">
-                        Download MetaMask here
+                        Get MetaMask here
                       </a>
                     </p>
                   </div>
@@ -89,15 +91,20 @@ const WalletConnect = ({ onConnect, loading }) => {
             </div>
           </div>
 
-          <button
-            onClick={handleConnect}
-            className="w-full btn-primary text-lg py-3"
-            disabled={loading || !metamaskAvailable}
-          >
-            {loading ? 'Connecting...' : 
-             !metamaskAvailable ? 'MetaMask Not Available' : 
-             'Connect MetaMask Wallet'}
-          </button>
+          <div className="space-y-2">
+            {wallets.map((wallet) => (
+              <button
+                key={wallet.id}
+                onClick={() => handleConnect(wallet.id)}
+                className="w-full btn-primary text-lg py-3 flex items-center justify-center space-x-3"
+                disabled={loading}
+              >
+                {wallet.icon && <img src={wallet.icon} alt="" className="w-6 h-6" />}
+                <span>{loading ? 'Connecting...' : `Connect ${wallet.name}`}</span>
+                {wallet.id === lastUsed && <span className="text-xs opacity-75">(last used)</span>}
+              </button>
+            ))}
+          </div>
 
           <div className="text-xs text-gray-500">
             <p>Make sure you're connected to Sepolia testnet • You'll need some Sepolia ETH to play</p>
@@ -1,19 +1,23 @@
 import React, { useState, useEffect } from 'react';
 import { createPortal } from 'react-dom';
 import { ethers } from 'ethers';
+import { useRpsClient } from '../hooks/useRpsClient';
+import { RpsClientError } from '../utils/rpsClient';
+import { TxError } from '../utils/txErrors';
 
 const WithdrawModal = ({ isOpen, onClose, contract, account, onWithdrawSuccess }) => {
   const [withdrawableBalance, setWithdrawableBalance] = useState('0');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
+  const client = useRpsClient(contract);
 
   // Load withdrawable balance
   useEffect(() => {
     const loadWithdrawableBalance = async () => {
-      if (contract && account) {
+      if (client && account) {
         try {
-          const balance = await contract.withdrawableBalance(account);
+          const balance = await client.getWithdrawableBalance(account);
           setWithdrawableBalance(ethers.formatEther(balance));
         } catch (err) {
           console.error('Error loading withdrawable balance:', err);
@@ -25,7 +29,7 @@ const WithdrawModal = ({ isOpen, onClose, contract, account, onWithdrawSuccess }
     if (isOpen) {
       loadWithdrawableBalance();
     }
-  }, [isOpen, contract, account]);
+  }, [isOpen, client, account]);
 
   // Handle withdraw
   const handleWithdraw = async () => {
@@ -34,14 +38,13 @@ const WithdrawModal = ({ isOpen, onClose, contract, account, onWithdrawSuccess }
       setError(null);
       setSuccess(false);
 
-      const tx = await contract.withdraw();
-      await tx.wait();
+      await client.withdraw();
       
       setSuccess(true);
       onWithdrawSuccess && onWithdrawSuccess();
       
       // Reload balance
-      const balance = await contract.withdrawableBalance(account);
+      const balance = await client.getWithdrawableBalance(account);
       setWithdrawableBalance(ethers.formatEther(balance));
       
       // Close modal after 2 seconds
@@ -52,7 +55,7 @@ const WithdrawModal = ({ isOpen, onClose, contract, account, onWithdrawSuccess }
       
     } catch (err) {
       console.error('Error withdrawing funds:', err);
-      setError('Failed to withdraw funds. Please try again.');
+      setError(err instanceof RpsClientError || err instanceof TxError ? err.message : 'Failed to withdraw funds. Please try again.');
     } finally {
       setLoading(false);
     }
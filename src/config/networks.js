@@ -0,0 +1,106 @@
+// Network registry: FHE configuration and infrastructure for every supported chain
+// The app picks the entry matching the wallet's chain ID; chains missing here are unsupported
+// The game contract itself comes from the chain's deployment manifest (utils/deploymentManifest); contractAddress
+// here only stands in for a deployment from before the manifests, until its manifest is served
+
+/**
+ * @typedef {Object} FheNetworkConfig
+ * @property {string} aclContractAddress - ACL contract (host chain)
+ * @property {string} kmsContractAddress - KMS verifier contract (host chain)
+ * @property {string} inputVerifierContractAddress - Input verifier contract (host chain)
+ * @property {string} verifyingContractAddressDecryption - Decryption contract (gateway chain)
+ * @property {string} verifyingContractAddressInputVerification - Input verification contract (gateway chain)
+ * @property {number} gatewayChainId - Gateway chain ID
+ * @property {string} relayerUrl - Zama relayer endpoint
+ */
+
+/**
+ * @typedef {Object} NetworkConfig
+ * @property {number} chainId
+ * @property {string} name - Human readable network name
+ * @property {string} rpcUrl - JSON-RPC endpoint for reads outside the wallet
+ * @property {{ name: string, symbol: string, decimals: number }} nativeCurrency - For wallets adding the chain
+ * @property {string|null} blockExplorerUrl
+ * @property {string|null} wsUrl - WebSocket endpoint pushing new blocks (utils/chainSubscriber); null polls the wallet
+ * @property {'relayer'|'mock'} fheBackend - FHE backend used on this chain (see utils/fheBackends)
+ * @property {FheNetworkConfig|null} fhe - FHE contracts and relayer; null when the backend reads them from the node
+ * @property {string} [contractAddress] - RockPaperScissorsGame_FHE_ResultOnly address: from the verified manifest, or
+ *   in the registry for a deployment without one
+ * @property {number} [deploymentBlock] - Block the game contract was deployed in, likewise
+ * @property {string|null} multicallAddress - Multicall3 contract batching reads; null sends them one by one. A manifest
+ *   that records one overrides it
+ * @property {string|null} indexerUrl - Indexer service (indexer/) serving the games; null scans the chain in the browser
+ * @property {boolean} [burnerWallet] - Development builds offer burner wallets funded by the node (utils/walletConnectors)
+ */
+
+/** @type {Record<number, NetworkConfig>} */
+export const NETWORKS = {
+  11155111: {
+    chainId: 11155111,
+    name: 'Sepolia',
+    rpcUrl: import.meta.env.VITE_RPC_URL || 'https://eth-sepolia.public.blastapi.io',
+    wsUrl: import.meta.env.VITE_WS_URL || null,
+    nativeCurrency: { name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 },
+    blockExplorerUrl: 'https://sepolia.etherscan.io',
+    fheBackend: 'relayer',
+    fhe: {
+      aclContractAddress: '0x687820221192C5B662b25367F70076A37bc79b6c',
+      kmsContractAddress: '0x1364cBBf2cDF5032C47d8226a6f6FBD2AFCDacAC',
+      inputVerifierContractAddress: '0xbc91f3daD1A5F19F8390c400196e58073B6a0BC4',
+      verifyingContractAddressDecryption: '0xb6E160B1ff80D67Bfe90A85eE06Ce0A2613607D1',
+      verifyingContractAddressInputVerification: '0x7048C39f048125eDa9d678AEbaDfB22F7900a29F',
+      gatewayChainId: 55815,
+      relayerUrl: 'https://relayer.testnet.zama.cloud'
+    },
+    // Deployed before the manifests: used while public/deployments/11155111.json isn't served
+    contractAddress: import.meta.env.VITE_CONTRACT_ADDRESS || '0xF6A6574414d41B28C1668e13B8A907D0BBd52dcE',
+    deploymentBlock: Number(import.meta.env.VITE_DEPLOYMENT_BLOCK || 0),
+    // Canonical Multicall3 deployment
+    multicallAddress: '0xcA11bde05977b3631167028862bE2a173976CA11',
+    indexerUrl: import.meta.env.VITE_INDEXER_URL || null
+  },
+  31337: {
+    chainId: 31337,
+    name: 'Hardhat (local)',
+    rpcUrl: import.meta.env.VITE_MOCK_RPC_URL || 'http://localhost:8545',
+    // Hardhat serves WebSockets on its HTTP port
+    wsUrl: import.meta.env.VITE_LOCAL_WS_URL || 'ws://localhost:8545',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    blockExplorerUrl: null,
+    fheBackend: 'mock',
+    // The mock backend reads the FHEVM contract addresses from the node (fhevm_relayer_metadata)
+    fhe: null,
+    // hardhat:deploy:localhost deploys one and records its address in the manifest
+    multicallAddress: import.meta.env.VITE_LOCAL_MULTICALL_ADDRESS || null,
+    indexerUrl: import.meta.env.VITE_LOCAL_INDEXER_URL || null,
+    // The node's unlocked accounts fund the burners
+    burnerWallet: true
+  }
+};
+
+/**
+ * Look up the registry entry for a chain
+ * @param {number|bigint|string} chainId - Decimal, bigint or 0x-prefixed hex chain ID
+ * @returns {NetworkConfig|null} null when the chain is not supported
+ */
+export function getNetworkConfig(chainId) {
+  if (chainId === null || chainId === undefined) return null;
+  return NETWORKS[Number(chainId)] || null;
+}
+
+export function isSupportedChain(chainId) {
+  return getNetworkConfig(chainId) !== null;
+}
+
+export function getSupportedNetworks() {
+  return Object.values(NETWORKS);
+}
+
+/**
+ * Network visitors browse without a wallet, read through its rpcUrl
+ * VITE_READ_ONLY_CHAIN_ID picks it (Sepolia when unset)
+ * @returns {NetworkConfig|null} null when the configured chain isn't in the registry
+ */
+export function getReadOnlyNetwork() {
+  return getNetworkConfig(import.meta.env.VITE_READ_ONLY_CHAIN_ID || 11155111);
+}
@@ -0,0 +1,13 @@
+// Shared FHE lifecycle state (see FheProvider.jsx and hooks/useFhe.js)
+import { createContext } from 'react';
+
+// Lifecycle of the app-wide FHEVM instance
+export const FHE_STATUS = {
+  IDLE: 'idle',                 // No wallet on a supported network yet
+  LOADING_SDK: 'loading-sdk',   // Loading the SDK / WASM (or reaching the mock node)
+  INITIALIZING: 'initializing', // Creating the FHEVM instance
+  READY: 'ready',               // Encryption and decryption available
+  FAILED: 'failed'              // Gave up after the automatic retries; `retry()` starts over
+};
+
+export const FheContext = createContext(null);
@@ -0,0 +1,96 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { initializeFheInstance } from '../utils/fhe';
+import { FheContext, FHE_STATUS } from './FheContext';
+
+// Delays before each automatic retry of a failed initialization
+const RETRY_DELAYS_MS = [1000, 2000, 4000];
+
+// Only typed errors that are safe to repeat (relayer outage, SDK download) are retried automatically
+function isRetryable(err) {
+  return err?.retryable === true;
+}
+
+/**
+ * Initializes FHE once for the whole app as soon as it shows a supported chain, with a wallet or read-only (public
+ * decryption and the KMS check need no signer), retrying with backoff, and shares the lifecycle through useFhe()
+ */
+const FheProvider = ({ chainId, children }) => {
+  const [status, setStatus] = useState(FHE_STATUS.IDLE);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+  const [backend, setBackend] = useState(null);
+  const [runId, setRunId] = useState(0);
+
+  useEffect(() => {
+    if (!chainId) {
+      setStatus(FHE_STATUS.IDLE);
+      setError(null);
+      setAttempt(0);
+      return;
+    }
+
+    let cancelled = false;
+    let retryTimer = null;
+
+    const initialize = async (attemptIndex) => {
+      setAttempt(attemptIndex + 1);
+      setStatus(FHE_STATUS.LOADING_SDK);
+      setError(null);
+
+      try {
+        const result = await initializeFheInstance({
+          chainId,
+          onProgress: ({ stage }) => {
+            if (!cancelled && stage === FHE_STATUS.INITIALIZING) {
+              setStatus(FHE_STATUS.INITIALIZING);
+            }
+          }
+        });
+        if (cancelled) return;
+
+        setBackend(result.backend);
+        setStatus(FHE_STATUS.READY);
+      } catch (err) {
+        if (cancelled) return;
+
+        if (isRetryable(err) && attemptIndex < RETRY_DELAYS_MS.length) {
+          const delay = RETRY_DELAYS_MS[attemptIndex];
+          console.warn(`FHE initialization failed (attempt ${attemptIndex + 1}), retrying in ${delay}ms:`, err.message);
+          retryTimer = setTimeout(() => initialize(attemptIndex + 1), delay);
+          return;
+        }
+
+        console.error('FHE initialization failed:', err);
+        setError(err.message || 'Failed to initialize FHE. Please check your connection.');
+        setStatus(FHE_STATUS.FAILED);
+      }
+    };
+
+    initialize(0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(retryTimer);
+    };
+  }, [chainId, runId]);
+
+  // Start over after the automatic retries gave up
+  const retry = useCallback(() => setRunId((id) => id + 1), []);
+
+  const value = useMemo(() => ({
+    status,
+    error,
+    attempt,
+    backend,
+    isReady: status === FHE_STATUS.READY,
+    retry
+  }), [status, error, attempt, backend, retry]);
+
+  return (
+    <FheContext.Provider value={value}>
+      {children}
+    </FheContext.Provider>
+  );
+};
+
+export default FheProvider;
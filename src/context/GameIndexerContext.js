@@ -0,0 +1,12 @@
+// Shared game index state (see GameIndexerProvider.jsx and hooks/useGameIndex.js)
+import { createContext } from 'react';
+
+// Lifecycle of the app-wide game index
+export const INDEX_STATUS = {
+  IDLE: 'idle',       // No contract on a supported network yet
+  LOADING: 'loading', // Reading the cached index and catching up with the chain
+  READY: 'ready',     // Up to date with the latest block
+  FAILED: 'failed'    // Catching up failed; cached games are still served, `refresh()` tries again
+};
+
+export const GameIndexerContext = createContext(null);
@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { createGameIndexer } from '../utils/gameIndexer';
+import { openIndexerStore } from '../utils/indexerStore';
+import { createRemoteGameIndex } from '../utils/remoteGameIndex';
+import { readContract } from '../utils/contractReads';
+import { GameIndexerContext, INDEX_STATUS } from './GameIndexerContext';
+
+/**
+ * Indexes the game contract's events once for the whole app (cached in IndexedDB, resumed from the
+ * last indexed block) and shares the games with every list through useGameIndex()
+ * Networks with an `indexerUrl` read the games from the indexer service instead, and fall back to
+ * scanning the chain when the service can't be reached
+ * New logs come from `subscriber` (utils/chainSubscriber), and components following a single game get only
+ * that game's updates through useIndexedGame()
+ */
+const GameIndexerProvider = ({ contract, network, subscriber = null, children }) => {
+  const [games, setGames] = useState([]);
+  const [lastBlock, setLastBlock] = useState(null);
+  const [status, setStatus] = useState(INDEX_STATUS.IDLE);
+  const [error, setError] = useState(null);
+  const [source, setSource] = useState(null);
+  const indexerRef = useRef(null);
+  const [activeIndexer, setActiveIndexer] = useState(null);
+
+  const chainId = network?.chainId ?? null;
+  const contractAddress = network?.contractAddress ?? null;
+  const deploymentBlock = network?.deploymentBlock ?? 0;
+  const indexerUrl = network?.indexerUrl ?? null;
+  const provider = contract?.runner?.provider ?? null;
+
+  useEffect(() => {
+    setGames([]);
+    setLastBlock(null);
+    setError(null);
+    setSource(null);
+    setActiveIndexer(null);
+    if (!contract || !provider || !chainId || !contractAddress) {
+      setStatus(INDEX_STATUS.IDLE);
+      return;
+    }
+
+    let cancelled = false;
+    let indexer = null;
+    setStatus(INDEX_STATUS.LOADING);
+
+    // Games from the indexer service, or null when it is unreachable or follows another deployment
+    const connectRemote = async () => {
+      const remote = createRemoteGameIndex({ baseUrl: indexerUrl, chainId, contractAddress, provider, subscriber });
+      try {
+        await remote.sync();
+        return remote;
+      } catch (err) {
+        console.warn('Indexer service unavailable, scanning the chain instead:', err);
+        return null;
+      }
+    };
+
+    const start = async () => {
+      const remote = indexerUrl ? await connectRemote() : null;
+      if (cancelled) return;
+
+      if (remote) {
+        indexer = remote;
+      } else {
+        const store = await openIndexerStore(`${chainId}:${contractAddress.toLowerCase()}`);
+        if (cancelled) return;
+        // GameCreated doesn't carry the join deadline; one batched games(id) read covers a whole log range
+        const readMoveDeadlines = async (ids) => {
+          const created = await Promise.all(ids.map((id) => readContract(contract, 'games', id)));
+          return created.map((game) => Number(game.moveDeadline));
+        };
+        indexer = createGameIndexer({ contract, provider, store, deploymentBlock, readMoveDeadlines, subscriber });
+      }
+      indexerRef.current = indexer;
+      setActiveIndexer(indexer);
+      setSource(remote ? 'indexer' : 'chain');
+      const show = (snapshot) => {
+        setGames(snapshot.games);
+        setLastBlock(snapshot.lastBlock);
+      };
+      // The service already answered once: show its games without waiting for a change
+      show(indexer.getSnapshot());
+      indexer.subscribe(show);
+
+      try {
+        await indexer.sync();
+        if (cancelled) return;
+        setStatus(INDEX_STATUS.READY);
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Game index sync failed:', err);
+        setError(err.message || 'Failed to load games from the chain.');
+        setStatus(INDEX_STATUS.FAILED);
+      }
+      indexer.start();
+    };
+
+    start();
+
+    return () => {
+      cancelled = true;
+      indexer?.stop();
+      indexerRef.current = null;
+    };
+  }, [contract, provider, subscriber, chainId, contractAddress, deploymentBlock, indexerUrl]);
+
+  // Catch up right away (after a transaction) instead of waiting for the next block
+  const refresh = useCallback(async () => {
+    const indexer = indexerRef.current;
+    if (!indexer) return;
+    try {
+      await indexer.sync();
+      setError(null);
+      setStatus(INDEX_STATUS.READY);
+    } catch (err) {
+      console.error('Game index sync failed:', err);
+      setError(err.message || 'Failed to load games from the chain.');
+      setStatus(INDEX_STATUS.FAILED);
+    }
+  }, []);
+
+  // Per-game access for useIndexedGame(); a new indexer makes its subscribers subscribe again
+  const getGame = useCallback((gameId) => activeIndexer?.getGame(gameId) ?? null, [activeIndexer]);
+  const subscribeGame = useCallback(
+    (gameId, listener) => activeIndexer?.subscribeGame(gameId, listener) ?? (() => {}),
+    [activeIndexer]
+  );
+
+  const value = useMemo(() => ({
+    games,
+    lastBlock,
+    status,
+    error,
+    source,
+    isLoading: status === INDEX_STATUS.LOADING,
+    refresh,
+    getGame,
+    subscribeGame
+  }), [games, lastBlock, status, error, source, refresh, getGame, subscribeGame]);
+
+  return (
+    <GameIndexerContext.Provider value={value}>
+      {children}
+    </GameIndexerContext.Provider>
+  );
+};
+
+export default GameIndexerProvider;
@@ -0,0 +1,4 @@
+// Shared transaction tracker state (see TxTrackerProvider.jsx and hooks/useTxTracker.js)
+import { createContext } from 'react';
+
+export const TxTrackerContext = createContext(null);
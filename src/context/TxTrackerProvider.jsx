@@ -0,0 +1,62 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { createTxTracker } from '../utils/txTracker';
+import { TxTrackerContext } from './TxTrackerContext';
+
+const EMPTY = { transactions: [], pendingCount: 0 };
+
+/**
+ * Tracks the connected account's transactions for the whole app (saved in localStorage per chain and account)
+ * and shares them with the tray in the header through useTxTracker(); transactions still pending after a reload
+ * are picked up again
+ */
+const TxTrackerProvider = ({ provider, account, chainId, children }) => {
+  const [tracker, setTracker] = useState(null);
+  const [snapshot, setSnapshot] = useState(EMPTY);
+
+  useEffect(() => {
+    if (!provider || !account || !chainId) {
+      setTracker(null);
+      setSnapshot(EMPTY);
+      return;
+    }
+
+    const next = createTxTracker({ provider, account, chainId });
+    setTracker(next);
+    setSnapshot(next.getSnapshot());
+    next.subscribe(setSnapshot);
+    next.check().catch((err) => console.warn('Transaction check failed:', err));
+    next.start();
+
+    return () => next.stop();
+  }, [provider, account, chainId]);
+
+  const track = useMemo(() => (tracker ? (tx, info) => tracker.track(tx, info) : null), [tracker]);
+
+  const speedUp = useCallback(async (hash) => {
+    await tracker.speedUp(hash, await provider.getSigner(account));
+  }, [tracker, provider, account]);
+
+  const cancel = useCallback(async (hash) => {
+    await tracker.cancel(hash, await provider.getSigner(account));
+  }, [tracker, provider, account]);
+
+  const dismiss = useCallback((hash) => tracker?.dismiss(hash), [tracker]);
+  const clearSettled = useCallback(() => tracker?.clearSettled(), [tracker]);
+
+  const value = useMemo(() => ({
+    ...snapshot,
+    track,
+    speedUp,
+    cancel,
+    dismiss,
+    clearSettled
+  }), [snapshot, track, speedUp, cancel, dismiss, clearSettled]);
+
+  return (
+    <TxTrackerContext.Provider value={value}>
+      {children}
+    </TxTrackerContext.Provider>
+  );
+};
+
+export default TxTrackerProvider;
@@ -0,0 +1,50 @@
+// Cost review before a game transaction: prices the simulated call and waits for the user to confirm or cancel
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { fetchTxCost, getWinnerPayout } from '../utils/txCost';
+import { readContract } from '../utils/contractReads';
+
+/**
+ * @param {import('ethers').Contract|null} contract - Connected to the signer that will send
+ * @returns {{
+ *   review: (import('../utils/rpsClient').TxReview & {
+ *     cost: import('../utils/txCost').TxCost,
+ *     platformFee: bigint,
+ *     pot: bigint,
+ *     fee: bigint,
+ *     payout: bigint
+ *   }) | null,
+ *   requestReview: (tx: import('../utils/rpsClient').TxReview) => Promise<boolean>,
+ *   confirm: () => void,
+ *   cancel: () => void
+ * }} `requestReview` fits rpsClient's onReview; the bet is the value sent with the call
+ */
+export function useCostReview(contract) {
+  const [review, setReview] = useState(null);
+  const answerRef = useRef(null);
+
+  const requestReview = useCallback(async (tx) => {
+    const signer = contract.runner;
+    const [cost, platformFee] = await Promise.all([
+      fetchTxCost(signer.provider, await signer.getAddress(), tx),
+      readContract(contract, 'platformFeePercent')
+    ]);
+    return new Promise((resolve) => {
+      answerRef.current = resolve;
+      setReview({ ...tx, cost, platformFee, ...getWinnerPayout(tx.value, platformFee) });
+    });
+  }, [contract]);
+
+  const answer = useCallback((approved) => {
+    answerRef.current?.(approved);
+    answerRef.current = null;
+    setReview(null);
+  }, []);
+
+  // A review still open when the component goes away (e.g. on an account switch) counts as declined
+  useEffect(() => () => answerRef.current?.(false), []);
+
+  const confirm = useCallback(() => answer(true), [answer]);
+  const cancel = useCallback(() => answer(false), [answer]);
+
+  return { review, requestReview, confirm, cancel };
+}
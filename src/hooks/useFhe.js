@@ -0,0 +1,21 @@
+// Access the app-wide FHE lifecycle from any component
+import { useContext } from 'react';
+import { FheContext } from '../context/FheContext';
+
+/**
+ * @returns {{
+ *   status: 'idle' | 'loading-sdk' | 'initializing' | 'ready' | 'failed',
+ *   error: string | null,
+ *   attempt: number,
+ *   backend: string | null,
+ *   isReady: boolean,
+ *   retry: () => void
+ * }}
+ */
+export function useFhe() {
+  const context = useContext(FheContext);
+  if (!context) {
+    throw new Error('useFhe must be used inside <FheProvider>');
+  }
+  return context;
+}
@@ -0,0 +1,24 @@
+// Access the app-wide game index from any component
+import { useContext } from 'react';
+import { GameIndexerContext } from '../context/GameIndexerContext';
+
+/**
+ * @returns {{
+ *   games: import('../utils/gameIndexer').IndexedGame[],
+ *   lastBlock: number | null,
+ *   status: 'idle' | 'loading' | 'ready' | 'failed',
+ *   error: string | null,
+ *   source: 'indexer' | 'chain' | null,
+ *   isLoading: boolean,
+ *   refresh: () => Promise<void>,
+ *   getGame: (gameId: string) => import('../utils/gameIndexer').IndexedGame | null,
+ *   subscribeGame: (gameId: string, listener: (game: import('../utils/gameIndexer').IndexedGame) => void) => () => void
+ * }} Games newest first
+ */
+export function useGameIndex() {
+  const context = useContext(GameIndexerContext);
+  if (!context) {
+    throw new Error('useGameIndex must be used inside <GameIndexerProvider>');
+  }
+  return context;
+}
@@ -0,0 +1,20 @@
+// One game from the app-wide index; re-renders only when that game changes
+import { useCallback, useSyncExternalStore } from 'react';
+import { useGameIndex } from './useGameIndex';
+
+/**
+ * @param {string|bigint|number|null} gameId
+ * @returns {import('../utils/gameIndexer').IndexedGame | null} null until the game is indexed
+ */
+export function useIndexedGame(gameId) {
+  const { getGame, subscribeGame } = useGameIndex();
+  const id = gameId === null || gameId === undefined ? null : gameId.toString();
+
+  const subscribe = useCallback(
+    (onChange) => (id === null ? () => {} : subscribeGame(id, onChange)),
+    [subscribeGame, id]
+  );
+  const getSnapshot = useCallback(() => (id === null ? null : getGame(id)), [getGame, id]);
+
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
@@ -0,0 +1,19 @@
+// Game contract client for components: FHE encryption from the app's worker, reads batched through Multicall3,
+// sent transactions handed to the app's transaction tracker
+import { useMemo } from 'react';
+import { createRpsClient } from '../utils/rpsClient';
+import { encryptMove } from '../utils/fhe';
+import { readContract } from '../utils/contractReads';
+import { useTxTracker } from './useTxTracker';
+
+/**
+ * @param {import('ethers').Contract|null} contract
+ * @returns {ReturnType<typeof createRpsClient>|null} Null until there is a contract
+ */
+export function useRpsClient(contract) {
+  const { track } = useTxTracker();
+  return useMemo(
+    () => (contract ? createRpsClient({ contract, encrypt: encryptMove, read: readContract, onSent: track ?? undefined }) : null),
+    [contract, track]
+  );
+}
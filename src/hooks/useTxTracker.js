@@ -0,0 +1,22 @@
+// Access the app-wide transaction tracker from any component
+import { useContext } from 'react';
+import { TxTrackerContext } from '../context/TxTrackerContext';
+
+/**
+ * @returns {{
+ *   transactions: import('../utils/txTracker').TrackedTx[],
+ *   pendingCount: number,
+ *   track: ((tx: import('ethers').TransactionResponse, info?: Object) => void) | null,
+ *   speedUp: (hash: string) => Promise<void>,
+ *   cancel: (hash: string) => Promise<void>,
+ *   dismiss: (hash: string) => void,
+ *   clearSettled: () => void
+ * }} Transactions newest first; `track` is null without a connected account
+ */
+export function useTxTracker() {
+  const context = useContext(TxTrackerContext);
+  if (!context) {
+    throw new Error('useTxTracker must be used inside <TxTrackerProvider>');
+  }
+  return context;
+}
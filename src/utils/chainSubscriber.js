@@ -0,0 +1,251 @@
+// Chain subscriptions: new blocks pushed over a WebSocket when the network has one, polled over the wallet's HTTP
+// provider otherwise and while the socket is down (reconnecting with backoff in the background)
+// Every log watcher remembers the next block it needs, so a reconnect or a failed request only delays logs: the next
+// block backfills everything from there
+import { ethers } from 'ethers';
+
+export const TRANSPORT = {
+  WEBSOCKET: 'websocket',
+  POLLING: 'polling'
+};
+
+const DEFAULT_POLL_INTERVAL_MS = 4000;
+
+// Wait before each reconnect attempt; the last one repeats
+const DEFAULT_RECONNECT_DELAYS_MS = [1000, 2000, 5000, 10000, 30000];
+
+// A socket that hasn't answered eth_chainId by then counts as failed
+const CONNECT_TIMEOUT_MS = 10000;
+
+// Block range of one eth_getLogs call while backfilling; halved down to the minimum when the RPC refuses a range
+const LOG_RANGE = 2000;
+const MIN_LOG_RANGE = 100;
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Closing an already dead socket may throw; there is nothing left to clean up then
+function destroySocket(socket) {
+  try {
+    socket.destroy();
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Create a subscriber for one chain
+ * @param {Object} options
+ * @param {ethers.Provider} options.provider - HTTP / wallet provider, polled when there is no socket
+ * @param {string|null} [options.wsUrl] - WebSocket RPC endpoint; null always polls
+ * @param {number|null} [options.chainId] - Expected chain; a socket on another chain is not used
+ * @param {number} [options.pollIntervalMs=4000]
+ * @param {number[]} [options.reconnectDelaysMs]
+ * @param {(url: string) => ethers.WebSocketProvider} [options.connectWebSocket]
+ */
+export function createChainSubscriber({
+  provider,
+  wsUrl = null,
+  chainId = null,
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+  reconnectDelaysMs = DEFAULT_RECONNECT_DELAYS_MS,
+  connectWebSocket = (url) => new ethers.WebSocketProvider(url)
+}) {
+  let running = false;
+  let socket = null;
+  let head = null;
+  let pollTimer = null;
+  let reconnectTimer = null;
+  let attempts = 0;
+  let delivering = null;
+  let behind = false;
+  let logRange = LOG_RANGE;
+  const blockListeners = new Set();
+  const watchers = new Set();
+
+  // Reads go over the socket while it is up, like the block notifications
+  const source = () => socket ?? provider;
+
+  async function catchUp(watcher) {
+    watcher.nextBlock ??= head;
+    while (watchers.has(watcher) && watcher.nextBlock <= head) {
+      const fromBlock = watcher.nextBlock;
+      const toBlock = Math.min(head, fromBlock + logRange - 1);
+      let logs;
+      try {
+        logs = await source().getLogs({ address: watcher.address, topics: watcher.topics, fromBlock, toBlock });
+      } catch (err) {
+        if (logRange > MIN_LOG_RANGE && toBlock > fromBlock) {
+          logRange = Math.max(MIN_LOG_RANGE, Math.floor(logRange / 2));
+          continue;
+        }
+        throw err;
+      }
+      // Only move on once the watcher took them: a throwing watcher gets the same range again
+      await watcher.onLogs(logs, { fromBlock, toBlock });
+      watcher.nextBlock = toBlock + 1;
+    }
+  }
+
+  // Bring every watcher up to the head; a head arriving meanwhile runs another round
+  function deliver() {
+    if (delivering) {
+      behind = true;
+      return delivering;
+    }
+    delivering = (async () => {
+      do {
+        behind = false;
+        for (const watcher of [...watchers]) {
+          await catchUp(watcher);
+        }
+      } while (behind);
+    })()
+      .catch((err) => console.warn('Log delivery failed, retrying on the next block:', err))
+      .finally(() => {
+        delivering = null;
+      });
+    return delivering;
+  }
+
+  function onHead(blockNumber) {
+    const block = Number(blockNumber);
+    if (head !== null && block <= head) return;
+    head = block;
+    blockListeners.forEach((listener) => listener(block));
+    deliver();
+  }
+
+  async function poll() {
+    try {
+      onHead(await provider.getBlockNumber());
+    } catch (err) {
+      console.warn('Block polling failed:', err);
+    }
+  }
+
+  function startPolling() {
+    if (pollTimer || !running) return;
+    poll();
+    pollTimer = setInterval(poll, pollIntervalMs);
+  }
+
+  function stopPolling() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  function scheduleReconnect() {
+    if (!running || reconnectTimer) return;
+    const delay = reconnectDelaysMs[Math.min(attempts, reconnectDelaysMs.length - 1)];
+    attempts += 1;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+  }
+
+  function onClose() {
+    if (!socket) return;
+    const closed = socket;
+    socket = null;
+    destroySocket(closed);
+    console.warn(`WebSocket ${wsUrl} closed, polling until it reconnects`);
+    startPolling();
+    scheduleReconnect();
+  }
+
+  async function connect() {
+    let candidate = null;
+    try {
+      candidate = connectWebSocket(wsUrl);
+      const network = await withTimeout(candidate.getNetwork(), CONNECT_TIMEOUT_MS, `WebSocket ${wsUrl} did not answer`);
+      if (chainId !== null && Number(network.chainId) !== Number(chainId)) {
+        // Configuration error, not an outage: stay on polling
+        console.warn(`WebSocket ${wsUrl} is on chain ${network.chainId}, not ${chainId}; polling instead`);
+        destroySocket(candidate);
+        return;
+      }
+    } catch (err) {
+      console.warn('WebSocket connection failed:', err);
+      if (candidate) destroySocket(candidate);
+      scheduleReconnect();
+      return;
+    }
+    if (!running) {
+      destroySocket(candidate);
+      return;
+    }
+
+    socket = candidate;
+    attempts = 0;
+    socket.websocket.addEventListener('close', onClose);
+    await socket.on('block', onHead);
+    stopPolling();
+    // Whatever was mined while the socket was down comes with the next head; don't wait for it
+    socket.getBlockNumber().then(onHead, (err) => console.warn('Could not read the block number:', err));
+  }
+
+  return {
+    /**
+     * Transport currently delivering blocks
+     * @returns {'websocket'|'polling'}
+     */
+    getTransport() {
+      return socket ? TRANSPORT.WEBSOCKET : TRANSPORT.POLLING;
+    },
+
+    /**
+     * Listen for new blocks
+     * @param {(blockNumber: number) => void} listener
+     * @returns {() => void} Unsubscribe
+     */
+    watchBlocks(listener) {
+      blockListeners.add(listener);
+      return () => blockListeners.delete(listener);
+    },
+
+    /**
+     * Receive a contract's logs in block order, every range exactly once (including empty ranges, so the
+     * watcher can remember how far it got)
+     * @param {{ address: string, topics?: Array<string|string[]|null> }} filter
+     * @param {Object} options
+     * @param {number} [options.fromBlock] - First block to deliver; the current head by default
+     * @param {(logs: ethers.Log[], range: { fromBlock: number, toBlock: number }) => (void|Promise<void>)} options.onLogs
+     * @returns {() => void} Unsubscribe
+     */
+    watchLogs({ address, topics }, { fromBlock, onLogs }) {
+      const watcher = { address, topics, nextBlock: fromBlock ?? null, onLogs };
+      watchers.add(watcher);
+      if (head !== null) deliver();
+      return () => watchers.delete(watcher);
+    },
+
+    // Poll right away and open the socket, if there is one
+    start() {
+      if (running) return;
+      running = true;
+      startPolling();
+      if (wsUrl) connect();
+    },
+
+    stop() {
+      running = false;
+      stopPolling();
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      if (socket) {
+        const open = socket;
+        socket = null;
+        destroySocket(open);
+      }
+      blockListeners.clear();
+      watchers.clear();
+    }
+  };
+}
@@ -0,0 +1,80 @@
+// Moving an EIP-1193 wallet to a supported network: wallet_switchEthereumChain, and wallet_addEthereumChain with the
+// registry's details when the wallet doesn't know the chain yet
+
+// Wallets answer a switch to a chain they don't know with 4902 (MetaMask mobile wraps it in data.originalError)
+const UNKNOWN_CHAIN = 4902;
+const USER_REJECTED = 4001;
+const REQUEST_PENDING = -32002;
+
+export class ChainSwitchError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {string} [options.code] - REJECTED, PENDING, UNSUPPORTED
+   * @param {unknown} [options.cause]
+   */
+  constructor(message, { code = 'CHAIN_SWITCH_ERROR', cause } = {}) {
+    super(message, { cause });
+    this.name = 'ChainSwitchError';
+    this.code = code;
+  }
+}
+
+const toHexChainId = (chainId) => `0x${Number(chainId).toString(16)}`;
+
+const errorCode = (err) => err?.data?.originalError?.code ?? err?.code;
+
+/**
+ * wallet_addEthereumChain parameters for a registry entry
+ * @param {import('../config/networks').NetworkConfig} network
+ * @returns {Object}
+ */
+export function getAddChainParameters(network) {
+  return {
+    chainId: toHexChainId(network.chainId),
+    chainName: network.name,
+    nativeCurrency: network.nativeCurrency,
+    rpcUrls: [network.rpcUrl],
+    ...(network.blockExplorerUrl ? { blockExplorerUrls: [network.blockExplorerUrl] } : {})
+  };
+}
+
+function toChainSwitchError(err, network) {
+  switch (errorCode(err)) {
+    case USER_REJECTED:
+      return new ChainSwitchError(`Switching to ${network.name} was rejected in the wallet.`, { code: 'REJECTED', cause: err });
+    case REQUEST_PENDING:
+      return new ChainSwitchError('A network request is already open in the wallet. Please check it.', { code: 'PENDING', cause: err });
+    default:
+      return new ChainSwitchError(`Your wallet could not switch to ${network.name}. Please switch it manually.`, {
+        code: 'UNSUPPORTED',
+        cause: err
+      });
+  }
+}
+
+/**
+ * Ask the wallet to switch to a network, adding it first if the wallet doesn't know it
+ * Resolves once the wallet accepted; the wallet then emits chainChanged
+ * @param {Object} provider - EIP-1193 provider
+ * @param {import('../config/networks').NetworkConfig} network - Registry entry
+ * @returns {Promise<void>}
+ * @throws {ChainSwitchError}
+ */
+export async function switchChain(provider, network) {
+  const switchRequest = { method: 'wallet_switchEthereumChain', params: [{ chainId: toHexChainId(network.chainId) }] };
+  try {
+    await provider.request(switchRequest);
+    return;
+  } catch (err) {
+    if (errorCode(err) !== UNKNOWN_CHAIN) throw toChainSwitchError(err, network);
+  }
+
+  try {
+    await provider.request({ method: 'wallet_addEthereumChain', params: [getAddChainParameters(network)] });
+    // Some wallets add the chain without switching to it
+    await provider.request(switchRequest);
+  } catch (err) {
+    throw toChainSwitchError(err, network);
+  }
+}
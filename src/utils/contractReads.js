@@ -0,0 +1,63 @@
+// Batched reads of the game contract, shared by every component
+// One Multicall3 batcher per provider, using the Multicall3 of the chain's deployment (see setMulticallAddress),
+// else the network registry's
+import { createMulticall } from './multicall';
+import { getNetworkConfig } from '../config/networks';
+
+const MULTICALL_OPTIONS = {
+  chunkSize: Number(import.meta.env.VITE_MULTICALL_CHUNK_SIZE || 100),
+  concurrency: Number(import.meta.env.VITE_MULTICALL_CONCURRENCY || 4)
+};
+
+const batchers = new WeakMap();
+// chainId -> Multicall3 address (null for none) of the verified deployment
+const deploymentMulticalls = new Map();
+
+/**
+ * Batch reads on a chain through the Multicall3 its deployment manifest records
+ * Call before handing out the contract: a batcher resolves its address on the first read
+ * @param {number|bigint} chainId
+ * @param {string|null} address
+ */
+export function setMulticallAddress(chainId, address) {
+  deploymentMulticalls.set(Number(chainId), address);
+}
+
+async function resolveMulticallAddress(provider) {
+  const chainId = Number((await provider.getNetwork()).chainId);
+  if (deploymentMulticalls.has(chainId)) return deploymentMulticalls.get(chainId);
+  return getNetworkConfig(chainId)?.multicallAddress ?? null;
+}
+
+function getMulticall(provider) {
+  let multicall = batchers.get(provider);
+  if (!multicall) {
+    multicall = createMulticall({
+      provider,
+      address: () => resolveMulticallAddress(provider),
+      ...MULTICALL_OPTIONS
+    });
+    batchers.set(provider, multicall);
+  }
+  return multicall;
+}
+
+/**
+ * Batched `contract[method](...args)`; reads issued in the same tick go out as one eth_call
+ * @param {import('ethers').Contract} contract
+ * @param {string} method
+ * @param {...*} args
+ */
+export function readContract(contract, method, ...args) {
+  return getMulticall(contract.runner.provider).read(contract, method, ...args);
+}
+
+/**
+ * Read several values at once, e.g. readContractMany(contract, [['minBet'], ['maxBet']])
+ * @param {import('ethers').Contract} contract
+ * @param {Array<[string, ...*]>} calls - Method name followed by its arguments
+ * @returns {Promise<Array>} Values in the order of `calls`; rejects with the first failing read's error
+ */
+export function readContractMany(contract, calls) {
+  return Promise.all(calls.map(([method, ...args]) => readContract(contract, method, ...args)));
+}
@@ -0,0 +1,259 @@
+// Deployment manifests: what hardhat:deploy wrote for a chain (public/deployments/<chainId>.json)
+// The app takes the game contract's address, deploy block and ABI from there, and checks them against the chain
+// before using them: a stale manifest or an ABI the bytecode doesn't implement fails here, not in the first transaction
+// Networks whose deployment predates the manifests keep its address in the registry until a manifest is served
+import { ethers } from 'ethers';
+
+export const MANIFEST_VERSION = 1;
+
+// Where the Vite app serves the manifests from (hardhat/deploy writes them into public/deployments)
+export const DEFAULT_DEPLOYMENTS_URL = '/deployments';
+
+export class DeploymentError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {string} [options.code] - MANIFEST_MISSING, MANIFEST_INVALID, CHAIN_MISMATCH, NOT_DEPLOYED,
+   *   BYTECODE_MISMATCH, ABI_MISMATCH
+   * @param {unknown} [options.cause]
+   */
+  constructor(message, { code = 'DEPLOYMENT_ERROR', cause } = {}) {
+    super(message, { cause });
+    this.name = 'DeploymentError';
+    this.code = code;
+  }
+}
+
+/**
+ * @typedef {Object} DeploymentManifest
+ * @property {number} manifestVersion - MANIFEST_VERSION the deploy script wrote
+ * @property {number} chainId
+ * @property {string} network - Hardhat network name
+ * @property {string} contractName
+ * @property {string} address
+ * @property {number} deployBlock - Block of the deployment transaction (first block worth scanning)
+ * @property {string} deployTxHash
+ * @property {string} deployer
+ * @property {string} deployedAt - ISO timestamp
+ * @property {{ version: string, optimizer: { enabled: boolean, runs: number }, viaIR: boolean, evmVersion: string }} compiler
+ * @property {Object<string, string|number>} constructorArgs - Wei amounts as decimal strings
+ * @property {string} deployedBytecodeHash - keccak256 of the runtime code right after deployment
+ * @property {string|null} multicallAddress
+ * @property {Array<Object>} abi
+ */
+
+/**
+ * Check the shape of a manifest and that it belongs to `chainId`
+ * @param {unknown} manifest
+ * @param {number} chainId
+ * @returns {DeploymentManifest}
+ */
+export function validateManifest(manifest, chainId) {
+  if (!manifest || typeof manifest !== 'object') {
+    throw new DeploymentError(`The deployment manifest for chain ${chainId} is not a JSON object`, { code: 'MANIFEST_INVALID' });
+  }
+  if (manifest.manifestVersion !== MANIFEST_VERSION) {
+    throw new DeploymentError(
+      `The deployment manifest for chain ${chainId} has version ${manifest.manifestVersion}, this app reads version ${MANIFEST_VERSION}; redeploy to regenerate it`,
+      { code: 'MANIFEST_INVALID' }
+    );
+  }
+  if (Number(manifest.chainId) !== Number(chainId)) {
+    throw new DeploymentError(`The deployment manifest served for chain ${chainId} describes chain ${manifest.chainId}`, {
+      code: 'CHAIN_MISMATCH'
+    });
+  }
+  if (!ethers.isAddress(manifest.address) || !Array.isArray(manifest.abi) || !Number.isInteger(manifest.deployBlock) ||
+    !ethers.isHexString(manifest.deployedBytecodeHash, 32)) {
+    throw new DeploymentError(`The deployment manifest for chain ${chainId} is missing its address, ABI, deploy block or bytecode hash`, {
+      code: 'MANIFEST_INVALID'
+    });
+  }
+  return manifest;
+}
+
+/**
+ * Fetch and validate the manifest of a chain
+ * @param {number} chainId
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Directory the manifests are served from
+ * @param {typeof fetch} [options.fetch]
+ * @returns {Promise<DeploymentManifest>}
+ */
+export async function loadDeploymentManifest(chainId, { baseUrl = DEFAULT_DEPLOYMENTS_URL, fetch: fetchImpl = fetch } = {}) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/${Number(chainId)}.json`;
+  let res;
+  try {
+    res = await fetchImpl(url, { headers: { Accept: 'application/json' } });
+  } catch (err) {
+    throw new DeploymentError(`Could not fetch the deployment manifest ${url}`, { code: 'MANIFEST_MISSING', cause: err });
+  }
+  // SPA hosting (vercel.json, the Vite dev server) answers unknown paths with index.html instead of a 404
+  if (res.status === 404 || res.headers?.get('content-type')?.includes('text/html')) {
+    throw new DeploymentError(`No deployment manifest for chain ${chainId} at ${url}; deploy the contract to this network first`, {
+      code: 'MANIFEST_MISSING'
+    });
+  }
+  if (!res.ok) {
+    throw new DeploymentError(`Fetching the deployment manifest ${url} failed (${res.status})`, { code: 'MANIFEST_MISSING' });
+  }
+  const manifest = await res.json().catch((err) => {
+    throw new DeploymentError(`The deployment manifest ${url} is not valid JSON`, { code: 'MANIFEST_INVALID', cause: err });
+  });
+  return validateManifest(manifest, chainId);
+}
+
+// `value` pushed as a constant: PUSHn opcode followed by its bytes, leading zero bytes dropped by the compiler
+function pushesConstant(codeHex, value) {
+  const bytes = value.replace(/^(00)+/, '');
+  if (bytes === '') return true;
+  const push = (0x5f + bytes.length / 2).toString(16);
+  const needle = `${push}${bytes}`;
+  for (let i = codeHex.indexOf(needle); i !== -1; i = codeHex.indexOf(needle, i + 1)) {
+    // Only whole bytes line up with opcodes
+    if (i % 2 === 0) return true;
+  }
+  return false;
+}
+
+/**
+ * Functions of `abi` the runtime code doesn't implement
+ * The dispatcher compares against every function selector as a constant. Events can't be checked this way: the
+ * compiler leaves out the topic of an event the contract declares but never emits
+ * @param {Array<Object>|ethers.Interface} abi
+ * @param {string} code - Runtime bytecode
+ * @returns {string[]} Signatures missing from the code
+ */
+export function findUnimplemented(abi, code) {
+  const iface = ethers.Interface.from(abi);
+  const codeHex = code.toLowerCase().replace(/^0x/, '');
+  const missing = [];
+  iface.forEachFunction((fn) => {
+    if (!pushesConstant(codeHex, fn.selector.slice(2))) missing.push(fn.format());
+  });
+  return missing;
+}
+
+/**
+ * Functions and events of `required` that `abi` lacks
+ * @param {Array<Object>|ethers.Interface} abi
+ * @param {Array<Object>|ethers.Interface} required
+ * @returns {string[]} Missing signatures
+ */
+export function findMissingFragments(abi, required) {
+  const iface = ethers.Interface.from(abi);
+  const missing = [];
+  ethers.Interface.from(required).fragments.forEach((fragment) => {
+    if (fragment.type === 'function' && !iface.getFunction(fragment.selector)) missing.push(fragment.format());
+    if (fragment.type === 'event' && !iface.getEvent(fragment.topicHash)) missing.push(fragment.format());
+  });
+  return missing;
+}
+
+/**
+ * Check a manifest against the chain: code at its address, the bytecode it was written for, and an ABI that both
+ * the bytecode implements and covers everything the app calls
+ * @param {DeploymentManifest} manifest
+ * @param {ethers.Provider} provider
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.requiredAbi] - Functions and events the app uses
+ * @returns {Promise<DeploymentManifest>}
+ */
+export async function verifyDeployment(manifest, provider, { requiredAbi = [] } = {}) {
+  const code = await provider.getCode(manifest.address);
+  if (code === '0x') {
+    throw new DeploymentError(
+      `No contract at ${manifest.address} on chain ${manifest.chainId}; the manifest is from a deployment this chain no longer has`,
+      { code: 'NOT_DEPLOYED' }
+    );
+  }
+  if (ethers.keccak256(code) !== manifest.deployedBytecodeHash.toLowerCase()) {
+    throw new DeploymentError(
+      `The contract at ${manifest.address} is not the bytecode the manifest was written for; redeploy or regenerate the manifest`,
+      { code: 'BYTECODE_MISMATCH' }
+    );
+  }
+  const unimplemented = findUnimplemented(manifest.abi, code);
+  if (unimplemented.length > 0) {
+    throw new DeploymentError(`The manifest ABI does not match the deployed bytecode, which lacks ${unimplemented.join(', ')}`, {
+      code: 'ABI_MISMATCH'
+    });
+  }
+  const missing = findMissingFragments(manifest.abi, requiredAbi);
+  if (missing.length > 0) {
+    throw new DeploymentError(`The deployed contract lacks ${missing.join(', ')}, which this app uses`, { code: 'ABI_MISMATCH' });
+  }
+  return manifest;
+}
+
+/**
+ * @typedef {Object} GameDeployment
+ * @property {string} address
+ * @property {number} deployBlock
+ * @property {Array<Object>} abi - ABI to build the contract with
+ * @property {string|null} multicallAddress - Multicall3 batching reads of this deployment
+ * @property {'manifest'|'registry'} source
+ */
+
+/**
+ * A contract address without a manifest (the registry's, from before the manifests, or one an operator configured):
+ * no bytecode hash to compare, so the code at the address only has to dispatch every required function; optional
+ * ones it lacks are left out of the ABI
+ * @param {{ chainId: number, contractAddress: string, deploymentBlock?: number, multicallAddress?: string|null }} network
+ * @param {ethers.Provider} provider
+ * @param {{ requiredAbi: Array<Object>, abi: Array<Object> }} options
+ * @returns {Promise<GameDeployment>}
+ */
+export async function verifyAddressDeployment(network, provider, { requiredAbi, abi }) {
+  const code = await provider.getCode(network.contractAddress);
+  if (code === '0x') {
+    throw new DeploymentError(`No contract at ${network.contractAddress} on chain ${network.chainId}`, { code: 'NOT_DEPLOYED' });
+  }
+  const missing = findUnimplemented(requiredAbi, code);
+  if (missing.length > 0) {
+    throw new DeploymentError(`The contract at ${network.contractAddress} lacks ${missing.join(', ')}, which this app uses`, {
+      code: 'ABI_MISMATCH'
+    });
+  }
+  const unimplemented = new Set(findUnimplemented(abi, code));
+  const implemented = (fragment) => fragment.type !== 'function' || !unimplemented.has(fragment.format());
+  return {
+    address: network.contractAddress,
+    deployBlock: network.deploymentBlock ?? 0,
+    abi: ethers.Interface.from(abi).fragments.filter(implemented),
+    multicallAddress: network.multicallAddress,
+    source: 'registry'
+  };
+}
+
+/**
+ * The game contract of a network, checked against the chain: from its manifest, or from the registry's
+ * contractAddress while the network has no manifest yet
+ * @param {import('../config/networks').NetworkConfig} network
+ * @param {ethers.Provider} provider
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.requiredAbi] - Functions and events the app uses
+ * @param {Array<Object>} [options.abi] - Full ABI the app knows, for a registry deployment
+ * @param {string} [options.baseUrl]
+ * @param {typeof fetch} [options.fetch]
+ * @returns {Promise<GameDeployment>}
+ */
+export async function resolveDeployment(network, provider, { requiredAbi = [], abi = requiredAbi, ...loadOptions } = {}) {
+  let manifest;
+  try {
+    manifest = await loadDeploymentManifest(network.chainId, loadOptions);
+  } catch (err) {
+    if (err.code !== 'MANIFEST_MISSING' || !network.contractAddress) throw err;
+    console.warn(`No deployment manifest for ${network.name}, using the registry address ${network.contractAddress}`);
+    return verifyAddressDeployment(network, provider, { requiredAbi, abi });
+  }
+  await verifyDeployment(manifest, provider, { requiredAbi });
+  return {
+    address: manifest.address,
+    deployBlock: manifest.deployBlock,
+    abi: manifest.abi,
+    // A deploy that brought its own Multicall3 records where; the registry's is only a default for the chain
+    multicallAddress: manifest.multicallAddress !== undefined ? manifest.multicallAddress : network.multicallAddress,
+    source: 'manifest'
+  };
+}
@@ -1,381 +1,213 @@
-// FHE Utility functions using Zama Relayer SDK
-import { ethers } from 'ethers';
+// FHE Utility functions (Zama relayer SDK or Hardhat mock, see ./fheBackends)
+// The FHEVM instance lives in a Web Worker (see ./fheWorkerClient); these helpers are its main-thread API
+import { selectFheBackend } from './fheBackends';
+import { getNetworkConfig } from '../config/networks';
+import { runFheTask } from './fheWorkerClient';
+import {
+  FheError,
+  FheNotInitializedError,
+  DecryptionDeniedError,
+  UnsupportedNetworkError
+} from './fheErrors';
+import { encodeHandle, encodeHandles } from './fheCodec';
 
-// SDK CDN URL
-// Use proxy path in both dev and production to avoid CORS issues
-// Vercel rewrite handles the proxy in production
-const SDK_URL = '/cdn.zama.ai/relayer-sdk-js/0.2.0/relayer-sdk-js.js';
-let sdkLoaded = false;
-let sdkLoadPromise = null;
+export { isFheTaskCancelled } from './fheWorkerClient';
 
-let fheInstance = null;
+let fheReady = false;
+let fheBackendName = null;
+let fheChainId = null;
+// In-flight or settled initialization, keyed by chain and backend, so repeated calls share it
+let initPromise = null;
+let initKey = null;
+
+// Chain the injected wallet is connected to, for callers that don't pass the chain
+async function getWalletChainId() {
+  // Check if ethereum is available (prevents mobile crashes)
+  if (typeof window === 'undefined' || !window.ethereum) {
+    throw new FheError('Ethereum provider not found. Please install MetaMask or connect a wallet.', { code: 'NO_WALLET' });
+  }
+  const chainIdHex = await window.ethereum.request({ method: 'eth_chainId' });
+  return Number(chainIdHex);
+}
 
 /**
- * Load the FHE SDK from CDN
- * Uses Vite proxy in development to avoid CORS issues
- * Falls back to script tag method if dynamic import fails
+ * Initialize the FHEVM instance for the wallet's chain, using the FHE configuration and
+ * backend from the network registry (Zama relayer on public networks, Hardhat mock locally)
+ * Calls for the same chain share one instance (and one in-flight initialization)
+ * Failures are FheErrors (see ./fheErrors); `err.retryable` tells whether initializing again can help
+ * @param {Object} [options]
+ * @param {number} [options.chainId] - Chain to initialize for; read from the wallet when omitted
+ * @param {(progress: { stage: 'loading-sdk' | 'initializing' }) => void} [options.onProgress]
+ * @returns {Promise<{ backend: string }>}
  */
-async function loadSDK() {
-  // If already loaded, return immediately
-  if (sdkLoaded && window.RelayerSDK) {
-    return window.RelayerSDK;
+export async function initializeFheInstance(options = {}) {
+  const chainId = options.chainId ?? await getWalletChainId();
+  const networkConfig = getNetworkConfig(chainId);
+  if (!networkConfig) {
+    throw new UnsupportedNetworkError(`Unsupported network (chain ${chainId})`);
   }
+  const backend = selectFheBackend(networkConfig);
 
-  // If currently loading, wait for that promise
-  if (sdkLoadPromise) {
-    return sdkLoadPromise;
+  const key = `${chainId}:${backend.name}`;
+  if (initPromise && initKey === key) {
+    return initPromise;
   }
 
-  // Method 1: Try dynamic import (works with Vite proxy in dev, or if CDN has CORS headers in prod)
-  const tryDynamicImport = async () => {
-    try {
-      // Use @vite-ignore to allow external URL imports
-      const module = await import(/* @vite-ignore */ SDK_URL);
-      window.RelayerSDK = module;
-      sdkLoaded = true;
-      return module;
-    } catch (err) {
-      console.warn('Dynamic import failed, trying script tag method:', err.message);
-      throw err;
+  initKey = key;
+  initPromise = createFheInstance(backend, networkConfig, options.onProgress).catch((err) => {
+    // Let the next call retry instead of replaying the failure
+    if (initKey === key) {
+      initPromise = null;
+      initKey = null;
     }
-  };
-
-  // Method 2: Use script tag as fallback (for production if CORS is still an issue)
-  const tryScriptTag = () => {
-    return new Promise((resolve, reject) => {
-      // Check if script already exists
-      const existingScript = document.querySelector(`script[src="${SDK_URL}"]`);
-      if (existingScript) {
-        // Wait for SDK to be available
-        let attempts = 0;
-        const checkInterval = setInterval(() => {
-          attempts++;
-          const sdk = window.RelayerSDK || (window.fhevm && window.fhevm.initSDK ? window.fhevm : null);
-          if (sdk) {
-            clearInterval(checkInterval);
-            window.RelayerSDK = sdk;
-            sdkLoaded = true;
-            resolve(sdk);
-          } else if (attempts >= 100) {
-            clearInterval(checkInterval);
-            reject(new Error('SDK did not load within timeout'));
-          }
-        }, 100);
-        return;
-      }
-
-      // Create script element
-      const script = document.createElement('script');
-      script.type = 'module';
-      script.src = SDK_URL;
-      script.async = true;
-      script.crossOrigin = 'anonymous';
-
-      // Handle successful load
-      script.onload = () => {
-        // Give the module time to execute
-        let attempts = 0;
-        const maxAttempts = 50; // 5 seconds max wait
-        
-        const checkSDK = setInterval(() => {
-          attempts++;
-          
-          // Check various possible SDK locations
-          const sdk = window.RelayerSDK || window.fhevm || window.FHE || null;
-          
-          if (sdk) {
-            clearInterval(checkSDK);
-            window.RelayerSDK = sdk;
-            sdkLoaded = true;
-            resolve(sdk);
-          } else if (attempts >= maxAttempts) {
-            clearInterval(checkSDK);
-            reject(new Error('SDK loaded but exports not found'));
-          }
-        }, 100);
-      };
-
-      // Handle load errors
-      script.onerror = (error) => {
-        script.remove();
-        reject(new Error(`Failed to load FHE SDK script: ${error.message || 'Unknown error'}`));
-      };
-
-      // Append to document head
-      document.head.appendChild(script);
-    });
-  };
-
-  // Try dynamic import first (should work with Vite proxy)
-  // Fall back to script tag if that fails
-  sdkLoadPromise = tryDynamicImport().catch((err) => {
-    console.warn('Falling back to script tag method:', err.message);
-    return tryScriptTag();
+    throw err;
   });
 
-  return sdkLoadPromise;
+  return initPromise;
 }
 
-export async function initializeFheInstance() {
-  // Check if ethereum is available (prevents mobile crashes)
-  if (typeof window === 'undefined' || !window.ethereum) {
-    throw new Error('Ethereum provider not found. Please install MetaMask or connect a wallet.');
-  }
+async function createFheInstance(backend, networkConfig, onProgress) {
+  try {
+    fheReady = false;
+    const result = await runFheTask('init', { chainId: networkConfig.chainId }, { onProgress });
+    fheReady = true;
+    fheBackendName = result.backend;
+    fheChainId = networkConfig.chainId;
 
-  // Patch fetch to proxy ALL Zama CDN requests (WASM, JS, etc.)
-  // Works in both development (Vite proxy) and production (Vercel rewrite)
-  const originalFetch = window.fetch;
-  const proxyEnabled = true; // Always enabled since we use proxy in both dev and prod
-  
-  if (proxyEnabled) {
-    window.fetch = function(input, init) {
-      // Handle both string URLs and Request objects
-      let url;
-      if (typeof input === 'string') {
-        url = input;
-      } else if (input instanceof Request) {
-        url = input.url;
-      } else {
-        url = input?.url || input?.href || '';
-      }
-      
-      // Intercept ALL requests to Zama CDN and proxy them (WASM, JS, and other resources)
-      // Only proxy absolute HTTPS URLs, not already-proxied relative URLs
-      if (url && url.includes('cdn.zama.ai') && url.startsWith('https://')) {
-        const proxiedUrl = url.replace('https://cdn.zama.ai', '/cdn.zama.ai');
-        console.log(`Proxying CDN request: ${url} -> ${proxiedUrl}`);
-        
-        // If input is a Request object, create a new one with the proxied URL
-        if (input instanceof Request) {
-          return originalFetch(new Request(proxiedUrl, {
-            method: input.method,
-            headers: input.headers,
-            body: input.body,
-            mode: input.mode,
-            credentials: input.credentials,
-            cache: input.cache,
-            redirect: input.redirect,
-            referrer: input.referrer,
-            integrity: input.integrity,
-            ...init
-          }), init);
-        }
-        
-        return originalFetch(proxiedUrl, init);
-      }
-      
-      return originalFetch(input, init);
-    };
+    console.log(`FHE Instance initialized successfully with the ${backend.name} backend (chain ${networkConfig.chainId})`);
+
+    return result;
+  } catch (err) {
+    console.error('FHEVM instance creation failed:', err);
+    if (err instanceof FheError) throw err;
+    throw new FheError(`FHE initialization failed: ${err.message || 'Unknown error'}`, {
+      code: 'FHE_INIT_FAILED',
+      retryable: true,
+      cause: err
+    });
   }
+}
 
-  try {
-    // Load SDK from CDN using script tag (avoids CORS issues)
-    const sdk = await loadSDK();
-
-    // The SDK should export initSDK, createInstance, and SepoliaConfig
-    // If it's a module, these will be on the default export or named exports
-    let initSDK, createInstance, SepoliaConfig;
-
-    if (sdk.default) {
-      // ES module with default export
-      ({ initSDK, createInstance, SepoliaConfig } = sdk.default);
-    } else if (sdk.initSDK) {
-      // Direct named exports
-      ({ initSDK, createInstance, SepoliaConfig } = sdk);
-    } else {
-      // Try accessing as global
-      const globalSDK = window.RelayerSDK || window.fhevm || window;
-      if (globalSDK.initSDK) {
-        ({ initSDK, createInstance, SepoliaConfig } = globalSDK);
-      } else {
-        throw new Error('SDK structure not recognized. Expected initSDK, createInstance, and SepoliaConfig exports.');
+// Delays before automatically repeating an operation that failed with a retryable error
+const SAFE_RETRY_DELAYS_MS = [500, 1500];
+
+/**
+ * Run an FHE task, repeating it while it fails with a retryable FheError
+ * Only for operations without side effects (encryption, decryption) - never around a transaction
+ */
+async function runWithRetry(task, signal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (err) {
+      if (!err?.retryable || attempt >= SAFE_RETRY_DELAYS_MS.length || signal?.aborted) {
+        throw err;
       }
+      console.warn(`FHE operation failed (${err.code}), retrying:`, err.message);
+      await new Promise((resolve) => setTimeout(resolve, SAFE_RETRY_DELAYS_MS[attempt]));
     }
+  }
+}
 
-    // Initialize SDK (loads WASM)
-    await initSDK();
-
-    // Use SepoliaConfig with custom network provider
-    // SepoliaConfig includes all the necessary contract addresses and chain IDs
-    const config = { 
-      ...SepoliaConfig, 
-      network: window.ethereum 
-    };
+function requireReady() {
+  if (!fheReady) throw new FheNotInitializedError();
+}
 
-    fheInstance = await createInstance(config);
+// Whether an FHEVM instance is ready for encryption
+export function isFheInitialized() {
+  return fheReady;
+}
 
-    console.log('FHE Instance initialized successfully with SepoliaConfig');
-    
-    // Keep fetch patched for the entire session - SDK may need more files later
-    // Only restore in production or if explicitly needed
-    // Don't restore fetch - SDK may load additional resources asynchronously
-    
-    return fheInstance;
-  } catch (err) {
-    // Keep fetch patched even on error - might be needed for retries
-    // Only restore if we're sure initialization has completely failed
-    
-    console.error('FHEVM instance creation failed:', err);
-    
-    // More specific error messages
-    if (err.message?.includes('Failed to fetch') || err.message?.includes('Failed to load')) {
-      throw new Error('Failed to load FHE SDK. Please check your internet connection and try refreshing the page.');
-    } else if (err.message?.includes('NetworkError')) {
-      throw new Error('Network error while loading FHE SDK. Please try again.');
-    } else if (err.message?.includes('WASM')) {
-      throw new Error('Failed to load FHE WASM module. Please refresh the page.');
-    } else if (err.message?.includes('CORS')) {
-      throw new Error('CORS error loading SDK. This should be resolved by using script tag loading.');
-    }
-    
-    throw new Error(`FHE initialization failed: ${err.message || 'Unknown error'}`);
-  }
+// Name of the backend the current instance was created with ('relayer' or 'mock')
+export function getFheBackendName() {
+  return fheBackendName;
 }
 
-export function getFheInstance() {
-  return fheInstance;
+/**
+ * Wait for the decryption oracle to fulfil pending requests
+ * Only the mock backend needs this; the Zama oracle calls back on its own
+ */
+export async function awaitDecryptionOracle() {
+  if (fheReady) {
+    await runFheTask('awaitDecryptionOracle');
+  }
 }
 
-// Encrypt a move (0=Rock, 1=Paper, 2=Scissors)
-export async function encryptMove(move, contractAddress, userAddress) {
+/**
+ * Encrypt a move (0=Rock, 1=Paper, 2=Scissors) in the FHE worker
+ * @param {number} move
+ * @param {string} contractAddress
+ * @param {string} userAddress
+ * @param {Object} [options]
+ * @param {(progress: { stage: 'preparing' | 'encrypting' | 'finalizing' }) => void} [options.onProgress]
+ * @param {AbortSignal} [options.signal] - Cancels the encryption (rejects with an AbortError)
+ * Relayer outages are retried automatically; other failures reject with a typed FheError
+ * @returns {Promise<{ handle: string, proof: string, hash: string }>} Handle and proof as 0x hex
+ */
+export async function encryptMove(move, contractAddress, userAddress, options = {}) {
   // Input validation
   if (typeof move !== 'number' || move < 0 || move > 2) {
-    throw new Error('Invalid move: must be 0 (Rock), 1 (Paper), or 2 (Scissors)');
+    throw new FheError('Invalid move: must be 0 (Rock), 1 (Paper), or 2 (Scissors)', { code: 'INVALID_MOVE' });
   }
   
   if (!contractAddress || !userAddress) {
-    throw new Error('Contract address and user address are required');
+    throw new FheError('Contract address and user address are required', { code: 'ENCRYPTED_INPUT_INVALID' });
   }
 
+  requireReady();
+
   try {
-    const fhe = getFheInstance();
-    if (!fhe) throw new Error('FHE instance not initialized. Call initializeFheInstance() first.');
-    
-    // Create encrypted input buffer
-    const buffer = fhe.createEncryptedInput(
-      contractAddress,
-      userAddress
+    return await runWithRetry(
+      () => runFheTask('encrypt', { move, contractAddress, userAddress }, options),
+      options.signal
     );
-
-    // Add the move as uint8 (0-2)
-    buffer.add8(Number(move));
-
-    // Encrypt and get ciphertext handles
-    const ciphertexts = await buffer.encrypt();
-    
-    // Debug: Log raw ciphertext data (only in development)
-    if (process.env.NODE_ENV === 'development') {
-      console.log('Raw ciphertexts:', {
-        handles: ciphertexts.handles,
-        handlesType: typeof ciphertexts.handles[0],
-        handlesLength: ciphertexts.handles[0]?.length,
-        inputProof: ciphertexts.inputProof
-      });
-    }
-    
-    // Ensure handle is exactly 32 bytes (bytes32)
-    let handle = ciphertexts.handles[0];
-    
-    // Convert to proper hex string if it's not already
-    if (typeof handle === 'string') {
-      // Already a hex string
-      if (handle.length !== 66) { // 0x + 64 hex chars = 66 total
-        console.warn('Handle length:', handle.length, 'Expected: 66');
-        // Pad with zeros if too short
-        if (handle.length < 66) {
-          handle = handle + '0'.repeat(66 - handle.length);
-        }
-      }
-    } else {
-      // Convert Uint8Array to hex string, ensuring exactly 32 bytes
-      if (handle.length > 32) {
-        // Truncate to exactly 32 bytes
-        handle = handle.slice(0, 32);
-        console.warn('Handle truncated to 32 bytes from:', handle.length);
-      } else if (handle.length < 32) {
-        // Pad with zeros to exactly 32 bytes
-        const padded = new Uint8Array(32);
-        padded.set(handle);
-        handle = padded;
-        console.warn('Handle padded to 32 bytes from:', handle.length);
-      }
-      
-      // Convert to hex string
-      handle = ethers.hexlify(handle);
-    }
-    
-    // Remove "0x" prefix for Oracle (Oracle expects raw 32 bytes)
-    const handleWithoutPrefix = handle.startsWith('0x') ? handle.slice(2) : handle;
-    
-    // Final validation - Oracle expects exactly 64 hex chars (32 bytes)
-    if (handleWithoutPrefix.length !== 64) {
-      throw new Error(`Invalid handle length: ${handleWithoutPrefix.length}, expected 64 (32 bytes without 0x)`);
-    }
-    
-    return {
-      handle: '0x' + handleWithoutPrefix, // Contract expects 0x prefix for externalEuint8
-      proof: ciphertexts.inputProof,
-      hash: ethers.keccak256('0x' + handleWithoutPrefix) // For verification
-    };
   } catch (error) {
-    console.error('Failed to encrypt move:', error);
-    
-    // More specific error messages
-    if (error.message?.includes('createEncryptedInput')) {
-      throw new Error('Failed to create encrypted input. Please check contract address and user address.');
-    } else if (error.message?.includes('encrypt')) {
-      throw new Error('Failed to encrypt move. Please try again.');
+    if (error.name !== 'AbortError') {
+      console.error('Failed to encrypt move:', error);
     }
-    
     throw error;
   }
 }
 
-// Decrypt a single encrypted value using the relayer
-export async function decryptValue(encryptedBytes) {
-  const fhe = getFheInstance();
-  if (!fhe) throw new Error('FHE instance not initialized. Call initializeFheInstance() first.');
-
-  try {
-    // Always pass an array of hex strings
-    let handle = encryptedBytes;
-    if (typeof handle === "string" && handle.startsWith("0x") && handle.length === 66) {
-      const values = await fhe.publicDecrypt([handle]);
-      // values is an object: { [handle]: value }
-      return Number(values[handle]);
-    } else {
-      throw new Error('Invalid ciphertext handle for decryption');
-    }
-  } catch (error) {
-    // Check for relayer/network error
-    if (error?.message?.includes('Failed to fetch') || error?.message?.includes('NetworkError')) {
-      throw new Error('Decryption service is temporarily unavailable. Please try again later.');
-    }
-    throw error;
+// Relayed values, or values whose KMS signatures were checked locally (DecryptionUnverifiedError otherwise)
+async function runPublicDecrypt(handles, verify) {
+  if (!verify) {
+    return runWithRetry(() => runFheTask('publicDecrypt', { handles }));
   }
+  const { values } = await runWithRetry(() => runFheTask('verifiedPublicDecrypt', { handles }));
+  return values;
 }
 
-// Public decrypt (for revealing game results)
-export async function publicDecrypt(handles) {
+/**
+ * Decrypt a single encrypted value using the relayer
+ * @param {string} encryptedBytes - bytes32 handle
+ * @param {Object} [options]
+ * @param {boolean} [options.verify=false] - Verify the KMS signatures locally instead of trusting the relayer
+ */
+export async function decryptValue(encryptedBytes, { verify = false } = {}) {
+  requireReady();
+
+  const handle = encodeHandle(encryptedBytes);
+
+  const values = await runPublicDecrypt([handle], verify);
+  // values is an object: { [handle]: value }
+  return Number(values[handle]);
+}
+
+/**
+ * Public decrypt (for revealing game results)
+ * @param {string|string[]} handles
+ * @param {Object} [options]
+ * @param {boolean} [options.verify=false] - Verify the KMS signatures locally instead of trusting the relayer
+ */
+export async function publicDecrypt(handles, { verify = false } = {}) {
   try {
-    const fhe = getFheInstance();
-    if (!fhe) throw new Error('FHE instance not initialized. Call initializeFheInstance() first.');
+    requireReady();
     
-    // Ensure handles is an array
-    const handleArray = Array.isArray(handles) ? handles : [handles];
+    // Every handle must be a well-formed bytes32 (InvalidHandleError otherwise)
+    const validHandles = encodeHandles(handles);
     
-    // Filter valid handles (should be 66 characters starting with 0x)
-    const validHandles = handleArray.filter(handle => 
-      typeof handle === "string" && 
-      handle.startsWith("0x") && 
-      handle.length === 66
-    );
-    
-    if (validHandles.length === 0) {
-      throw new Error('No valid ciphertext handles for decryption');
-    }
-    
-    const values = await fhe.publicDecrypt(validHandles);
+    const values = await runPublicDecrypt(validHandles, verify);
     
     // If single handle requested, return single value
     if (!Array.isArray(handles)) {
@@ -385,18 +217,101 @@ export async function publicDecrypt(handles) {
     return values;
   } catch (error) {
     console.error('Failed to public decrypt:', error);
-    
-    // Check for relayer/network error
-    if (error?.message?.includes('Failed to fetch') || 
-        error?.message?.includes('NetworkError')) {
-      throw new Error('Decryption service is temporarily unavailable. Please try again later.');
-    }
-    
     throw error;
   }
 }
 
-// Check if FHE is available
-export function isFheAvailable() {
-  return typeof window !== 'undefined' && window.ethereum;
-}
\ No newline at end of file
+// How long a signed user-decryption request stays valid
+const USER_DECRYPT_DURATION_DAYS = 1;
+
+// Signed requests by chain, user and contract, kept in memory only so revealing another move doesn't prompt again
+// The matching private key never leaves the FHE engine; nothing is written to storage, a reload signs anew
+const userDecryptCredentials = new Map();
+
+function isCredentialValid(credentials) {
+  // Treat credentials as expired a minute early so a request never races the deadline
+  const expiresAt = credentials.startTimestamp + credentials.durationDays * 86400 - 60;
+  return Math.floor(Date.now() / 1000) < expiresAt;
+}
+
+/**
+ * Public key and EIP-712 signature authorizing user decryption on a contract
+ * Reuses the pair for the same chain, user and contract until it expires; otherwise asks the wallet to sign
+ */
+async function getUserDecryptCredentials(contractAddress, signer) {
+  const userAddress = await signer.getAddress();
+  const key = `${fheChainId}:${userAddress.toLowerCase()}:${contractAddress.toLowerCase()}`;
+
+  const cached = userDecryptCredentials.get(key);
+  if (cached && isCredentialValid(cached)) return { key, credentials: cached };
+
+  const { publicKey } = await runFheTask('generateKeypair');
+  const startTimestamp = Math.floor(Date.now() / 1000);
+  const durationDays = USER_DECRYPT_DURATION_DAYS;
+  const eip712 = await runFheTask('createUserDecryptEip712', {
+    publicKey,
+    contractAddresses: [contractAddress],
+    startTimestamp,
+    durationDays
+  });
+
+  let signature;
+  try {
+    signature = await signer.signTypedData(
+      eip712.domain,
+      { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
+      eip712.message
+    );
+  } catch (err) {
+    if (err?.code === 'ACTION_REJECTED' || err?.code === 4001) {
+      throw new DecryptionDeniedError('Decryption request signature was rejected in the wallet.', { cause: err });
+    }
+    throw new FheError('Could not sign the decryption request.', { code: 'SIGNATURE_FAILED', cause: err });
+  }
+
+  const credentials = {
+    publicKey,
+    signature: signature.replace('0x', ''),
+    userAddress,
+    startTimestamp,
+    durationDays
+  };
+  userDecryptCredentials.set(key, credentials);
+  return { key, credentials };
+}
+
+/**
+ * Decrypt handles the connected user has been granted ACL access to (e.g. their own moves)
+ * The first call per contract asks the wallet for an EIP-712 signature, later calls in the session reuse it
+ * @param {string|string[]} handles - bytes32 ciphertext handle(s)
+ * @param {string} contractAddress - Contract holding the handles
+ * @param {import('ethers').Signer} signer - Signer of the user the handles are shared with
+ * @returns {Promise<Object>} Map of handle to clear value
+ */
+export async function userDecrypt(handles, contractAddress, signer) {
+  requireReady();
+  const validHandles = encodeHandles(handles);
+
+  const decrypt = ({ credentials }) => runWithRetry(() => runFheTask('userDecrypt', {
+    handleContractPairs: validHandles.map((handle) => ({ handle, contractAddress })),
+    publicKey: credentials.publicKey,
+    signature: credentials.signature,
+    contractAddresses: [contractAddress],
+    userAddress: credentials.userAddress,
+    startTimestamp: credentials.startTimestamp,
+    durationDays: credentials.durationDays
+  }));
+
+  const signed = await getUserDecryptCredentials(contractAddress, signer);
+  try {
+    return await decrypt(signed);
+  } catch (error) {
+    if (error?.code === 'USER_DECRYPT_KEY_LOST') {
+      // The worker restarted since the request was signed: sign one for a fresh keypair
+      userDecryptCredentials.delete(signed.key);
+      return decrypt(await getUserDecryptCredentials(contractAddress, signer));
+    }
+    console.error('Failed to user decrypt:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,44 @@
+// FHE backend selection
+import { relayerBackend } from './relayer';
+import { mockBackend } from './mock';
+import { FheError } from '../fheErrors';
+
+/**
+ * @typedef {Object} FheBackend
+ * @property {string} name - Backend identifier ('relayer' or 'mock')
+ * @property {(options: { networkConfig: Object, network: Object, onProgress?: Function }) => Promise<Object>} createInstance -
+ *   Resolves to an FHEVM instance (createEncryptedInput, publicDecrypt, ...) for a registry entry
+ *   (see config/networks.js); reports { stage: 'loading-sdk' | 'initializing' } through onProgress
+ * @property {(handles: string[]) => Promise<Object>} fetchPublicDecryption - Raw public decryption of handles:
+ *   { decryptedResult, signatures, extraData, domain: { chainId, verifyingContract }, kmsContractAddress },
+ *   not yet verified (see utils/kmsVerification.js)
+ * @property {() => Promise<void>} awaitDecryptionOracle - Resolves once pending oracle
+ *   decryption requests have been fulfilled (no-op where the oracle runs on its own)
+ */
+
+const BACKENDS = {
+  [relayerBackend.name]: relayerBackend,
+  [mockBackend.name]: mockBackend
+};
+
+/**
+ * Pick the FHE backend for a network
+ * VITE_FHE_BACKEND ('relayer' | 'mock') overrides the registry's choice
+ * @param {Object} networkConfig - Registry entry of the wallet's chain
+ * @returns {FheBackend}
+ */
+export function selectFheBackend(networkConfig) {
+  const override = import.meta.env.VITE_FHE_BACKEND;
+  if (override) {
+    const backend = BACKENDS[override];
+    if (!backend) {
+      throw new FheError(
+        `Unknown VITE_FHE_BACKEND "${override}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`,
+        { code: 'FHE_CONFIG_INVALID' }
+      );
+    }
+    return backend;
+  }
+
+  return BACKENDS[networkConfig.fheBackend] || relayerBackend;
+}
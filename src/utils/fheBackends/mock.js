@@ -0,0 +1,94 @@
+// Mock backend: talks to the @fhevm/hardhat-plugin mock coprocessor of a local Hardhat node
+import { ethers } from 'ethers';
+import { DecryptionUnverifiedError, FheNotInitializedError, RelayerUnavailableError } from '../fheErrors';
+
+// Gateway contracts the hardhat plugin signs decryptions and input proofs for
+const MOCK_VERIFYING_CONTRACT_DECRYPTION = '0x5ffdaAB0373E62E2ea2944776209aEf29E631A64';
+const MOCK_VERIFYING_CONTRACT_INPUT_VERIFICATION = '0x812b06e1CDCE800494b79fFE4f925A504a9A9810';
+
+// JSON-RPC provider of `npx hardhat node` (the plugin answers the fhevm_* relayer methods there)
+let rpcProvider = null;
+let rpcUrl = null;
+
+// FHEVM contract addresses reported by the node (fhevm_relayer_metadata)
+let relayerMetadata = null;
+
+function getRpcProvider(url = rpcUrl) {
+  if (!rpcProvider || url !== rpcUrl) {
+    rpcProvider = new ethers.JsonRpcProvider(url);
+    rpcUrl = url;
+  }
+  return rpcProvider;
+}
+
+export const mockBackend = {
+  name: 'mock',
+
+  /**
+   * Create a mock FHEVM instance bound to the Hardhat node's mock coprocessor
+   * Exposes the same createEncryptedInput/publicDecrypt API as the relayer SDK instance
+   */
+  async createInstance({ networkConfig, onProgress = () => {} }) {
+    onProgress({ stage: 'loading-sdk' });
+    const provider = getRpcProvider(networkConfig.rpcUrl);
+
+    let metadata;
+    try {
+      metadata = await provider.send('fhevm_relayer_metadata', []);
+    } catch (err) {
+      throw new RelayerUnavailableError(
+        `Mock FHEVM not reachable at ${networkConfig.rpcUrl}. Start it with "npm run hardhat:node".`,
+        { cause: err }
+      );
+    }
+
+    // Loaded lazily so the mock library never ships in the relayer code path
+    const { MockFhevmInstance } = await import('@fhevm/mock-utils');
+
+    onProgress({ stage: 'initializing' });
+    relayerMetadata = metadata;
+
+    return MockFhevmInstance.create(provider, provider, {
+      aclContractAddress: metadata.ACLAddress,
+      chainId: Number(metadata.chainId),
+      gatewayChainId: Number(metadata.gatewayChainId),
+      inputVerifierContractAddress: metadata.InputVerifierAddress,
+      kmsContractAddress: metadata.KMSVerifierAddress,
+      verifyingContractAddressDecryption: MOCK_VERIFYING_CONTRACT_DECRYPTION,
+      verifyingContractAddressInputVerification: MOCK_VERIFYING_CONTRACT_INPUT_VERIFICATION
+    });
+  },
+
+  /**
+   * Ask the mock relayer for a public decryption and hand it back unverified, KMS signatures included
+   * @param {string[]} handles - Normalized bytes32 handles
+   */
+  async fetchPublicDecryption(handles) {
+    if (!relayerMetadata) throw new FheNotInitializedError();
+
+    const result = await getRpcProvider().send('fhevm_relayer_v1_public_decrypt', [
+      { ciphertextHandles: handles, extraData: '0x00' }
+    ]);
+    if (typeof result?.decrypted_value !== 'string' || !Array.isArray(result.signatures)) {
+      throw new DecryptionUnverifiedError('The mock relayer returned a malformed decryption response.');
+    }
+
+    const with0x = (hex) => (hex.startsWith('0x') ? hex : `0x${hex}`);
+    return {
+      decryptedResult: with0x(result.decrypted_value),
+      signatures: result.signatures.map(with0x),
+      // Unlike the real KMS, the mock signs over the request's extra data
+      extraData: '0x00',
+      domain: {
+        chainId: Number(relayerMetadata.gatewayChainId),
+        verifyingContract: MOCK_VERIFYING_CONTRACT_DECRYPTION
+      },
+      kmsContractAddress: relayerMetadata.KMSVerifierAddress
+    };
+  },
+
+  // The mock decryption oracle only fulfils requests when asked to
+  async awaitDecryptionOracle() {
+    await getRpcProvider().send('fhevm_awaitDecryptionOracle', []);
+  }
+};
@@ -0,0 +1,293 @@
+// Relayer backend: Zama relayer SDK loaded from the CDN (through the /cdn.zama.ai proxy),
+// or from the integrity-checked self-hosted copy in `--mode self-hosted` builds
+import sdkAssets from 'virtual:fhe-sdk-assets';
+import { fetchVerifiedAsset, importVerifiedModule } from '../sdkIntegrity';
+import {
+  FheError,
+  FheSdkLoadError,
+  FheNotInitializedError,
+  DecryptionDeniedError,
+  DecryptionUnverifiedError,
+  RelayerUnavailableError,
+  UnsupportedNetworkError,
+  isRetryableStatus,
+  toFheError
+} from '../fheErrors';
+
+// SDK CDN base URL
+// Use proxy path in both dev and production to avoid CORS issues
+// Vercel rewrite handles the proxy in production
+const CDN_BASE_URL = '/cdn.zama.ai/relayer-sdk-js/0.2.0/';
+const SDK_URL = `${CDN_BASE_URL}relayer-sdk-js.js`;
+let sdkLoaded = false;
+let sdkLoadPromise = null;
+let sdkInitPromise = null;
+
+// FHE contracts and relayer of the last created instance (registry `fhe` entry)
+let activeFheConfig = null;
+
+/**
+ * Load the FHE SDK from CDN
+ * Uses Vite proxy in development to avoid CORS issues
+ * Falls back to script tag method if dynamic import fails
+ */
+async function loadSDK() {
+  // If already loaded, return immediately
+  if (sdkLoaded && window.RelayerSDK) {
+    return window.RelayerSDK;
+  }
+
+  // If currently loading, wait for that promise
+  if (sdkLoadPromise) {
+    return sdkLoadPromise;
+  }
+
+  // Method 1: Try dynamic import (works with Vite proxy in dev, or if CDN has CORS headers in prod)
+  const tryDynamicImport = async () => {
+    try {
+      // Use @vite-ignore to allow external URL imports
+      const module = await import(/* @vite-ignore */ SDK_URL);
+      window.RelayerSDK = module;
+      sdkLoaded = true;
+      return module;
+    } catch (err) {
+      console.warn('Dynamic import failed, trying script tag method:', err.message);
+      throw err;
+    }
+  };
+
+  // Method 2: Use script tag as fallback (for production if CORS is still an issue)
+  const tryScriptTag = () => {
+    return new Promise((resolve, reject) => {
+      // Check if script already exists
+      const existingScript = document.querySelector(`script[src="${SDK_URL}"]`);
+      if (existingScript) {
+        // Wait for SDK to be available
+        let attempts = 0;
+        const checkInterval = setInterval(() => {
+          attempts++;
+          const sdk = window.RelayerSDK || (window.fhevm && window.fhevm.initSDK ? window.fhevm : null);
+          if (sdk) {
+            clearInterval(checkInterval);
+            window.RelayerSDK = sdk;
+            sdkLoaded = true;
+            resolve(sdk);
+          } else if (attempts >= 100) {
+            clearInterval(checkInterval);
+            reject(new Error('SDK did not load within timeout'));
+          }
+        }, 100);
+        return;
+      }
+
+      // Create script element
+      const script = document.createElement('script');
+      script.type = 'module';
+      script.src = SDK_URL;
+      script.async = true;
+      script.crossOrigin = 'anonymous';
+
+      // Handle successful load
+      script.onload = () => {
+        // Give the module time to execute
+        let attempts = 0;
+        const maxAttempts = 50; // 5 seconds max wait
+        
+        const checkSDK = setInterval(() => {
+          attempts++;
+          
+          // Check various possible SDK locations
+          const sdk = window.RelayerSDK || window.fhevm || window.FHE || null;
+          
+          if (sdk) {
+            clearInterval(checkSDK);
+            window.RelayerSDK = sdk;
+            sdkLoaded = true;
+            resolve(sdk);
+          } else if (attempts >= maxAttempts) {
+            clearInterval(checkSDK);
+            reject(new Error('SDK loaded but exports not found'));
+          }
+        }, 100);
+      };
+
+      // Handle load errors
+      script.onerror = (error) => {
+        script.remove();
+        reject(new Error(`Failed to load FHE SDK script: ${error.message || 'Unknown error'}`));
+      };
+
+      // Append to document head
+      document.head.appendChild(script);
+    });
+  };
+
+  // Try dynamic import first (should work with Vite proxy)
+  // Fall back to script tag if that fails
+  sdkLoadPromise = tryDynamicImport().catch((err) => {
+    // Inside the FHE worker there is no document to add a script tag to
+    if (typeof document === 'undefined') {
+      sdkLoadPromise = null;
+      throw err;
+    }
+    console.warn('Falling back to script tag method:', err.message);
+    return tryScriptTag();
+  });
+
+  return sdkLoadPromise;
+}
+
+/**
+ * Load the self-hosted SDK and its WASM files, each checked against its pinned digest
+ * No CDN fallback: a file that fails verification aborts initialization
+ */
+async function loadSelfHostedSDK() {
+  if (!sdkLoadPromise) {
+    sdkLoadPromise = Promise.all([
+      importVerifiedModule(sdkAssets.assets.sdk),
+      fetchVerifiedAsset(sdkAssets.assets.tfhe),
+      fetchVerifiedAsset(sdkAssets.assets.kms)
+    ]).catch((err) => {
+      sdkLoadPromise = null;
+      throw err;
+    });
+  }
+
+  const [sdk, tfheParams, kmsParams] = await sdkLoadPromise;
+  return { sdk, tfheParams, kmsParams };
+}
+
+export const relayerBackend = {
+  name: 'relayer',
+
+  /**
+   * Create an FHEVM instance backed by the Zama relayer
+   * @param {Object} options
+   * @param {Object} options.networkConfig - Registry entry holding the FHE contracts and relayer URL
+   * @param {Object|string} options.network - EIP-1193 provider or RPC URL used by the SDK for chain reads
+   * @param {Function} [options.onProgress] - Receives { stage: 'loading-sdk' | 'initializing' }
+   */
+  async createInstance({ networkConfig, network, onProgress = () => {} }) {
+    if (!networkConfig.fhe) {
+      throw new UnsupportedNetworkError(`No FHE relayer configuration for ${networkConfig.name} (chain ${networkConfig.chainId})`);
+    }
+
+    onProgress({ stage: 'loading-sdk' });
+
+    let sdk;
+    let initOptions;
+    if (sdkAssets.selfHosted) {
+      // Verified bytes are handed to initSDK directly, so the SDK never fetches WASM itself
+      const { sdk: verifiedSdk, tfheParams, kmsParams } = await loadSelfHostedSDK().catch((err) => {
+        throw toFheError(err, (cause) => new FheSdkLoadError(undefined, { cause }));
+      });
+      sdk = verifiedSdk;
+      initOptions = { tfheParams, kmsParams, thread: 0 };
+    } else {
+      // Load SDK from CDN using script tag (avoids CORS issues)
+      sdk = await loadSDK().catch((err) => {
+        throw new FheSdkLoadError(undefined, { cause: err });
+      });
+      // Point the SDK at the proxied WASM files explicitly; left to itself it resolves them
+      // against its own URL, which only the CDN origin can serve
+      initOptions = {
+        tfheParams: `${CDN_BASE_URL}tfhe_bg.wasm`,
+        kmsParams: `${CDN_BASE_URL}kms_lib_bg.wasm`
+      };
+    }
+
+    // The SDK should export initSDK and createInstance
+    // If it's a module, these will be on the default export or named exports
+    let initSDK, createInstance;
+
+    if (sdk.default) {
+      // ES module with default export
+      ({ initSDK, createInstance } = sdk.default);
+    } else if (sdk.initSDK) {
+      // Direct named exports
+      ({ initSDK, createInstance } = sdk);
+    } else {
+      // Try accessing as global
+      const globalSDK = window.RelayerSDK || window.fhevm || window;
+      if (globalSDK.initSDK) {
+        ({ initSDK, createInstance } = globalSDK);
+      } else {
+        throw new FheSdkLoadError('SDK structure not recognized. Expected initSDK and createInstance exports.');
+      }
+    }
+
+    // Initialize SDK (loads WASM) once per page; later instances reuse the loaded modules
+    if (!sdkInitPromise) {
+      sdkInitPromise = initSDK(initOptions).catch((err) => {
+        sdkInitPromise = null;
+        throw new FheSdkLoadError('Failed to start the FHE WASM modules. Please refresh the page.', { cause: err });
+      });
+    }
+    await sdkInitPromise;
+
+    onProgress({ stage: 'initializing' });
+
+    // FHE contracts and relayer come from the network registry; chain reads go through the wallet
+    const config = {
+      ...networkConfig.fhe,
+      chainId: networkConfig.chainId,
+      network
+    };
+
+    try {
+      const instance = await createInstance(config);
+      activeFheConfig = networkConfig.fhe;
+      return instance;
+    } catch (err) {
+      // Creating the instance fetches the public key and CRS from the relayer
+      throw toFheError(err, (cause) => new FheError('Failed to create the FHE instance.', {
+        code: 'FHE_INIT_FAILED',
+        retryable: true,
+        cause
+      }));
+    }
+  },
+
+  /**
+   * Ask the relayer for a public decryption and hand it back unverified, KMS signatures included
+   * The SDK's publicDecrypt checks the signatures internally but drops them; this keeps them for verification
+   * @param {string[]} handles - Normalized bytes32 handles
+   */
+  async fetchPublicDecryption(handles) {
+    if (!activeFheConfig) throw new FheNotInitializedError();
+
+    const response = await fetch(`${activeFheConfig.relayerUrl}/v1/public-decrypt`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ciphertextHandles: handles, extraData: '0x00' })
+    });
+    if (!response.ok) {
+      // Rate limits and server errors are worth retrying; any other status is the relayer refusing these handles
+      const cause = new Error(`Relayer public decryption failed (HTTP ${response.status})`);
+      throw isRetryableStatus(response.status)
+        ? new RelayerUnavailableError(undefined, { cause })
+        : new DecryptionDeniedError('This value is not publicly decryptable (yet).', { cause });
+    }
+
+    const result = (await response.json())?.response?.[0];
+    if (typeof result?.decrypted_value !== 'string' || !Array.isArray(result.signatures)) {
+      throw new DecryptionUnverifiedError('The relayer returned a malformed decryption response.');
+    }
+
+    const with0x = (hex) => (hex.startsWith('0x') ? hex : `0x${hex}`);
+    return {
+      decryptedResult: with0x(result.decrypted_value),
+      signatures: result.signatures.map(with0x),
+      // The KMS signs the result over empty extra data
+      extraData: '0x',
+      domain: {
+        chainId: activeFheConfig.gatewayChainId,
+        verifyingContract: activeFheConfig.verifyingContractAddressDecryption
+      },
+      kmsContractAddress: activeFheConfig.kmsContractAddress
+    };
+  },
+
+  // The Zama decryption oracle calls back on its own; nothing to drive from the client
+  async awaitDecryptionOracle() {}
+};
@@ -0,0 +1,191 @@
+// Strict codec for FHEVM ciphertext handles and input proofs
+//
+// Handles are bytes32 values laid out as
+//   hash [0..20] || index [21] || chainId [22..29] || fheType [30] || version [31]
+// Anything that doesn't fit that shape is rejected - never padded or truncated into one.
+import { InvalidHandleError, InvalidProofError } from './fheErrors';
+
+export const HANDLE_BYTE_LENGTH = 32;
+export const HANDLE_VERSION = 0;
+
+// FHE type ids carried in byte 30 of a handle (only the ones this game uses)
+export const FHE_TYPES = {
+  EBOOL: 0,
+  EUINT8: 2
+};
+
+// Index byte of handles produced by on-chain computation rather than by an encrypted input
+const COMPUTED_HANDLE_INDEX = 0xff;
+
+const HEX_BODY = /^[0-9a-fA-F]*$/;
+
+function bytesToHex(bytes) {
+  let hex = '0x';
+  for (const byte of bytes) {
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (value instanceof Uint8Array) return `Uint8Array(${value.length})`;
+  if (typeof value === 'string') return `"${value.length > 20 ? value.slice(0, 20) + '...' : value}" (${value.length} chars)`;
+  return typeof value;
+}
+
+/**
+ * Normalize a ciphertext handle to a lowercase 0x-prefixed bytes32 hex string
+ * Accepts exactly 32 bytes (Uint8Array) or "0x" followed by exactly 64 hex digits
+ * @param {string|Uint8Array} value
+ * @returns {string}
+ * @throws {InvalidHandleError} For any other length, encoding or type, and for the zero handle
+ */
+export function encodeHandle(value) {
+  let hex;
+  if (value instanceof Uint8Array) {
+    if (value.length !== HANDLE_BYTE_LENGTH) {
+      throw new InvalidHandleError(`Invalid ciphertext handle: expected ${HANDLE_BYTE_LENGTH} bytes, got ${value.length}`);
+    }
+    hex = bytesToHex(value);
+  } else if (typeof value === 'string') {
+    if (!value.startsWith('0x')) {
+      throw new InvalidHandleError(`Invalid ciphertext handle ${describe(value)}: missing 0x prefix`);
+    }
+    const body = value.slice(2);
+    if (body.length !== HANDLE_BYTE_LENGTH * 2) {
+      throw new InvalidHandleError(
+        `Invalid ciphertext handle ${describe(value)}: expected ${HANDLE_BYTE_LENGTH * 2} hex digits, got ${body.length}`
+      );
+    }
+    if (!HEX_BODY.test(body)) {
+      throw new InvalidHandleError(`Invalid ciphertext handle ${describe(value)}: not a hex string`);
+    }
+    hex = '0x' + body.toLowerCase();
+  } else {
+    throw new InvalidHandleError(`Invalid ciphertext handle: expected a hex string or Uint8Array, got ${describe(value)}`);
+  }
+
+  // An unset euint slot reads back as bytes32(0); it refers to no ciphertext
+  if (/^0x0+$/.test(hex)) {
+    throw new InvalidHandleError('Invalid ciphertext handle: zero handle (value was never set)');
+  }
+  return hex;
+}
+
+/**
+ * Whether a value is a well-formed, non-zero ciphertext handle
+ * @param {unknown} value
+ */
+export function isHandle(value) {
+  try {
+    encodeHandle(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Normalize one or several handles, rejecting the whole batch if any of them is malformed
+ * @param {string|Uint8Array|Array<string|Uint8Array>} values
+ * @returns {string[]}
+ */
+export function encodeHandles(values) {
+  const list = Array.isArray(values) ? values : [values];
+  if (list.length === 0) {
+    throw new InvalidHandleError('No ciphertext handles given');
+  }
+  return list.map(encodeHandle);
+}
+
+/**
+ * Split a handle into its fields
+ * @param {string|Uint8Array} value
+ * @returns {{ handle: string, index: number|null, computed: boolean, chainId: number, fheType: number, version: number }}
+ */
+export function parseHandle(value) {
+  const handle = encodeHandle(value);
+  const byteAt = (i) => parseInt(handle.slice(2 + i * 2, 4 + i * 2), 16);
+
+  const index = byteAt(21);
+  return {
+    handle,
+    index: index === COMPUTED_HANDLE_INDEX ? null : index,
+    computed: index === COMPUTED_HANDLE_INDEX,
+    chainId: Number(BigInt('0x' + handle.slice(2 + 22 * 2, 2 + 30 * 2))),
+    fheType: byteAt(30),
+    version: byteAt(31)
+  };
+}
+
+/**
+ * Normalize an input proof to a lowercase 0x-prefixed hex string
+ * @param {string|Uint8Array} value
+ * @returns {string}
+ * @throws {InvalidProofError} For empty proofs, odd-length or non-hex strings and other types
+ */
+export function encodeProof(value) {
+  if (value instanceof Uint8Array) {
+    if (value.length === 0) {
+      throw new InvalidProofError('Invalid input proof: empty');
+    }
+    return bytesToHex(value);
+  }
+
+  if (typeof value === 'string') {
+    if (!value.startsWith('0x')) {
+      throw new InvalidProofError('Invalid input proof: missing 0x prefix');
+    }
+    const body = value.slice(2);
+    if (body.length === 0) {
+      throw new InvalidProofError('Invalid input proof: empty');
+    }
+    if (body.length % 2 !== 0 || !HEX_BODY.test(body)) {
+      throw new InvalidProofError('Invalid input proof: not an even-length hex string');
+    }
+    return '0x' + body.toLowerCase();
+  }
+
+  throw new InvalidProofError(`Invalid input proof: expected a hex string or Uint8Array, got ${describe(value)}`);
+}
+
+/**
+ * Validate and normalize the output of `createEncryptedInput(...).encrypt()`
+ * @param {{ handles: Array<string|Uint8Array>, inputProof: string|Uint8Array }} ciphertexts
+ * @param {Object} [expected]
+ * @param {number} [expected.count=1] - Number of values that were added to the input
+ * @param {number} [expected.chainId] - Chain the input was encrypted for
+ * @param {number} [expected.fheType] - FHE type of every value (see FHE_TYPES)
+ * @returns {{ handles: string[], inputProof: string }}
+ */
+export function encodeEncryptedInput(ciphertexts, { count = 1, chainId, fheType } = {}) {
+  if (!ciphertexts || !Array.isArray(ciphertexts.handles)) {
+    throw new InvalidHandleError('Encrypted input has no handles');
+  }
+  if (ciphertexts.handles.length !== count) {
+    throw new InvalidHandleError(`Encrypted input has ${ciphertexts.handles.length} handles, expected ${count}`);
+  }
+
+  const handles = ciphertexts.handles.map((raw, i) => {
+    const parsed = parseHandle(raw);
+    if (parsed.computed || parsed.index !== i) {
+      throw new InvalidHandleError(`Handle ${i} of the encrypted input has index ${parsed.index ?? 'computed'}, expected ${i}`);
+    }
+    if (parsed.version !== HANDLE_VERSION) {
+      throw new InvalidHandleError(`Handle ${i} has version ${parsed.version}, expected ${HANDLE_VERSION}`);
+    }
+    if (chainId !== undefined && parsed.chainId !== Number(chainId)) {
+      throw new InvalidHandleError(`Handle ${i} was encrypted for chain ${parsed.chainId}, expected ${chainId}`);
+    }
+    if (fheType !== undefined && parsed.fheType !== fheType) {
+      throw new InvalidHandleError(`Handle ${i} has FHE type ${parsed.fheType}, expected ${fheType}`);
+    }
+    return parsed.handle;
+  });
+
+  return {
+    handles,
+    inputProof: encodeProof(ciphertexts.inputProof)
+  };
+}
@@ -0,0 +1,227 @@
+// FHE engine: owns the FHEVM instance and runs encryption/decryption on it
+// Runs inside the FHE worker (see ../workers/fhe.worker.js), or on the main thread where workers are unavailable
+import { ethers } from 'ethers';
+import { selectFheBackend } from './fheBackends';
+import { getNetworkConfig } from '../config/networks';
+import {
+  FheError,
+  FheNotInitializedError,
+  ProofRejectedError,
+  DecryptionDeniedError,
+  UnsupportedNetworkError,
+  toFheError
+} from './fheErrors';
+import { encodeEncryptedInput, FHE_TYPES } from './fheCodec';
+import { readKmsSignerSet, verifyKmsSignatures, decodeDecryptedResult } from './kmsVerification';
+
+let fheInstance = null;
+let fheBackend = null;
+let fheChainId = null;
+let fheRpcUrl = null;
+// User-decryption private keys by public key: they stay in the engine's memory and never reach the page or storage
+const userDecryptKeys = new Map();
+
+/**
+ * Create the FHEVM instance for a chain from the network registry
+ * The SDK reads the chain through the registry's RPC URL: a worker has no injected wallet, and on the main thread
+ * window.ethereum may be another wallet than the one connected
+ * @param {{ chainId: number }} payload
+ * @param {(progress: { stage: string }) => void} [onProgress] - Called with 'loading-sdk', 'initializing'
+ * @returns {Promise<{ backend: string }>}
+ */
+export async function initEngine({ chainId }, onProgress) {
+  const networkConfig = getNetworkConfig(chainId);
+  if (!networkConfig) {
+    throw new UnsupportedNetworkError(`Unsupported network (chain ${chainId})`);
+  }
+  const backend = selectFheBackend(networkConfig);
+  const network = networkConfig.rpcUrl;
+
+  fheInstance = await backend.createInstance({ networkConfig, network, onProgress });
+  fheBackend = backend;
+  fheChainId = networkConfig.chainId;
+  fheRpcUrl = networkConfig.rpcUrl;
+
+  return { backend: backend.name };
+}
+
+function requireInstance() {
+  if (!fheInstance) throw new FheNotInitializedError();
+  return fheInstance;
+}
+
+/**
+ * Encrypt a move (0=Rock, 1=Paper, 2=Scissors) for a contract and user
+ * @param {{ move: number, contractAddress: string, userAddress: string }} payload
+ * @param {(progress: { stage: string }) => void} [onProgress] - Called with 'preparing', 'encrypting', 'finalizing'
+ * @returns {Promise<{ handle: string, proof: string, hash: string }>} Handle and proof as 0x hex
+ */
+export async function encryptInEngine({ move, contractAddress, userAddress }, onProgress = () => {}) {
+  const fhe = requireInstance();
+
+  onProgress({ stage: 'preparing' });
+
+  let buffer;
+  try {
+    // Create encrypted input buffer
+    buffer = fhe.createEncryptedInput(
+      contractAddress,
+      userAddress
+    );
+
+    // Add the move as uint8 (0-2)
+    buffer.add8(Number(move));
+  } catch (err) {
+    throw new FheError('Failed to create encrypted input. Please check contract address and user address.', {
+      code: 'ENCRYPTED_INPUT_INVALID',
+      cause: err
+    });
+  }
+
+  // Encrypt and get ciphertext handles (the expensive part: encryption plus input proof)
+  onProgress({ stage: 'encrypting' });
+  let ciphertexts;
+  try {
+    ciphertexts = await buffer.encrypt();
+  } catch (err) {
+    // The input proof is produced and checked by the relayer
+    throw toFheError(err, (cause) => new ProofRejectedError(undefined, { cause }));
+  }
+
+  onProgress({ stage: 'finalizing' });
+
+  // Reject malformed SDK output instead of sending a corrupted externalEuint8 to the contract
+  const { handles: [handle], inputProof } = encodeEncryptedInput(ciphertexts, {
+    count: 1,
+    chainId: fheChainId,
+    fheType: FHE_TYPES.EUINT8
+  });
+
+  return {
+    handle, // bytes32 hex for externalEuint8
+    proof: inputProof,
+    hash: ethers.keccak256(handle) // For verification
+  };
+}
+
+/**
+ * Publicly decrypt ciphertext handles through the relayer (or mock)
+ * @param {{ handles: string[] }} payload
+ * @returns {Promise<Object>} Map of handle to clear value
+ */
+export async function publicDecryptInEngine({ handles }) {
+  const fhe = requireInstance();
+  try {
+    return await fhe.publicDecrypt(handles);
+  } catch (err) {
+    // Handles that were never marked publicly decryptable are refused by the relayer
+    throw toFheError(err, (cause) => new DecryptionDeniedError('This value is not publicly decryptable (yet).', { cause }));
+  }
+}
+
+/**
+ * Publicly decrypt handles and verify the KMS signatures locally against the on-chain signer set
+ * Nothing the relayer says is trusted: the signer set and threshold are read from the KMSVerifier contract
+ * @param {{ handles: string[] }} payload
+ * @returns {Promise<{ values: Object, signers: string[], threshold: number }>} Clear values by handle,
+ *   plus the distinct KMS signers that signed them
+ */
+export async function verifiedPublicDecryptInEngine({ handles }) {
+  requireInstance();
+
+  let decryption;
+  try {
+    decryption = await fheBackend.fetchPublicDecryption(handles);
+  } catch (err) {
+    throw toFheError(err, (cause) => new DecryptionDeniedError('This value is not publicly decryptable (yet).', { cause }));
+  }
+
+  let signerSet;
+  try {
+    signerSet = await readKmsSignerSet(new ethers.JsonRpcProvider(fheRpcUrl, fheChainId, { staticNetwork: true }), decryption.kmsContractAddress);
+  } catch (err) {
+    throw toFheError(err, (cause) => new FheError('Could not read the KMS signers from the chain.', {
+      code: 'KMS_SIGNERS_UNAVAILABLE',
+      retryable: true,
+      cause
+    }));
+  }
+
+  const signers = verifyKmsSignatures({ ...decryption, handles }, signerSet);
+  return {
+    values: decodeDecryptedResult(handles, decryption.decryptedResult),
+    signers,
+    threshold: signerSet.threshold
+  };
+}
+
+// Fresh keypair for user decryption; only the public key leaves the engine
+export async function generateKeypairInEngine() {
+  const { publicKey, privateKey } = requireInstance().generateKeypair();
+  userDecryptKeys.set(publicKey, privateKey);
+  return { publicKey };
+}
+
+/**
+ * EIP-712 request the user signs to authorize decryption of their handles for a time window
+ * @param {{ publicKey: string, contractAddresses: string[], startTimestamp: number, durationDays: number }} payload
+ */
+export async function createUserDecryptEip712InEngine({ publicKey, contractAddresses, startTimestamp, durationDays }) {
+  return requireInstance().createEIP712(publicKey, contractAddresses, startTimestamp, durationDays);
+}
+
+/**
+ * Decrypt handles the user has ACL access to, re-encrypted for their keypair by the KMS
+ * @param {Object} payload - Handle/contract pairs plus the public key and signed request (see fhe.js userDecrypt)
+ * @returns {Promise<Object>} Map of handle to clear value
+ */
+export async function userDecryptInEngine({
+  handleContractPairs,
+  publicKey,
+  signature,
+  contractAddresses,
+  userAddress,
+  startTimestamp,
+  durationDays
+}) {
+  const fhe = requireInstance();
+  const privateKey = userDecryptKeys.get(publicKey);
+  if (!privateKey) {
+    // A restarted worker starts without keys; the request has to be signed again for a new keypair
+    throw new FheError('The decryption key of this request is gone. Sign a new request.', { code: 'USER_DECRYPT_KEY_LOST' });
+  }
+  try {
+    return await fhe.userDecrypt(
+      handleContractPairs,
+      privateKey,
+      publicKey,
+      signature,
+      contractAddresses,
+      userAddress,
+      startTimestamp,
+      durationDays
+    );
+  } catch (err) {
+    // Without ACL access for the user (e.g. games from older deployments) the KMS refuses the request
+    throw toFheError(err, (cause) => new DecryptionDeniedError(undefined, { cause }));
+  }
+}
+
+// Drive the decryption oracle where the backend needs it (local mock); no-op otherwise
+export async function awaitOracleInEngine() {
+  if (fheBackend) {
+    await fheBackend.awaitDecryptionOracle();
+  }
+}
+
+// Message types understood by the engine (worker protocol and inline fallback share them)
+export const ENGINE_HANDLERS = {
+  init: initEngine,
+  encrypt: encryptInEngine,
+  publicDecrypt: publicDecryptInEngine,
+  verifiedPublicDecrypt: verifiedPublicDecryptInEngine,
+  generateKeypair: generateKeypairInEngine,
+  createUserDecryptEip712: createUserDecryptEip712InEngine,
+  userDecrypt: userDecryptInEngine,
+  awaitDecryptionOracle: awaitOracleInEngine
+};
@@ -0,0 +1,207 @@
+// Typed FHE errors: every failure surfaced by ./fhe.js is an FheError with a stable code,
+// a retryable flag (safe to try the same operation again) and the underlying cause
+
+export class FheError extends Error {
+  /**
+   * @param {string} message - User-facing, actionable message
+   * @param {Object} [options]
+   * @param {string} [options.code]
+   * @param {boolean} [options.retryable]
+   * @param {unknown} [options.cause] - Original error
+   */
+  constructor(message, { code = 'FHE_ERROR', retryable = false, cause } = {}) {
+    super(message, { cause });
+    this.name = 'FheError';
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+// SDK script or WASM could not be loaded or started
+export class FheSdkLoadError extends FheError {
+  constructor(message = 'Failed to load the FHE SDK. Check your connection; it will be retried.', options = {}) {
+    super(message, { code: 'FHE_SDK_LOAD_FAILED', retryable: true, ...options });
+    this.name = 'FheSdkLoadError';
+  }
+}
+
+// A self-hosted SDK file did not match its pinned digest; retrying would load the same bytes
+export class FheSdkIntegrityError extends FheError {
+  constructor(message = 'The FHE SDK failed its integrity check and was not loaded.', options = {}) {
+    super(message, { code: 'FHE_SDK_INTEGRITY', retryable: false, ...options });
+    this.name = 'FheSdkIntegrityError';
+  }
+}
+
+// Wallet is on a chain without a registry entry / FHE configuration
+export class UnsupportedNetworkError extends FheError {
+  constructor(message = 'This network is not supported. Switch your wallet to a supported network.', options = {}) {
+    super(message, { code: 'UNSUPPORTED_NETWORK', retryable: false, ...options });
+    this.name = 'UnsupportedNetworkError';
+  }
+}
+
+// An operation was attempted before initializeFheInstance() finished
+export class FheNotInitializedError extends FheError {
+  constructor(message = 'FHE is not ready yet. Wait for initialization to finish.', options = {}) {
+    super(message, { code: 'FHE_NOT_INITIALIZED', retryable: false, ...options });
+    this.name = 'FheNotInitializedError';
+  }
+}
+
+// Relayer (or local mock node) unreachable, overloaded or answering with a server error
+export class RelayerUnavailableError extends FheError {
+  constructor(message = 'The FHE relayer is temporarily unavailable. Please try again in a moment.', options = {}) {
+    super(message, { code: 'RELAYER_UNAVAILABLE', retryable: true, ...options });
+    this.name = 'RelayerUnavailableError';
+  }
+}
+
+// Ciphertext handle is malformed (wrong length / not bytes32)
+export class InvalidHandleError extends FheError {
+  constructor(message = 'Invalid ciphertext handle.', options = {}) {
+    super(message, { code: 'INVALID_HANDLE', retryable: false, ...options });
+    this.name = 'InvalidHandleError';
+  }
+}
+
+// Input proof is empty or not valid hex
+export class InvalidProofError extends FheError {
+  constructor(message = 'Invalid input proof.', options = {}) {
+    super(message, { code: 'INVALID_PROOF', retryable: false, ...options });
+    this.name = 'InvalidProofError';
+  }
+}
+
+// Relayer refused to produce or accept the input proof for an encryption
+export class ProofRejectedError extends FheError {
+  constructor(message = 'The relayer rejected the encrypted input. Check the contract and account, then try again.', options = {}) {
+    super(message, { code: 'PROOF_REJECTED', retryable: false, ...options });
+    this.name = 'ProofRejectedError';
+  }
+}
+
+// Decryption was refused (no ACL access, or the decryption request signature was rejected)
+export class DecryptionDeniedError extends FheError {
+  constructor(message = 'You are not allowed to decrypt this value.', options = {}) {
+    super(message, { code: 'DECRYPTION_DENIED', retryable: false, ...options });
+    this.name = 'DecryptionDeniedError';
+  }
+}
+
+// Public decryption result whose KMS signatures don't check out against the on-chain signer set
+export class DecryptionUnverifiedError extends FheError {
+  constructor(message = 'The decryption result could not be verified against the KMS signers.', options = {}) {
+    super(message, { code: 'DECRYPTION_UNVERIFIED', retryable: false, ...options });
+    this.name = 'DecryptionUnverifiedError';
+  }
+}
+
+const ERROR_CLASSES = {
+  FHE_ERROR: FheError,
+  FHE_SDK_LOAD_FAILED: FheSdkLoadError,
+  FHE_SDK_INTEGRITY: FheSdkIntegrityError,
+  UNSUPPORTED_NETWORK: UnsupportedNetworkError,
+  FHE_NOT_INITIALIZED: FheNotInitializedError,
+  RELAYER_UNAVAILABLE: RelayerUnavailableError,
+  INVALID_HANDLE: InvalidHandleError,
+  INVALID_PROOF: InvalidProofError,
+  PROOF_REJECTED: ProofRejectedError,
+  DECRYPTION_DENIED: DecryptionDeniedError,
+  DECRYPTION_UNVERIFIED: DecryptionUnverifiedError
+};
+
+// ethers codes of a node that could not be reached or did not answer in time
+const NETWORK_ERROR_CODES = new Set(['NETWORK_ERROR', 'TIMEOUT']);
+
+// fetch rejects with a TypeError when no response came back at all; only its wording differs between runtimes
+const FETCH_FAILURE = /^(failed to fetch|fetch failed|load failed|networkerror when attempting to fetch resource\.?)$/i;
+
+const isFetchFailure = (err) => err instanceof TypeError && FETCH_FAILURE.test(err.message);
+
+/**
+ * Whether an HTTP status means the relayer is overloaded or down, rather than refusing the request
+ * @param {number} status
+ */
+export function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Whether an error from the SDK, relayer or mock node means the service could not be reached
+ * Classifies by the errors' structured fields: the ethers error code, the TypeError of a failed fetch, and the
+ * HTTP status the SDK puts in the cause of its relayer errors
+ * @param {unknown} err
+ */
+export function isRelayerUnreachable(err) {
+  if (NETWORK_ERROR_CODES.has(err?.code) || isFetchFailure(err)) {
+    return true;
+  }
+  const cause = err?.cause;
+  if (cause?.code === 'RELAYER_FETCH_ERROR') {
+    return isRetryableStatus(cause.status);
+  }
+  if (cause?.code === 'RELAYER_UNKNOWN_ERROR') {
+    return isFetchFailure(cause.error);
+  }
+  return false;
+}
+
+/**
+ * Wrap an error coming out of the SDK/relayer into an FheError
+ * FheErrors and AbortErrors pass through; unreachable-service failures become RelayerUnavailableError,
+ * anything else is wrapped by `fallback`
+ * @param {unknown} err
+ * @param {(cause: unknown) => FheError} fallback
+ * @returns {Error}
+ */
+export function toFheError(err, fallback) {
+  if (err instanceof FheError || err?.name === 'AbortError') {
+    return err;
+  }
+  if (isRelayerUnreachable(err)) {
+    return new RelayerUnavailableError(undefined, { cause: err });
+  }
+  return fallback(err);
+}
+
+/**
+ * Structured-clone friendly form of an error, for posting out of the FHE worker
+ * @param {unknown} err
+ */
+export function serializeFheError(err) {
+  return {
+    name: err?.name || 'Error',
+    message: err?.message || String(err),
+    code: err instanceof FheError ? err.code : undefined,
+    retryable: err instanceof FheError ? err.retryable : undefined,
+    cause: err?.cause ? { name: err.cause.name, message: err.cause.message ?? String(err.cause) } : undefined
+  };
+}
+
+/**
+ * Rebuild an error posted by the FHE worker, restoring its FheError subclass
+ * @param {ReturnType<typeof serializeFheError>} payload
+ * @returns {Error}
+ */
+export function deserializeFheError(payload) {
+  if (payload.name === 'AbortError') {
+    return new DOMException(payload.message, 'AbortError');
+  }
+
+  let cause;
+  if (payload.cause) {
+    cause = new Error(payload.cause.message);
+    cause.name = payload.cause.name;
+  }
+
+  const ErrorClass = payload.code ? ERROR_CLASSES[payload.code] : null;
+  if (!ErrorClass) {
+    return new FheError(payload.message, { code: payload.code, retryable: payload.retryable, cause });
+  }
+
+  const err = new ErrorClass(payload.message, { cause });
+  err.code = payload.code;
+  err.retryable = payload.retryable ?? err.retryable;
+  return err;
+}
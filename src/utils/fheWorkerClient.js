@@ -0,0 +1,138 @@
+// Promise-based client for the FHE worker (../workers/fhe.worker.js)
+// Falls back to running the engine on the main thread where module workers are unavailable
+import { FheError, deserializeFheError } from './fheErrors';
+
+let worker = null;
+let workerReady = null;
+let nextRequestId = 1;
+const pendingRequests = new Map(); // id -> { resolve, reject, onProgress }
+
+// Last init payload, replayed on a fresh worker after a cancellation terminated the old one
+let lastInitPayload = null;
+
+function supportsWorkers() {
+  return typeof Worker !== 'undefined';
+}
+
+function createAbortError() {
+  return new DOMException('FHE task cancelled', 'AbortError');
+}
+
+/**
+ * Whether an error comes from a cancelled FHE task (AbortSignal fired)
+ * @param {unknown} err
+ */
+export function isFheTaskCancelled(err) {
+  return err?.name === 'AbortError';
+}
+
+function handleWorkerMessage(event) {
+  const { id, kind, progress, result, error } = event.data;
+  const request = pendingRequests.get(id);
+  if (!request) return;
+
+  if (kind === 'progress') {
+    request.onProgress?.(progress);
+    return;
+  }
+
+  pendingRequests.delete(id);
+  if (kind === 'result') {
+    request.resolve(result);
+  } else {
+    request.reject(deserializeFheError(error));
+  }
+}
+
+// Stop the worker (the only way to interrupt a running WASM encryption) and fail whatever was queued on it
+function terminateWorker(reason) {
+  if (!worker) return;
+  worker.terminate();
+  worker = null;
+  workerReady = null;
+
+  for (const request of pendingRequests.values()) {
+    request.reject(reason);
+  }
+  pendingRequests.clear();
+}
+
+function postRequest(type, payload, { onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pendingRequests.set(id, { resolve, reject, onProgress });
+
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        if (!pendingRequests.has(id)) return;
+        pendingRequests.delete(id);
+        reject(createAbortError());
+        terminateWorker(new FheError('FHE worker restarted after a cancelled task', { code: 'FHE_WORKER_RESTARTED', retryable: true }));
+      }, { once: true });
+    }
+
+    worker.postMessage({ id, type, payload });
+  });
+}
+
+function spawnWorker(replayInitPayload) {
+  worker = new Worker(new URL('../workers/fhe.worker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = handleWorkerMessage;
+  worker.onerror = (event) => {
+    console.error('FHE worker error:', event);
+    terminateWorker(new FheError(`FHE worker crashed: ${event.message || 'Unknown error'}`, { code: 'FHE_WORKER_CRASHED', retryable: true }));
+  };
+
+  // A replacement worker starts without an instance: restore the last one before serving requests
+  workerReady = replayInitPayload
+    ? postRequest('init', replayInitPayload).catch((err) => {
+        terminateWorker(err);
+        throw err;
+      })
+    : Promise.resolve();
+}
+
+async function runInline(type, payload, { onProgress, signal } = {}) {
+  const { ENGINE_HANDLERS } = await import('./fheEngine');
+  const task = ENGINE_HANDLERS[type](payload, onProgress);
+  if (!signal) return task;
+
+  // The main thread can't interrupt the engine; cancelling only stops waiting for it
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(createAbortError()), { once: true });
+    task.then(resolve, reject);
+  });
+}
+
+/**
+ * Run an FHE engine task ('init', 'encrypt', 'publicDecrypt', 'verifiedPublicDecrypt', 'awaitDecryptionOracle', ...)
+ * @param {string} type
+ * @param {Object} [payload]
+ * @param {Object} [options]
+ * @param {(progress: { stage: string }) => void} [options.onProgress] - Progress events of the task
+ * @param {AbortSignal} [options.signal] - Cancels the task; a cancelled worker task rejects with an AbortError
+ * @returns {Promise<any>} The engine's result
+ */
+export async function runFheTask(type, payload = {}, options = {}) {
+  if (options.signal?.aborted) {
+    throw createAbortError();
+  }
+
+  if (!supportsWorkers()) {
+    return runInline(type, payload, options);
+  }
+
+  if (!worker) {
+    // An init request creates the instance itself; anything else needs the previous one restored
+    spawnWorker(type === 'init' ? null : lastInitPayload);
+  }
+  if (type === 'init') {
+    lastInitPayload = payload;
+  }
+
+  await workerReady;
+  if (!worker) {
+    throw new FheError('FHE worker stopped before the task could start. Please try again.', { code: 'FHE_WORKER_CRASHED', retryable: true });
+  }
+  return postRequest(type, payload, options);
+}
@@ -0,0 +1,395 @@
+// Event-sourced game index: folds the game contract's logs into one record per game
+// Lists read the index instead of calling games(id) for every game ever created; only new blocks are fetched
+import { ethers } from 'ethers';
+
+// Logs that change a game; anything else the contract emits is ignored
+export const INDEXED_EVENTS = [
+  'GameCreated',
+  'GameJoined',
+  'DecryptionRequested',
+  'GameResolved',
+  'GameExpired',
+  'RefundProcessed'
+];
+
+// Events whose block timestamp ends up in the record (startTime / endTime)
+const TIMESTAMPED_EVENTS = new Set(['GameCreated', 'GameResolved', 'GameExpired']);
+
+// Block range of one eth_getLogs call; halved down to the minimum when the RPC refuses a range
+const LOG_RANGE = 5000;
+const MIN_LOG_RANGE = 100;
+
+// Reorgs: the index remembers the hash of its last block. When the chain no longer has that block, logs the index
+// folded in may be gone from it, and records can't be unfolded, so the index is rebuilt from the deployment block
+
+/**
+ * @typedef {Object} IndexedGame
+ * @property {string} id - Game id (decimal)
+ * @property {string} player1
+ * @property {string} player2 - ZeroAddress until someone joins
+ * @property {string} betAmount - Wei, decimal string
+ * @property {number} startTime - Unix seconds of GameCreated
+ * @property {number} moveDeadline - Unix seconds until which player 2 can join; 0 when it couldn't be read
+ * @property {boolean} decryptionRequested - Oracle decryption pending
+ * @property {boolean} decryptionCompleted
+ * @property {string|null} requestId
+ * @property {number} decryptRequestTime
+ * @property {number} decryptDeadline - Unix seconds after which the game can be expired
+ * @property {number|null} resultCode - 0 = P1 wins, 1 = P2 wins, 2 = draw; null until resolved
+ * @property {string} winner - ZeroAddress for draws and unresolved games
+ * @property {boolean} isExpired
+ * @property {string[]} refundedPlayers - Players refunded by an expiry
+ * @property {number} endTime - Unix seconds of GameResolved / GameExpired, 0 before
+ * @property {number} updatedBlock - Last block that changed the record
+ */
+
+/**
+ * Empty record for a game id
+ * @param {string} id
+ * @returns {IndexedGame}
+ */
+export function createGameRecord(id) {
+  return {
+    id,
+    player1: ethers.ZeroAddress,
+    player2: ethers.ZeroAddress,
+    betAmount: '0',
+    startTime: 0,
+    moveDeadline: 0,
+    decryptionRequested: false,
+    decryptionCompleted: false,
+    requestId: null,
+    decryptRequestTime: 0,
+    decryptDeadline: 0,
+    resultCode: null,
+    winner: ethers.ZeroAddress,
+    isExpired: false,
+    refundedPlayers: [],
+    endTime: 0,
+    updatedBlock: 0
+  };
+}
+
+/**
+ * Apply one decoded event to a game record
+ * Every event sets fields instead of accumulating, so replaying a log (overlapping ranges) leaves the record unchanged
+ * @param {IndexedGame|undefined} record - Current record, undefined for a game not seen yet
+ * @param {{ name: string, gameId: string, args: Object, blockNumber: number, timestamp?: number, moveDeadline?: number }} event
+ * @returns {IndexedGame} New record
+ */
+export function applyGameEvent(record, event) {
+  const game = { ...(record ?? createGameRecord(event.gameId)) };
+  const { args } = event;
+
+  switch (event.name) {
+    case 'GameCreated':
+      game.player1 = args.player1;
+      game.betAmount = args.betAmount;
+      game.startTime = event.timestamp ?? game.startTime;
+      game.moveDeadline = event.moveDeadline ?? game.moveDeadline;
+      break;
+    case 'GameJoined':
+      game.player2 = args.player2;
+      break;
+    case 'DecryptionRequested':
+      // A late replay must not reopen a game that was already resolved
+      game.decryptionRequested = !game.decryptionCompleted;
+      game.requestId = args.requestId;
+      game.decryptRequestTime = Number(args.timestamp);
+      game.decryptDeadline = Number(args.deadline);
+      break;
+    case 'GameResolved':
+      game.decryptionRequested = false;
+      game.decryptionCompleted = true;
+      game.resultCode = Number(args.resultCode);
+      game.winner = args.winner;
+      game.endTime = event.timestamp ?? game.endTime;
+      break;
+    case 'GameExpired':
+      game.isExpired = true;
+      game.endTime = event.timestamp ?? game.endTime;
+      break;
+    case 'RefundProcessed':
+      if (!game.refundedPlayers.some((player) => player.toLowerCase() === args.player.toLowerCase())) {
+        game.refundedPlayers = [...game.refundedPlayers, args.player];
+      }
+      break;
+    default:
+      return record;
+  }
+
+  game.updatedBlock = Math.max(game.updatedBlock, event.blockNumber);
+  return game;
+}
+
+// Plain, structured-clone friendly args (bigints as decimal strings) of a parsed log
+function plainArgs(fragment, args) {
+  const plain = {};
+  fragment.inputs.forEach((input, i) => {
+    const value = args[i];
+    plain[input.name] = typeof value === 'bigint' ? value.toString() : value;
+  });
+  return plain;
+}
+
+/**
+ * Create an indexer for one game contract
+ * @param {Object} options
+ * @param {ethers.Contract} options.contract - Game contract (only its address and interface are used)
+ * @param {ethers.Provider} options.provider - Provider for eth_getLogs, blocks and new-block notifications
+ * @param {import('./indexerStore').IndexerStore} options.store - Where the index is persisted
+ * @param {number} [options.deploymentBlock=0] - First block worth scanning
+ * @param {(gameIds: string[]) => Promise<number[]>} [options.readMoveDeadlines] - moveDeadline of new games, which
+ *   GameCreated doesn't carry (one batched read per sync step); without it the record keeps 0
+ * @param {ReturnType<import('./chainSubscriber').createChainSubscriber>} [options.subscriber] - Once started, new logs
+ *   come from the subscriber (WebSocket or polling, backfilled after outages) instead of a sync on every block
+ */
+export function createGameIndexer({ contract, provider, store, deploymentBlock = 0, readMoveDeadlines, subscriber }) {
+  const iface = contract.interface;
+  const topics = INDEXED_EVENTS.map((name) => iface.getEvent(name).topicHash);
+
+  const games = new Map();
+  let lastBlock = null;
+  let lastBlockHash = null;
+  let logRange = LOG_RANGE;
+  let loaded = null;
+  let syncing = null;
+  let snapshot = null;
+  let watching = null;
+  const listeners = new Set();
+  const gameListeners = new Map();
+
+  // `changed`: records to announce to their game's listeners
+  function notify(changed = []) {
+    snapshot = null;
+    const current = getSnapshot();
+    listeners.forEach((listener) => listener(current));
+    changed.forEach((game) => gameListeners.get(game.id)?.forEach((listener) => listener(game)));
+  }
+
+  /**
+   * Current index: games sorted newest first, plus the last indexed block
+   * @returns {{ games: IndexedGame[], lastBlock: number|null }}
+   */
+  function getSnapshot() {
+    if (!snapshot) {
+      const sorted = [...games.values()].sort((a, b) => Number(BigInt(b.id) - BigInt(a.id)));
+      snapshot = { games: sorted, lastBlock };
+    }
+    return snapshot;
+  }
+
+  function load() {
+    if (!loaded) {
+      loaded = store.load().then((state) => {
+        state.games.forEach((game) => games.set(game.id, game));
+        lastBlock = state.lastBlock;
+        lastBlockHash = state.lastBlockHash ?? null;
+        if (games.size > 0) notify();
+      });
+    }
+    return loaded;
+  }
+
+  async function getBlockHash(blockNumber) {
+    return (await provider.getBlock(blockNumber))?.hash ?? null;
+  }
+
+  // Whether the last indexed block was reorged out (indexes saved without a hash can't tell)
+  async function isReorged() {
+    if (lastBlock === null || !lastBlockHash) return false;
+    return (await getBlockHash(lastBlock)) !== lastBlockHash;
+  }
+
+  async function forget() {
+    await store.clear();
+    games.clear();
+    lastBlock = null;
+    lastBlockHash = null;
+    notify();
+  }
+
+  // Fold a block range in and persist it together with the hash of its last block
+  async function commit(logs, toBlock) {
+    const changed = await applyLogs(logs);
+    if (toBlock >= (lastBlock ?? toBlock)) {
+      lastBlock = toBlock;
+      lastBlockHash = await getBlockHash(toBlock);
+    }
+    await store.save(changed, lastBlock, lastBlockHash);
+    return changed;
+  }
+
+  async function fetchLogs(fromBlock, toBlock) {
+    return provider.getLogs({
+      address: await contract.getAddress(),
+      topics: [topics],
+      fromBlock,
+      toBlock
+    });
+  }
+
+  // Decode, timestamp and fold a batch of logs; returns the records that changed
+  async function applyLogs(logs) {
+    const events = [];
+    for (const log of logs) {
+      const parsed = iface.parseLog(log);
+      if (!parsed || !INDEXED_EVENTS.includes(parsed.name)) continue;
+      events.push({
+        name: parsed.name,
+        gameId: parsed.args.gameId.toString(),
+        args: plainArgs(parsed.fragment, parsed.args),
+        blockNumber: log.blockNumber,
+        logIndex: log.index
+      });
+    }
+    events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    const blockNumbers = [...new Set(events.filter((e) => TIMESTAMPED_EVENTS.has(e.name)).map((e) => e.blockNumber))];
+    const blocks = await Promise.all(blockNumbers.map((n) => provider.getBlock(n)));
+    const timestamps = new Map(blockNumbers.map((n, i) => [n, blocks[i]?.timestamp ?? 0]));
+
+    const createdIds = events.filter((e) => e.name === 'GameCreated').map((e) => e.gameId);
+    const deadlines = readMoveDeadlines && createdIds.length > 0 ? await readMoveDeadlines(createdIds) : [];
+    const moveDeadlines = new Map(createdIds.map((id, i) => [id, deadlines[i]]));
+
+    const changed = new Map();
+    for (const event of events) {
+      const next = applyGameEvent(games.get(event.gameId), {
+        ...event,
+        timestamp: timestamps.get(event.blockNumber),
+        moveDeadline: moveDeadlines.get(event.gameId)
+      });
+      games.set(event.gameId, next);
+      changed.set(event.gameId, next);
+    }
+    return [...changed.values()];
+  }
+
+  async function runSync() {
+    await load();
+    if (await isReorged()) {
+      console.warn(`Block ${lastBlock} of the game index was reorged out, rebuilding the index`);
+      await forget();
+    }
+    const head = await provider.getBlockNumber();
+    let fromBlock = lastBlock === null ? deploymentBlock : lastBlock + 1;
+
+    while (fromBlock <= head) {
+      const toBlock = Math.min(head, fromBlock + logRange - 1);
+      let logs;
+      try {
+        logs = await fetchLogs(fromBlock, toBlock);
+      } catch (err) {
+        // Most public RPCs cap the block range (or the result size) of eth_getLogs
+        if (logRange > MIN_LOG_RANGE) {
+          logRange = Math.max(MIN_LOG_RANGE, Math.floor(logRange / 2));
+          continue;
+        }
+        throw err;
+      }
+
+      const changed = await commit(logs, toBlock);
+      if (changed.length > 0 || toBlock === head) notify(changed);
+      fromBlock = toBlock + 1;
+    }
+  }
+
+  // Logs pushed by the subscriber; ranges a sync already covered apply again without changing anything
+  async function onSubscribedLogs(logs, { toBlock }) {
+    if (await isReorged()) {
+      // The subscriber only delivers new blocks: rescan everything, this range included
+      console.warn(`Block ${lastBlock} of the game index was reorged out, rebuilding the index`);
+      await syncing?.catch(() => {});
+      await forget();
+      await sync();
+      return;
+    }
+    const changed = await commit(logs, toBlock);
+    // Every range moves lastBlock, which time-based statuses are re-evaluated on
+    notify(changed);
+  }
+
+  /**
+   * Bring the index up to the chain head; concurrent calls share one run
+   * @returns {Promise<void>}
+   */
+  function sync() {
+    if (!syncing) {
+      syncing = runSync().finally(() => {
+        syncing = null;
+      });
+    }
+    return syncing;
+  }
+
+  const onBlock = () => {
+    sync().catch((err) => console.warn('Game index sync failed:', err));
+  };
+
+  return {
+    sync,
+    getSnapshot,
+
+    /**
+     * Indexed record of one game
+     * @param {string} gameId
+     * @returns {IndexedGame|null}
+     */
+    getGame(gameId) {
+      return games.get(gameId) ?? null;
+    },
+
+    /**
+     * Listen for index changes
+     * @param {(snapshot: { games: IndexedGame[], lastBlock: number|null }) => void} listener
+     * @returns {() => void} Unsubscribe
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Listen for changes of one game only
+     * @param {string} gameId
+     * @param {(game: IndexedGame) => void} listener
+     * @returns {() => void} Unsubscribe
+     */
+    subscribeGame(gameId, listener) {
+      if (!gameListeners.has(gameId)) gameListeners.set(gameId, new Set());
+      gameListeners.get(gameId).add(listener);
+      return () => gameListeners.get(gameId)?.delete(listener);
+    },
+
+    // Follow new blocks (the initial sync is up to the caller)
+    start() {
+      if (!subscriber) {
+        provider.on('block', onBlock);
+        return;
+      }
+      const fromBlock = lastBlock === null ? deploymentBlock : lastBlock + 1;
+      watching = contract.getAddress().then((address) =>
+        subscriber.watchLogs({ address, topics: [topics] }, { fromBlock, onLogs: onSubscribedLogs })
+      );
+    },
+
+    stop() {
+      if (watching) {
+        watching.then((unwatchLogs) => unwatchLogs());
+        watching = null;
+      } else {
+        provider.off('block', onBlock);
+      }
+      listeners.clear();
+      gameListeners.clear();
+    },
+
+    // Forget everything indexed and rebuild from the deployment block
+    async reset() {
+      await syncing?.catch(() => {});
+      await forget();
+      return sync();
+    }
+  };
+}
@@ -0,0 +1,144 @@
+// Game state machine: the one place that turns a game plus the current time into a status and the actions it allows
+// Mirrors the contract's require()s, so a list never offers a transaction the contract would revert
+// Pure and dependency free: the lists, the event index and the indexer service all share it
+
+export const GAME_STATUS = {
+  OPEN: 'OPEN',                         // Waiting for player 2, before moveDeadline
+  EXPIRABLE: 'EXPIRABLE',               // Nobody joined before moveDeadline; anyone can expire it
+  AWAITING_ORACLE: 'AWAITING_ORACLE',   // Both moves in, result decryption requested
+  ORACLE_TIMED_OUT: 'ORACLE_TIMED_OUT', // The oracle missed decryptDeadline; anyone can expire it
+  RESOLVED: 'RESOLVED',                 // Result decrypted, winnings or draw returns credited
+  EXPIRED_REFUNDED: 'EXPIRED_REFUNDED'  // Expired, bets credited back to the players
+};
+
+export const GAME_ROLE = {
+  PLAYER1: 'PLAYER1',
+  PLAYER2: 'PLAYER2',
+  // Any other account (or no wallet at all)
+  OTHER: 'OTHER'
+};
+
+export const GAME_ACTION = {
+  JOIN: 'JOIN',                   // joinGame
+  EXPIRE: 'EXPIRE',               // checkAndExpireGame / batchExpireGames
+  REVEAL_MOVE: 'REVEAL_MOVE',     // User decryption of the player's own move
+  VERIFY_RESULT: 'VERIFY_RESULT'  // Public decryption of the result, KMS signatures checked locally
+};
+
+// Move window this app creates games with; stands in for moveDeadline when a record doesn't carry it
+export const DEFAULT_MOVE_WINDOW_SECONDS = 86400;
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const FINISHED = new Set([GAME_STATUS.RESOLVED, GAME_STATUS.EXPIRED_REFUNDED]);
+
+// Actions by status and role; anything not listed reverts on-chain or makes no sense for that account
+const ACTIONS = {
+  [GAME_STATUS.OPEN]: {
+    [GAME_ROLE.PLAYER1]: [GAME_ACTION.REVEAL_MOVE],
+    [GAME_ROLE.OTHER]: [GAME_ACTION.JOIN]
+  },
+  [GAME_STATUS.EXPIRABLE]: {
+    [GAME_ROLE.PLAYER1]: [GAME_ACTION.EXPIRE, GAME_ACTION.REVEAL_MOVE],
+    [GAME_ROLE.OTHER]: [GAME_ACTION.EXPIRE]
+  },
+  [GAME_STATUS.AWAITING_ORACLE]: {
+    [GAME_ROLE.PLAYER1]: [GAME_ACTION.REVEAL_MOVE],
+    [GAME_ROLE.PLAYER2]: [GAME_ACTION.REVEAL_MOVE]
+  },
+  [GAME_STATUS.ORACLE_TIMED_OUT]: {
+    [GAME_ROLE.PLAYER1]: [GAME_ACTION.EXPIRE, GAME_ACTION.REVEAL_MOVE],
+    [GAME_ROLE.PLAYER2]: [GAME_ACTION.EXPIRE, GAME_ACTION.REVEAL_MOVE],
+    [GAME_ROLE.OTHER]: [GAME_ACTION.EXPIRE]
+  },
+  [GAME_STATUS.RESOLVED]: {
+    [GAME_ROLE.PLAYER1]: [GAME_ACTION.REVEAL_MOVE, GAME_ACTION.VERIFY_RESULT],
+    [GAME_ROLE.PLAYER2]: [GAME_ACTION.REVEAL_MOVE, GAME_ACTION.VERIFY_RESULT],
+    [GAME_ROLE.OTHER]: [GAME_ACTION.VERIFY_RESULT]
+  },
+  [GAME_STATUS.EXPIRED_REFUNDED]: {
+    [GAME_ROLE.PLAYER1]: [GAME_ACTION.REVEAL_MOVE],
+    [GAME_ROLE.PLAYER2]: [GAME_ACTION.REVEAL_MOVE]
+  }
+};
+
+// player2 of a game nobody joined is the zero address, which never matches an account
+const sameAddress = (a, b) => Boolean(a && b) && a !== ZERO_ADDRESS && a.toLowerCase() === b.toLowerCase();
+
+/** Current Unix time in seconds */
+export const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Last second player 2 can join (the contract allows `block.timestamp <= moveDeadline`)
+ * @param {Object} game - Raw `games(id)` struct or an IndexedGame
+ * @returns {number}
+ */
+export function getMoveDeadline(game) {
+  const moveDeadline = Number(game.moveDeadline ?? 0);
+  return moveDeadline > 0 ? moveDeadline : Number(game.startTime) + DEFAULT_MOVE_WINDOW_SECONDS;
+}
+
+/**
+ * Status of a game at `now`
+ * Accepts the raw `games(id)` struct (bigints) as well as an IndexedGame (numbers, decimal strings)
+ * @param {Object} game
+ * @param {number} [now] - Unix seconds, the latest block timestamp where it matters
+ * @returns {string} One of GAME_STATUS
+ */
+export function getGameStatus(game, now = nowSeconds()) {
+  if (game.isExpired) return GAME_STATUS.EXPIRED_REFUNDED;
+  // resultCode defaults to 0 (a player 1 win) on-chain, only decryptionCompleted makes it a result
+  if (game.decryptionCompleted) return GAME_STATUS.RESOLVED;
+  if (game.decryptionRequested || (game.player2 && game.player2 !== ZERO_ADDRESS)) {
+    // joinGame requests the decryption in the same transaction, so a joined game is always waiting on the oracle
+    return game.decryptionRequested && now > Number(game.decryptDeadline)
+      ? GAME_STATUS.ORACLE_TIMED_OUT
+      : GAME_STATUS.AWAITING_ORACLE;
+  }
+  return now > getMoveDeadline(game) ? GAME_STATUS.EXPIRABLE : GAME_STATUS.OPEN;
+}
+
+/**
+ * Role of an account in a game
+ * @param {Object} game
+ * @param {string|null} account
+ * @returns {string} One of GAME_ROLE
+ */
+export function getGameRole(game, account) {
+  if (sameAddress(game.player1, account)) return GAME_ROLE.PLAYER1;
+  if (sameAddress(game.player2, account)) return GAME_ROLE.PLAYER2;
+  return GAME_ROLE.OTHER;
+}
+
+/**
+ * Actions `account` can take on a game at `now`
+ * @param {Object} game
+ * @param {string|null} account
+ * @param {number} [now]
+ * @returns {string[]} GAME_ACTION values
+ */
+export function getAllowedActions(game, account, now = nowSeconds()) {
+  const actions = ACTIONS[getGameStatus(game, now)][getGameRole(game, account)] ?? [];
+  // Without a wallet there is nothing to sign: only the public result check remains
+  return account ? actions : actions.filter((action) => action === GAME_ACTION.VERIFY_RESULT);
+}
+
+/**
+ * @param {Object} game
+ * @param {string|null} account
+ * @param {string} action - One of GAME_ACTION
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function canPerform(game, account, action, now = nowSeconds()) {
+  return getAllowedActions(game, account, now).includes(action);
+}
+
+/**
+ * Whether the game reached a final status (no transaction can change it any more)
+ * @param {string} status - One of GAME_STATUS
+ * @returns {boolean}
+ */
+export function isFinalStatus(status) {
+  return FINISHED.has(status);
+}
@@ -0,0 +1,148 @@
+// Persistence for the game indexer (see ./gameIndexer.js)
+// IndexedDB in the browser; an in-memory store where IndexedDB is unavailable (private windows, tests)
+
+const DB_NAME = 'rps-indexer';
+const DB_VERSION = 1;
+const GAMES_STORE = 'games'; // { scope, id, ...game record }, keyed by [scope, id]
+const META_STORE = 'meta';   // { scope, lastBlock, lastBlockHash, schemaVersion }
+
+// Bump when the shape of indexed game records changes; stored indexes of older versions are rebuilt
+export const INDEX_SCHEMA_VERSION = 2;
+
+/**
+ * @typedef {Object} IndexerStore
+ * @property {() => Promise<{ games: Object[], lastBlock: number|null, lastBlockHash: string|null }>} load - Indexed games,
+ *   last indexed block and its hash (to notice reorgs)
+ * @property {(games: Object[], lastBlock: number, lastBlockHash: string|null) => Promise<void>} save - Upsert changed
+ *   games and advance the block, atomically
+ * @property {() => Promise<void>} clear - Drop everything indexed for this scope
+ */
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(GAMES_STORE)) {
+        db.createObjectStore(GAMES_STORE, { keyPath: ['scope', 'id'] }).createIndex('scope', 'scope');
+      }
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE, { keyPath: 'scope' });
+      }
+    };
+    dbPromise = requestToPromise(request).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+async function clearScope(db, scope) {
+  const tx = db.transaction([GAMES_STORE, META_STORE], 'readwrite');
+  const games = tx.objectStore(GAMES_STORE);
+  const keys = await requestToPromise(games.index('scope').getAllKeys(scope));
+  keys.forEach((key) => games.delete(key));
+  tx.objectStore(META_STORE).delete(scope);
+  await transactionDone(tx);
+}
+
+function createIndexedDbStore(db, scope) {
+  return {
+    async load() {
+      const tx = db.transaction([GAMES_STORE, META_STORE], 'readonly');
+      const [records, meta] = await Promise.all([
+        requestToPromise(tx.objectStore(GAMES_STORE).index('scope').getAll(scope)),
+        requestToPromise(tx.objectStore(META_STORE).get(scope))
+      ]);
+
+      if (!meta || meta.schemaVersion !== INDEX_SCHEMA_VERSION) {
+        // Nothing indexed yet, or indexed with an older record shape: start over
+        if (meta || records.length > 0) {
+          await clearScope(db, scope);
+        }
+        return { games: [], lastBlock: null, lastBlockHash: null };
+      }
+
+      const games = records.map((record) => {
+        const { scope: _scope, ...game } = record;
+        return game;
+      });
+      return { games, lastBlock: meta.lastBlock, lastBlockHash: meta.lastBlockHash ?? null };
+    },
+
+    async save(games, lastBlock, lastBlockHash = null) {
+      const tx = db.transaction([GAMES_STORE, META_STORE], 'readwrite');
+      const store = tx.objectStore(GAMES_STORE);
+      games.forEach((game) => store.put({ ...game, scope }));
+      tx.objectStore(META_STORE).put({ scope, lastBlock, lastBlockHash, schemaVersion: INDEX_SCHEMA_VERSION });
+      await transactionDone(tx);
+    },
+
+    async clear() {
+      await clearScope(db, scope);
+    }
+  };
+}
+
+/**
+ * In-memory store with the same interface (nothing survives a reload)
+ * @returns {IndexerStore}
+ */
+export function createMemoryStore() {
+  const games = new Map();
+  let lastBlock = null;
+  let lastBlockHash = null;
+
+  return {
+    async load() {
+      return { games: [...games.values()].map((game) => ({ ...game })), lastBlock, lastBlockHash };
+    },
+
+    async save(changed, block, blockHash = null) {
+      changed.forEach((game) => games.set(game.id, { ...game }));
+      lastBlock = block;
+      lastBlockHash = blockHash;
+    },
+
+    async clear() {
+      games.clear();
+      lastBlock = null;
+      lastBlockHash = null;
+    }
+  };
+}
+
+/**
+ * Open the index of one game contract
+ * @param {string} scope - Identifies the contract, e.g. `${chainId}:${contractAddress}`
+ * @returns {Promise<IndexerStore>}
+ */
+export async function openIndexerStore(scope) {
+  if (typeof indexedDB === 'undefined') {
+    return createMemoryStore();
+  }
+  try {
+    return createIndexedDbStore(await openDatabase(), scope);
+  } catch (err) {
+    console.warn('IndexedDB unavailable, keeping the game index in memory:', err);
+    return createMemoryStore();
+  }
+}
@@ -0,0 +1,104 @@
+// Client-side verification of public decryption results
+// Mirrors KMSVerifier.verifyDecryptionEIP712KMSSignatures, the check FHE.checkSignatures runs on-chain
+import { ethers } from 'ethers';
+import { DecryptionUnverifiedError } from './fheErrors';
+import { encodeHandles, parseHandle, FHE_TYPES } from './fheCodec';
+
+// EIP-712 domain name/version of the gateway's Decryption contract
+export const PUBLIC_DECRYPT_EIP712_DOMAIN = { name: 'Decryption', version: '1' };
+
+export const PUBLIC_DECRYPT_EIP712_TYPES = {
+  PublicDecryptVerification: [
+    { name: 'ctHandles', type: 'bytes32[]' },
+    { name: 'decryptedResult', type: 'bytes' },
+    { name: 'extraData', type: 'bytes' }
+  ]
+};
+
+const KMS_VERIFIER_ABI = [
+  'function getKmsSigners() view returns (address[])',
+  'function getThreshold() view returns (uint256)'
+];
+
+/**
+ * Read the KMS signer set and threshold from the host chain's KMSVerifier contract
+ * @param {ethers.Provider} provider - Host chain provider
+ * @param {string} kmsContractAddress
+ * @returns {Promise<{ signers: string[], threshold: number }>}
+ */
+export async function readKmsSignerSet(provider, kmsContractAddress) {
+  const kmsVerifier = new ethers.Contract(kmsContractAddress, KMS_VERIFIER_ABI, provider);
+  const [signers, threshold] = await Promise.all([kmsVerifier.getKmsSigners(), kmsVerifier.getThreshold()]);
+  return { signers: [...signers], threshold: Number(threshold) };
+}
+
+/**
+ * Check the KMS signatures over a public decryption result
+ * Same rules as the KMSVerifier: every signature must come from a registered signer,
+ * and at least `threshold` distinct signers must have signed
+ * @param {Object} decryption
+ * @param {string[]} decryption.handles - Handles in the order they were decrypted
+ * @param {string} decryption.decryptedResult - ABI-encoded clear values (0x hex)
+ * @param {string} decryption.extraData - Extra data the signatures cover (0x hex)
+ * @param {string[]} decryption.signatures - 65-byte ECDSA signatures (0x hex)
+ * @param {{ chainId: number, verifyingContract: string }} decryption.domain - Gateway chain and Decryption contract
+ * @param {{ signers: string[], threshold: number }} signerSet - From readKmsSignerSet
+ * @returns {string[]} Distinct KMS signers that signed the result
+ * @throws {DecryptionUnverifiedError}
+ */
+export function verifyKmsSignatures({ handles, decryptedResult, extraData, signatures, domain }, { signers, threshold }) {
+  if (!Array.isArray(signatures) || signatures.length === 0) {
+    throw new DecryptionUnverifiedError('The decryption result carries no KMS signatures.');
+  }
+  if (signatures.length < threshold) {
+    throw new DecryptionUnverifiedError(`The decryption result has ${signatures.length} KMS signatures, ${threshold} required.`);
+  }
+
+  const typedDomain = { ...PUBLIC_DECRYPT_EIP712_DOMAIN, ...domain };
+  const message = { ctHandles: encodeHandles(handles), decryptedResult, extraData };
+  const registered = new Set(signers.map((address) => address.toLowerCase()));
+
+  const recovered = new Set();
+  for (const signature of signatures) {
+    let signer;
+    try {
+      signer = ethers.verifyTypedData(typedDomain, PUBLIC_DECRYPT_EIP712_TYPES, message, signature);
+    } catch (err) {
+      throw new DecryptionUnverifiedError('The decryption result carries a malformed KMS signature.', { cause: err });
+    }
+    if (!registered.has(signer.toLowerCase())) {
+      throw new DecryptionUnverifiedError(`The decryption result was signed by ${signer}, which is not a KMS signer.`);
+    }
+    recovered.add(signer);
+  }
+
+  if (recovered.size < threshold) {
+    throw new DecryptionUnverifiedError(`Only ${recovered.size} distinct KMS signers signed the result, ${threshold} required.`);
+  }
+  return [...recovered];
+}
+
+/**
+ * Decode the ABI-encoded clear values of a public decryption, keyed by handle
+ * @param {string[]} handles
+ * @param {string} decryptedResult
+ * @returns {Object<string, bigint|boolean>}
+ */
+export function decodeDecryptedResult(handles, decryptedResult) {
+  const parsed = handles.map(parseHandle);
+  // Only the types this game decrypts; every euint is encoded as a uint256 word
+  const types = parsed.map(({ fheType }) => (fheType === FHE_TYPES.EBOOL ? 'bool' : 'uint256'));
+
+  let decoded;
+  try {
+    decoded = ethers.AbiCoder.defaultAbiCoder().decode(types, decryptedResult);
+  } catch (err) {
+    throw new DecryptionUnverifiedError('The decryption result could not be decoded.', { cause: err });
+  }
+
+  const values = {};
+  parsed.forEach(({ handle }, i) => {
+    values[handle] = decoded[i];
+  });
+  return values;
+}
@@ -0,0 +1,187 @@
+// Multicall3 batching: many contract reads in one eth_call
+// Public RPCs throttle bursts of single calls; aggregate3 turns a page of games(id) reads into one request
+import { ethers } from 'ethers';
+
+// Same address on every chain Multicall3 was deployed to with its presigned transaction (Sepolia included)
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+export const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+const DEFAULT_CHUNK_SIZE = 100;
+const DEFAULT_CONCURRENCY = 4;
+// Delays before repeating a batch whose eth_call failed (network errors, rate limits)
+const DEFAULT_RETRY_DELAYS_MS = [500, 1500];
+
+/**
+ * @typedef {Object} ContractCall
+ * @property {ethers.Contract} contract - Contract to call (its interface encodes and decodes)
+ * @property {string} method - View function name (or signature for overloads)
+ * @property {Array} [args]
+ */
+
+/**
+ * @typedef {{ success: true, value: * } | { success: false, error: Error }} CallResult
+ * `value` is what `contract[method](...args)` resolves to: the single output, or the Result of several
+ */
+
+// Run `task` over items with at most `limit` in flight; results keep the input order
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Create a batcher for one provider
+ * Without a Multicall3 contract on the chain (address null, or no code there) the calls are sent one by one,
+ * with the same concurrency limit and retries
+ * @param {Object} options
+ * @param {ethers.Provider} options.provider
+ * @param {string|null|(() => Promise<string|null>)} options.address - Multicall3 address, or a resolver for it
+ * @param {number} [options.chunkSize=100] - Calls per aggregate3
+ * @param {number} [options.concurrency=4] - eth_calls in flight at once
+ * @param {number[]} [options.retryDelaysMs=[500, 1500]] - One retry per entry
+ */
+export function createMulticall({
+  provider,
+  address,
+  chunkSize = DEFAULT_CHUNK_SIZE,
+  concurrency = DEFAULT_CONCURRENCY,
+  retryDelaysMs = DEFAULT_RETRY_DELAYS_MS
+}) {
+  let multicallPromise = null;
+  let queue = [];
+
+  // The Multicall3 contract, or null when the chain has none; resolved once
+  function getMulticallContract() {
+    if (!multicallPromise) {
+      multicallPromise = (async () => {
+        const resolved = typeof address === 'function' ? await address() : address;
+        if (!resolved) return null;
+        const code = await provider.getCode(resolved);
+        if (code === '0x') {
+          console.warn(`No Multicall3 contract at ${resolved}, sending contract reads one by one`);
+          return null;
+        }
+        return new ethers.Contract(resolved, MULTICALL3_ABI, provider);
+      })().catch((err) => {
+        multicallPromise = null;
+        throw err;
+      });
+    }
+    return multicallPromise;
+  }
+
+  async function withRetry(task) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await task();
+      } catch (err) {
+        // A revert is the contract's answer, not a transport failure: asking again won't change it
+        if (err?.code === 'CALL_EXCEPTION' || attempt >= retryDelaysMs.length) throw err;
+        await sleep(retryDelaysMs[attempt]);
+      }
+    }
+  }
+
+  function decode({ contract, method }, returnData) {
+    const fragment = contract.interface.getFunction(method);
+    const result = contract.interface.decodeFunctionResult(fragment, returnData);
+    return fragment.outputs.length === 1 ? result[0] : result;
+  }
+
+  async function runBatch(multicall, calls) {
+    const encoded = await Promise.all(calls.map(async (call) => ({
+      target: await call.contract.getAddress(),
+      allowFailure: true,
+      callData: call.contract.interface.encodeFunctionData(call.method, call.args ?? [])
+    })));
+
+    const responses = await withRetry(() => multicall.aggregate3.staticCall(encoded));
+
+    return responses.map(({ success, returnData }, i) => {
+      if (!success) {
+        const error = calls[i].contract.interface.makeError(returnData, { to: encoded[i].target, data: encoded[i].callData });
+        return { success: false, error };
+      }
+      try {
+        return { success: true, value: decode(calls[i], returnData) };
+      } catch (error) {
+        return { success: false, error };
+      }
+    });
+  }
+
+  async function runSingle(call) {
+    try {
+      const value = await withRetry(() => call.contract.getFunction(call.method).staticCall(...(call.args ?? [])));
+      return { success: true, value };
+    } catch (error) {
+      return { success: false, error };
+    }
+  }
+
+  /**
+   * Run many reads in as few eth_calls as possible
+   * A read that reverts fails on its own; a batch whose eth_call keeps failing rejects
+   * @param {ContractCall[]} calls
+   * @returns {Promise<CallResult[]>} In the order of `calls`
+   */
+  async function aggregate(calls) {
+    if (calls.length === 0) return [];
+    const multicall = await getMulticallContract();
+    if (!multicall) {
+      return mapWithConcurrency(calls, concurrency, runSingle);
+    }
+    const batches = await mapWithConcurrency(chunk(calls, chunkSize), concurrency, (batch) => runBatch(multicall, batch));
+    return batches.flat();
+  }
+
+  async function flush() {
+    const pending = queue;
+    queue = [];
+    try {
+      const results = await aggregate(pending.map(({ call }) => call));
+      results.forEach((result, i) => (result.success ? pending[i].resolve(result.value) : pending[i].reject(result.error)));
+    } catch (err) {
+      pending.forEach(({ reject }) => reject(err));
+    }
+  }
+
+  /**
+   * Drop-in for `contract[method](...args)`: reads issued in the same tick share one aggregate
+   * @param {ethers.Contract} contract
+   * @param {string} method
+   * @param {...*} args
+   * @returns {Promise<*>}
+   */
+  function read(contract, method, ...args) {
+    return new Promise((resolve, reject) => {
+      if (queue.length === 0) {
+        queueMicrotask(flush);
+      }
+      queue.push({ call: { contract, method, args }, resolve, reject });
+    });
+  }
+
+  return { aggregate, read };
+}
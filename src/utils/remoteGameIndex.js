@@ -0,0 +1,138 @@
+// Game index served by the standalone indexer service (indexer/) instead of scanning the chain in the browser
+// Same interface as createGameIndexer (./gameIndexer.js), so GameIndexerProvider can use either
+
+async function getJson(fetchImpl, url) {
+  const res = await fetchImpl(url, { headers: { Accept: 'application/json' } });
+  const body = await res.json().catch(() => null);
+  if (!res.ok) {
+    throw new Error(`Indexer request ${url} failed (${res.status}): ${body?.error ?? res.statusText}`);
+  }
+  return body;
+}
+
+/**
+ * Create a game index backed by the indexer service's HTTP API
+ * @param {Object} options
+ * @param {string} options.baseUrl - Indexer service URL, e.g. http://localhost:4000
+ * @param {number} options.chainId - Chain the app is on; the service must follow the same chain...
+ * @param {string} options.contractAddress - ...and the same game contract
+ * @param {ethers.Provider} [options.provider] - New blocks trigger a sync, like the chain indexer
+ * @param {ReturnType<import('./chainSubscriber').createChainSubscriber>} [options.subscriber] - Takes the
+ *   provider's place as the source of new blocks
+ * @param {typeof fetch} [options.fetch]
+ */
+export function createRemoteGameIndex({ baseUrl, chainId, contractAddress, provider, subscriber, fetch: fetchImpl = fetch }) {
+  const base = baseUrl.replace(/\/+$/, '');
+  const games = new Map();
+  let lastBlock = null;
+  let checked = false;
+  let syncing = null;
+  let snapshot = null;
+  let unwatch = null;
+  const listeners = new Set();
+  const gameListeners = new Map();
+
+  function notify(changed = []) {
+    snapshot = null;
+    const current = getSnapshot();
+    listeners.forEach((listener) => listener(current));
+    changed.forEach((game) => gameListeners.get(game.id)?.forEach((listener) => listener(game)));
+  }
+
+  // Same shape as createGameIndexer's snapshot
+  function getSnapshot() {
+    if (!snapshot) {
+      const sorted = [...games.values()].sort((a, b) => Number(BigInt(b.id) - BigInt(a.id)));
+      snapshot = { games: sorted, lastBlock };
+    }
+    return snapshot;
+  }
+
+  // A service following another chain or deployment would silently serve the wrong games
+  async function checkTarget() {
+    const health = await getJson(fetchImpl, `${base}/health`);
+    if (Number(health.chainId) !== Number(chainId) || health.contractAddress?.toLowerCase() !== contractAddress.toLowerCase()) {
+      throw new Error(
+        `The indexer at ${base} follows ${health.contractAddress} on chain ${health.chainId}, ` +
+        `not ${contractAddress} on chain ${chainId}`
+      );
+    }
+    checked = true;
+  }
+
+  async function runSync() {
+    if (!checked) await checkTarget();
+    const query = lastBlock === null ? '' : `?updatedSince=${lastBlock}`;
+    const body = await getJson(fetchImpl, `${base}/games${query}`);
+
+    body.games.forEach((game) => games.set(game.id, game));
+    const advanced = body.lastBlock !== lastBlock;
+    lastBlock = body.lastBlock;
+    if (body.games.length > 0 || advanced) notify(body.games);
+  }
+
+  /**
+   * Fetch the games changed since the last sync; concurrent calls share one request
+   * @returns {Promise<void>}
+   */
+  function sync() {
+    if (!syncing) {
+      syncing = runSync().finally(() => {
+        syncing = null;
+      });
+    }
+    return syncing;
+  }
+
+  const onBlock = () => {
+    sync().catch((err) => console.warn('Game index sync failed:', err));
+  };
+
+  return {
+    sync,
+    getSnapshot,
+
+    getGame(gameId) {
+      return games.get(gameId) ?? null;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    subscribeGame(gameId, listener) {
+      if (!gameListeners.has(gameId)) gameListeners.set(gameId, new Set());
+      gameListeners.get(gameId).add(listener);
+      return () => gameListeners.get(gameId)?.delete(listener);
+    },
+
+    start() {
+      if (subscriber) {
+        unwatch = subscriber.watchBlocks(onBlock);
+      } else {
+        provider?.on('block', onBlock);
+      }
+    },
+
+    stop() {
+      if (unwatch) {
+        unwatch();
+        unwatch = null;
+      } else {
+        provider?.off('block', onBlock);
+      }
+      listeners.clear();
+      gameListeners.clear();
+    },
+
+    // Drop the local copy and fetch everything again
+    async reset() {
+      await syncing?.catch(() => {});
+      games.clear();
+      lastBlock = null;
+      notify();
+      return sync();
+    }
+  };
+}
@@ -0,0 +1,426 @@
+// Client for the game contract: encryption, bet values and event parsing in one place, usable from React and Node
+// Only depends on ethers; encryption and batched reads are passed in, so scripts can bring their own FHE setup
+import { ethers } from 'ethers';
+import {
+  GAME_STATUS,
+  GAME_ACTION,
+  DEFAULT_MOVE_WINDOW_SECONDS,
+  getGameStatus,
+  getAllowedActions,
+  nowSeconds
+} from './gameState.js';
+import { toTxError } from './txErrors.js';
+
+// Errors thrown before a transaction is sent; the contract would revert (or there is nothing to do)
+export class RpsClientError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {string} [options.code] - INVALID_MOVE, INVALID_BET, BET_OUT_OF_RANGE, GAME_NOT_FOUND, ACTION_NOT_ALLOWED,
+   *   NOTHING_TO_EXPIRE, NOTHING_TO_WITHDRAW, NO_SIGNER, NO_ENCRYPTOR, EVENT_MISSING, NOT_CONFIRMED
+   * @param {unknown} [options.cause]
+   */
+  constructor(message, { code = 'RPS_CLIENT_ERROR', cause } = {}) {
+    super(message, { cause });
+    this.name = 'RpsClientError';
+    this.code = code;
+  }
+}
+
+/**
+ * @typedef {Object} Game
+ * @property {bigint} id
+ * @property {string} player1
+ * @property {string} player2 - ZeroAddress until someone joins
+ * @property {bigint} betAmount - Wei, per player
+ * @property {bigint} totalPot
+ * @property {bigint} feeAmount - Set once a winner is paid
+ * @property {bigint} payoutAmount
+ * @property {number} startTime - Unix seconds
+ * @property {number} moveDeadline
+ * @property {number} decryptRequestTime
+ * @property {number} decryptDeadline
+ * @property {boolean} decryptionRequested
+ * @property {boolean} decryptionCompleted
+ * @property {number|null} resultCode - 0 = P1 wins, 1 = P2 wins, 2 = draw; null until resolved
+ * @property {string} winner
+ * @property {boolean} isExpired
+ * @property {number} endTime
+ * @property {string} status - GAME_STATUS at the time of the read
+ */
+
+/**
+ * @typedef {Object} TxResult
+ * @property {string} hash
+ * @property {number} blockNumber
+ */
+
+/**
+ * @typedef {Object} TxReview
+ * A simulated transaction waiting for the user's go-ahead
+ * @property {string} method
+ * @property {string} label
+ * @property {bigint} gas - Simulated gas
+ * @property {bigint} gasLimit - Limit it will be sent with
+ * @property {bigint} value - ETH sent with the call
+ */
+
+/**
+ * @typedef {Object} Refund
+ * @property {bigint} gameId
+ * @property {string} player
+ * @property {bigint} amount
+ */
+
+/**
+ * @typedef {(move: number, contractAddress: string, userAddress: string, options?: Object) =>
+ *   Promise<{ handle: string, proof: string }>} Encryptor
+ * Same signature as encryptMove() in ./fhe.js; `options` (signal, onProgress) is passed through
+ */
+
+const MOVES = [0, 1, 2];
+
+// What each write does, for transaction lists
+const TX_LABELS = {
+  createGame: () => 'Create game',
+  joinGame: ([gameId]) => `Join game #${gameId}`,
+  submitMove: ([gameId]) => `Submit move in game #${gameId}`,
+  checkAndExpireGame: ([gameId]) => `Expire game #${gameId}`,
+  batchExpireGames: ([gameIds]) => `Expire ${gameIds.length} games`,
+  withdraw: () => 'Withdraw winnings'
+};
+
+// Headroom on the simulated gas, for state that changes between the estimate and inclusion
+const GAS_LIMIT_MARGIN_PERCENT = 20n;
+
+// Statuses checkAndExpireGame acts on
+const EXPIRABLE = [GAME_STATUS.EXPIRABLE, GAME_STATUS.ORACLE_TIMED_OUT];
+
+/**
+ * Bet as wei: bigints are wei already, strings and numbers are ETH ('0.01')
+ * @param {bigint|string|number} bet
+ * @returns {bigint}
+ */
+export function toWei(bet) {
+  if (typeof bet === 'bigint') return bet;
+  try {
+    return ethers.parseEther(String(bet));
+  } catch (err) {
+    throw new RpsClientError(`Invalid bet amount: ${bet}`, { code: 'INVALID_BET', cause: err });
+  }
+}
+
+/**
+ * Typed game from the raw games(id) struct
+ * @param {Object} raw - ethers Result of games(id)
+ * @param {number} [now]
+ * @returns {Game}
+ */
+export function toGame(raw, now = nowSeconds()) {
+  const game = {
+    id: raw.id,
+    player1: raw.player1,
+    player2: raw.player2,
+    betAmount: raw.betAmount,
+    totalPot: raw.totalPot,
+    feeAmount: raw.feeAmount,
+    payoutAmount: raw.payoutAmount,
+    startTime: Number(raw.startTime),
+    moveDeadline: Number(raw.moveDeadline),
+    decryptRequestTime: Number(raw.decryptRequestTime),
+    decryptDeadline: Number(raw.decryptDeadline),
+    decryptionRequested: raw.decryptionRequested,
+    decryptionCompleted: raw.decryptionCompleted,
+    // resultCode is 0 on-chain until the oracle answers
+    resultCode: raw.decryptionCompleted ? Number(raw.resultCode) : null,
+    winner: raw.winner,
+    isExpired: raw.isExpired,
+    endTime: Number(raw.endTime)
+  };
+  return { ...game, status: getGameStatus(game, now) };
+}
+
+/**
+ * Create a client for one game contract
+ * @param {Object} options
+ * @param {ethers.Contract} options.contract - Connected to a signer for transactions, a provider is enough for reads
+ * @param {Encryptor} [options.encrypt] - Required by createGame, joinGame and submitMove
+ * @param {(contract: ethers.Contract, method: string, ...args) => Promise<*>} [options.read] - Contract reads,
+ *   e.g. readContract from ./contractReads.js or createMulticall(...).read; plain eth_calls by default
+ * @param {() => number} [options.now] - Unix seconds the game statuses are computed at
+ * @param {(tx: ethers.TransactionResponse, info: { method: string, label: string }) => void} [options.onSent] - Called
+ *   once a transaction is broadcast, before its receipt (e.g. txTracker's track)
+ */
+export function createRpsClient({
+  contract,
+  encrypt,
+  read = (target, method, ...args) => target.getFunction(method).staticCall(...args),
+  now = nowSeconds,
+  onSent
+}) {
+  const iface = contract.interface;
+
+  async function getSigner() {
+    const runner = contract.runner;
+    if (!runner?.sendTransaction) {
+      throw new RpsClientError('A signer is required to send transactions.', { code: 'NO_SIGNER' });
+    }
+    return runner;
+  }
+
+  async function encryptFor(move, options, onEncrypted) {
+    if (!MOVES.includes(move)) {
+      throw new RpsClientError('Invalid move: must be 0 (Rock), 1 (Paper), or 2 (Scissors)', { code: 'INVALID_MOVE' });
+    }
+    if (!encrypt) {
+      throw new RpsClientError('No encryptor configured for this client.', { code: 'NO_ENCRYPTOR' });
+    }
+    const signer = await getSigner();
+    const encrypted = await encrypt(move, await contract.getAddress(), await signer.getAddress(), options);
+    onEncrypted?.();
+    return encrypted;
+  }
+
+  // Decoded logs of this contract in a receipt, optionally only one event
+  function parseEvents(receipt, name) {
+    const address = typeof contract.target === 'string' ? contract.target.toLowerCase() : null;
+    return receipt.logs
+      .filter((log) => !address || log.address.toLowerCase() === address)
+      .map((log) => {
+        try {
+          return iface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .filter((event) => event && (!name || event.name === name));
+  }
+
+  function requireEvent(receipt, name) {
+    const [event] = parseEvents(receipt, name);
+    if (!event) {
+      throw new RpsClientError(`Transaction ${receipt.hash} did not emit ${name}.`, { code: 'EVENT_MISSING' });
+    }
+    return event;
+  }
+
+  function refundsOf(receipt) {
+    return parseEvents(receipt, 'RefundProcessed').map((event) => ({
+      gameId: event.args.gameId,
+      player: event.args.player,
+      amount: event.args.amount
+    }));
+  }
+
+  const txResult = (receipt) => ({ hash: receipt.hash, blockNumber: receipt.blockNumber });
+
+  // Every write is simulated first: a revert becomes a TxError the user reads before the wallet prompt opens
+  // `onReview` sees the simulated gas and value and can still stop the transaction (resolve false)
+  async function send(method, args, { onReview } = {}) {
+    await getSigner();
+    const fn = contract.getFunction(method);
+    let gas;
+    try {
+      await fn.staticCall(...args);
+      gas = await fn.estimateGas(...args);
+    } catch (err) {
+      throw toTxError(err, { iface, simulated: true });
+    }
+
+    // Overrides ({ value }) follow the method's inputs; the estimate joins them
+    const hasOverrides = args.length > fn.fragment.inputs.length;
+    const overrides = { gasLimit: (gas * (100n + GAS_LIMIT_MARGIN_PERCENT)) / 100n, ...(hasOverrides ? args.at(-1) : {}) };
+    const params = hasOverrides ? args.slice(0, -1) : args;
+    const label = TX_LABELS[method]?.(params) ?? method;
+    if (onReview) {
+      const review = { method, label, gas, gasLimit: overrides.gasLimit, value: overrides.value ?? 0n };
+      if (!(await onReview(review))) {
+        throw new RpsClientError('Transaction not confirmed.', { code: 'NOT_CONFIRMED' });
+      }
+    }
+    try {
+      const tx = await fn(...params, overrides);
+      onSent?.(tx, { method, label });
+      return await tx.wait();
+    } catch (err) {
+      // Sped up (same call, higher fees): the replacement's receipt carries the same events
+      if (ethers.isError(err, 'TRANSACTION_REPLACED') && !err.cancelled) return err.receipt;
+      throw toTxError(err, { iface });
+    }
+  }
+
+  /**
+   * One game, or null when the id doesn't exist
+   * @param {bigint|number|string} gameId
+   * @returns {Promise<Game|null>}
+   */
+  async function getGame(gameId) {
+    const raw = await read(contract, 'games', BigInt(gameId));
+    return raw.player1 === ethers.ZeroAddress ? null : toGame(raw, now());
+  }
+
+  async function requireAction(gameId, action, account) {
+    const game = await getGame(gameId);
+    if (!game) {
+      throw new RpsClientError(`Game #${gameId} does not exist.`, { code: 'GAME_NOT_FOUND' });
+    }
+    if (!getAllowedActions(game, account, now()).includes(action)) {
+      throw new RpsClientError(`Game #${gameId} is ${game.status}: ${action} is not possible.`, { code: 'ACTION_NOT_ALLOWED' });
+    }
+    return game;
+  }
+
+  return {
+    contract,
+    getGame,
+
+    /**
+     * Games newest first, read in one batch
+     * @param {Object} [options]
+     * @param {number} [options.offset=0] - Games to skip from the newest
+     * @param {number} [options.limit=20]
+     * @returns {Promise<{ games: Game[], total: number }>}
+     */
+    async listGames({ offset = 0, limit = 20 } = {}) {
+      const total = Number(await read(contract, 'gameIdCounter'));
+      const ids = [];
+      for (let id = total - offset; id > 0 && ids.length < limit; id--) {
+        ids.push(BigInt(id));
+      }
+      const at = now();
+      const raws = await Promise.all(ids.map((id) => read(contract, 'games', id)));
+      return { games: raws.map((raw) => toGame(raw, at)), total };
+    },
+
+    /**
+     * Create a game with an encrypted move; the bet is checked against the contract's limits first
+     * @param {Object} params
+     * @param {number} params.move - 0 = Rock, 1 = Paper, 2 = Scissors
+     * @param {bigint|string|number} params.bet - Wei as bigint, or ETH ('0.01')
+     * @param {number} [params.moveDeadlineSeconds=86400] - How long player 2 can join
+     * @param {Object} [params.encryptOptions] - Passed to the encryptor (signal, onProgress)
+     * @param {() => void} [params.onEncrypted] - Called once the move is encrypted, before the wallet prompt
+     * @param {(review: TxReview) => Promise<boolean>} [params.onReview] - Confirm the simulated cost before sending
+     * @returns {Promise<TxResult & { gameId: bigint, betAmount: bigint }>}
+     */
+    async createGame({ move, bet, moveDeadlineSeconds = DEFAULT_MOVE_WINDOW_SECONDS, encryptOptions, onEncrypted, onReview }) {
+      const betAmount = toWei(bet);
+      const [minBet, maxBet] = await Promise.all([read(contract, 'minBet'), read(contract, 'maxBet')]);
+      if (betAmount < minBet || betAmount > maxBet) {
+        throw new RpsClientError(
+          `Bet amount must be between ${ethers.formatEther(minBet)} and ${ethers.formatEther(maxBet)} ETH`,
+          { code: 'BET_OUT_OF_RANGE' }
+        );
+      }
+
+      const { handle, proof } = await encryptFor(move, encryptOptions, onEncrypted);
+      const receipt = await send('createGame', [handle, proof, moveDeadlineSeconds, betAmount, { value: betAmount }], { onReview });
+      const event = requireEvent(receipt, 'GameCreated');
+      return { ...txResult(receipt), gameId: event.args.gameId, betAmount };
+    },
+
+    /**
+     * Join an open game with an encrypted move, paying exactly its bet; joining requests the result decryption
+     * @param {bigint|number|string} gameId
+     * @param {Object} params
+     * @param {number} params.move
+     * @param {Object} [params.encryptOptions]
+     * @param {() => void} [params.onEncrypted]
+     * @param {(review: TxReview) => Promise<boolean>} [params.onReview]
+     * @returns {Promise<TxResult & { gameId: bigint, betAmount: bigint, requestId: bigint, decryptDeadline: number }>}
+     */
+    async joinGame(gameId, { move, encryptOptions, onEncrypted, onReview }) {
+      const signer = await getSigner();
+      const game = await requireAction(gameId, GAME_ACTION.JOIN, await signer.getAddress());
+      const { handle, proof } = await encryptFor(move, encryptOptions, onEncrypted);
+      const receipt = await send('joinGame', [game.id, handle, proof, { value: game.betAmount }], { onReview });
+      const requested = requireEvent(receipt, 'DecryptionRequested');
+      return {
+        ...txResult(receipt),
+        gameId: game.id,
+        betAmount: game.betAmount,
+        requestId: requested.args.requestId,
+        decryptDeadline: Number(requested.args.deadline)
+      };
+    },
+
+    /**
+     * Submit a player's move separately (the contract accepts it until moveDeadline, once per player)
+     * @param {bigint|number|string} gameId
+     * @param {Object} params
+     * @param {number} params.move
+     * @param {Object} [params.encryptOptions]
+     * @param {() => void} [params.onEncrypted]
+     * @returns {Promise<TxResult & { gameId: bigint, isPlayer1: boolean }>}
+     */
+    async submitMove(gameId, { move, encryptOptions, onEncrypted }) {
+      const { handle, proof } = await encryptFor(move, encryptOptions, onEncrypted);
+      const receipt = await send('submitMove', [BigInt(gameId), handle, proof]);
+      const event = requireEvent(receipt, 'MoveSubmitted');
+      return { ...txResult(receipt), gameId: event.args.gameId, isPlayer1: event.args.isPlayer1 };
+    },
+
+    /**
+     * Expire a game nobody joined in time, or whose result the oracle didn't deliver; both bets are refunded
+     * @param {bigint|number|string} gameId
+     * @returns {Promise<TxResult & { gameId: bigint, refunds: Refund[] }>}
+     */
+    async expire(gameId) {
+      const signer = await getSigner();
+      const game = await requireAction(gameId, GAME_ACTION.EXPIRE, await signer.getAddress());
+      // checkAndExpireGame doesn't revert when the game can't be expired, so the event is the proof
+      const receipt = await send('checkAndExpireGame', [game.id]);
+      requireEvent(receipt, 'GameExpired');
+      return { ...txResult(receipt), gameId: game.id, refunds: refundsOf(receipt) };
+    },
+
+    /**
+     * Expire several games in one transaction
+     * Games that can't be expired right now are left out (batchExpireGames reverts on an already expired one)
+     * @param {Array<bigint|number|string>} gameIds
+     * @returns {Promise<TxResult & { expired: bigint[], skipped: bigint[], refunds: Refund[] }>}
+     */
+    async batchExpire(gameIds) {
+      await getSigner();
+      const games = await Promise.all(gameIds.map(async (id) => ({ id: BigInt(id), game: await getGame(id) })));
+      const expirable = (game) => EXPIRABLE.includes(game?.status);
+      const ids = games.filter(({ game }) => expirable(game)).map(({ id }) => id);
+      const skipped = games.filter(({ game }) => !expirable(game)).map(({ id }) => id);
+      if (ids.length === 0) {
+        throw new RpsClientError('None of these games can be expired right now.', { code: 'NOTHING_TO_EXPIRE' });
+      }
+
+      const receipt = await send('batchExpireGames', [ids]);
+      return {
+        ...txResult(receipt),
+        expired: parseEvents(receipt, 'GameExpired').map((event) => event.args.gameId),
+        skipped,
+        refunds: refundsOf(receipt)
+      };
+    },
+
+    /**
+     * Pay out the signer's winnings and refunds
+     * @returns {Promise<TxResult & { amount: bigint }>}
+     */
+    async withdraw() {
+      const signer = await getSigner();
+      const amount = await read(contract, 'withdrawableBalance', await signer.getAddress());
+      if (amount === 0n) {
+        throw new RpsClientError('Nothing to withdraw.', { code: 'NOTHING_TO_WITHDRAW' });
+      }
+      const receipt = await send('withdraw', []);
+      return { ...txResult(receipt), amount };
+    },
+
+    /**
+     * Balance the signer (or `account`) can withdraw, in wei
+     * @param {string} [account]
+     * @returns {Promise<bigint>}
+     */
+    async getWithdrawableBalance(account) {
+      const owner = account ?? (await (await getSigner()).getAddress());
+      return read(contract, 'withdrawableBalance', owner);
+    }
+  };
+}
@@ -0,0 +1,58 @@
+// Integrity-checked loading of the self-hosted FHE SDK assets
+import { FheSdkIntegrityError, FheSdkLoadError } from './fheErrors';
+
+/**
+ * Compute the SRI-style digest ("sha256-<base64>") of a buffer
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<string>}
+ */
+export async function sha256Integrity(buffer) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', buffer));
+  let binary = '';
+  for (const byte of digest) {
+    binary += String.fromCharCode(byte);
+  }
+  return 'sha256-' + btoa(binary);
+}
+
+/**
+ * Fetch an asset and verify it against its pinned digest before handing it out
+ * Fails closed: a mismatching or unreachable asset throws instead of falling back elsewhere
+ * @param {{ url: string, integrity: string }} asset
+ * @returns {Promise<ArrayBuffer>} The verified bytes
+ */
+export async function fetchVerifiedAsset({ url, integrity }) {
+  let response;
+  try {
+    response = await fetch(url, { cache: 'no-cache' });
+  } catch (err) {
+    throw new FheSdkLoadError(`Failed to load FHE SDK asset ${url}. Check your connection.`, { cause: err });
+  }
+  if (!response.ok) {
+    throw new FheSdkLoadError(`Failed to load FHE SDK asset ${url} (HTTP ${response.status})`);
+  }
+
+  const buffer = await response.arrayBuffer();
+  const actual = await sha256Integrity(buffer);
+  if (actual !== integrity) {
+    throw new FheSdkIntegrityError(`FHE SDK integrity check failed for ${url}: expected ${integrity}, got ${actual}. The asset may have been tampered with.`);
+  }
+
+  return buffer;
+}
+
+/**
+ * Import an ES module only after its bytes passed the integrity check
+ * The verified bytes are imported from a blob: URL, so what runs is exactly what was hashed
+ * @param {{ url: string, integrity: string }} asset
+ * @returns {Promise<Object>} Module namespace
+ */
+export async function importVerifiedModule(asset) {
+  const buffer = await fetchVerifiedAsset(asset);
+  const blobUrl = URL.createObjectURL(new Blob([buffer], { type: 'text/javascript' }));
+  try {
+    return await import(/* @vite-ignore */ blobUrl);
+  } finally {
+    URL.revokeObjectURL(blobUrl);
+  }
+}
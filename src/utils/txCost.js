@@ -0,0 +1,94 @@
+// Cost of a game transaction before it is sent: the simulated gas at the current EIP-1559 fees, what leaves the
+// wallet in total, and what the winner gets back after the platform fee
+
+// platformFeePercent is in basis points (500 = 5%)
+export const FEE_BASIS_POINTS = 10000n;
+
+/**
+ * @typedef {Object} TxCost
+ * @property {bigint} gas - Simulated gas
+ * @property {bigint} gasLimit - Limit the transaction is sent with
+ * @property {boolean} eip1559 - false on chains that only take a legacy gas price
+ * @property {bigint|null} baseFeePerGas - Of the latest block
+ * @property {bigint} maxFeePerGas - Highest price per gas the wallet will pay (the gas price on legacy chains)
+ * @property {bigint|null} maxPriorityFeePerGas - Tip to the block producer
+ * @property {bigint} expectedGasCost - Simulated gas at the base fee plus tip
+ * @property {bigint} maxGasCost - Gas limit at the max fee: what the wallet has to hold for gas
+ * @property {bigint} value - ETH sent with the call (the bet)
+ * @property {bigint} expectedTotal - value + expectedGasCost
+ * @property {bigint} maxTotal - value + maxGasCost
+ * @property {bigint} balance - Wallet balance
+ * @property {bigint} shortfall - How much the balance lacks for maxTotal; 0n when it is enough
+ */
+
+const min = (a, b) => (a < b ? a : b);
+
+/**
+ * Winner's share of a two-player pot
+ * @param {bigint} betAmount - Bet of each player, wei
+ * @param {bigint|number} platformFeeBps - platformFeePercent of the contract
+ * @returns {{ pot: bigint, fee: bigint, payout: bigint }}
+ */
+export function getWinnerPayout(betAmount, platformFeeBps) {
+  const pot = betAmount * 2n;
+  // Same rounding as the contract: (totalPot * platformFeePercent) / 10000
+  const fee = (pot * BigInt(platformFeeBps)) / FEE_BASIS_POINTS;
+  return { pot, fee, payout: pot - fee };
+}
+
+/**
+ * @param {Object} params
+ * @param {bigint} params.gas
+ * @param {bigint} params.gasLimit
+ * @param {bigint} [params.value=0n]
+ * @param {{ maxFeePerGas: bigint|null, maxPriorityFeePerGas: bigint|null, gasPrice: bigint|null }} params.feeData
+ * @param {bigint|null} [params.baseFeePerGas]
+ * @param {bigint} params.balance
+ * @returns {TxCost}
+ */
+export function estimateTxCost({ gas, gasLimit, value = 0n, feeData, baseFeePerGas = null, balance }) {
+  const eip1559 = feeData.maxFeePerGas != null && feeData.maxPriorityFeePerGas != null;
+  const maxFeePerGas = eip1559 ? feeData.maxFeePerGas : feeData.gasPrice ?? 0n;
+  const maxPriorityFeePerGas = eip1559 ? feeData.maxPriorityFeePerGas : null;
+  // The next block most likely charges its base fee plus the tip, never more than the max fee
+  const expectedPrice = eip1559 && baseFeePerGas !== null
+    ? min(baseFeePerGas + maxPriorityFeePerGas, maxFeePerGas)
+    : maxFeePerGas;
+
+  const expectedGasCost = gas * expectedPrice;
+  // Nodes only accept the transaction if the balance covers the value plus the whole gas limit at the max fee
+  const maxGasCost = gasLimit * maxFeePerGas;
+  const maxTotal = value + maxGasCost;
+
+  return {
+    gas,
+    gasLimit,
+    eip1559,
+    baseFeePerGas,
+    maxFeePerGas,
+    maxPriorityFeePerGas,
+    expectedGasCost,
+    maxGasCost,
+    value,
+    expectedTotal: value + expectedGasCost,
+    maxTotal,
+    balance,
+    shortfall: maxTotal > balance ? maxTotal - balance : 0n
+  };
+}
+
+/**
+ * Read fees and balance and price a simulated transaction
+ * @param {ethers.Provider} provider
+ * @param {string} account - Sender
+ * @param {{ gas: bigint, gasLimit: bigint, value?: bigint }} tx
+ * @returns {Promise<TxCost>}
+ */
+export async function fetchTxCost(provider, account, { gas, gasLimit, value = 0n }) {
+  const [feeData, block, balance] = await Promise.all([
+    provider.getFeeData(),
+    provider.getBlock('latest'),
+    provider.getBalance(account)
+  ]);
+  return estimateTxCost({ gas, gasLimit, value, feeData, baseFeePerGas: block?.baseFeePerGas ?? null, balance });
+}
@@ -0,0 +1,248 @@
+// Transaction errors: wallet, node and contract failures turned into one TxError with a stable code and a
+// localized message. Reverts are decoded from the contract's require() strings and custom errors
+import { ethers } from 'ethers';
+
+export const TX_ERROR = {
+  REJECTED: 'REJECTED',
+  CANCELLED: 'CANCELLED',
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  NETWORK: 'NETWORK',
+  PAUSED: 'PAUSED',
+  INVALID_GAME: 'INVALID_GAME',
+  NOT_A_PLAYER: 'NOT_A_PLAYER',
+  INVALID_DEADLINE: 'INVALID_DEADLINE',
+  BET_VALUE_MISMATCH: 'BET_VALUE_MISMATCH',
+  BET_OUT_OF_RANGE: 'BET_OUT_OF_RANGE',
+  GAME_FULL: 'GAME_FULL',
+  OWN_GAME: 'OWN_GAME',
+  DEADLINE_PASSED: 'DEADLINE_PASSED',
+  GAME_EXPIRED: 'GAME_EXPIRED',
+  DECRYPTION_REQUESTED: 'DECRYPTION_REQUESTED',
+  MOVE_ALREADY_SUBMITTED: 'MOVE_ALREADY_SUBMITTED',
+  NO_BALANCE: 'NO_BALANCE',
+  TRANSFER_FAILED: 'TRANSFER_FAILED',
+  NOT_OWNER: 'NOT_OWNER',
+  INVALID_SETTING: 'INVALID_SETTING',
+  REENTRANT_CALL: 'REENTRANT_CALL',
+  ORACLE_CALLBACK: 'ORACLE_CALLBACK',
+  INVALID_KMS_SIGNATURES: 'INVALID_KMS_SIGNATURES',
+  PANIC: 'PANIC',
+  REVERTED: 'REVERTED',
+  UNKNOWN: 'UNKNOWN'
+};
+
+// require() strings of RockPaperScissorsGame_FHE_ResultOnly (and Multicall3)
+const REASONS = {
+  'Contract is paused': TX_ERROR.PAUSED,
+  'Invalid game ID': TX_ERROR.INVALID_GAME,
+  'Not a game player': TX_ERROR.NOT_A_PLAYER,
+  'Move deadline must be positive': TX_ERROR.INVALID_DEADLINE,
+  'Bet must match value': TX_ERROR.BET_VALUE_MISMATCH,
+  'Bet mismatch': TX_ERROR.BET_VALUE_MISMATCH,
+  'Bet out of range': TX_ERROR.BET_OUT_OF_RANGE,
+  'Has two players': TX_ERROR.GAME_FULL,
+  'Own game': TX_ERROR.OWN_GAME,
+  'Deadline passed': TX_ERROR.DEADLINE_PASSED,
+  'Expired': TX_ERROR.GAME_EXPIRED,
+  'Game already expired': TX_ERROR.GAME_EXPIRED,
+  'Decrypt requested': TX_ERROR.DECRYPTION_REQUESTED,
+  'P1 submitted': TX_ERROR.MOVE_ALREADY_SUBMITTED,
+  'P2 submitted': TX_ERROR.MOVE_ALREADY_SUBMITTED,
+  'No balance': TX_ERROR.NO_BALANCE,
+  'No fees to withdraw': TX_ERROR.NO_BALANCE,
+  'No funds to withdraw': TX_ERROR.NO_BALANCE,
+  'Withdraw failed': TX_ERROR.TRANSFER_FAILED,
+  'Fee withdrawal failed': TX_ERROR.TRANSFER_FAILED,
+  'Emergency withdrawal failed': TX_ERROR.TRANSFER_FAILED,
+  'Fee too high (max 10%)': TX_ERROR.INVALID_SETTING,
+  'Invalid recipient': TX_ERROR.INVALID_SETTING,
+  'Invalid limits': TX_ERROR.INVALID_SETTING,
+  'Unknown requestId': TX_ERROR.ORACLE_CALLBACK,
+  'No pending decrypt': TX_ERROR.ORACLE_CALLBACK,
+  'Invalid result code': TX_ERROR.ORACLE_CALLBACK
+};
+
+// Custom errors of the contract's ABI (OpenZeppelin and the FHEVM decryption oracle)
+const CUSTOM_ERRORS = {
+  OwnableUnauthorizedAccount: TX_ERROR.NOT_OWNER,
+  OwnableInvalidOwner: TX_ERROR.INVALID_SETTING,
+  ReentrancyGuardReentrantCall: TX_ERROR.REENTRANT_CALL,
+  InvalidKMSSignatures: TX_ERROR.INVALID_KMS_SIGNATURES,
+  HandlesAlreadySavedForRequestID: TX_ERROR.ORACLE_CALLBACK,
+  NoHandleFoundForRequestID: TX_ERROR.ORACLE_CALLBACK
+};
+
+const MESSAGES = {
+  en: {
+    REJECTED: 'You rejected the transaction in your wallet.',
+    CANCELLED: 'The transaction was cancelled or replaced by another one with the same nonce.',
+    INSUFFICIENT_FUNDS: 'Your balance does not cover the bet and the gas for this transaction.',
+    NETWORK: 'The network did not answer. Check your connection and try again.',
+    PAUSED: 'The game is paused by its operator. Try again later.',
+    INVALID_GAME: 'This game does not exist.',
+    NOT_A_PLAYER: 'Only the two players of this game can do that.',
+    INVALID_DEADLINE: 'The move deadline must be in the future.',
+    BET_VALUE_MISMATCH: 'The amount sent does not match the bet of the game.',
+    BET_OUT_OF_RANGE: 'The bet is outside the limits the contract allows.',
+    GAME_FULL: 'Someone else already joined this game.',
+    OWN_GAME: 'You cannot join your own game.',
+    DEADLINE_PASSED: 'The deadline to play this game has passed.',
+    GAME_EXPIRED: 'This game has already expired and was refunded.',
+    DECRYPTION_REQUESTED: 'This game is already waiting for its result.',
+    MOVE_ALREADY_SUBMITTED: 'Your move for this game is already in.',
+    NO_BALANCE: 'There is nothing to withdraw.',
+    TRANSFER_FAILED: 'The payout transfer failed. Make sure your account can receive ETH.',
+    NOT_OWNER: 'Only the contract owner can do that.',
+    INVALID_SETTING: 'The contract rejected this setting.',
+    REENTRANT_CALL: 'The contract refused a nested call. Try again once the pending transaction is mined.',
+    ORACLE_CALLBACK: 'The decryption oracle callback was rejected.',
+    INVALID_KMS_SIGNATURES: 'The decryption result carries invalid KMS signatures.',
+    PANIC: ({ reason }) => `The contract hit an internal error (${reason}).`,
+    REVERTED: ({ reason }) => (reason ? `The contract rejected the transaction: ${reason}` : 'The contract rejected the transaction.'),
+    UNKNOWN: ({ reason }) => `The transaction failed: ${reason}`
+  },
+  tr: {
+    REJECTED: 'İşlemi cüzdanınızda reddettiniz.',
+    CANCELLED: 'İşlem iptal edildi veya aynı nonce ile gönderilen başka bir işlemle değiştirildi.',
+    INSUFFICIENT_FUNDS: 'Bakiyeniz bu işlemin bahsini ve gas ücretini karşılamıyor.',
+    NETWORK: 'Ağ yanıt vermedi. Bağlantınızı kontrol edip tekrar deneyin.',
+    PAUSED: 'Oyun, yöneticisi tarafından durduruldu. Daha sonra tekrar deneyin.',
+    INVALID_GAME: 'Bu oyun mevcut değil.',
+    NOT_A_PLAYER: 'Bunu yalnızca bu oyunun iki oyuncusu yapabilir.',
+    INVALID_DEADLINE: 'Hamle süresi gelecekte bir zaman olmalı.',
+    BET_VALUE_MISMATCH: 'Gönderilen tutar oyunun bahsiyle eşleşmiyor.',
+    BET_OUT_OF_RANGE: 'Bahis, kontratın izin verdiği sınırların dışında.',
+    GAME_FULL: 'Bu oyuna başka biri zaten katıldı.',
+    OWN_GAME: 'Kendi oyununuza katılamazsınız.',
+    DEADLINE_PASSED: 'Bu oyunu oynama süresi doldu.',
+    GAME_EXPIRED: 'Bu oyunun süresi zaten doldu ve iadesi yapıldı.',
+    DECRYPTION_REQUESTED: 'Bu oyun zaten sonucunu bekliyor.',
+    MOVE_ALREADY_SUBMITTED: 'Bu oyun için hamleniz zaten gönderildi.',
+    NO_BALANCE: 'Çekilecek bakiye yok.',
+    TRANSFER_FAILED: 'Ödeme transferi başarısız oldu. Hesabınızın ETH alabildiğinden emin olun.',
+    NOT_OWNER: 'Bunu yalnızca kontrat sahibi yapabilir.',
+    INVALID_SETTING: 'Kontrat bu ayarı reddetti.',
+    REENTRANT_CALL: 'Kontrat iç içe bir çağrıyı reddetti. Bekleyen işlem onaylandıktan sonra tekrar deneyin.',
+    ORACLE_CALLBACK: 'Şifre çözme oracle geri çağrısı reddedildi.',
+    INVALID_KMS_SIGNATURES: 'Şifre çözme sonucu geçersiz KMS imzaları taşıyor.',
+    PANIC: ({ reason }) => `Kontrat dahili bir hatayla karşılaştı (${reason}).`,
+    REVERTED: ({ reason }) => (reason ? `Kontrat işlemi reddetti: ${reason}` : 'Kontrat işlemi reddetti.'),
+    UNKNOWN: ({ reason }) => `İşlem başarısız oldu: ${reason}`
+  }
+};
+
+export const SUPPORTED_LOCALES = Object.keys(MESSAGES);
+
+/**
+ * Best supported locale for a BCP 47 tag, English when none matches
+ * @param {string} [tag] - Defaults to the browser language
+ * @returns {string}
+ */
+export function resolveLocale(tag = globalThis.navigator?.language) {
+  const language = String(tag ?? '').toLowerCase().split('-')[0];
+  return MESSAGES[language] ? language : 'en';
+}
+
+/**
+ * Localized message for a TX_ERROR code
+ * @param {string} code
+ * @param {Object} [params] - `reason` for PANIC, REVERTED and UNKNOWN
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export function getTxErrorMessage(code, params = {}, locale = resolveLocale()) {
+  const message = MESSAGES[resolveLocale(locale)][code] ?? MESSAGES.en[code] ?? MESSAGES.en.UNKNOWN;
+  return typeof message === 'function' ? message(params) : message;
+}
+
+export class TxError extends Error {
+  /**
+   * @param {string} message - Localized, shown to the user as is
+   * @param {Object} [options]
+   * @param {string} [options.code] - One of TX_ERROR
+   * @param {string|null} [options.reason] - require() string or custom error name the contract reverted with
+   * @param {Array} [options.args] - Arguments of the custom error
+   * @param {boolean} [options.simulated] - Caught by the pre-flight simulation, before anything was signed
+   * @param {unknown} [options.cause]
+   */
+  constructor(message, { code = TX_ERROR.UNKNOWN, reason = null, args = [], simulated = false, cause } = {}) {
+    super(message, { cause });
+    this.name = 'TxError';
+    this.code = code;
+    this.reason = reason;
+    this.args = args;
+    this.simulated = simulated;
+  }
+}
+
+// Revert data sits at different depths depending on the wallet and node (ethers, MetaMask, Hardhat)
+function findRevertData(err, depth = 0) {
+  if (!err || typeof err !== 'object' || depth > 4) return null;
+  if (ethers.isHexString(err.data) && err.data.length >= 10) return err.data;
+  for (const nested of [err.data, err.error, err.info?.error, err.cause]) {
+    const data = findRevertData(nested, depth + 1);
+    if (data) return data;
+  }
+  return null;
+}
+
+/**
+ * Revert of a failed call or transaction, decoded with the contract's ABI
+ * @param {unknown} err - Error thrown by ethers or the wallet
+ * @param {ethers.Interface} [iface] - Interface holding the contract's custom errors
+ * @returns {{ name: string, args: Array }|null} Error(string) comes back as { name: 'Error', args: [reason] }
+ */
+export function decodeRevert(err, iface) {
+  if (err?.revert?.name) return { name: err.revert.name, args: [...err.revert.args] };
+  const data = findRevertData(err);
+  if (data) {
+    try {
+      const parsed = (iface ?? new ethers.Interface([])).parseError(data);
+      if (parsed) return { name: parsed.name, args: [...parsed.args] };
+    } catch {
+      // Not an error this ABI knows
+    }
+  }
+  if (ethers.isError(err, 'CALL_EXCEPTION') && err.reason) return { name: 'Error', args: [err.reason] };
+  return null;
+}
+
+const isRejection = (err) =>
+  ethers.isError(err, 'ACTION_REJECTED') || err?.code === 4001 || err?.info?.error?.code === 4001 || err?.error?.code === 4001;
+
+/**
+ * Turn anything a contract call can throw into a TxError
+ * @param {unknown} err
+ * @param {Object} [options]
+ * @param {ethers.Interface} [options.iface] - Decodes the contract's custom errors
+ * @param {boolean} [options.simulated] - The error comes from the pre-flight staticCall / estimateGas
+ * @param {string} [options.locale]
+ * @returns {TxError}
+ */
+export function toTxError(err, { iface, simulated = false, locale } = {}) {
+  if (err instanceof TxError) return err;
+  const make = (code, { reason = null, args = [] } = {}) =>
+    new TxError(getTxErrorMessage(code, { reason }, locale), { code, reason, args, simulated, cause: err });
+
+  if (isRejection(err)) return make(TX_ERROR.REJECTED);
+  if (ethers.isError(err, 'TRANSACTION_REPLACED')) return make(TX_ERROR.CANCELLED);
+  if (ethers.isError(err, 'INSUFFICIENT_FUNDS') || /insufficient funds/i.test(err?.message ?? '')) {
+    return make(TX_ERROR.INSUFFICIENT_FUNDS);
+  }
+
+  const revert = decodeRevert(err, iface);
+  if (revert?.name === 'Error') {
+    const [reason] = revert.args;
+    return make(REASONS[reason] ?? TX_ERROR.REVERTED, { reason });
+  }
+  if (revert?.name === 'Panic') {
+    return make(TX_ERROR.PANIC, { reason: `panic 0x${revert.args[0].toString(16)}`, args: revert.args });
+  }
+  if (revert) return make(CUSTOM_ERRORS[revert.name] ?? TX_ERROR.REVERTED, { reason: revert.name, args: revert.args });
+  if (ethers.isError(err, 'CALL_EXCEPTION')) return make(TX_ERROR.REVERTED);
+
+  if (ethers.isError(err, 'NETWORK_ERROR') || ethers.isError(err, 'TIMEOUT') || ethers.isError(err, 'SERVER_ERROR')) {
+    return make(TX_ERROR.NETWORK);
+  }
+  return make(TX_ERROR.UNKNOWN, { reason: err?.shortMessage ?? err?.message ?? String(err) });
+}
@@ -0,0 +1,308 @@
+// Transaction tracker: every transaction the app sends, saved per chain and account so a reload doesn't lose it
+// Follows each one to its receipt, notices when another transaction took its nonce (replaced) or the node forgot
+// it (dropped), and speeds up or cancels pending ones with a replacement transaction: same nonce, higher fees
+
+export const TX_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',       // Mined, but reverted
+  REPLACED: 'replaced',   // Another transaction with the same nonce was mined (sped up here or in the wallet)
+  CANCELLED: 'cancelled', // A cancel transaction from the tray took its nonce
+  DROPPED: 'dropped'      // Neither mined nor known to the node any more
+};
+
+const STORAGE_PREFIX = 'rps:txs:';
+
+// Settled transactions kept for the tray (pending ones are always kept)
+const MAX_SETTLED = 20;
+
+// A node that doesn't know a hash shortly after broadcast hasn't necessarily dropped it
+export const DROP_GRACE_MS = 5 * 60 * 1000;
+
+// Nodes only accept a replacement paying at least 10% more; a little extra gets it picked up
+export const REPLACEMENT_FEE_BUMP_PERCENT = 20n;
+
+const CANCEL_GAS_LIMIT = 21000n;
+
+/**
+ * @typedef {Object} TrackedTx
+ * @property {string} hash
+ * @property {string} label - What the user did, e.g. "Join game #3"
+ * @property {string|null} method - Contract method, null for cancel transactions
+ * @property {string} from
+ * @property {string|null} to
+ * @property {number} nonce
+ * @property {string} data
+ * @property {string} value - Wei as a decimal string
+ * @property {string} gasLimit
+ * @property {string|null} gasPrice - Legacy fee, or null
+ * @property {string|null} maxFeePerGas - EIP-1559 fees, or null
+ * @property {string|null} maxPriorityFeePerGas
+ * @property {boolean} isCancel - Zero-value self transfer replacing another transaction
+ * @property {string|null} replaces - Hash of the transaction this one speeds up or cancels
+ * @property {string|null} replacedBy - Hash of the transaction that took this one's nonce, when known
+ * @property {string} status - One of TX_STATUS
+ * @property {number|null} blockNumber
+ * @property {number} submittedAt - ms timestamp
+ * @property {number|null} settledAt
+ */
+
+const decimal = (value) => (value === null || value === undefined ? null : value.toString());
+const bump = (value) => (value * (100n + REPLACEMENT_FEE_BUMP_PERCENT)) / 100n;
+const max = (...values) => values.reduce((a, b) => (b > a ? b : a));
+
+/**
+ * Storage key of the transactions an account sent on a chain
+ * @param {number} chainId
+ * @param {string} account
+ * @returns {string}
+ */
+export const txStorageKey = (chainId, account) => `${STORAGE_PREFIX}${chainId}:${account.toLowerCase()}`;
+
+/**
+ * Create a tracker for one account on one chain
+ * @param {Object} options
+ * @param {ethers.Provider} options.provider
+ * @param {string} options.account
+ * @param {number} options.chainId
+ * @param {Storage|null} [options.storage] - localStorage by default; null keeps the transactions in memory only
+ * @param {() => number} [options.now] - ms clock
+ */
+export function createTxTracker({ provider, account, chainId, storage = globalThis.localStorage ?? null, now = Date.now }) {
+  const key = txStorageKey(chainId, account);
+  const records = new Map();
+  let checking = null;
+  let snapshot = null;
+  const listeners = new Set();
+
+  try {
+    const saved = JSON.parse(storage?.getItem(key) ?? '[]');
+    saved.forEach((record) => records.set(record.hash, record));
+  } catch (err) {
+    console.warn('Ignoring unreadable saved transactions:', err);
+  }
+
+  function persist() {
+    const all = [...records.values()].sort((a, b) => b.submittedAt - a.submittedAt);
+    const settled = all.filter((record) => record.status !== TX_STATUS.PENDING);
+    settled.slice(MAX_SETTLED).forEach((record) => records.delete(record.hash));
+    try {
+      storage?.setItem(key, JSON.stringify([...records.values()]));
+    } catch (err) {
+      // Private browsing or a full quota: keep tracking in memory
+      console.warn('Could not save transactions:', err);
+    }
+  }
+
+  function notify() {
+    persist();
+    snapshot = null;
+    const current = getSnapshot();
+    listeners.forEach((listener) => listener(current));
+  }
+
+  /**
+   * Transactions newest first, plus how many are still pending
+   * @returns {{ transactions: TrackedTx[], pendingCount: number }}
+   */
+  function getSnapshot() {
+    if (!snapshot) {
+      const transactions = [...records.values()].sort((a, b) => b.submittedAt - a.submittedAt);
+      snapshot = { transactions, pendingCount: transactions.filter((tx) => tx.status === TX_STATUS.PENDING).length };
+    }
+    return snapshot;
+  }
+
+  function settle(record, status, fields = {}) {
+    records.set(record.hash, { ...record, ...fields, status, settledAt: now() });
+  }
+
+  function requirePending(hash) {
+    const record = records.get(hash);
+    if (!record || record.status !== TX_STATUS.PENDING) {
+      throw new Error(`Transaction ${hash} is not pending any more.`);
+    }
+    return record;
+  }
+
+  // Fees of a replacement: the bumped original or today's fees, whichever is higher
+  async function replacementFees(record) {
+    const fees = await provider.getFeeData();
+    if (record.maxFeePerGas !== null) {
+      const maxPriorityFeePerGas = max(bump(BigInt(record.maxPriorityFeePerGas)), fees.maxPriorityFeePerGas ?? 0n);
+      const maxFeePerGas = max(bump(BigInt(record.maxFeePerGas)), fees.maxFeePerGas ?? 0n, maxPriorityFeePerGas);
+      return { maxFeePerGas, maxPriorityFeePerGas };
+    }
+    return { gasPrice: max(bump(BigInt(record.gasPrice)), fees.gasPrice ?? 0n) };
+  }
+
+  /**
+   * Start tracking a sent transaction
+   * @param {ethers.TransactionResponse} tx
+   * @param {Object} [info]
+   * @param {string} [info.label]
+   * @param {string|null} [info.method]
+   * @param {boolean} [info.isCancel]
+   * @param {string|null} [info.replaces]
+   * @returns {TrackedTx}
+   */
+  function track(tx, { label = 'Transaction', method = null, isCancel = false, replaces = null } = {}) {
+    const record = {
+      hash: tx.hash,
+      label,
+      method,
+      from: tx.from,
+      to: tx.to ?? null,
+      nonce: tx.nonce,
+      data: tx.data ?? '0x',
+      value: decimal(tx.value ?? 0n),
+      gasLimit: decimal(tx.gasLimit),
+      gasPrice: tx.maxFeePerGas == null ? decimal(tx.gasPrice) : null,
+      maxFeePerGas: decimal(tx.maxFeePerGas),
+      maxPriorityFeePerGas: decimal(tx.maxPriorityFeePerGas),
+      isCancel,
+      replaces,
+      replacedBy: null,
+      status: TX_STATUS.PENDING,
+      blockNumber: null,
+      submittedAt: now(),
+      settledAt: null
+    };
+    records.set(record.hash, record);
+    notify();
+    return record;
+  }
+
+  async function runCheck() {
+    const pending = () => [...records.values()].filter((record) => record.status === TX_STATUS.PENDING);
+    const waiting = pending();
+    if (waiting.length === 0) return;
+    let changed = false;
+
+    // The account's nonce before the receipts: a transaction mined in between then shows up with its receipt, instead
+    // of looking like its nonce went to another transaction
+    const minedNonce = await provider.getTransactionCount(account, 'latest');
+
+    // Mined ones first: they also settle every other transaction that shared their nonce
+    const receipts = await Promise.all(waiting.map((record) => provider.getTransactionReceipt(record.hash)));
+    waiting.forEach((record, i) => {
+      const receipt = receipts[i];
+      if (!receipt) return;
+      settle(record, receipt.status === 1 ? TX_STATUS.CONFIRMED : TX_STATUS.FAILED, { blockNumber: receipt.blockNumber });
+      pending()
+        .filter((other) => other.nonce === record.nonce)
+        .forEach((other) => {
+          settle(other, record.isCancel ? TX_STATUS.CANCELLED : TX_STATUS.REPLACED, { replacedBy: record.hash });
+        });
+      changed = true;
+    });
+
+    for (const record of pending()) {
+      if (record.nonce < minedNonce) {
+        // The nonce went to a transaction this app didn't send, e.g. a speed-up from the wallet's own UI
+        settle(record, TX_STATUS.REPLACED);
+        changed = true;
+      } else if (now() - record.submittedAt > DROP_GRACE_MS && !(await provider.getTransaction(record.hash))) {
+        settle(record, TX_STATUS.DROPPED);
+        changed = true;
+      }
+    }
+    if (changed) notify();
+  }
+
+  /**
+   * Look up every pending transaction once; concurrent calls share one run
+   * @returns {Promise<void>}
+   */
+  function check() {
+    if (!checking) {
+      checking = runCheck().finally(() => {
+        checking = null;
+      });
+    }
+    return checking;
+  }
+
+  const onBlock = () => {
+    check().catch((err) => console.warn('Transaction check failed:', err));
+  };
+
+  return {
+    track,
+    check,
+    getSnapshot,
+
+    /**
+     * Send the same transaction again with the same nonce and higher fees
+     * @param {string} hash - Pending transaction
+     * @param {ethers.Signer} signer - Signer of `account`
+     * @returns {Promise<TrackedTx>} The replacement
+     */
+    async speedUp(hash, signer) {
+      const record = requirePending(hash);
+      const tx = await signer.sendTransaction({
+        to: record.to,
+        data: record.data,
+        value: BigInt(record.value),
+        nonce: record.nonce,
+        gasLimit: BigInt(record.gasLimit),
+        ...(await replacementFees(record))
+      });
+      return track(tx, { label: record.label, method: record.method, isCancel: record.isCancel, replaces: record.hash });
+    },
+
+    /**
+     * Replace a pending transaction with a zero-value transfer to the account itself
+     * @param {string} hash
+     * @param {ethers.Signer} signer
+     * @returns {Promise<TrackedTx>} The cancel transaction
+     */
+    async cancel(hash, signer) {
+      const record = requirePending(hash);
+      const tx = await signer.sendTransaction({
+        to: account,
+        value: 0n,
+        nonce: record.nonce,
+        gasLimit: CANCEL_GAS_LIMIT,
+        ...(await replacementFees(record))
+      });
+      return track(tx, { label: `Cancel: ${record.label}`, isCancel: true, replaces: record.hash });
+    },
+
+    // Remove a settled transaction from the list
+    dismiss(hash) {
+      const record = records.get(hash);
+      if (record && record.status !== TX_STATUS.PENDING) {
+        records.delete(hash);
+        notify();
+      }
+    },
+
+    clearSettled() {
+      [...records.values()]
+        .filter((record) => record.status !== TX_STATUS.PENDING)
+        .forEach((record) => records.delete(record.hash));
+      notify();
+    },
+
+    /**
+     * Listen for changes
+     * @param {(snapshot: { transactions: TrackedTx[], pendingCount: number }) => void} listener
+     * @returns {() => void} Unsubscribe
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    // Check the pending transactions on every new block
+    start() {
+      provider.on('block', onBlock);
+    },
+
+    stop() {
+      provider.off('block', onBlock);
+      listeners.clear();
+    }
+  };
+}
@@ -0,0 +1,212 @@
+// Dev-only burner wallets: private keys generated in the browser and kept in sessionStorage, topped up from the Hardhat
+// node's first account, so one browser tab can play both sides of a game
+// The keys are throwaway: stored in plain text and gone with the tab, for local chains only, never for real funds
+import { ethers } from 'ethers';
+
+export const BURNER_CONNECTOR_ID = 'burner';
+
+export const BURNER_PLAYERS = [
+  { id: 'player1', label: 'Player 1' },
+  { id: 'player2', label: 'Player 2' }
+];
+
+export const BURNER_KEYS_STORAGE_KEY = 'rps:burner:keys';
+export const BURNER_PLAYER_STORAGE_KEY = 'rps:burner:player';
+
+// A burner holding less than MIN_BALANCE is topped up to FUND_AMOUNT
+export const MIN_BALANCE = ethers.parseEther('1');
+export const FUND_AMOUNT = ethers.parseEther('10');
+
+// How long the node gets to answer before the burner is left out of the wallet list
+export const PROBE_TIMEOUT_MS = 1500;
+
+const quantity = (value) => (value === undefined || value === null ? undefined : BigInt(value));
+
+// eth_sendTransaction parameters (hex quantities) as an ethers transaction request
+function toTransactionRequest(tx) {
+  return {
+    to: tx.to,
+    data: tx.data,
+    value: quantity(tx.value),
+    gasLimit: quantity(tx.gas),
+    gasPrice: quantity(tx.gasPrice),
+    maxFeePerGas: quantity(tx.maxFeePerGas),
+    maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas),
+    nonce: tx.nonce === undefined || tx.nonce === null ? undefined : Number(tx.nonce),
+    type: tx.type === undefined || tx.type === null ? undefined : Number(tx.type)
+  };
+}
+
+/**
+ * Connector signing with the burner key of the active player; reads go to the node
+ * @param {Object} params
+ * @param {import('../../config/networks').NetworkConfig} params.network - The Hardhat network it runs on
+ * @param {Storage|null} [params.storage] - Where keys and the active player are kept, sessionStorage by default
+ * @param {ethers.JsonRpcProvider} [params.rpc] - The Hardhat node, with its unlocked accounts
+ * @returns {import('./index').WalletConnector & {
+ *   probe: () => Promise<boolean>,
+ *   getPlayers: () => { id: string, label: string, address: string }[],
+ *   getPlayer: () => string,
+ *   switchPlayer: (id: string) => Promise<void>
+ * }}
+ */
+export function createBurnerConnector({
+  network,
+  storage = globalThis.sessionStorage ?? null,
+  rpc = new ethers.JsonRpcProvider(network.rpcUrl, network.chainId, { staticNetwork: true })
+}) {
+  const listeners = new Map();
+  const wallets = new Map();
+  let keys = null;
+  let player = null;
+
+  const read = (key) => {
+    try {
+      return storage?.getItem(key) ?? null;
+    } catch {
+      return null;
+    }
+  };
+  const write = (key, value) => {
+    try {
+      storage?.setItem(key, value);
+    } catch (err) {
+      // Private browsing: the burners last until the page is closed
+      console.warn('Could not save the burner wallets:', err);
+    }
+  };
+
+  // Keys are only generated once the connector is used
+  function getKeys() {
+    if (!keys) {
+      try {
+        keys = JSON.parse(read(BURNER_KEYS_STORAGE_KEY) ?? '{}');
+      } catch {
+        keys = {};
+      }
+      const missing = BURNER_PLAYERS.filter(({ id }) => !keys[id]);
+      missing.forEach(({ id }) => {
+        keys[id] = ethers.Wallet.createRandom().privateKey;
+      });
+      if (missing.length > 0) write(BURNER_KEYS_STORAGE_KEY, JSON.stringify(keys));
+    }
+    return keys;
+  }
+
+  function getPlayer() {
+    player ??= BURNER_PLAYERS.some(({ id }) => id === read(BURNER_PLAYER_STORAGE_KEY))
+      ? read(BURNER_PLAYER_STORAGE_KEY)
+      : BURNER_PLAYERS[0].id;
+    return player;
+  }
+
+  function getWallet(id = getPlayer()) {
+    if (!wallets.has(id)) wallets.set(id, new ethers.Wallet(getKeys()[id], rpc));
+    return wallets.get(id);
+  }
+
+  async function ensureFunded(address) {
+    try {
+      const balance = await rpc.getBalance(address);
+      if (balance >= MIN_BALANCE) return;
+      const funder = await rpc.getSigner(0);
+      const tx = await funder.sendTransaction({ to: address, value: FUND_AMOUNT - balance });
+      await tx.wait();
+    } catch (err) {
+      throw new Error(`Could not fund the burner wallet from the node at ${network.rpcUrl}. Is "npm run hardhat:node" running?`, {
+        cause: err
+      });
+    }
+  }
+
+  const emit = (event, ...args) => listeners.get(event)?.forEach((listener) => listener(...args));
+
+  // EIP-1193 provider for ethers.BrowserProvider
+  const provider = {
+    async request({ method, params = [] }) {
+      const wallet = getWallet();
+      switch (method) {
+        case 'eth_accounts':
+        case 'eth_requestAccounts':
+          return [wallet.address];
+        case 'eth_chainId':
+          return ethers.toQuantity(network.chainId);
+        case 'eth_sendTransaction':
+          return (await wallet.sendTransaction(toTransactionRequest(params[0]))).hash;
+        case 'personal_sign':
+          return wallet.signMessage(ethers.getBytes(params[0]));
+        case 'eth_signTypedData_v4': {
+          const { domain, types, message } = JSON.parse(params[1]);
+          // ethers derives the domain type itself
+          const { EIP712Domain: _domain, ...messageTypes } = types;
+          return wallet.signTypedData(domain, messageTypes, message);
+        }
+        default:
+          return rpc.send(method, params);
+      }
+    },
+    on(event, listener) {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(listener);
+    },
+    removeListener(event, listener) {
+      listeners.get(event)?.delete(listener);
+    }
+  };
+
+  return {
+    id: BURNER_CONNECTOR_ID,
+    type: 'burner',
+    name: 'Burner Wallet (dev)',
+    icon: null,
+    getProvider: () => provider,
+
+    async connect() {
+      const { address } = getWallet();
+      await ensureFunded(address);
+      return [address];
+    },
+
+    // The keys stay, so the same players come back on the next connect
+    async disconnect() {},
+
+    // Listed only while the node answers on the burner's chain
+    async probe() {
+      let timer;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${network.rpcUrl} did not answer`)), PROBE_TIMEOUT_MS);
+      });
+      try {
+        const chainId = await Promise.race([rpc.send('eth_chainId', []), timeout]);
+        return Number(chainId) === network.chainId;
+      } catch {
+        return false;
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+
+    on(event, listener) {
+      provider.on(event, listener);
+      return () => provider.removeListener(event, listener);
+    },
+
+    getPlayers: () => BURNER_PLAYERS.map((entry) => ({ ...entry, address: getWallet(entry.id).address })),
+    getPlayer,
+
+    /**
+     * Make another player the active account; the app follows through accountsChanged
+     * @param {string} id - One of BURNER_PLAYERS
+     */
+    async switchPlayer(id) {
+      if (!BURNER_PLAYERS.some((entry) => entry.id === id)) {
+        throw new Error(`Unknown burner player "${id}"`);
+      }
+      const { address } = getWallet(id);
+      await ensureFunded(address);
+      player = id;
+      write(BURNER_PLAYER_STORAGE_KEY, id);
+      emit('accountsChanged', [address]);
+    }
+  };
+}
@@ -0,0 +1,165 @@
+// Wallet connectors: every way the app gets an account and an EIP-1193 provider, behind one interface
+// The app lists the available connectors for the user to pick, connects through the chosen one and remembers it,
+// so a reload reconnects the same wallet; new connector types are passed in without touching the app
+import { discoverInjectedWallets, createLegacyInjectedConnector } from './injected';
+import { createBurnerConnector } from './burner';
+import { getReadOnlyNetwork } from '../../config/networks';
+
+export { LEGACY_INJECTED_ID } from './injected';
+export { BURNER_CONNECTOR_ID } from './burner';
+
+export const CONNECTOR_STORAGE_KEY = 'rps:wallet:connector';
+
+// Wallets may announce themselves a moment after the page loads
+const DISCOVERY_WAIT_MS = 500;
+
+/**
+ * @typedef {Object} WalletConnector
+ * @property {string} id - Stable across reloads (the wallet's EIP-6963 rdns, 'injected' for window.ethereum)
+ * @property {string} type - 'eip6963', 'injected', ...
+ * @property {string} name
+ * @property {string|null} icon - Image URL
+ * @property {() => Object} getProvider - EIP-1193 provider
+ * @property {(options?: { silent?: boolean }) => Promise<string[]>} connect - Authorized accounts, asking the
+ *   user when there are none; `silent` never prompts and resolves to [] instead
+ * @property {() => Promise<void>} disconnect
+ * @property {(network: import('../../config/networks').NetworkConfig) => Promise<void>} [switchChain] - Move the
+ *   wallet to a registry network (emitting chainChanged); missing on connectors bound to one chain
+ * @property {(event: 'accountsChanged'|'chainChanged'|'disconnect', listener: Function) => () => void} on -
+ *   Provider event subscription, returns the unsubscribe function
+ * @property {() => Promise<boolean>} [probe] - Whether the connector works here (e.g. its node answers); connectors
+ *   that have one are listed once it resolves to true
+ */
+
+/**
+ * Connectors listed besides the injected wallets: in development builds, burner wallets while the app browses a
+ * network the registry marks for them (the Hardhat node) and its node answers; VITE_BURNER_WALLET=false leaves them out
+ * The wallet list only opens without a connected wallet, so the network on screen is then the read-only one
+ * @param {Object} [options]
+ * @param {import('../../config/networks').NetworkConfig|null} [options.network] - The read-only network by default
+ * @returns {WalletConnector[]}
+ */
+export function getDefaultConnectors({ network = getReadOnlyNetwork() } = {}) {
+  if (!import.meta.env.DEV || import.meta.env.VITE_BURNER_WALLET === 'false') return [];
+  return network?.burnerWallet ? [createBurnerConnector({ network })] : [];
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Window|null} [options.target] - Window the extension wallets inject into; null for none
+ * @param {Storage|null} [options.storage] - Where the chosen connector is remembered, localStorage by default
+ * @param {WalletConnector[]} [options.connectors] - Connectors of other types, listed after the injected wallets
+ *   (getDefaultConnectors() when omitted)
+ */
+export function createWalletConnectors({
+  target = globalThis.window ?? null,
+  storage = globalThis.localStorage ?? null,
+  connectors = getDefaultConnectors()
+} = {}) {
+  const discovered = [];
+  let legacy = null;
+  // Connectors with a probe wait in here until it passes
+  const unconfirmed = new Set(connectors.filter((connector) => connector.probe));
+  const listed = () => connectors.filter((connector) => !unconfirmed.has(connector));
+  let snapshot = listed();
+  let stopDiscovery = null;
+  const listeners = new Set();
+
+  function update() {
+    // window.ethereum is usually one of the announced wallets; it gets its own entry only when it isn't
+    const ethereum = target?.ethereum;
+    const announced = discovered.some((connector) => connector.getProvider() === ethereum);
+    if (ethereum && !announced) {
+      legacy ??= createLegacyInjectedConnector(ethereum);
+    } else {
+      legacy = null;
+    }
+    snapshot = [...discovered, ...(legacy ? [legacy] : []), ...listed()];
+    listeners.forEach((listener) => listener(snapshot));
+  }
+
+  /** @returns {WalletConnector[]} */
+  const getSnapshot = () => snapshot;
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  function probe(connector) {
+    connector.probe().then((available) => {
+      if (available && unconfirmed.delete(connector)) update();
+    }, () => {});
+  }
+
+  function start() {
+    if (stopDiscovery) return;
+    unconfirmed.forEach(probe);
+    stopDiscovery = target
+      ? discoverInjectedWallets(target, (connector) => {
+        discovered.push(connector);
+        update();
+      })
+      : () => {};
+    update();
+  }
+
+  function stop() {
+    stopDiscovery?.();
+    stopDiscovery = null;
+  }
+
+  const get = (id) => snapshot.find((connector) => connector.id === id) ?? null;
+
+  /**
+   * A connector once it is available, e.g. the remembered wallet right after a reload
+   * @param {string} id
+   * @param {number} [timeoutMs]
+   * @returns {Promise<WalletConnector|null>} null if it didn't show up in time
+   */
+  function waitFor(id, timeoutMs = DISCOVERY_WAIT_MS) {
+    const found = get(id);
+    if (found) return Promise.resolve(found);
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        unsubscribe();
+        resolve(null);
+      }, timeoutMs);
+      const unsubscribe = subscribe(() => {
+        const connector = get(id);
+        if (!connector) return;
+        clearTimeout(timer);
+        unsubscribe();
+        resolve(connector);
+      });
+    });
+  }
+
+  /** @returns {string|null} Id of the connector the user last connected with */
+  function getLastUsed() {
+    try {
+      return storage?.getItem(CONNECTOR_STORAGE_KEY) ?? null;
+    } catch {
+      return null;
+    }
+  }
+
+  function remember(id) {
+    try {
+      storage?.setItem(CONNECTOR_STORAGE_KEY, id);
+    } catch (err) {
+      // Private browsing: the choice lasts until the page is closed
+      console.warn('Could not remember the wallet:', err);
+    }
+  }
+
+  function forget() {
+    try {
+      storage?.removeItem(CONNECTOR_STORAGE_KEY);
+    } catch {
+      // Nothing was saved
+    }
+  }
+
+  return { subscribe, getSnapshot, start, stop, get, waitFor, getLastUsed, remember, forget };
+}
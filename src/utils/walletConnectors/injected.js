@@ -0,0 +1,91 @@
+// Browser extension wallets: every EIP-6963 wallet announces its own EIP-1193 provider, so several can live side by
+// side; wallets that don't announce themselves are still reachable through the legacy window.ethereum
+import { switchChain } from '../chainSwitch';
+
+export const EIP6963_ANNOUNCE = 'eip6963:announceProvider';
+export const EIP6963_REQUEST = 'eip6963:requestProvider';
+
+// Id of the window.ethereum connector
+export const LEGACY_INJECTED_ID = 'injected';
+
+/**
+ * Connector for an injected EIP-1193 provider
+ * @param {Object} params
+ * @param {string} params.id
+ * @param {string} params.type - 'eip6963' or 'injected'
+ * @param {string} params.name
+ * @param {string|null} [params.icon]
+ * @param {Object} params.provider - EIP-1193 provider
+ * @returns {import('./index').WalletConnector}
+ */
+export function createInjectedConnector({ id, type, name, icon = null, provider }) {
+  return {
+    id,
+    type,
+    name,
+    icon,
+    getProvider: () => provider,
+
+    async connect({ silent = false } = {}) {
+      const accounts = await provider.request({ method: 'eth_accounts' });
+      if (accounts.length > 0 || silent) return accounts;
+      return provider.request({ method: 'eth_requestAccounts' });
+    },
+
+    switchChain: (network) => switchChain(provider, network),
+
+    // Wallets that support it drop the site's permission, so the next connect prompts again
+    async disconnect() {
+      try {
+        await provider.request({ method: 'wallet_revokePermissions', params: [{ eth_accounts: {} }] });
+      } catch {
+        // Not supported: the wallet keeps the site authorized, the app just forgets it
+      }
+    },
+
+    on(event, listener) {
+      provider.on?.(event, listener);
+      return () => provider.removeListener?.(event, listener);
+    }
+  };
+}
+
+/**
+ * Collect the wallets that announce themselves (EIP-6963), including ones that load after the page
+ * @param {EventTarget} target - The window
+ * @param {(connector: import('./index').WalletConnector) => void} onConnector - Called once per wallet (by rdns)
+ * @returns {() => void} Stops listening
+ */
+export function discoverInjectedWallets(target, onConnector) {
+  const seen = new Set();
+  const onAnnounce = (event) => {
+    const { info, provider } = event.detail ?? {};
+    if (!info?.rdns || !provider || seen.has(info.rdns)) return;
+    seen.add(info.rdns);
+    onConnector(createInjectedConnector({
+      id: info.rdns,
+      type: 'eip6963',
+      name: info.name,
+      icon: info.icon ?? null,
+      provider
+    }));
+  };
+
+  target.addEventListener(EIP6963_ANNOUNCE, onAnnounce);
+  target.dispatchEvent(new Event(EIP6963_REQUEST));
+  return () => target.removeEventListener(EIP6963_ANNOUNCE, onAnnounce);
+}
+
+/**
+ * window.ethereum as a connector
+ * @param {Object} provider - window.ethereum
+ * @returns {import('./index').WalletConnector}
+ */
+export function createLegacyInjectedConnector(provider) {
+  return createInjectedConnector({
+    id: LEGACY_INJECTED_ID,
+    type: 'injected',
+    name: provider.isMetaMask ? 'MetaMask' : 'Browser Wallet',
+    provider
+  });
+}
@@ -0,0 +1,273 @@
+// Wallet session: the account, provider, game contract and network the app works with
+// Connects through a wallet connector (./walletConnectors), or read-only through the read-only network's RPC
+// endpoint while no wallet is connected, and rebuilds itself when the wallet switches accounts or chains
+import { ethers } from 'ethers';
+import { CONTRACT_ABI, REQUIRED_ABI } from '../config/contract';
+import { getNetworkConfig, getReadOnlyNetwork } from '../config/networks';
+import { DeploymentError, resolveDeployment } from './deploymentManifest';
+import { setMulticallAddress } from './contractReads';
+
+/**
+ * @typedef {Object} WalletSessionState
+ * @property {string|null} account - null while read-only
+ * @property {ethers.Provider|null} provider - The wallet's BrowserProvider, or the read-only JsonRpcProvider
+ * @property {ethers.Contract|null} contract - Runs on the signer, or on the read-only provider (reads only)
+ * @property {Object|null} network - Registry entry with the verified contract address and deployment block; null
+ *   on unsupported chains, without a usable deployment and while connecting
+ * @property {number|null} chainId
+ * @property {DeploymentError|null} deploymentError - Why the connected chain's deployment was rejected
+ * @property {import('./walletConnectors').WalletConnector|null} connector
+ * @property {boolean} readOnly - No wallet: browsing through the read-only network
+ * @property {boolean} loading - A wallet connection is in progress
+ * @property {string} balance - Of the account, in ETH
+ * @property {string|null} error - Why the last connection failed
+ */
+
+const INITIAL_STATE = {
+  account: null,
+  provider: null,
+  contract: null,
+  network: null,
+  chainId: null,
+  deploymentError: null,
+  connector: null,
+  readOnly: false,
+  loading: false,
+  balance: '0',
+  error: null
+};
+
+/**
+ * The game contract of a network, checked against the chain; reads then go through its deployment's Multicall3
+ * @param {import('../config/networks').NetworkConfig} network
+ * @param {ethers.Provider} provider
+ * @param {Object} [options] - Passed on to resolveDeployment (e.g. `fetch`)
+ */
+export async function loadGameDeployment(network, provider, options = {}) {
+  const deployment = await resolveDeployment(network, provider, { requiredAbi: REQUIRED_ABI, abi: CONTRACT_ABI, ...options });
+  setMulticallAddress(network.chainId, deployment.multicallAddress);
+  return deployment;
+}
+
+/**
+ * @param {Object} options
+ * @param {ReturnType<import('./walletConnectors').createWalletConnectors>} options.connectors
+ * @param {import('../config/networks').NetworkConfig|null} [options.readOnlyNetwork] - Browsed without a wallet
+ * @param {(network: Object, provider: ethers.Provider) => Promise<Object>} [options.loadDeployment]
+ * @param {(eip1193: Object) => ethers.BrowserProvider} [options.createBrowserProvider]
+ * @param {(network: Object) => ethers.JsonRpcProvider} [options.createRpcProvider]
+ */
+export function createWalletSession({
+  connectors,
+  readOnlyNetwork = getReadOnlyNetwork(),
+  loadDeployment = loadGameDeployment,
+  createBrowserProvider = (eip1193) => new ethers.BrowserProvider(eip1193),
+  createRpcProvider = (network) => new ethers.JsonRpcProvider(network.rpcUrl, network.chainId, { staticNetwork: true })
+}) {
+  let state = INITIAL_STATE;
+  const listeners = new Set();
+  // Bumped by every connect and disconnect: a connect that finishes after a newer one leaves the state alone
+  let run = 0;
+  let watched = null;
+  let unwatch = null;
+
+  function update(patch) {
+    state = { ...state, ...patch };
+    listeners.forEach((listener) => listener());
+  }
+
+  // Drop the signer, contract and subscriptions of the previous account or chain at once, so nothing keeps acting
+  // for it, and rebuild them in place
+  function rebuild(connector, patch) {
+    update({ ...patch, provider: null, contract: null, network: null, deploymentError: null });
+    connect(connector.id, { silent: true });
+  }
+
+  // Follow the account and chain changes of the connected wallet
+  function watch(connector) {
+    if (watched === connector) return;
+    unwatch?.();
+    watched = connector;
+    const offAccounts = connector.on('accountsChanged', (accounts) => {
+      if (accounts.length === 0) {
+        disconnect();
+        return;
+      }
+      rebuild(connector, { account: accounts[0], balance: '0' });
+    });
+    const offChain = connector.on('chainChanged', (chainIdHex) => {
+      rebuild(connector, { chainId: Number(chainIdHex) });
+    });
+    unwatch = () => {
+      offAccounts();
+      offChain();
+    };
+  }
+
+  /**
+   * Connect through a wallet connector: the one picked, else the remembered one, else the first one found
+   * @param {string|null} [connectorId]
+   * @param {{ silent?: boolean }} [options] - `silent` reconnects an already authorized wallet without prompting
+   */
+  async function connect(connectorId = null, { silent = false } = {}) {
+    const current = ++run;
+    const isStale = () => current !== run;
+    try {
+      update({ loading: true, error: null, deploymentError: null });
+
+      const connector = connectorId
+        ? connectors.get(connectorId)
+        : connectors.get(connectors.getLastUsed()) ?? connectors.getSnapshot()[0] ?? null;
+      if (!connector) {
+        update({ error: 'No wallet found. Please install a browser wallet extension.' });
+        return;
+      }
+
+      const accounts = await connector.connect({ silent });
+      if (accounts.length === 0 || isStale()) {
+        return;
+      }
+
+      connectors.remember(connector.id);
+      watch(connector);
+      update({ connector, readOnly: false });
+      const provider = createBrowserProvider(connector.getProvider());
+      const signer = await provider.getSigner();
+
+      // Pick the registry entry for the wallet's chain
+      const { chainId } = await provider.getNetwork();
+      if (isStale()) return;
+      const network = getNetworkConfig(chainId);
+      update({ chainId: Number(chainId) });
+
+      if (!network) {
+        // Stay connected so the user can switch chains, but without a contract
+        console.warn('Unsupported network, chain ID:', Number(chainId));
+        update({ account: accounts[0], provider, contract: null, network: null });
+        return;
+      }
+
+      // Address, deploy block and ABI come from the manifest hardhat:deploy wrote for this chain (or the registry
+      // for a deployment from before the manifests), checked against the code actually deployed there
+      let deployment;
+      try {
+        deployment = await loadDeployment(network, provider);
+      } catch (err) {
+        if (isStale()) return;
+        if (!(err instanceof DeploymentError)) throw err;
+        console.error(`Deployment check failed on ${network.name}:`, err);
+        update({ account: accounts[0], provider, contract: null, network: null, deploymentError: err });
+        return;
+      }
+
+      if (isStale()) return;
+      update({
+        account: accounts[0],
+        provider,
+        contract: new ethers.Contract(deployment.address, deployment.abi, signer),
+        network: { ...network, contractAddress: deployment.address, deploymentBlock: deployment.deployBlock }
+      });
+
+      const balance = await provider.getBalance(accounts[0]);
+      if (isStale()) return;
+      update({ balance: ethers.formatEther(balance) });
+
+      console.log(`Wallet connected through ${connector.name}:`, accounts[0]);
+      console.log(`Contract address on ${network.name}:`, deployment.address, `(deployed in block ${deployment.deployBlock})`);
+    } catch (err) {
+      console.error('Error connecting wallet:', err);
+      if (isStale()) return;
+      if (err.code === 4001) {
+        update({ error: 'Connection rejected. Please try again and approve the connection.' });
+      } else if (err.code === -32002) {
+        update({ error: 'Connection request already pending. Please check your wallet.' });
+      } else {
+        update({ error: 'Failed to connect wallet. Please refresh the page and try again.' });
+      }
+    } finally {
+      if (!isStale()) {
+        update({ loading: false });
+      }
+    }
+  }
+
+  // Spectator mode: open games and history through a JSON-RPC provider, with a contract that can't sign
+  async function connectReadOnly() {
+    const current = ++run;
+    const network = readOnlyNetwork;
+    if (!network) return;
+    try {
+      const provider = createRpcProvider(network);
+      const deployment = await loadDeployment(network, provider);
+      if (current !== run) return;
+
+      update({
+        readOnly: true,
+        chainId: network.chainId,
+        provider,
+        contract: new ethers.Contract(deployment.address, deployment.abi, provider),
+        network: { ...network, contractAddress: deployment.address, deploymentBlock: deployment.deployBlock }
+      });
+    } catch (err) {
+      // The connect screen stays up, as without spectator mode
+      console.warn(`Read-only mode unavailable on ${network.name}:`, err);
+    }
+  }
+
+  // Disconnect the wallet: forget it too, so a reload doesn't connect it again
+  function disconnect() {
+    run += 1;
+    state.connector?.disconnect();
+    connectors.forget();
+    unwatch?.();
+    unwatch = null;
+    watched = null;
+    update(INITIAL_STATE);
+  }
+
+  // Reconnect the wallet used last time, if it is still installed and authorized
+  async function restore() {
+    const lastUsed = connectors.getLastUsed();
+    if (lastUsed && await connectors.waitFor(lastUsed)) {
+      await connect(lastUsed, { silent: true });
+    }
+  }
+
+  // Ask the connected wallet to move to a supported network; its chainChanged event then rebuilds everything
+  function switchNetwork(chainId) {
+    return state.connector.switchChain(getNetworkConfig(chainId));
+  }
+
+  // A balance read for an account or chain that was switched away from meanwhile is dropped
+  async function refreshBalance() {
+    const { provider, account } = state;
+    if (!provider || !account) return;
+    try {
+      const balance = await provider.getBalance(account);
+      if (state.provider === provider && state.account === account) {
+        update({ balance: ethers.formatEther(balance) });
+      }
+    } catch (err) {
+      console.error('Error updating balance:', err);
+    }
+  }
+
+  return {
+    connect,
+    connectReadOnly,
+    disconnect,
+    restore,
+    switchNetwork,
+    refreshBalance,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /** @returns {WalletSessionState} */
+    getSnapshot() {
+      return state;
+    }
+  };
+}
@@ -0,0 +1,29 @@
+// FHE worker: keeps the FHEVM instance off the main thread so encryption doesn't block rendering
+//
+// Protocol (see ../utils/fheWorkerClient.js):
+//   in:  { id, type, payload }                  type is one of ENGINE_HANDLERS
+//   out: { id, kind: 'progress', progress }     zero or more, while the request runs
+//        { id, kind: 'result', result }         once, on success
+//        { id, kind: 'error', error }           once, on failure (see serializeFheError)
+import { ENGINE_HANDLERS } from '../utils/fheEngine';
+import { serializeFheError } from '../utils/fheErrors';
+
+// The relayer SDK registers its WASM bindings on `window` when it is evaluated
+self.window = self;
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data;
+  const handler = ENGINE_HANDLERS[type];
+
+  try {
+    if (!handler) {
+      throw new Error(`Unknown FHE worker request "${type}"`);
+    }
+    const result = await handler(payload, (progress) => {
+      self.postMessage({ id, kind: 'progress', progress });
+    });
+    self.postMessage({ id, kind: 'result', result });
+  } catch (err) {
+    self.postMessage({ id, kind: 'error', error: serializeFheError(err) });
+  }
+};
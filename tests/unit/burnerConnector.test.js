@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import {
+  createBurnerConnector,
+  BURNER_KEYS_STORAGE_KEY,
+  BURNER_PLAYER_STORAGE_KEY,
+  FUND_AMOUNT,
+  MIN_BALANCE
+} from '../../src/utils/walletConnectors/burner';
+import { NETWORKS } from '../../src/config/networks';
+
+const HARDHAT = NETWORKS[31337];
+
+function createStorage() {
+  const items = new Map();
+  return {
+    items,
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value)
+  };
+}
+
+// Hardhat node double: balances per address, account #0 funds, anything else is answered by `send`
+function createNode(balances = {}) {
+  const node = {
+    funded: [],
+    forwarded: [],
+    getBalance: async (address) => balances[address] ?? 0n,
+    getSigner: async (index) => ({
+      sendTransaction: async ({ to, value }) => {
+        node.funded.push({ from: index, to, value });
+        balances[to] = (balances[to] ?? 0n) + value;
+        return { wait: async () => ({ status: 1 }) };
+      }
+    }),
+    send: async (method, params) => {
+      node.forwarded.push([method, params]);
+      return '0x2a';
+    }
+  };
+  return node;
+}
+
+const setup = ({ storage = createStorage(), node = createNode() } = {}) => ({
+  storage,
+  node,
+  connector: createBurnerConnector({ network: HARDHAT, storage, rpc: node })
+});
+
+describe('createBurnerConnector', () => {
+  it('creates a key per player on first use and keeps them across reloads', async () => {
+    const { connector, storage } = setup();
+    expect(storage.items.size).toBe(0);
+
+    const [address] = await connector.connect();
+    const players = connector.getPlayers();
+
+    expect(players.map((player) => player.label)).toEqual(['Player 1', 'Player 2']);
+    expect(players[0].address).toBe(address);
+    expect(players[1].address).not.toBe(address);
+    expect(createBurnerConnector({ network: HARDHAT, storage, rpc: createNode() }).getPlayers()).toEqual(players);
+    expect(Object.keys(JSON.parse(storage.getItem(BURNER_KEYS_STORAGE_KEY)))).toEqual(['player1', 'player2']);
+  });
+
+  it('tops a burner up from the first node account only when it runs low', async () => {
+    const { connector, node } = setup();
+
+    const [address] = await connector.connect();
+    await connector.connect();
+
+    expect(node.funded).toEqual([{ from: 0, to: address, value: FUND_AMOUNT }]);
+    expect(await node.getBalance(address)).toBeGreaterThanOrEqual(MIN_BALANCE);
+  });
+
+  it('explains a node that cannot fund', async () => {
+    const node = createNode();
+    node.getBalance = async () => {
+      throw new Error('ECONNREFUSED');
+    };
+    const { connector } = setup({ node });
+
+    await expect(connector.connect()).rejects.toThrow(/npm run hardhat:node/);
+  });
+
+  it('is available only while the node answers on the Hardhat chain', async () => {
+    const answering = createNode();
+    answering.send = async (method) => (method === 'eth_chainId' ? '0x7a69' : null);
+    const otherChain = createNode();
+    otherChain.send = async () => '0xaa36a7';
+    const down = createNode();
+    down.send = async () => {
+      throw new Error('ECONNREFUSED');
+    };
+
+    await expect(setup({ node: answering }).connector.probe()).resolves.toBe(true);
+    await expect(setup({ node: otherChain }).connector.probe()).resolves.toBe(false);
+    await expect(setup({ node: down }).connector.probe()).resolves.toBe(false);
+  });
+
+  it('switches players through accountsChanged and remembers the active one', async () => {
+    const { connector, storage, node } = setup();
+    const seen = [];
+    connector.on('accountsChanged', (accounts) => seen.push(accounts));
+    const [, player2] = connector.getPlayers();
+
+    await connector.switchPlayer('player2');
+
+    expect(seen).toEqual([[player2.address]]);
+    expect(await connector.getProvider().request({ method: 'eth_accounts' })).toEqual([player2.address]);
+    expect(node.funded.map(({ to }) => to)).toEqual([player2.address]);
+    expect(storage.getItem(BURNER_PLAYER_STORAGE_KEY)).toBe('player2');
+    expect(createBurnerConnector({ network: HARDHAT, storage, rpc: node }).getPlayer()).toBe('player2');
+    await expect(connector.switchPlayer('player3')).rejects.toThrow('Unknown burner player');
+  });
+
+  it('signs messages and typed data with the active key and forwards reads to the node', async () => {
+    const { connector, node } = setup();
+    const provider = connector.getProvider();
+    const [address] = await provider.request({ method: 'eth_requestAccounts' });
+
+    const message = ethers.hexlify(ethers.toUtf8Bytes('hello'));
+    const signature = await provider.request({ method: 'personal_sign', params: [message, address] });
+    expect(ethers.verifyMessage('hello', signature)).toBe(address);
+
+    const domain = { name: 'Decryption', version: '1', chainId: 31337, verifyingContract: ethers.ZeroAddress };
+    const types = { Request: [{ name: 'user', type: 'address' }] };
+    const payload = JSON.stringify({
+      domain,
+      types: { EIP712Domain: [{ name: 'name', type: 'string' }], ...types },
+      primaryType: 'Request',
+      message: { user: address }
+    });
+    const typedSignature = await provider.request({ method: 'eth_signTypedData_v4', params: [address, payload] });
+    expect(ethers.verifyTypedData(domain, types, { user: address }, typedSignature)).toBe(address);
+
+    expect(await provider.request({ method: 'eth_chainId' })).toBe('0x7a69');
+    expect(await provider.request({ method: 'eth_blockNumber' })).toBe('0x2a');
+    expect(node.forwarded).toEqual([['eth_blockNumber', []]]);
+  });
+});
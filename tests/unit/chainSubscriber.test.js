@@ -0,0 +1,234 @@
+import { describe, it, expect } from 'vitest';
+import { createChainSubscriber, TRANSPORT } from '../../src/utils/chainSubscriber';
+
+const ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const TOPIC = '0x' + '11'.repeat(32);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(check, timeoutMs = 1000) {
+  const until = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > until) throw new Error('condition not met in time');
+    await sleep(2);
+  }
+}
+
+// Chain double: `mine(n)` adds a block with one log of the contract; the provider answers HTTP polls
+function createChain({ maxRange = Infinity } = {}) {
+  const chain = {
+    head: 0,
+    logs: [],
+    requests: [],
+    mine(count = 1) {
+      for (let i = 0; i < count; i += 1) {
+        chain.head += 1;
+        chain.logs.push({ address: ADDRESS, blockNumber: chain.head, topics: [TOPIC] });
+      }
+    },
+    async getLogs({ fromBlock, toBlock }) {
+      chain.requests.push([fromBlock, toBlock]);
+      if (toBlock - fromBlock + 1 > maxRange) throw new Error('block range too large');
+      return chain.logs.filter((log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+    }
+  };
+  chain.provider = {
+    getBlockNumber: async () => chain.head,
+    getLogs: (filter) => chain.getLogs(filter)
+  };
+  return chain;
+}
+
+// WebSocketProvider double: `push(n)` announces a block, `close()` drops the connection
+function createSocket(chain, { chainId = 31337 } = {}) {
+  const closeListeners = [];
+  const socket = {
+    destroyed: false,
+    websocket: {
+      addEventListener: (type, listener) => type === 'close' && closeListeners.push(listener)
+    },
+    getNetwork: async () => ({ chainId: BigInt(chainId) }),
+    getBlockNumber: async () => chain.head,
+    getLogs: (filter) => chain.getLogs(filter),
+    on: async (event, listener) => {
+      socket.onBlock = listener;
+    },
+    destroy() {
+      socket.destroyed = true;
+    },
+    push(blockNumber) {
+      socket.onBlock?.(blockNumber);
+    },
+    close() {
+      closeListeners.forEach((listener) => listener());
+    }
+  };
+  return socket;
+}
+
+function collect() {
+  const blocks = [];
+  const ranges = [];
+  return {
+    blocks,
+    ranges,
+    onLogs: async (logs, range) => {
+      ranges.push([range.fromBlock, range.toBlock, logs.map((log) => log.blockNumber)]);
+    }
+  };
+}
+
+const delivered = (ranges) => ranges.flatMap(([, , blocks]) => blocks);
+
+describe('createChainSubscriber', () => {
+  it('polls without a WebSocket and delivers logs from the requested block', async () => {
+    const chain = createChain();
+    chain.mine(3);
+    const subscriber = createChainSubscriber({ provider: chain.provider, pollIntervalMs: 5 });
+    const sink = collect();
+    subscriber.watchBlocks((n) => sink.blocks.push(n));
+    subscriber.watchLogs({ address: ADDRESS, topics: [TOPIC] }, { fromBlock: 2, onLogs: sink.onLogs });
+
+    subscriber.start();
+    await waitFor(() => sink.ranges.length === 1);
+    expect(subscriber.getTransport()).toBe(TRANSPORT.POLLING);
+    expect(sink.ranges).toEqual([[2, 3, [2, 3]]]);
+
+    chain.mine();
+    await waitFor(() => sink.ranges.length === 2);
+    expect(sink.ranges[1]).toEqual([4, 4, [4]]);
+    expect(sink.blocks).toEqual([3, 4]);
+    subscriber.stop();
+  });
+
+  it('delivers a range again when the watcher failed to take it', async () => {
+    const chain = createChain();
+    chain.mine(2);
+    const subscriber = createChainSubscriber({ provider: chain.provider, pollIntervalMs: 5 });
+    const received = [];
+    let fail = true;
+    subscriber.watchLogs({ address: ADDRESS }, {
+      fromBlock: 1,
+      onLogs: async (logs) => {
+        if (fail) {
+          fail = false;
+          throw new Error('store unavailable');
+        }
+        received.push(...logs.map((log) => log.blockNumber));
+      }
+    });
+
+    subscriber.start();
+    chain.mine();
+    await waitFor(() => received.length > 0);
+    expect(received).toEqual([1, 2, 3]);
+    subscriber.stop();
+  });
+
+  it('narrows the block range when the node refuses it', async () => {
+    const chain = createChain({ maxRange: 500 });
+    chain.mine(1200);
+    const subscriber = createChainSubscriber({ provider: chain.provider, pollIntervalMs: 5 });
+    const sink = collect();
+    subscriber.watchLogs({ address: ADDRESS }, { fromBlock: 1, onLogs: sink.onLogs });
+
+    subscriber.start();
+    await waitFor(() => delivered(sink.ranges).length === 1200);
+    expect(sink.ranges.every(([from, to]) => to - from + 1 <= 500)).toBe(true);
+    subscriber.stop();
+  });
+
+  it('follows blocks over the WebSocket and stops polling', async () => {
+    const chain = createChain();
+    chain.mine();
+    const socket = createSocket(chain);
+    const subscriber = createChainSubscriber({
+      provider: chain.provider,
+      wsUrl: 'ws://node',
+      chainId: 31337,
+      pollIntervalMs: 5,
+      connectWebSocket: () => socket
+    });
+    const sink = collect();
+    subscriber.watchLogs({ address: ADDRESS }, { fromBlock: 1, onLogs: sink.onLogs });
+
+    subscriber.start();
+    await waitFor(() => subscriber.getTransport() === TRANSPORT.WEBSOCKET);
+
+    // Only the socket announces blocks now
+    chain.mine();
+    await sleep(20);
+    expect(delivered(sink.ranges)).toEqual([1]);
+
+    socket.push(2);
+    await waitFor(() => delivered(sink.ranges).length === 2);
+    expect(delivered(sink.ranges)).toEqual([1, 2]);
+    subscriber.stop();
+    expect(socket.destroyed).toBe(true);
+  });
+
+  it('falls back to polling while the socket is down and backfills after reconnecting', async () => {
+    const chain = createChain();
+    const sockets = [];
+    let refuse = 0;
+    const subscriber = createChainSubscriber({
+      provider: chain.provider,
+      wsUrl: 'ws://node',
+      pollIntervalMs: 5,
+      reconnectDelaysMs: [5],
+      connectWebSocket: () => {
+        const socket = createSocket(chain);
+        if (refuse > 0) {
+          refuse -= 1;
+          socket.getNetwork = async () => {
+            throw new Error('connection refused');
+          };
+        }
+        sockets.push(socket);
+        return socket;
+      }
+    });
+    const sink = collect();
+    subscriber.watchLogs({ address: ADDRESS }, { fromBlock: 1, onLogs: sink.onLogs });
+
+    subscriber.start();
+    await waitFor(() => subscriber.getTransport() === TRANSPORT.WEBSOCKET);
+
+    refuse = 2;
+    sockets[0].close();
+    expect(subscriber.getTransport()).toBe(TRANSPORT.POLLING);
+    expect(sockets[0].destroyed).toBe(true);
+
+    // Mined during the outage: polling picks them up...
+    chain.mine(2);
+    await waitFor(() => delivered(sink.ranges).length === 2);
+
+    // ...and whatever was missed after polling stopped comes with the reconnect
+    await waitFor(() => subscriber.getTransport() === TRANSPORT.WEBSOCKET);
+    expect(sockets).toHaveLength(4);
+    chain.mine(3);
+    sockets[3].push(chain.head);
+    await waitFor(() => delivered(sink.ranges).length === 5);
+    expect(delivered(sink.ranges)).toEqual([1, 2, 3, 4, 5]);
+    subscriber.stop();
+  });
+
+  it('keeps polling when the WebSocket is on another chain', async () => {
+    const chain = createChain();
+    const socket = createSocket(chain, { chainId: 1 });
+    const subscriber = createChainSubscriber({
+      provider: chain.provider,
+      wsUrl: 'ws://mainnet',
+      chainId: 31337,
+      pollIntervalMs: 5,
+      reconnectDelaysMs: [5],
+      connectWebSocket: () => socket
+    });
+
+    subscriber.start();
+    await waitFor(() => socket.destroyed);
+    await sleep(20);
+    expect(subscriber.getTransport()).toBe(TRANSPORT.POLLING);
+    subscriber.stop();
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import { switchChain, getAddChainParameters, ChainSwitchError } from '../../src/utils/chainSwitch';
+import { NETWORKS } from '../../src/config/networks';
+
+const SEPOLIA = NETWORKS[11155111];
+const HARDHAT = NETWORKS[31337];
+
+const rpcError = (code, message = 'wallet error') => Object.assign(new Error(message), { code });
+
+// EIP-1193 double: `known` chains can be switched to; `answers[method]` is thrown instead of answering
+function createWallet({ known = [], answers = {} } = {}) {
+  const wallet = {
+    chainId: '0x1',
+    known: new Set(known),
+    requests: [],
+    async request({ method, params }) {
+      wallet.requests.push(method);
+      if (answers[method]) throw answers[method];
+      if (method === 'wallet_addEthereumChain') {
+        wallet.known.add(params[0].chainId);
+        wallet.added = params[0];
+        return null;
+      }
+      if (method === 'wallet_switchEthereumChain') {
+        if (!wallet.known.has(params[0].chainId)) throw rpcError(4902, 'Unrecognized chain ID');
+        wallet.chainId = params[0].chainId;
+        return null;
+      }
+      throw rpcError(4200);
+    }
+  };
+  return wallet;
+}
+
+describe('switchChain', () => {
+  it('switches to a chain the wallet knows', async () => {
+    const wallet = createWallet({ known: ['0xaa36a7'] });
+
+    await switchChain(wallet, SEPOLIA);
+
+    expect(wallet.chainId).toBe('0xaa36a7');
+    expect(wallet.requests).toEqual(['wallet_switchEthereumChain']);
+  });
+
+  it('adds the chain from the registry when the wallet does not know it, then switches', async () => {
+    const wallet = createWallet();
+
+    await switchChain(wallet, SEPOLIA);
+
+    expect(wallet.requests).toEqual(['wallet_switchEthereumChain', 'wallet_addEthereumChain', 'wallet_switchEthereumChain']);
+    expect(wallet.added).toEqual(getAddChainParameters(SEPOLIA));
+    expect(wallet.chainId).toBe('0xaa36a7');
+  });
+
+  it('recognizes the unknown-chain error wrapped by mobile wallets', async () => {
+    const wallet = createWallet();
+    wallet.request = async ({ method }) => {
+      wallet.requests.push(method);
+      if (method === 'wallet_switchEthereumChain' && wallet.requests.length === 1) {
+        throw Object.assign(rpcError(-32603), { data: { originalError: { code: 4902 } } });
+      }
+      return null;
+    };
+
+    await switchChain(wallet, HARDHAT);
+
+    expect(wallet.requests).toEqual(['wallet_switchEthereumChain', 'wallet_addEthereumChain', 'wallet_switchEthereumChain']);
+  });
+
+  it.each([
+    ['REJECTED', rpcError(4001, 'User rejected the request.')],
+    ['PENDING', rpcError(-32002, 'Request already pending')],
+    ['UNSUPPORTED', rpcError(-32601, 'Method not found')]
+  ])('reports %s', async (code, error) => {
+    const wallet = createWallet({ answers: { wallet_switchEthereumChain: error } });
+
+    const failure = switchChain(wallet, SEPOLIA);
+
+    await expect(failure).rejects.toBeInstanceOf(ChainSwitchError);
+    await expect(failure).rejects.toMatchObject({ code, cause: error });
+  });
+
+  it('reports a rejected addition', async () => {
+    const wallet = createWallet({ answers: { wallet_addEthereumChain: rpcError(4001) } });
+
+    await expect(switchChain(wallet, SEPOLIA)).rejects.toMatchObject({ name: 'ChainSwitchError', code: 'REJECTED' });
+    expect(wallet.chainId).toBe('0x1');
+  });
+});
+
+describe('getAddChainParameters', () => {
+  it('describes a registry network for the wallet', () => {
+    expect(getAddChainParameters(SEPOLIA)).toEqual({
+      chainId: '0xaa36a7',
+      chainName: 'Sepolia',
+      nativeCurrency: { name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 },
+      rpcUrls: [SEPOLIA.rpcUrl],
+      blockExplorerUrls: ['https://sepolia.etherscan.io']
+    });
+    expect(getAddChainParameters(HARDHAT)).not.toHaveProperty('blockExplorerUrls');
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import {
+  MANIFEST_VERSION,
+  loadDeploymentManifest,
+  verifyDeployment,
+  resolveDeployment,
+  findUnimplemented,
+  findMissingFragments
+} from '../../src/utils/deploymentManifest';
+import { CONTRACT_ABI, REQUIRED_ABI } from '../../src/config/contract';
+
+const ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const iface = new ethers.Interface(CONTRACT_ABI);
+
+// Runtime code shaped like solc's: a PUSH4 per dispatched selector, a PUSH32 per emitted event topic
+function compile(abi) {
+  const contract = ethers.Interface.from(abi);
+  let code = '0x6080604052';
+  contract.forEachFunction((fn) => {
+    code += `63${fn.selector.slice(2)}14`;
+  });
+  contract.forEachEvent((event) => {
+    code += `7f${event.topicHash.slice(2)}a2`;
+  });
+  return code;
+}
+
+const CODE = compile(CONTRACT_ABI);
+
+const manifest = (fields = {}) => ({
+  manifestVersion: MANIFEST_VERSION,
+  chainId: 31337,
+  network: 'localhost',
+  contractName: 'RockPaperScissorsGame_FHE_ResultOnly',
+  address: ADDRESS,
+  deployBlock: 3,
+  deployedBytecodeHash: ethers.keccak256(CODE),
+  multicallAddress: null,
+  abi: CONTRACT_ABI,
+  ...fields
+});
+
+const provider = (code = CODE) => ({ getCode: async () => code });
+
+const respond = (status, body, contentType = 'application/json') => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: new Headers({ 'Content-Type': contentType }),
+  json: async () => (typeof body === 'string' ? JSON.parse(body) : body)
+});
+
+const expectCode = (promise, code) => expect(promise).rejects.toMatchObject({ name: 'DeploymentError', code });
+
+describe('loadDeploymentManifest', () => {
+  it('fetches the manifest of the chain', async () => {
+    const urls = [];
+    const fetch = async (url) => {
+      urls.push(url);
+      return respond(200, manifest());
+    };
+
+    await expect(loadDeploymentManifest(31337n, { baseUrl: '/deployments/', fetch })).resolves.toMatchObject({ address: ADDRESS });
+    expect(urls).toEqual(['/deployments/31337.json']);
+  });
+
+  it.each([
+    ['a chain without a manifest', respond(404, null), 'MANIFEST_MISSING'],
+    ['a chain answered with the app\'s index.html', respond(200, '<!doctype html>', 'text/html'), 'MANIFEST_MISSING'],
+    ['a manifest that is not JSON', respond(200, '{"manifestVersion":'), 'MANIFEST_INVALID'],
+    ['an older manifest version', respond(200, manifest({ manifestVersion: 0 })), 'MANIFEST_INVALID'],
+    ['a manifest without an ABI', respond(200, manifest({ abi: undefined })), 'MANIFEST_INVALID'],
+    ['another chain\'s manifest', respond(200, manifest({ chainId: 11155111 })), 'CHAIN_MISMATCH']
+  ])('rejects %s', async (_, response, code) => {
+    await expectCode(loadDeploymentManifest(31337, { fetch: async () => response }), code);
+  });
+});
+
+describe('verifyDeployment', () => {
+  it('accepts the deployment the manifest describes', async () => {
+    await expect(verifyDeployment(manifest(), provider(), { requiredAbi: CONTRACT_ABI })).resolves.toMatchObject({ deployBlock: 3 });
+  });
+
+  it('fails when nothing is deployed at the address', async () => {
+    await expectCode(verifyDeployment(manifest(), provider('0x')), 'NOT_DEPLOYED');
+  });
+
+  it('fails when other bytecode is deployed at the address', async () => {
+    await expectCode(verifyDeployment(manifest(), provider(`${CODE}00`)), 'BYTECODE_MISMATCH');
+  });
+
+  it('fails when the manifest ABI has functions the bytecode does not dispatch', async () => {
+    const abi = [...CONTRACT_ABI, 'function rematch(uint256 gameId)'];
+    await expectCode(verifyDeployment(manifest({ abi }), provider()), 'ABI_MISMATCH');
+  });
+
+  it('fails when the deployment lacks something the app uses', async () => {
+    const abi = CONTRACT_ABI.filter((fragment) => fragment.name !== 'batchExpireGames');
+    const code = compile(abi);
+    const deployment = manifest({ abi, deployedBytecodeHash: ethers.keccak256(code) });
+
+    await expectCode(verifyDeployment(deployment, provider(code), { requiredAbi: CONTRACT_ABI }), 'ABI_MISMATCH');
+  });
+
+  it('accepts a deployment from before the optional functions', async () => {
+    const abi = CONTRACT_ABI.filter((fragment) => fragment.name !== 'resultHandles');
+    const code = compile(abi);
+    const deployment = manifest({ abi, deployedBytecodeHash: ethers.keccak256(code) });
+
+    await expect(verifyDeployment(deployment, provider(code), { requiredAbi: REQUIRED_ABI })).resolves.toBe(deployment);
+  });
+});
+
+describe('resolveDeployment', () => {
+  const MULTICALL = '0xcA11bde05977b3631167028862bE2a173976CA11';
+  const LOCAL_MULTICALL = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+  const network = (fields = {}) => ({ chainId: 31337, name: 'Hardhat', multicallAddress: MULTICALL, ...fields });
+  const serve = (body) => async () => (body ? respond(200, body) : respond(404, null));
+  const options = (body) => ({ requiredAbi: REQUIRED_ABI, abi: CONTRACT_ABI, fetch: serve(body) });
+
+  it('takes the Multicall3 the manifest records over the registry\'s', async () => {
+    await expect(resolveDeployment(network(), provider(), options(manifest({ multicallAddress: LOCAL_MULTICALL }))))
+      .resolves.toMatchObject({ address: ADDRESS, deployBlock: 3, multicallAddress: LOCAL_MULTICALL, source: 'manifest' });
+  });
+
+  it('falls back to the registry\'s Multicall3 for manifests without the field', async () => {
+    const { multicallAddress: _, ...older } = manifest();
+    await expect(resolveDeployment(network(), provider(), options(older))).resolves.toMatchObject({ multicallAddress: MULTICALL });
+  });
+
+  it('uses the registry address while the network has no manifest', async () => {
+    const abi = CONTRACT_ABI.filter((fragment) => fragment.name !== 'resultHandles');
+    const deployment = await resolveDeployment(
+      network({ contractAddress: ADDRESS, deploymentBlock: 7 }),
+      provider(compile(abi)),
+      options(null)
+    );
+
+    expect(deployment).toMatchObject({ address: ADDRESS, deployBlock: 7, multicallAddress: MULTICALL, source: 'registry' });
+    // Optional functions the deployment lacks are left out, so the app knows not to call them
+    expect(new ethers.Interface(deployment.abi).hasFunction('resultHandles')).toBe(false);
+    expect(new ethers.Interface(deployment.abi).hasFunction('withdraw')).toBe(true);
+  });
+
+  it('rejects a registry address whose code lacks something the app uses', async () => {
+    const code = compile(CONTRACT_ABI.filter((fragment) => fragment.name !== 'withdraw'));
+    await expectCode(resolveDeployment(network({ contractAddress: ADDRESS }), provider(code), options(null)), 'ABI_MISMATCH');
+  });
+
+  it('fails without a manifest or a registry address', async () => {
+    await expectCode(resolveDeployment(network(), provider(), options(null)), 'MANIFEST_MISSING');
+  });
+});
+
+describe('findUnimplemented', () => {
+  it('lists the functions missing from the code', () => {
+    const code = compile(CONTRACT_ABI.filter((fragment) => fragment.name !== 'withdraw'));
+    expect(findUnimplemented(CONTRACT_ABI, code)).toEqual(['withdraw()']);
+  });
+
+  it('does not expect declared events the contract never emits', () => {
+    const code = compile(CONTRACT_ABI.filter((fragment) => fragment.name !== 'PayoutClaimed'));
+    expect(findUnimplemented(CONTRACT_ABI, code)).toEqual([]);
+  });
+
+  it('ignores matches that straddle opcodes', () => {
+    const selector = iface.getFunction('withdraw').selector.slice(2);
+    expect(findUnimplemented(['function withdraw()'], `0x063${selector}0`)).toEqual(['withdraw()']);
+    expect(findUnimplemented(['function withdraw()'], `0x0063${selector}`)).toEqual([]);
+  });
+});
+
+describe('findMissingFragments', () => {
+  it('lists the required functions and events the ABI lacks', () => {
+    expect(findMissingFragments(['function withdraw()'], ['function withdraw()', 'event GameExpired(uint256 indexed gameId)']))
+      .toEqual(['GameExpired(uint256)']);
+  });
+});
@@ -0,0 +1,236 @@
+import { describe, it, expect } from 'vitest';
+import {
+  encodeHandle,
+  encodeHandles,
+  isHandle,
+  parseHandle,
+  encodeProof,
+  encodeEncryptedInput,
+  FHE_TYPES,
+  HANDLE_BYTE_LENGTH
+} from '../../src/utils/fheCodec';
+import { InvalidHandleError, InvalidProofError } from '../../src/utils/fheErrors';
+
+// Build handle bytes with the FHEVM layout: hash[0..20] || index[21] || chainId[22..29] || type[30] || version[31]
+function handleBytes({ hashByte = 0xab, index = 0, chainId = 31337, fheType = FHE_TYPES.EUINT8, version = 0 } = {}) {
+  const bytes = new Uint8Array(HANDLE_BYTE_LENGTH).fill(hashByte, 0, 21);
+  bytes[21] = index;
+  let id = BigInt(chainId);
+  for (let i = 29; i >= 22; i--) {
+    bytes[i] = Number(id & 0xffn);
+    id >>= 8n;
+  }
+  bytes[30] = fheType;
+  bytes[31] = version;
+  return bytes;
+}
+
+function toHex(bytes) {
+  return '0x' + Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+const HANDLE = toHex(handleBytes());
+
+describe('encodeHandle', () => {
+  it('accepts a 0x-prefixed 64 hex digit string', () => {
+    expect(encodeHandle(HANDLE)).toBe(HANDLE);
+  });
+
+  it('lowercases mixed-case hex', () => {
+    expect(encodeHandle('0x' + HANDLE.slice(2).toUpperCase())).toBe(HANDLE);
+  });
+
+  it('accepts exactly 32 bytes', () => {
+    expect(encodeHandle(handleBytes())).toBe(HANDLE);
+  });
+
+  it('round-trips between bytes and hex', () => {
+    for (const options of [{}, { index: 3 }, { chainId: 11155111 }, { fheType: FHE_TYPES.EBOOL }, { hashByte: 0x01 }]) {
+      const bytes = handleBytes(options);
+      const hex = encodeHandle(bytes);
+      expect(encodeHandle(hex)).toBe(hex);
+      expect(hex).toBe(toHex(bytes));
+    }
+  });
+
+  it.each([
+    ['short string (no padding)', HANDLE.slice(0, 64)],
+    ['long string (no truncation)', HANDLE + '00'],
+    ['missing 0x prefix', HANDLE.slice(2)],
+    ['uppercase 0X prefix', '0X' + HANDLE.slice(2)],
+    ['non-hex digits', '0x' + 'zz'.repeat(32)],
+    ['empty string', ''],
+    ['bare prefix', '0x'],
+    ['zero handle', '0x' + '0'.repeat(64)]
+  ])('rejects %s', (_label, value) => {
+    expect(() => encodeHandle(value)).toThrow(InvalidHandleError);
+  });
+
+  it.each([
+    ['31 bytes (no padding)', new Uint8Array(31).fill(1)],
+    ['33 bytes (no truncation)', new Uint8Array(33).fill(1)],
+    ['empty bytes', new Uint8Array(0)],
+    ['zero bytes', new Uint8Array(32)]
+  ])('rejects %s', (_label, value) => {
+    expect(() => encodeHandle(value)).toThrow(InvalidHandleError);
+  });
+
+  it.each([
+    ['null', null],
+    ['undefined', undefined],
+    ['number', 42],
+    ['bigint', 42n],
+    ['plain array', Array.from(handleBytes())],
+    ['object', { handle: HANDLE }]
+  ])('rejects %s', (_label, value) => {
+    expect(() => encodeHandle(value)).toThrow(InvalidHandleError);
+  });
+
+  it('reports a stable error code and is not retryable', () => {
+    try {
+      encodeHandle('0x1234');
+      throw new Error('expected encodeHandle to throw');
+    } catch (err) {
+      expect(err.code).toBe('INVALID_HANDLE');
+      expect(err.retryable).toBe(false);
+    }
+  });
+});
+
+describe('isHandle', () => {
+  it('is true for well-formed handles', () => {
+    expect(isHandle(HANDLE)).toBe(true);
+    expect(isHandle(handleBytes())).toBe(true);
+  });
+
+  it('is false for malformed handles instead of throwing', () => {
+    expect(isHandle('0x1234')).toBe(false);
+    expect(isHandle(null)).toBe(false);
+    expect(isHandle('0x' + '0'.repeat(64))).toBe(false);
+  });
+});
+
+describe('encodeHandles', () => {
+  it('wraps a single handle into an array', () => {
+    expect(encodeHandles(HANDLE)).toEqual([HANDLE]);
+  });
+
+  it('normalizes every handle of a list', () => {
+    const other = toHex(handleBytes({ index: 1 }));
+    expect(encodeHandles([handleBytes(), other.toUpperCase().replace('0X', '0x')])).toEqual([HANDLE, other]);
+  });
+
+  it('rejects the whole batch when one handle is malformed', () => {
+    expect(() => encodeHandles([HANDLE, '0x1234'])).toThrow(InvalidHandleError);
+  });
+
+  it('rejects an empty list', () => {
+    expect(() => encodeHandles([])).toThrow(InvalidHandleError);
+  });
+});
+
+describe('parseHandle', () => {
+  it('extracts index, chain id, type and version', () => {
+    expect(parseHandle(toHex(handleBytes({ index: 4, chainId: 11155111, fheType: FHE_TYPES.EUINT8 })))).toEqual({
+      handle: toHex(handleBytes({ index: 4, chainId: 11155111, fheType: FHE_TYPES.EUINT8 })),
+      index: 4,
+      computed: false,
+      chainId: 11155111,
+      fheType: FHE_TYPES.EUINT8,
+      version: 0
+    });
+  });
+
+  it('flags handles produced by on-chain computation', () => {
+    const parsed = parseHandle(handleBytes({ index: 0xff }));
+    expect(parsed.computed).toBe(true);
+    expect(parsed.index).toBeNull();
+  });
+
+  it('rejects malformed handles', () => {
+    expect(() => parseHandle('0x00')).toThrow(InvalidHandleError);
+  });
+});
+
+describe('encodeProof', () => {
+  it('encodes bytes as lowercase hex', () => {
+    expect(encodeProof(new Uint8Array([0x00, 0x0f, 0xab, 0xff]))).toBe('0x000fabff');
+  });
+
+  it('normalizes hex strings to lowercase', () => {
+    expect(encodeProof('0xABcd')).toBe('0xabcd');
+  });
+
+  it('round-trips between bytes and hex', () => {
+    const bytes = new Uint8Array(Array.from({ length: 100 }, (_, i) => (i * 37) % 256));
+    const hex = encodeProof(bytes);
+    expect(encodeProof(hex)).toBe(hex);
+    expect(hex).toHaveLength(2 + 200);
+  });
+
+  it.each([
+    ['empty bytes', new Uint8Array(0)],
+    ['bare prefix', '0x'],
+    ['missing prefix', 'abcd'],
+    ['odd-length hex', '0xabc'],
+    ['non-hex digits', '0xzz'],
+    ['null', null],
+    ['number', 7],
+    ['plain array', [1, 2, 3]]
+  ])('rejects %s', (_label, value) => {
+    expect(() => encodeProof(value)).toThrow(InvalidProofError);
+  });
+});
+
+describe('encodeEncryptedInput', () => {
+  const proofBytes = new Uint8Array([1, 2, 3, 4]);
+
+  it('normalizes SDK output with Uint8Array handles and proof', () => {
+    expect(encodeEncryptedInput(
+      { handles: [handleBytes()], inputProof: proofBytes },
+      { count: 1, chainId: 31337, fheType: FHE_TYPES.EUINT8 }
+    )).toEqual({ handles: [HANDLE], inputProof: '0x01020304' });
+  });
+
+  it('accepts hex string output', () => {
+    expect(encodeEncryptedInput({ handles: [HANDLE], inputProof: '0x01020304' })).toEqual({
+      handles: [HANDLE],
+      inputProof: '0x01020304'
+    });
+  });
+
+  it('checks handle indexes match their position', () => {
+    const ciphertexts = { handles: [handleBytes({ index: 0 }), handleBytes({ index: 1 })], inputProof: proofBytes };
+    expect(encodeEncryptedInput(ciphertexts, { count: 2 }).handles).toHaveLength(2);
+
+    const swapped = { handles: [handleBytes({ index: 1 }), handleBytes({ index: 0 })], inputProof: proofBytes };
+    expect(() => encodeEncryptedInput(swapped, { count: 2 })).toThrow(InvalidHandleError);
+  });
+
+  it.each([
+    ['missing output', undefined],
+    ['missing handles', { inputProof: proofBytes }],
+    ['no handles', { handles: [], inputProof: proofBytes }],
+    ['extra handles', { handles: [handleBytes(), handleBytes({ index: 1 })], inputProof: proofBytes }],
+    ['truncated handle', { handles: [handleBytes().slice(0, 31)], inputProof: proofBytes }],
+    ['computed handle', { handles: [handleBytes({ index: 0xff })], inputProof: proofBytes }],
+    ['unknown handle version', { handles: [handleBytes({ version: 1 })], inputProof: proofBytes }]
+  ])('rejects %s', (_label, ciphertexts) => {
+    expect(() => encodeEncryptedInput(ciphertexts, { count: 1 })).toThrow(InvalidHandleError);
+  });
+
+  it('rejects handles encrypted for another chain', () => {
+    const ciphertexts = { handles: [handleBytes({ chainId: 1 })], inputProof: proofBytes };
+    expect(() => encodeEncryptedInput(ciphertexts, { chainId: 31337 })).toThrow(InvalidHandleError);
+  });
+
+  it('rejects handles of another FHE type', () => {
+    const ciphertexts = { handles: [handleBytes({ fheType: FHE_TYPES.EBOOL })], inputProof: proofBytes };
+    expect(() => encodeEncryptedInput(ciphertexts, { fheType: FHE_TYPES.EUINT8 })).toThrow(InvalidHandleError);
+  });
+
+  it('rejects a missing or empty proof', () => {
+    expect(() => encodeEncryptedInput({ handles: [handleBytes()] })).toThrow(InvalidProofError);
+    expect(() => encodeEncryptedInput({ handles: [handleBytes()], inputProof: new Uint8Array(0) })).toThrow(InvalidProofError);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import {
+  DecryptionDeniedError,
+  RelayerUnavailableError,
+  isRelayerUnreachable,
+  toFheError
+} from '../../src/utils/fheErrors';
+
+// Shaped like the relayer SDK's errors: the message is prose, the details sit in `cause`
+const relayerResponseError = (status) =>
+  new Error(`Public decrypt failed: relayer respond with HTTP code ${status}`, {
+    cause: { code: 'RELAYER_FETCH_ERROR', operation: 'PUBLIC_DECRYPT', status, statusText: '', url: '' }
+  });
+const relayerUnknownError = (error) =>
+  new Error("Public decrypt failed: Relayer didn't respond", {
+    cause: { code: 'RELAYER_UNKNOWN_ERROR', operation: 'PUBLIC_DECRYPT', error }
+  });
+
+describe('isRelayerUnreachable', () => {
+  it.each([
+    ['an unreachable node', ethers.makeError('could not detect network', 'NETWORK_ERROR', { event: 'noNetwork' })],
+    ['a node timing out', ethers.makeError('timeout', 'TIMEOUT', { operation: 'request' })],
+    ['a failed fetch in Chrome', new TypeError('Failed to fetch')],
+    ['a failed fetch in Firefox', new TypeError('NetworkError when attempting to fetch resource.')],
+    ['a failed fetch in Node', new TypeError('fetch failed')],
+    ['a relayer rate limit', relayerResponseError(429)],
+    ['a relayer gateway error', relayerResponseError(503)],
+    ['a relayer that did not answer', relayerUnknownError(new TypeError('Load failed'))]
+  ])('recognizes %s', (_, err) => {
+    expect(isRelayerUnreachable(err)).toBe(true);
+  });
+
+  it.each([
+    ['a relayer refusing the request', relayerResponseError(400)],
+    ['a programming error', new TypeError("Cannot read properties of undefined (reading 'fetch')")],
+    ['a message that merely mentions a status', new Error('Handle 0x…503 is not decryptable')],
+    ['a message that merely mentions a timeout', new Error('Proof rejected: timeout field missing')],
+    ['a contract revert', ethers.makeError('execution reverted', 'CALL_EXCEPTION', { action: 'call', data: '0x' })]
+  ])('does not mistake %s for an outage', (_, err) => {
+    expect(isRelayerUnreachable(err)).toBe(false);
+  });
+});
+
+describe('toFheError', () => {
+  const fallback = (cause) => new DecryptionDeniedError(undefined, { cause });
+
+  it('turns an outage into a retryable RelayerUnavailableError', () => {
+    const cause = relayerResponseError(502);
+    const err = toFheError(cause, fallback);
+    expect(err).toBeInstanceOf(RelayerUnavailableError);
+    expect(err).toMatchObject({ retryable: true, cause });
+  });
+
+  it('hands anything else to the fallback', () => {
+    expect(toFheError(relayerResponseError(403), fallback)).toBeInstanceOf(DecryptionDeniedError);
+  });
+
+  it('passes typed errors through', () => {
+    const err = new DecryptionDeniedError();
+    expect(toFheError(err, fallback)).toBe(err);
+  });
+});
@@ -0,0 +1,299 @@
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import { applyGameEvent, createGameRecord, createGameIndexer } from '../../src/utils/gameIndexer';
+import { createMemoryStore } from '../../src/utils/indexerStore';
+import { CONTRACT_ABI } from '../../src/config/contract';
+
+const ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const P1 = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const P2 = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const BET = ethers.parseEther('0.01');
+
+const iface = new ethers.Interface(CONTRACT_ABI);
+
+// Fake provider serving a fixed list of logs, with an optional cap on the eth_getLogs block range
+function createFakeChain({ maxRange = Infinity } = {}) {
+  let logs = [];
+  let head = 0;
+  // Blocks from forkBlock on belong to the latest of `forks` reorgs
+  let forks = 0;
+  let forkBlock = Infinity;
+  const hashOf = (number) => ethers.id(number >= forkBlock ? `fork-${forks}-${number}` : `block-${number}`);
+  const calls = { getLogs: [] };
+
+  return {
+    calls,
+    setHead(block) {
+      head = block;
+    },
+    // Replace the blocks from `block` on: their logs are gone and they get other hashes
+    reorg(block) {
+      logs = logs.filter((log) => log.blockNumber < block);
+      forks += 1;
+      forkBlock = Math.min(forkBlock, block);
+    },
+    emit(blockNumber, name, args) {
+      const { data, topics } = iface.encodeEventLog(iface.getEvent(name), args);
+      logs.push({ address: ADDRESS, blockNumber, index: logs.length, data, topics });
+      head = Math.max(head, blockNumber);
+    },
+    provider: {
+      async getBlockNumber() {
+        return head;
+      },
+      async getBlock(number) {
+        return number > head ? null : { number, hash: hashOf(number), timestamp: 1_700_000_000 + number * 12 };
+      },
+      async getLogs({ fromBlock, toBlock, topics }) {
+        calls.getLogs.push([fromBlock, toBlock]);
+        if (toBlock - fromBlock + 1 > maxRange) {
+          throw new Error('query exceeds max block range');
+        }
+        return logs.filter((log) =>
+          log.blockNumber >= fromBlock && log.blockNumber <= toBlock && topics[0].includes(log.topics[0])
+        );
+      },
+      on() {},
+      off() {}
+    }
+  };
+}
+
+const contract = { interface: iface, getAddress: async () => ADDRESS };
+
+describe('applyGameEvent', () => {
+  const event = (name, args, extra = {}) => ({ name, gameId: '1', args, blockNumber: 10, ...extra });
+
+  it.each([
+    ['GameCreated', { player1: P1, betAmount: BET.toString() }, { timestamp: 100, moveDeadline: 86500 }, {
+      player1: P1, betAmount: BET.toString(), startTime: 100, moveDeadline: 86500
+    }],
+    ['GameJoined', { player2: P2 }, {}, { player2: P2 }],
+    ['DecryptionRequested', { requestId: '7', timestamp: '200', deadline: '500' }, {}, {
+      decryptionRequested: true, requestId: '7', decryptRequestTime: 200, decryptDeadline: 500
+    }],
+    ['GameResolved', { resultCode: 1n, winner: P2, totalPot: (BET * 2n).toString() }, { timestamp: 300 }, {
+      decryptionRequested: false, decryptionCompleted: true, resultCode: 1, winner: P2, endTime: 300
+    }],
+    ['GameExpired', {}, { timestamp: 400 }, { isExpired: true, endTime: 400 }],
+    ['RefundProcessed', { player: P1, amount: BET.toString() }, {}, { refundedPlayers: [P1] }]
+  ])('%s sets its fields', (name, args, extra, expected) => {
+    expect(applyGameEvent(undefined, event(name, args, extra))).toEqual({
+      ...createGameRecord('1'),
+      ...expected,
+      updatedBlock: 10
+    });
+  });
+
+  it('leaves records untouched for unknown events', () => {
+    const record = createGameRecord('1');
+    expect(applyGameEvent(record, event('Paused', {}))).toBe(record);
+  });
+
+  it('is idempotent when a log is replayed', () => {
+    const events = [
+      event('GameCreated', { player1: P1, betAmount: '1' }, { timestamp: 1 }),
+      event('GameJoined', { player2: P2 }),
+      event('DecryptionRequested', { requestId: '1', timestamp: '2', deadline: '3' }),
+      event('GameResolved', { resultCode: 2, winner: ethers.ZeroAddress, totalPot: '2' }, { timestamp: 4 }),
+      event('RefundProcessed', { player: P1, amount: '1' })
+    ];
+    const once = events.reduce(applyGameEvent, undefined);
+    expect(events.reduce(applyGameEvent, once)).toEqual(once);
+  });
+
+  it('does not reopen a resolved game when DecryptionRequested is replayed', () => {
+    const resolved = applyGameEvent(undefined, event('GameResolved', { resultCode: 0, winner: P1, totalPot: '2' }));
+    const replayed = applyGameEvent(resolved, event('DecryptionRequested', { requestId: '1', timestamp: '2', deadline: '3' }));
+    expect(replayed.decryptionRequested).toBe(false);
+    expect(replayed.decryptionCompleted).toBe(true);
+  });
+});
+
+describe('createGameIndexer', () => {
+  it('folds logs into games, newest first', async () => {
+    const chain = createFakeChain();
+    chain.emit(3, 'GameCreated', [1n, P1, BET]);
+    chain.emit(4, 'GameCreated', [2n, P2, BET]);
+    chain.emit(5, 'GameJoined', [1n, P2]);
+    chain.emit(5, 'DecryptionRequested', [1n, 9n, 1000n, 1300n]);
+    chain.emit(6, 'GameResolved', [1n, 0n, P1, BET * 2n]);
+
+    const indexer = createGameIndexer({ contract, provider: chain.provider, store: createMemoryStore() });
+    await indexer.sync();
+
+    const { games, lastBlock } = indexer.getSnapshot();
+    expect(lastBlock).toBe(6);
+    expect(games.map((g) => g.id)).toEqual(['2', '1']);
+    expect(games[1]).toMatchObject({
+      player1: P1,
+      player2: P2,
+      betAmount: BET.toString(),
+      startTime: 1_700_000_036,
+      decryptionRequested: false,
+      decryptionCompleted: true,
+      requestId: '9',
+      resultCode: 0,
+      winner: P1,
+      endTime: 1_700_000_072
+    });
+  });
+
+  it('reads the move deadline of new games in one call per batch', async () => {
+    const chain = createFakeChain();
+    chain.emit(3, 'GameCreated', [1n, P1, BET]);
+    chain.emit(4, 'GameCreated', [2n, P2, BET]);
+    chain.emit(5, 'GameJoined', [1n, P2]);
+    const requests = [];
+    const readMoveDeadlines = async (ids) => {
+      requests.push(ids);
+      return ids.map((id) => 5000 + Number(id));
+    };
+
+    const indexer = createGameIndexer({ contract, provider: chain.provider, store: createMemoryStore(), readMoveDeadlines });
+    await indexer.sync();
+
+    expect(requests).toEqual([['1', '2']]);
+    expect(indexer.getSnapshot().games.map((g) => g.moveDeadline)).toEqual([5002, 5001]);
+  });
+
+  it('resumes from the last indexed block of its store', async () => {
+    const chain = createFakeChain();
+    const store = createMemoryStore();
+    chain.emit(3, 'GameCreated', [1n, P1, BET]);
+    chain.setHead(20);
+    await createGameIndexer({ contract, provider: chain.provider, store }).sync();
+
+    chain.emit(50, 'GameJoined', [1n, P2]);
+    const resumed = createGameIndexer({ contract, provider: chain.provider, store });
+    await resumed.sync();
+
+    // Only blocks after the last indexed one
+    expect(chain.calls.getLogs.at(-1)).toEqual([21, 50]);
+    expect(resumed.getSnapshot().games[0]).toMatchObject({ player1: P1, player2: P2 });
+  });
+
+  it('rebuilds the index when its last block was reorged out', async () => {
+    const chain = createFakeChain();
+    const store = createMemoryStore();
+    chain.emit(3, 'GameCreated', [1n, P1, BET]);
+    chain.emit(10, 'GameJoined', [1n, P2]);
+    chain.setHead(12);
+    await createGameIndexer({ contract, provider: chain.provider, store }).sync();
+
+    // The join was in a block the chain dropped
+    chain.reorg(10);
+    chain.setHead(13);
+    const resumed = createGameIndexer({ contract, provider: chain.provider, store });
+    await resumed.sync();
+
+    expect(chain.calls.getLogs.at(-1)).toEqual([0, 13]);
+    expect(resumed.getSnapshot().games[0]).toMatchObject({ player1: P1, player2: ethers.ZeroAddress });
+  });
+
+  it('starts at the deployment block', async () => {
+    const chain = createFakeChain();
+    chain.setHead(120);
+    await createGameIndexer({ contract, provider: chain.provider, store: createMemoryStore(), deploymentBlock: 100 }).sync();
+    expect(chain.calls.getLogs[0]).toEqual([100, 120]);
+  });
+
+  it('shrinks the block range when the RPC refuses it', async () => {
+    const chain = createFakeChain({ maxRange: 1000 });
+    chain.emit(2500, 'GameCreated', [1n, P1, BET]);
+
+    const indexer = createGameIndexer({ contract, provider: chain.provider, store: createMemoryStore() });
+    await indexer.sync();
+
+    expect(indexer.getSnapshot().games).toHaveLength(1);
+    expect(chain.calls.getLogs.at(-1)[1]).toBe(2500);
+  });
+
+  it('notifies subscribers and shares concurrent syncs', async () => {
+    const chain = createFakeChain();
+    chain.emit(1, 'GameCreated', [1n, P1, BET]);
+    const indexer = createGameIndexer({ contract, provider: chain.provider, store: createMemoryStore() });
+
+    const snapshots = [];
+    indexer.subscribe((snapshot) => snapshots.push(snapshot));
+    await Promise.all([indexer.sync(), indexer.sync()]);
+
+    expect(chain.calls.getLogs).toHaveLength(1);
+    expect(snapshots.at(-1).games).toHaveLength(1);
+  });
+
+  it('takes new logs from a subscriber and tells each game\'s listeners about that game only', async () => {
+    const chain = createFakeChain();
+    chain.emit(1, 'GameCreated', [1n, P1, BET]);
+    chain.emit(2, 'GameCreated', [2n, P2, BET]);
+    let watch = null;
+    const subscriber = {
+      watchLogs: (filter, options) => {
+        watch = { filter, ...options, active: true };
+        return () => {
+          watch.active = false;
+        };
+      }
+    };
+    const indexer = createGameIndexer({ contract, provider: chain.provider, store: createMemoryStore(), subscriber });
+    await indexer.sync();
+
+    const updates = { 1: [], 2: [] };
+    indexer.subscribeGame('1', (game) => updates[1].push(game));
+    indexer.subscribeGame('2', (game) => updates[2].push(game));
+    indexer.start();
+    await Promise.resolve();
+    expect(watch).toMatchObject({ filter: { address: ADDRESS }, fromBlock: 3 });
+
+    chain.emit(3, 'GameJoined', [1n, P2]);
+    await watch.onLogs(await chain.provider.getLogs({ fromBlock: 3, toBlock: 3, topics: watch.filter.topics }), {
+      fromBlock: 3,
+      toBlock: 3
+    });
+
+    expect(updates[1]).toMatchObject([{ id: '1', player2: P2 }]);
+    expect(updates[2]).toEqual([]);
+    expect(indexer.getGame('1')).toBe(updates[1][0]);
+    expect(indexer.getSnapshot().lastBlock).toBe(3);
+
+    indexer.stop();
+    await Promise.resolve();
+    expect(watch.active).toBe(false);
+  });
+
+  it('rescans when a reorg shows up between subscribed ranges', async () => {
+    const chain = createFakeChain();
+    chain.emit(1, 'GameCreated', [1n, P1, BET]);
+    chain.emit(2, 'GameJoined', [1n, P2]);
+    let watch = null;
+    const subscriber = {
+      watchLogs: (filter, options) => {
+        watch = { filter, ...options };
+        return () => {};
+      }
+    };
+    const indexer = createGameIndexer({ contract, provider: chain.provider, store: createMemoryStore(), subscriber });
+    await indexer.sync();
+    indexer.start();
+    await Promise.resolve();
+
+    chain.reorg(2);
+    chain.setHead(3);
+    await watch.onLogs([], { fromBlock: 3, toBlock: 3 });
+
+    expect(chain.calls.getLogs.at(-1)).toEqual([0, 3]);
+    expect(indexer.getGame('1')).toMatchObject({ player2: ethers.ZeroAddress });
+    expect(indexer.getSnapshot().lastBlock).toBe(3);
+  });
+
+  it('rebuilds from scratch on reset', async () => {
+    const chain = createFakeChain();
+    chain.emit(1, 'GameCreated', [1n, P1, BET]);
+    const indexer = createGameIndexer({ contract, provider: chain.provider, store: createMemoryStore() });
+    await indexer.sync();
+    await indexer.reset();
+
+    expect(chain.calls.getLogs.at(-1)[0]).toBe(0);
+    expect(indexer.getSnapshot().games).toHaveLength(1);
+  });
+});
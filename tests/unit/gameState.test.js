@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import {
+  GAME_STATUS,
+  GAME_ROLE,
+  GAME_ACTION,
+  DEFAULT_MOVE_WINDOW_SECONDS,
+  getGameStatus,
+  getGameRole,
+  getAllowedActions,
+  canPerform,
+  getMoveDeadline,
+  isFinalStatus
+} from '../../src/utils/gameState';
+import { createGameRecord } from '../../src/utils/gameIndexer';
+
+const P1 = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const P2 = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const OTHER = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+
+const START = 1_700_000_000;
+const MOVE_DEADLINE = START + 3600;
+const DECRYPT_DEADLINE = START + 1200;
+
+// Raw games(id) struct, the way ethers returns it (bigints, resultCode 0 by default)
+const rawGame = (fields = {}) => ({
+  player1: P1,
+  player2: ethers.ZeroAddress,
+  betAmount: ethers.parseEther('0.01'),
+  startTime: BigInt(START),
+  moveDeadline: BigInt(MOVE_DEADLINE),
+  decryptionRequested: false,
+  decryptionCompleted: false,
+  decryptDeadline: 0n,
+  resultCode: 0n,
+  isExpired: false,
+  ...fields
+});
+
+// Same game as an IndexedGame record
+const indexedGame = (fields = {}) => ({
+  ...createGameRecord('1'),
+  player1: P1,
+  startTime: START,
+  moveDeadline: MOVE_DEADLINE,
+  ...fields
+});
+
+const joined = { player2: P2, decryptionRequested: true, decryptDeadline: DECRYPT_DEADLINE };
+const resolved = { player2: P2, decryptionRequested: false, decryptionCompleted: true, decryptDeadline: DECRYPT_DEADLINE };
+
+describe('getGameStatus', () => {
+  it.each([
+    ['waiting for player 2', {}, START + 10, GAME_STATUS.OPEN],
+    ['at the move deadline', {}, MOVE_DEADLINE, GAME_STATUS.OPEN],
+    ['past the move deadline', {}, MOVE_DEADLINE + 1, GAME_STATUS.EXPIRABLE],
+    ['joined, oracle pending', joined, START + 20, GAME_STATUS.AWAITING_ORACLE],
+    ['joined, at the decrypt deadline', joined, DECRYPT_DEADLINE, GAME_STATUS.AWAITING_ORACLE],
+    ['joined, past the decrypt deadline', joined, DECRYPT_DEADLINE + 1, GAME_STATUS.ORACLE_TIMED_OUT],
+    ['joined, past the move deadline too', joined, MOVE_DEADLINE + 1, GAME_STATUS.ORACLE_TIMED_OUT],
+    ['resolved', resolved, START + 30, GAME_STATUS.RESOLVED],
+    ['resolved long after every deadline', resolved, MOVE_DEADLINE + 10_000, GAME_STATUS.RESOLVED],
+    ['expired without player 2', { isExpired: true }, MOVE_DEADLINE + 5, GAME_STATUS.EXPIRED_REFUNDED],
+    ['expired after the oracle timed out', { ...joined, isExpired: true }, DECRYPT_DEADLINE + 5, GAME_STATUS.EXPIRED_REFUNDED]
+  ])('%s', (_, fields, now, expected) => {
+    expect(getGameStatus(rawGame(fields), now)).toBe(expected);
+    expect(getGameStatus(indexedGame(fields), now)).toBe(expected);
+  });
+
+  it('does not read the default resultCode of an unresolved game as a result', () => {
+    expect(getGameStatus(indexedGame({ ...joined, resultCode: 0 }), START + 20)).toBe(GAME_STATUS.AWAITING_ORACLE);
+  });
+
+  it('uses the default move window for records without a move deadline', () => {
+    const game = indexedGame({ moveDeadline: 0 });
+    expect(getMoveDeadline(game)).toBe(START + DEFAULT_MOVE_WINDOW_SECONDS);
+    expect(getGameStatus(game, START + DEFAULT_MOVE_WINDOW_SECONDS)).toBe(GAME_STATUS.OPEN);
+    expect(getGameStatus(game, START + DEFAULT_MOVE_WINDOW_SECONDS + 1)).toBe(GAME_STATUS.EXPIRABLE);
+  });
+});
+
+describe('getGameRole', () => {
+  it.each([
+    [P1, GAME_ROLE.PLAYER1],
+    [P1.toLowerCase(), GAME_ROLE.PLAYER1],
+    [P2, GAME_ROLE.PLAYER2],
+    [OTHER, GAME_ROLE.OTHER],
+    [null, GAME_ROLE.OTHER]
+  ])('%s is %s', (account, role) => {
+    expect(getGameRole(indexedGame({ player2: P2 }), account)).toBe(role);
+  });
+
+  it('does not make the zero address player 2 of an open game', () => {
+    expect(getGameRole(indexedGame(), ethers.ZeroAddress)).toBe(GAME_ROLE.OTHER);
+  });
+});
+
+describe('getAllowedActions', () => {
+  const { JOIN, EXPIRE, REVEAL_MOVE, VERIFY_RESULT } = GAME_ACTION;
+
+  it.each([
+    // status fields, now, account, actions
+    [{}, START + 10, P1, [REVEAL_MOVE]],
+    [{}, START + 10, OTHER, [JOIN]],
+    [{}, MOVE_DEADLINE + 1, P1, [EXPIRE, REVEAL_MOVE]],
+    [{}, MOVE_DEADLINE + 1, OTHER, [EXPIRE]],
+    [joined, START + 20, P1, [REVEAL_MOVE]],
+    [joined, START + 20, P2, [REVEAL_MOVE]],
+    [joined, START + 20, OTHER, []],
+    [joined, DECRYPT_DEADLINE + 1, P2, [EXPIRE, REVEAL_MOVE]],
+    [joined, DECRYPT_DEADLINE + 1, OTHER, [EXPIRE]],
+    [resolved, START + 30, P1, [REVEAL_MOVE, VERIFY_RESULT]],
+    [resolved, START + 30, OTHER, [VERIFY_RESULT]],
+    [resolved, START + 30, null, [VERIFY_RESULT]],
+    [{ ...joined, isExpired: true }, DECRYPT_DEADLINE + 5, P2, [REVEAL_MOVE]],
+    [{ isExpired: true }, MOVE_DEADLINE + 5, OTHER, []],
+    [{}, START + 10, null, []]
+  ])('%o at %i for %s', (fields, now, account, actions) => {
+    expect(getAllowedActions(indexedGame(fields), account, now)).toEqual(actions);
+  });
+
+  it('answers single action checks', () => {
+    const game = rawGame();
+    expect(canPerform(game, OTHER, GAME_ACTION.JOIN, START + 10)).toBe(true);
+    expect(canPerform(game, P1, GAME_ACTION.JOIN, START + 10)).toBe(false);
+    expect(canPerform(game, OTHER, GAME_ACTION.JOIN, MOVE_DEADLINE + 1)).toBe(false);
+  });
+});
+
+describe('isFinalStatus', () => {
+  it.each(Object.values(GAME_STATUS))('%s', (status) => {
+    expect(isFinalStatus(status)).toBe(status === GAME_STATUS.RESOLVED || status === GAME_STATUS.EXPIRED_REFUNDED);
+  });
+});
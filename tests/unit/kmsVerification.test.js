@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { ethers } from 'ethers';
+import {
+  verifyKmsSignatures,
+  decodeDecryptedResult,
+  PUBLIC_DECRYPT_EIP712_DOMAIN,
+  PUBLIC_DECRYPT_EIP712_TYPES
+} from '../../src/utils/kmsVerification';
+import { DecryptionUnverifiedError } from '../../src/utils/fheErrors';
+
+// Computed euint8 handle (index 0xff) on chain 31337
+const HANDLE = '0x' + 'ab'.repeat(21) + 'ff' + '0000000000007a69' + '02' + '00';
+const BOOL_HANDLE = '0x' + 'cd'.repeat(21) + 'ff' + '0000000000007a69' + '00' + '00';
+
+const DOMAIN = { chainId: 55815, verifyingContract: '0xb6E160B1ff80D67Bfe90A85eE06Ce0A2613607D1' };
+const DECRYPTED_RESULT = ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [1]);
+const EXTRA_DATA = '0x';
+
+const kms = [0, 1, 2, 3].map((i) => new ethers.Wallet(ethers.zeroPadValue(ethers.toBeHex(i + 1), 32)));
+const outsider = new ethers.Wallet(ethers.zeroPadValue('0x99', 32));
+
+function sign(wallet, { handles = [HANDLE], decryptedResult = DECRYPTED_RESULT, extraData = EXTRA_DATA, domain = DOMAIN } = {}) {
+  return wallet.signTypedData(
+    { ...PUBLIC_DECRYPT_EIP712_DOMAIN, ...domain },
+    PUBLIC_DECRYPT_EIP712_TYPES,
+    { ctHandles: handles, decryptedResult, extraData }
+  );
+}
+
+function decryption(signatures, overrides = {}) {
+  return { handles: [HANDLE], decryptedResult: DECRYPTED_RESULT, extraData: EXTRA_DATA, signatures, domain: DOMAIN, ...overrides };
+}
+
+const signerSet = { signers: kms.map((w) => w.address), threshold: 3 };
+
+describe('verifyKmsSignatures', () => {
+  let signatures;
+
+  beforeAll(async () => {
+    signatures = await Promise.all(kms.map((wallet) => sign(wallet)));
+  });
+
+  it('accepts a result signed by at least threshold distinct KMS signers', () => {
+    expect(verifyKmsSignatures(decryption(signatures.slice(0, 3)), signerSet)).toEqual(kms.slice(0, 3).map((w) => w.address));
+  });
+
+  it('accepts every signer of the set', () => {
+    expect(verifyKmsSignatures(decryption(signatures), signerSet)).toHaveLength(4);
+  });
+
+  it('matches signer addresses case-insensitively', () => {
+    const lowercased = { ...signerSet, signers: signerSet.signers.map((a) => a.toLowerCase()) };
+    expect(verifyKmsSignatures(decryption(signatures.slice(0, 3)), lowercased)).toHaveLength(3);
+  });
+
+  it('rejects a result without signatures', () => {
+    expect(() => verifyKmsSignatures(decryption([]), signerSet)).toThrow(DecryptionUnverifiedError);
+    expect(() => verifyKmsSignatures(decryption(undefined), signerSet)).toThrow(DecryptionUnverifiedError);
+  });
+
+  it('rejects fewer signatures than the threshold', () => {
+    expect(() => verifyKmsSignatures(decryption(signatures.slice(0, 2)), signerSet)).toThrow(/2 KMS signatures, 3 required/);
+  });
+
+  it('counts a repeated signature once', () => {
+    const repeated = [signatures[0], signatures[0], signatures[1]];
+    expect(() => verifyKmsSignatures(decryption(repeated), signerSet)).toThrow(/Only 2 distinct KMS signers/);
+  });
+
+  it('rejects a signature from outside the signer set', async () => {
+    const foreign = [...signatures.slice(0, 3), await sign(outsider)];
+    expect(() => verifyKmsSignatures(decryption(foreign), signerSet)).toThrow(/not a KMS signer/);
+  });
+
+  it('rejects a malformed signature', () => {
+    expect(() => verifyKmsSignatures(decryption([...signatures.slice(0, 3), '0x1234']), signerSet)).toThrow(DecryptionUnverifiedError);
+  });
+
+  it.each([
+    ['a tampered result', { decryptedResult: ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [0]) }],
+    ['other handles', { handles: [BOOL_HANDLE] }],
+    ['other extra data', { extraData: '0x00' }],
+    ['another gateway chain', { domain: { ...DOMAIN, chainId: 1 } }],
+    ['another verifying contract', { domain: { ...DOMAIN, verifyingContract: ethers.ZeroAddress } }]
+  ])('rejects signatures checked against %s', (_label, overrides) => {
+    expect(() => verifyKmsSignatures(decryption(signatures, overrides), signerSet)).toThrow(DecryptionUnverifiedError);
+  });
+
+  it('reports a stable error code and is not retryable', () => {
+    try {
+      verifyKmsSignatures(decryption([]), signerSet);
+      throw new Error('expected verifyKmsSignatures to throw');
+    } catch (err) {
+      expect(err.code).toBe('DECRYPTION_UNVERIFIED');
+      expect(err.retryable).toBe(false);
+    }
+  });
+});
+
+describe('decodeDecryptedResult', () => {
+  it('decodes values in handle order, typed by each handle', () => {
+    const encoded = ethers.AbiCoder.defaultAbiCoder().encode(['uint256', 'bool'], [2, true]);
+    expect(decodeDecryptedResult([HANDLE, BOOL_HANDLE], encoded)).toEqual({ [HANDLE]: 2n, [BOOL_HANDLE]: true });
+  });
+
+  it('keys values by the normalized handle', () => {
+    expect(decodeDecryptedResult([HANDLE.toUpperCase().replace('0X', '0x')], DECRYPTED_RESULT)).toEqual({ [HANDLE]: 1n });
+  });
+
+  it('rejects a result too short for its handles', () => {
+    expect(() => decodeDecryptedResult([HANDLE, BOOL_HANDLE], DECRYPTED_RESULT)).toThrow(DecryptionUnverifiedError);
+  });
+});
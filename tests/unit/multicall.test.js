@@ -0,0 +1,166 @@
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import { createMulticall, MULTICALL3_ABI } from '../../src/utils/multicall';
+import { CONTRACT_ABI } from '../../src/config/contract';
+
+const GAME = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const MULTICALL = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const PLAYER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+const gameIface = new ethers.Interface(CONTRACT_ABI);
+const multicallIface = new ethers.Interface(MULTICALL3_ABI);
+const revertData = (reason) => ethers.concat(['0x08c379a0', ethers.AbiCoder.defaultAbiCoder().encode(['string'], [reason])]);
+
+// Game contract view functions: [success, returnData]
+function runGameCall(data) {
+  const tx = gameIface.parseTransaction({ data });
+  switch (tx.name) {
+    case 'minBet':
+      return [true, gameIface.encodeFunctionResult('minBet', [ethers.parseEther('0.001')])];
+    case 'withdrawableBalance':
+      return [true, gameIface.encodeFunctionResult('withdrawableBalance', [tx.args[0] === PLAYER ? 42n : 0n])];
+    case 'resultHandles':
+      if (tx.args[0] === 404n) return [false, revertData('Game not found')];
+      return [true, gameIface.encodeFunctionResult('resultHandles', [ethers.zeroPadValue(ethers.toBeHex(tx.args[0]), 32)])];
+    default:
+      throw new Error(`unexpected call ${tx.name}`);
+  }
+}
+
+// Fake node with the game contract and (optionally) a Multicall3 deployed; counts eth_calls and the peak in flight
+function createFakeNode({ withMulticall = true, failures = 0 } = {}) {
+  const stats = { calls: 0, multicalls: 0, batchSizes: [], inFlight: 0, maxInFlight: 0 };
+  let remainingFailures = failures;
+
+  return {
+    stats,
+    async getCode(address) {
+      return withMulticall && address === MULTICALL ? '0x6001' : '0x';
+    },
+    async call({ to, data }) {
+      stats.calls++;
+      stats.inFlight++;
+      stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+      try {
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        if (remainingFailures > 0) {
+          remainingFailures--;
+          throw new Error('429 Too Many Requests');
+        }
+        if (to === MULTICALL) {
+          stats.multicalls++;
+          const [calls] = multicallIface.decodeFunctionData('aggregate3', data);
+          stats.batchSizes.push(calls.length);
+          return multicallIface.encodeFunctionResult('aggregate3', [calls.map((c) => runGameCall(c.callData))]);
+        }
+        const [success, returnData] = runGameCall(data);
+        if (!success) {
+          throw ethers.makeError('execution reverted', 'CALL_EXCEPTION', { data: returnData });
+        }
+        return returnData;
+      } finally {
+        stats.inFlight--;
+      }
+    }
+  };
+}
+
+function setup(nodeOptions, options = {}) {
+  const node = createFakeNode(nodeOptions);
+  const game = new ethers.Contract(GAME, CONTRACT_ABI, node);
+  const multicall = createMulticall({ provider: node, address: MULTICALL, retryDelaysMs: [0, 0], ...options });
+  return { node, game, multicall };
+}
+
+describe('createMulticall', () => {
+  it('sends the reads of one tick as a single aggregate3', async () => {
+    const { node, game, multicall } = setup();
+
+    const [minBet, balance, handle] = await Promise.all([
+      multicall.read(game, 'minBet'),
+      multicall.read(game, 'withdrawableBalance', PLAYER),
+      multicall.read(game, 'resultHandles', 7n)
+    ]);
+
+    expect(minBet).toBe(ethers.parseEther('0.001'));
+    expect(balance).toBe(42n);
+    expect(handle).toBe(ethers.zeroPadValue('0x07', 32));
+    expect(node.stats.multicalls).toBe(1);
+    expect(node.stats.batchSizes).toEqual([3]);
+  });
+
+  it('splits large batches into chunks and limits the requests in flight', async () => {
+    const { node, game, multicall } = setup({}, { chunkSize: 2, concurrency: 2 });
+
+    const handles = await Promise.all([1, 2, 3, 4, 5].map((id) => multicall.read(game, 'resultHandles', id)));
+
+    expect(handles.map((h) => Number(h))).toEqual([1, 2, 3, 4, 5]);
+    expect(node.stats.batchSizes).toEqual([2, 2, 1]);
+    expect(node.stats.maxInFlight).toBe(2);
+  });
+
+  it('fails only the reads that revert', async () => {
+    const { game, multicall } = setup();
+
+    const results = await multicall.aggregate([
+      { contract: game, method: 'resultHandles', args: [404n] },
+      { contract: game, method: 'minBet' }
+    ]);
+
+    expect(results[0].success).toBe(false);
+    expect(results[0].error.reason).toBe('Game not found');
+    expect(results[1]).toEqual({ success: true, value: ethers.parseEther('0.001') });
+
+    await expect(multicall.read(game, 'resultHandles', 404n)).rejects.toMatchObject({ reason: 'Game not found' });
+  });
+
+  it('retries a batch whose request failed', async () => {
+    const { node, game, multicall } = setup({ failures: 2 });
+
+    await expect(multicall.read(game, 'minBet')).resolves.toBe(ethers.parseEther('0.001'));
+    expect(node.stats.calls).toBe(3);
+  });
+
+  it('rejects every read of a batch once the retries are used up', async () => {
+    const { game, multicall } = setup({ failures: 3 });
+
+    const reads = [multicall.read(game, 'minBet'), multicall.read(game, 'resultHandles', 1n)];
+    for (const read of reads) {
+      await expect(read).rejects.toThrow(/Too Many Requests/);
+    }
+  });
+
+  it('falls back to single calls on chains without Multicall3', async () => {
+    const { node, game, multicall } = setup({ withMulticall: false }, { concurrency: 1 });
+
+    const results = await multicall.aggregate([
+      { contract: game, method: 'minBet' },
+      { contract: game, method: 'withdrawableBalance', args: [PLAYER] },
+      { contract: game, method: 'resultHandles', args: [404n] }
+    ]);
+
+    expect(results.slice(0, 2).map((r) => r.value)).toEqual([ethers.parseEther('0.001'), 42n]);
+    expect(results[2].success).toBe(false);
+    expect(node.stats.multicalls).toBe(0);
+    expect(node.stats.calls).toBe(3);
+    expect(node.stats.maxInFlight).toBe(1);
+  });
+
+  it('resolves the Multicall3 address once', async () => {
+    const node = createFakeNode();
+    const game = new ethers.Contract(GAME, CONTRACT_ABI, node);
+    let lookups = 0;
+    const multicall = createMulticall({
+      provider: node,
+      address: async () => {
+        lookups++;
+        return MULTICALL;
+      }
+    });
+
+    await multicall.read(game, 'minBet');
+    await multicall.read(game, 'minBet');
+    expect(lookups).toBe(1);
+    expect(node.stats.multicalls).toBe(2);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { createGameRecord } from '../../src/utils/gameIndexer';
+import { createRemoteGameIndex } from '../../src/utils/remoteGameIndex';
+
+const BASE_URL = 'http://localhost:4000/';
+const ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+// Fake indexer service: /health plus /games?updatedSince= over a mutable list of records
+function createFakeService({ chainId = 31337, contractAddress = ADDRESS } = {}) {
+  const games = [];
+  let lastBlock = 0;
+  const requests = [];
+
+  const respond = (status, body) => ({ ok: status < 400, status, statusText: '', json: async () => body });
+
+  return {
+    requests,
+    put(id, updatedBlock, fields = {}) {
+      const index = games.findIndex((game) => game.id === id);
+      const game = { ...createGameRecord(id), ...fields, updatedBlock };
+      if (index >= 0) games[index] = game;
+      else games.push(game);
+      lastBlock = Math.max(lastBlock, updatedBlock);
+    },
+    fetch: async (url) => {
+      const { pathname, searchParams } = new URL(url);
+      requests.push(`${pathname}${searchParams.size ? `?${searchParams}` : ''}`);
+      if (pathname === '/health') return respond(200, { chainId, contractAddress, lastBlock });
+      if (pathname === '/games') {
+        const since = searchParams.has('updatedSince') ? Number(searchParams.get('updatedSince')) : -1;
+        return respond(200, { games: games.filter((game) => game.updatedBlock > since), lastBlock });
+      }
+      return respond(404, { error: 'not found' });
+    }
+  };
+}
+
+const createIndex = (service, options = {}) => createRemoteGameIndex({
+  baseUrl: BASE_URL,
+  chainId: 31337,
+  contractAddress: ADDRESS.toLowerCase(),
+  fetch: service.fetch,
+  ...options
+});
+
+describe('createRemoteGameIndex', () => {
+  it('loads every game, then only the games changed since the last sync', async () => {
+    const service = createFakeService();
+    service.put('1', 3);
+    service.put('2', 5);
+    const index = createIndex(service);
+
+    await index.sync();
+    expect(index.getSnapshot().games.map((game) => game.id)).toEqual(['2', '1']);
+    expect(index.getSnapshot().lastBlock).toBe(5);
+
+    service.put('1', 8, { player2: '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC' });
+    await index.sync();
+
+    expect(service.requests).toEqual(['/health', '/games', '/games?updatedSince=5']);
+    expect(index.getSnapshot().games.find((game) => game.id === '1').updatedBlock).toBe(8);
+    expect(index.getSnapshot().lastBlock).toBe(8);
+  });
+
+  it('notifies subscribers only when something changed', async () => {
+    const service = createFakeService();
+    service.put('1', 3);
+    const index = createIndex(service);
+    const snapshots = [];
+    index.subscribe((snapshot) => snapshots.push(snapshot));
+
+    await index.sync();
+    await index.sync();
+    expect(snapshots).toHaveLength(1);
+  });
+
+  it('refuses a service that follows another deployment', async () => {
+    const index = createIndex(createFakeService({ chainId: 11155111 }));
+    await expect(index.sync()).rejects.toThrow(/chain 11155111/);
+  });
+
+  it('surfaces API errors', async () => {
+    const index = createIndex(createFakeService(), { baseUrl: 'http://localhost:4000/missing' });
+    await expect(index.sync()).rejects.toThrow(/404/);
+  });
+
+  it('shares one request between concurrent syncs and refetches everything on reset', async () => {
+    const service = createFakeService();
+    service.put('1', 3);
+    const index = createIndex(service);
+
+    await Promise.all([index.sync(), index.sync()]);
+    await index.reset();
+
+    expect(service.requests).toEqual(['/health', '/games', '/games']);
+    expect(index.getSnapshot().games).toHaveLength(1);
+  });
+});
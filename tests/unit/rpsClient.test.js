@@ -0,0 +1,306 @@
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import { createRpsClient, RpsClientError, toWei } from '../../src/utils/rpsClient';
+import { GAME_STATUS } from '../../src/utils/gameState';
+import { CONTRACT_ABI } from '../../src/config/contract';
+
+const ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const P1 = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const P2 = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const BET = ethers.parseEther('0.01');
+const NOW = 1_700_000_000;
+const HANDLE = ethers.zeroPadValue('0x01', 32);
+const PROOF = '0x1234';
+// Simulated gas of every call, and the limit sent with 20% headroom
+const GAS = 100_000n;
+const GAS_LIMIT = 120_000n;
+
+const iface = new ethers.Interface(CONTRACT_ABI);
+
+// games(id) struct of a game created 60s ago that nobody joined
+function rawGame(id, fields = {}) {
+  return {
+    id: BigInt(id),
+    player1: P1,
+    player2: ethers.ZeroAddress,
+    betAmount: BET,
+    totalPot: BET,
+    feeAmount: 0n,
+    payoutAmount: 0n,
+    startTime: BigInt(NOW - 60),
+    moveDeadline: BigInt(NOW + 3600),
+    decryptRequestTime: 0n,
+    decryptDeadline: 0n,
+    decryptionRequested: false,
+    decryptionCompleted: false,
+    winner: ethers.ZeroAddress,
+    resultCode: 0n,
+    isExpired: false,
+    endTime: 0n,
+    ...fields
+  };
+}
+
+const log = (name, args) => ({ address: ADDRESS, ...iface.encodeEventLog(iface.getEvent(name), args) });
+
+// Contract double: reads come from `games`, transactions are recorded and answered with `receipts[method]`;
+// `reverts[method]` is thrown by the simulation and `waitErrors[method]` by waiting for the receipt
+function setup({ account = P2, games = {}, balance = 0n, receipts = {}, reverts = {}, waitErrors = {}, signer = true, onSent } = {}) {
+  const sent = [];
+  const simulated = [];
+  const encrypted = [];
+  const contract = {
+    target: ADDRESS,
+    interface: iface,
+    runner: signer ? { getAddress: async () => account, sendTransaction: async () => {} } : { provider: {} },
+    getAddress: async () => ADDRESS,
+    getFunction: (method) => {
+      const fn = async (...args) => {
+        sent.push([method, ...args]);
+        return {
+          hash: '0xabc',
+          wait: async () => {
+            if (waitErrors[method]) throw waitErrors[method];
+            return { hash: '0xabc', blockNumber: 7, logs: receipts[method] ?? [] };
+          }
+        };
+      };
+      fn.fragment = iface.getFunction(method);
+      fn.staticCall = async (...args) => {
+        simulated.push([method, ...args]);
+        if (reverts[method]) throw reverts[method];
+      };
+      fn.estimateGas = async () => GAS;
+      return fn;
+    }
+  };
+  const read = async (_, method, ...args) => {
+    switch (method) {
+      case 'games':
+        return games[args[0]] ?? rawGame(0, { player1: ethers.ZeroAddress });
+      case 'gameIdCounter':
+        return BigInt(Object.keys(games).length);
+      case 'minBet':
+        return ethers.parseEther('0.001');
+      case 'maxBet':
+        return ethers.parseEther('0.1');
+      case 'withdrawableBalance':
+        return balance;
+      default:
+        throw new Error(`unexpected read ${method}`);
+    }
+  };
+  const encrypt = async (move, contractAddress, userAddress, options) => {
+    encrypted.push({ move, contractAddress, userAddress, options });
+    return { handle: HANDLE, proof: PROOF };
+  };
+  const client = createRpsClient({ contract, encrypt, read, now: () => NOW, onSent });
+  return { client, sent, simulated, encrypted };
+}
+
+const expectCode = (promise, code) => expect(promise).rejects.toMatchObject({ name: 'RpsClientError', code });
+
+describe('toWei', () => {
+  it.each([
+    [BET, BET],
+    ['0.01', BET],
+    [0.01, BET]
+  ])('%s', (bet, wei) => {
+    expect(toWei(bet)).toBe(wei);
+  });
+
+  it('rejects amounts that are not numbers', () => {
+    expect(() => toWei('ten')).toThrow(RpsClientError);
+  });
+});
+
+describe('createRpsClient', () => {
+  it('creates a game with the encrypted move and the bet as value', async () => {
+    const { client, sent, encrypted } = setup({
+      account: P1,
+      receipts: { createGame: [log('GameCreated', [3n, P1, BET])] }
+    });
+    const stages = [];
+
+    const result = await client.createGame({ move: 1, bet: '0.01', onEncrypted: () => stages.push('encrypted') });
+
+    expect(encrypted).toMatchObject([{ move: 1, contractAddress: ADDRESS, userAddress: P1 }]);
+    expect(stages).toEqual(['encrypted']);
+    expect(sent).toEqual([['createGame', HANDLE, PROOF, 86400, BET, { value: BET, gasLimit: GAS_LIMIT }]]);
+    expect(result).toEqual({ hash: '0xabc', blockNumber: 7, gameId: 3n, betAmount: BET });
+  });
+
+  it('refuses bets outside the contract limits and invalid moves before encrypting', async () => {
+    const { client, sent, encrypted } = setup();
+
+    await expectCode(client.createGame({ move: 0, bet: '1' }), 'BET_OUT_OF_RANGE');
+    await expectCode(client.createGame({ move: 3, bet: '0.01' }), 'INVALID_MOVE');
+    expect(encrypted).toHaveLength(0);
+    expect(sent).toHaveLength(0);
+  });
+
+  it('joins paying the exact bet of the game', async () => {
+    const odd = BET + 1n;
+    const { client, sent } = setup({
+      games: { 1: rawGame(1, { betAmount: odd }) },
+      receipts: {
+        joinGame: [log('GameJoined', [1n, P2]), log('DecryptionRequested', [1n, 9n, BigInt(NOW), BigInt(NOW + 600)])]
+      }
+    });
+
+    const result = await client.joinGame(1, { move: 2 });
+
+    expect(sent).toEqual([['joinGame', 1n, HANDLE, PROOF, { value: odd, gasLimit: GAS_LIMIT }]]);
+    expect(result).toMatchObject({ gameId: 1n, betAmount: odd, requestId: 9n, decryptDeadline: NOW + 600 });
+  });
+
+  it('shows the simulated cost before the wallet prompt and sends nothing when it is declined', async () => {
+    const { client, sent, simulated } = setup({ games: { 1: rawGame(1) } });
+    const reviews = [];
+
+    await expectCode(
+      client.joinGame(1, {
+        move: 2,
+        onReview: async (review) => {
+          reviews.push(review);
+          return false;
+        }
+      }),
+      'NOT_CONFIRMED'
+    );
+
+    expect(simulated).toHaveLength(1);
+    expect(reviews).toEqual([{ method: 'joinGame', label: 'Join game #1', gas: GAS, gasLimit: GAS_LIMIT, value: BET }]);
+    expect(sent).toHaveLength(0);
+  });
+
+  it.each([
+    ['its creator', { account: P1, games: { 1: rawGame(1) } }],
+    ['a game past its move deadline', { games: { 1: rawGame(1, { moveDeadline: BigInt(NOW - 1) }) } }],
+    ['a joined game', { games: { 1: rawGame(1, { player2: P2, decryptionRequested: true, decryptDeadline: BigInt(NOW + 600) }) } }]
+  ])('does not join for %s', async (_, options) => {
+    const { client, sent } = setup(options);
+    await expectCode(client.joinGame(1, { move: 0 }), 'ACTION_NOT_ALLOWED');
+    expect(sent).toHaveLength(0);
+  });
+
+  it('reports unknown games', async () => {
+    const { client } = setup();
+    expect(await client.getGame(5)).toBeNull();
+    await expectCode(client.joinGame(5, { move: 0 }), 'GAME_NOT_FOUND');
+  });
+
+  it('expires a game and returns the refunds', async () => {
+    const { client, sent } = setup({
+      games: { 1: rawGame(1, { moveDeadline: BigInt(NOW - 1) }) },
+      receipts: { checkAndExpireGame: [log('RefundProcessed', [1n, P1, BET]), log('GameExpired', [1n])] }
+    });
+
+    const result = await client.expire(1);
+
+    expect(sent).toEqual([['checkAndExpireGame', 1n, { gasLimit: GAS_LIMIT }]]);
+    expect(result.refunds).toEqual([{ gameId: 1n, player: P1, amount: BET }]);
+  });
+
+  it('fails when the expiry transaction expired nothing', async () => {
+    const { client } = setup({ games: { 1: rawGame(1, { moveDeadline: BigInt(NOW - 1) }) } });
+    await expectCode(client.expire(1), 'EVENT_MISSING');
+  });
+
+  it('batch-expires only the games that can be expired', async () => {
+    const { client, sent } = setup({
+      games: {
+        1: rawGame(1, { moveDeadline: BigInt(NOW - 1) }),
+        2: rawGame(2),
+        3: rawGame(3, { player2: P2, decryptionRequested: true, decryptDeadline: BigInt(NOW - 5) }),
+        4: rawGame(4, { isExpired: true })
+      },
+      receipts: { batchExpireGames: [log('GameExpired', [1n]), log('GameExpired', [3n])] }
+    });
+
+    const result = await client.batchExpire([1, 2, 3, 4]);
+
+    expect(sent).toEqual([['batchExpireGames', [1n, 3n], { gasLimit: GAS_LIMIT }]]);
+    expect(result).toMatchObject({ expired: [1n, 3n], skipped: [2n, 4n] });
+  });
+
+  it('withdraws the whole balance', async () => {
+    const { client, sent } = setup({ balance: BET });
+    await expect(client.withdraw()).resolves.toMatchObject({ amount: BET });
+    expect(sent).toEqual([['withdraw', { gasLimit: GAS_LIMIT }]]);
+
+    await expectCode(setup().client.withdraw(), 'NOTHING_TO_WITHDRAW');
+  });
+
+  it('lists games newest first with their status', async () => {
+    const { client } = setup({
+      games: {
+        1: rawGame(1, { moveDeadline: BigInt(NOW - 1) }),
+        2: rawGame(2, { player2: P2, decryptionCompleted: true, resultCode: 0n, winner: P1 }),
+        3: rawGame(3)
+      }
+    });
+
+    const { games, total } = await client.listGames({ offset: 0, limit: 2 });
+    expect(total).toBe(3);
+    expect(games.map((g) => [g.id, g.status, g.resultCode])).toEqual([
+      [3n, GAME_STATUS.OPEN, null],
+      [2n, GAME_STATUS.RESOLVED, 0]
+    ]);
+    expect((await client.listGames({ offset: 2 })).games.map((g) => g.status)).toEqual([GAME_STATUS.EXPIRABLE]);
+  });
+
+  it('simulates every transaction and stops at a revert before the wallet prompt', async () => {
+    const revert = Object.assign(new Error('execution reverted'), {
+      code: 'CALL_EXCEPTION',
+      revert: { name: 'Error', signature: 'Error(string)', args: ['Has two players'] }
+    });
+    const { client, sent, simulated } = setup({ games: { 1: rawGame(1) }, reverts: { joinGame: revert } });
+
+    await expect(client.joinGame(1, { move: 0 })).rejects.toMatchObject({
+      name: 'TxError',
+      code: 'GAME_FULL',
+      reason: 'Has two players',
+      simulated: true
+    });
+    expect(simulated).toEqual([['joinGame', 1n, HANDLE, PROOF, { value: BET }]]);
+    expect(sent).toHaveLength(0);
+  });
+
+  it('reports sent transactions and follows a sped-up one to its replacement', async () => {
+    const reported = [];
+    const replaced = ethers.makeError('transaction was replaced', 'TRANSACTION_REPLACED', {
+      cancelled: false,
+      reason: 'repriced',
+      hash: '0xabc',
+      replacement: { hash: '0xdef' },
+      receipt: { hash: '0xdef', blockNumber: 8, logs: [] }
+    });
+    const { client } = setup({
+      balance: BET,
+      waitErrors: { withdraw: replaced },
+      onSent: (tx, info) => reported.push([tx.hash, info])
+    });
+
+    await expect(client.withdraw()).resolves.toEqual({ hash: '0xdef', blockNumber: 8, amount: BET });
+    expect(reported).toEqual([['0xabc', { method: 'withdraw', label: 'Withdraw winnings' }]]);
+  });
+
+  it('reports a cancelled transaction as a TxError', async () => {
+    const cancelled = ethers.makeError('transaction was replaced', 'TRANSACTION_REPLACED', {
+      cancelled: true,
+      reason: 'cancelled',
+      hash: '0xabc',
+      replacement: { hash: '0xdef' },
+      receipt: { hash: '0xdef', blockNumber: 8, logs: [] }
+    });
+    const { client } = setup({ balance: BET, waitErrors: { withdraw: cancelled } });
+    await expect(client.withdraw()).rejects.toMatchObject({ name: 'TxError', code: 'CANCELLED' });
+  });
+
+  it('needs a signer for transactions but not for reads', async () => {
+    const { client } = setup({ signer: false, games: { 1: rawGame(1) } });
+    expect((await client.getGame(1)).status).toBe(GAME_STATUS.OPEN);
+    await expectCode(client.withdraw(), 'NO_SIGNER');
+  });
+});
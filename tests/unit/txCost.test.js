@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import { estimateTxCost, fetchTxCost, getWinnerPayout } from '../../src/utils/txCost';
+
+const BET = ethers.parseEther('0.01');
+const gwei = (n) => ethers.parseUnits(String(n), 'gwei');
+
+describe('getWinnerPayout', () => {
+  it('takes the platform fee in basis points of the pot', () => {
+    expect(getWinnerPayout(BET, 500)).toEqual({
+      pot: ethers.parseEther('0.02'),
+      fee: ethers.parseEther('0.001'),
+      payout: ethers.parseEther('0.019')
+    });
+  });
+
+  it('rounds the fee down like the contract', () => {
+    expect(getWinnerPayout(3n, 250n)).toEqual({ pot: 6n, fee: 0n, payout: 6n });
+  });
+});
+
+describe('estimateTxCost', () => {
+  const eip1559 = { maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(2), gasPrice: gwei(12) };
+
+  it('expects the base fee plus tip and reserves the gas limit at the max fee', () => {
+    const cost = estimateTxCost({
+      gas: 100_000n,
+      gasLimit: 120_000n,
+      value: BET,
+      feeData: eip1559,
+      baseFeePerGas: gwei(10),
+      balance: ethers.parseEther('1')
+    });
+
+    expect(cost.eip1559).toBe(true);
+    expect(cost.expectedGasCost).toBe(100_000n * gwei(12));
+    expect(cost.maxGasCost).toBe(120_000n * gwei(30));
+    expect(cost.expectedTotal).toBe(BET + 100_000n * gwei(12));
+    expect(cost.maxTotal).toBe(BET + 120_000n * gwei(30));
+    expect(cost.shortfall).toBe(0n);
+  });
+
+  it('never expects more than the max fee', () => {
+    const cost = estimateTxCost({ gas: 1n, gasLimit: 1n, feeData: eip1559, baseFeePerGas: gwei(40), balance: 0n });
+    expect(cost.expectedGasCost).toBe(gwei(30));
+  });
+
+  it('prices legacy chains at the gas price', () => {
+    const cost = estimateTxCost({
+      gas: 100_000n,
+      gasLimit: 120_000n,
+      feeData: { maxFeePerGas: null, maxPriorityFeePerGas: null, gasPrice: gwei(5) },
+      balance: ethers.parseEther('1')
+    });
+
+    expect(cost.eip1559).toBe(false);
+    expect(cost.maxPriorityFeePerGas).toBeNull();
+    expect(cost.expectedGasCost).toBe(100_000n * gwei(5));
+    expect(cost.maxGasCost).toBe(120_000n * gwei(5));
+    expect(cost.value).toBe(0n);
+  });
+
+  it('reports what the balance lacks for the bet plus the maximum gas', () => {
+    const cost = estimateTxCost({ gas: 100_000n, gasLimit: 120_000n, value: BET, feeData: eip1559, baseFeePerGas: gwei(10), balance: BET });
+    expect(cost.shortfall).toBe(120_000n * gwei(30));
+  });
+});
+
+describe('fetchTxCost', () => {
+  it('reads fees, the latest base fee and the balance of the sender', async () => {
+    const balances = [];
+    const provider = {
+      getFeeData: async () => ({ maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(2), gasPrice: null }),
+      getBlock: async () => ({ baseFeePerGas: gwei(10) }),
+      getBalance: async (account) => {
+        balances.push(account);
+        return ethers.parseEther('1');
+      }
+    };
+
+    const cost = await fetchTxCost(provider, '0xabc', { gas: 100_000n, gasLimit: 120_000n, value: BET });
+
+    expect(balances).toEqual(['0xabc']);
+    expect(cost).toMatchObject({ baseFeePerGas: gwei(10), expectedTotal: BET + 100_000n * gwei(12), shortfall: 0n });
+  });
+});
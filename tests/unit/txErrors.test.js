@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import { TX_ERROR, TxError, toTxError, decodeRevert, resolveLocale, getTxErrorMessage } from '../../src/utils/txErrors';
+import { CONTRACT_ABI } from '../../src/config/contract';
+
+const iface = new ethers.Interface(CONTRACT_ABI);
+const ACCOUNT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+const requireData = (reason) => iface.encodeErrorResult('Error', [reason]);
+const callException = (data) =>
+  ethers.makeError('execution reverted', 'CALL_EXCEPTION', {
+    action: 'call',
+    data,
+    reason: null,
+    transaction: {},
+    invocation: null,
+    revert: null
+  });
+
+describe('decodeRevert', () => {
+  it.each([
+    ['ethers decoded it already', { revert: { name: 'Error', args: ['Own game'] } }, { name: 'Error', args: ['Own game'] }],
+    ['a require string in the call data', callException(requireData('Bet mismatch')), { name: 'Error', args: ['Bet mismatch'] }],
+    [
+      'a custom error nested in a MetaMask RPC error',
+      { code: -32603, message: 'Internal JSON-RPC error.', data: { code: 3, data: iface.encodeErrorResult('OwnableUnauthorizedAccount', [ACCOUNT]) } },
+      { name: 'OwnableUnauthorizedAccount', args: [ACCOUNT] }
+    ],
+    ['data no ABI knows', callException('0xdeadbeef'), null],
+    ['a plain error', new Error('boom'), null]
+  ])('%s', (_, err, expected) => {
+    expect(decodeRevert(err, iface)).toEqual(expected);
+  });
+});
+
+describe('toTxError', () => {
+  it.each([
+    ['Has two players', TX_ERROR.GAME_FULL],
+    ['Own game', TX_ERROR.OWN_GAME],
+    ['Deadline passed', TX_ERROR.DEADLINE_PASSED],
+    ['Contract is paused', TX_ERROR.PAUSED],
+    ['No balance', TX_ERROR.NO_BALANCE]
+  ])('maps the require string "%s" to %s', (reason, code) => {
+    const error = toTxError(callException(requireData(reason)), { iface, simulated: true, locale: 'en' });
+    expect(error).toBeInstanceOf(TxError);
+    expect(error).toMatchObject({ code, reason, simulated: true });
+    expect(error.message).toBe(getTxErrorMessage(code, {}, 'en'));
+  });
+
+  it.each([
+    ['OwnableUnauthorizedAccount', [ACCOUNT], TX_ERROR.NOT_OWNER],
+    ['ReentrancyGuardReentrantCall', [], TX_ERROR.REENTRANT_CALL],
+    ['InvalidKMSSignatures', [], TX_ERROR.INVALID_KMS_SIGNATURES]
+  ])('maps the custom error %s', (name, args, code) => {
+    const error = toTxError(callException(iface.encodeErrorResult(name, args)), { iface });
+    expect(error).toMatchObject({ code, reason: name, args });
+  });
+
+  it('keeps unknown require strings readable', () => {
+    const error = toTxError(callException(requireData('Something new')), { iface, locale: 'en' });
+    expect(error).toMatchObject({ code: TX_ERROR.REVERTED, reason: 'Something new' });
+    expect(error.message).toBe('The contract rejected the transaction: Something new');
+  });
+
+  it('decodes panics', () => {
+    const data = iface.encodeErrorResult('Panic', [0x11]);
+    expect(toTxError(callException(data), { iface, locale: 'en' }).message).toBe('The contract hit an internal error (panic 0x11).');
+  });
+
+  it.each([
+    ['a rejection through ethers', ethers.makeError('user rejected action', 'ACTION_REJECTED', { action: 'sendTransaction', reason: 'rejected' }), TX_ERROR.REJECTED],
+    ['a raw EIP-1193 rejection', { code: 4001, message: 'User denied transaction signature.' }, TX_ERROR.REJECTED],
+    ['a short balance', ethers.makeError('insufficient funds for intrinsic transaction cost', 'INSUFFICIENT_FUNDS', { transaction: {} }), TX_ERROR.INSUFFICIENT_FUNDS],
+    ['an unreachable node', ethers.makeError('could not detect network', 'NETWORK_ERROR', { event: 'noNetwork' }), TX_ERROR.NETWORK],
+    ['a revert without data', callException(null), TX_ERROR.REVERTED],
+    ['anything else', new Error('boom'), TX_ERROR.UNKNOWN]
+  ])('classifies %s', (_, err, code) => {
+    expect(toTxError(err, { iface }).code).toBe(code);
+  });
+
+  it('returns TxErrors as they are', () => {
+    const error = new TxError('already decoded', { code: TX_ERROR.OWN_GAME });
+    expect(toTxError(error)).toBe(error);
+  });
+});
+
+describe('localization', () => {
+  it.each([
+    ['tr-TR', 'tr'],
+    ['TR', 'tr'],
+    ['en-GB', 'en'],
+    ['de-DE', 'en'],
+    ['', 'en']
+  ])('resolves %s to %s', (tag, locale) => {
+    expect(resolveLocale(tag)).toBe(locale);
+  });
+
+  it('has every message in every locale', () => {
+    Object.values(TX_ERROR).forEach((code) => {
+      expect(getTxErrorMessage(code, { reason: 'x' }, 'tr')).not.toBe(getTxErrorMessage(code, { reason: 'x' }, 'en'));
+    });
+  });
+
+  it('localizes decoded reverts', () => {
+    expect(toTxError(callException(requireData('Own game')), { iface, locale: 'tr' }).message).toBe('Kendi oyununuza katılamazsınız.');
+  });
+});
@@ -0,0 +1,235 @@
+import { describe, it, expect } from 'vitest';
+import { createTxTracker, txStorageKey, TX_STATUS, DROP_GRACE_MS } from '../../src/utils/txTracker';
+
+const ACCOUNT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const GAME = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const GWEI = 1_000_000_000n;
+
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+    items
+  };
+}
+
+// Node double: `mine(hash)` gives a transaction a receipt and consumes its nonce
+function createChain() {
+  const known = new Map();
+  const receipts = new Map();
+  let minedNonce = 0;
+  return {
+    provider: {
+      getTransactionReceipt: async (hash) => receipts.get(hash) ?? null,
+      getTransaction: async (hash) => known.get(hash) ?? null,
+      getTransactionCount: async () => minedNonce,
+      getFeeData: async () => ({ maxFeePerGas: 30n * GWEI, maxPriorityFeePerGas: GWEI, gasPrice: 30n * GWEI }),
+      on: () => {},
+      off: () => {}
+    },
+    broadcast(tx) {
+      known.set(tx.hash, tx);
+      return tx;
+    },
+    mine(hash, status = 1) {
+      receipts.set(hash, { hash, status, blockNumber: 12 });
+      minedNonce = Math.max(minedNonce, known.get(hash).nonce + 1);
+    },
+    forget(hash) {
+      known.delete(hash);
+    },
+    consumeNonce(nonce) {
+      minedNonce = Math.max(minedNonce, nonce + 1);
+    }
+  };
+}
+
+let counter = 0;
+const sentTx = (fields = {}) => ({
+  hash: `0x${(++counter).toString(16).padStart(64, '0')}`,
+  from: ACCOUNT,
+  to: GAME,
+  nonce: 0,
+  data: '0x3ccfd60b',
+  value: 0n,
+  gasLimit: 60_000n,
+  gasPrice: null,
+  maxFeePerGas: 20n * GWEI,
+  maxPriorityFeePerGas: 2n * GWEI,
+  ...fields
+});
+
+// Signer double broadcasting to the chain double
+const signerFor = (chain) => {
+  const sent = [];
+  return {
+    sent,
+    sendTransaction: async (request) => {
+      sent.push(request);
+      return chain.broadcast(sentTx({ ...request, from: ACCOUNT }));
+    }
+  };
+};
+
+function setup({ storage = createMemoryStorage(), clock = { now: 1_000 } } = {}) {
+  const chain = createChain();
+  const tracker = createTxTracker({ provider: chain.provider, account: ACCOUNT, chainId: 31337, storage, now: () => clock.now });
+  return { chain, tracker, storage, clock };
+}
+
+const statusOf = (tracker, hash) => tracker.getSnapshot().transactions.find((tx) => tx.hash === hash).status;
+
+describe('createTxTracker', () => {
+  it('follows a transaction to its receipt', async () => {
+    const { chain, tracker } = setup();
+    const tx = chain.broadcast(sentTx());
+    tracker.track(tx, { label: 'Withdraw winnings', method: 'withdraw' });
+    expect(tracker.getSnapshot().pendingCount).toBe(1);
+
+    await tracker.check();
+    expect(statusOf(tracker, tx.hash)).toBe(TX_STATUS.PENDING);
+
+    chain.mine(tx.hash);
+    await tracker.check();
+    expect(tracker.getSnapshot()).toMatchObject({ pendingCount: 0, transactions: [{ status: TX_STATUS.CONFIRMED, blockNumber: 12 }] });
+  });
+
+  it('marks reverted transactions as failed', async () => {
+    const { chain, tracker } = setup();
+    const tx = chain.broadcast(sentTx());
+    tracker.track(tx);
+    chain.mine(tx.hash, 0);
+    await tracker.check();
+    expect(statusOf(tracker, tx.hash)).toBe(TX_STATUS.FAILED);
+  });
+
+  it('picks pending transactions up again after a reload', async () => {
+    const storage = createMemoryStorage();
+    const first = setup({ storage });
+    const tx = first.chain.broadcast(sentTx());
+    first.tracker.track(tx, { label: 'Join game #1', method: 'joinGame' });
+
+    expect(JSON.parse(storage.items.get(txStorageKey(31337, ACCOUNT.toLowerCase())))).toHaveLength(1);
+
+    const { tracker } = setup({ storage });
+    expect(tracker.getSnapshot().transactions).toMatchObject([{ hash: tx.hash, label: 'Join game #1', status: TX_STATUS.PENDING }]);
+  });
+
+  it('speeds up with the same call, the same nonce and higher fees', async () => {
+    const { chain, tracker } = setup();
+    const tx = chain.broadcast(sentTx({ nonce: 4, value: 10n }));
+    tracker.track(tx, { label: 'Join game #1', method: 'joinGame' });
+    const signer = signerFor(chain);
+
+    const replacement = await tracker.speedUp(tx.hash, signer);
+
+    expect(signer.sent).toEqual([{
+      to: GAME,
+      data: tx.data,
+      value: 10n,
+      nonce: 4,
+      gasLimit: 60_000n,
+      // max(original + 20%, current fees)
+      maxFeePerGas: 30n * GWEI,
+      maxPriorityFeePerGas: 2_400_000_000n
+    }]);
+    expect(replacement).toMatchObject({ label: 'Join game #1', replaces: tx.hash, status: TX_STATUS.PENDING });
+
+    chain.mine(replacement.hash);
+    await tracker.check();
+    expect(statusOf(tracker, replacement.hash)).toBe(TX_STATUS.CONFIRMED);
+    expect(tracker.getSnapshot().transactions.find((t) => t.hash === tx.hash)).toMatchObject({
+      status: TX_STATUS.REPLACED,
+      replacedBy: replacement.hash
+    });
+  });
+
+  it('bumps the gas price of legacy transactions', async () => {
+    const { chain, tracker } = setup();
+    const tx = chain.broadcast(sentTx({ gasPrice: 40n * GWEI, maxFeePerGas: null, maxPriorityFeePerGas: null }));
+    tracker.track(tx);
+    const signer = signerFor(chain);
+
+    await tracker.speedUp(tx.hash, signer);
+    expect(signer.sent[0].gasPrice).toBe(48n * GWEI);
+  });
+
+  it('cancels with a zero-value transfer to the account itself', async () => {
+    const { chain, tracker } = setup();
+    const tx = chain.broadcast(sentTx({ nonce: 2, value: 10n }));
+    tracker.track(tx, { label: 'Create game' });
+    const signer = signerFor(chain);
+
+    const cancel = await tracker.cancel(tx.hash, signer);
+    expect(signer.sent[0]).toMatchObject({ to: ACCOUNT, value: 0n, nonce: 2, gasLimit: 21000n });
+    expect(cancel).toMatchObject({ label: 'Cancel: Create game', isCancel: true });
+
+    chain.mine(cancel.hash);
+    await tracker.check();
+    expect(statusOf(tracker, tx.hash)).toBe(TX_STATUS.CANCELLED);
+  });
+
+  it('notices a nonce taken by a transaction it did not send', async () => {
+    const { chain, tracker } = setup();
+    const tx = chain.broadcast(sentTx({ nonce: 0 }));
+    tracker.track(tx);
+    chain.consumeNonce(0);
+    await tracker.check();
+    expect(statusOf(tracker, tx.hash)).toBe(TX_STATUS.REPLACED);
+  });
+
+  it('confirms a transaction mined while the check runs instead of calling it replaced', async () => {
+    const { chain, tracker } = setup();
+    const tx = chain.broadcast(sentTx({ nonce: 0 }));
+    tracker.track(tx);
+    // Mined between the two reads of the check: the receipt lookup and the nonce lookup
+    const getTransactionReceipt = chain.provider.getTransactionReceipt;
+    chain.provider.getTransactionReceipt = async (hash) => {
+      const receipt = await getTransactionReceipt(hash);
+      chain.mine(tx.hash);
+      return receipt;
+    };
+    const getTransactionCount = chain.provider.getTransactionCount;
+    chain.provider.getTransactionCount = async (...args) => {
+      chain.mine(tx.hash);
+      return getTransactionCount(...args);
+    };
+
+    await tracker.check();
+    expect(statusOf(tracker, tx.hash)).toBe(TX_STATUS.CONFIRMED);
+  });
+
+  it('reports transactions the node forgot as dropped, after a grace period', async () => {
+    const { chain, tracker, clock } = setup();
+    const tx = chain.broadcast(sentTx());
+    tracker.track(tx);
+    chain.forget(tx.hash);
+
+    await tracker.check();
+    expect(statusOf(tracker, tx.hash)).toBe(TX_STATUS.PENDING);
+
+    clock.now += DROP_GRACE_MS + 1;
+    await tracker.check();
+    expect(statusOf(tracker, tx.hash)).toBe(TX_STATUS.DROPPED);
+  });
+
+  it('only replaces pending transactions and dismisses settled ones', async () => {
+    const { chain, tracker } = setup();
+    const tx = chain.broadcast(sentTx());
+    tracker.track(tx);
+    chain.mine(tx.hash);
+    await tracker.check();
+
+    await expect(tracker.speedUp(tx.hash, signerFor(chain))).rejects.toThrow('not pending');
+    tracker.dismiss(tx.hash);
+    expect(tracker.getSnapshot().transactions).toEqual([]);
+  });
+
+  it('keeps working without storage', async () => {
+    const chain = createChain();
+    const tracker = createTxTracker({ provider: chain.provider, account: ACCOUNT, chainId: 31337, storage: null });
+    tracker.track(chain.broadcast(sentTx()));
+    expect(tracker.getSnapshot().pendingCount).toBe(1);
+  });
+});
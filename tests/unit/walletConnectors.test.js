@@ -0,0 +1,192 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createWalletConnectors,
+  getDefaultConnectors,
+  CONNECTOR_STORAGE_KEY,
+  LEGACY_INJECTED_ID,
+  BURNER_CONNECTOR_ID
+} from '../../src/utils/walletConnectors';
+import { NETWORKS } from '../../src/config/networks';
+import { EIP6963_ANNOUNCE, EIP6963_REQUEST } from '../../src/utils/walletConnectors/injected';
+
+// EIP-1193 double: `authorized` accounts come back from eth_accounts, `granted` ones after the prompt
+function createProvider({ authorized = [], granted = ['0xabc'] } = {}) {
+  const listeners = {};
+  const provider = {
+    requests: [],
+    async request({ method }) {
+      provider.requests.push(method);
+      if (method === 'eth_accounts') return authorized;
+      if (method === 'eth_requestAccounts') return granted;
+      throw Object.assign(new Error('unsupported'), { code: 4200 });
+    },
+    on: (event, listener) => (listeners[event] ??= new Set()).add(listener),
+    removeListener: (event, listener) => listeners[event]?.delete(listener),
+    emit: (event, ...args) => listeners[event]?.forEach((listener) => listener(...args))
+  };
+  return provider;
+}
+
+// Window double whose wallets answer the EIP-6963 request, like extensions do
+function createWindow({ wallets = [], ethereum } = {}) {
+  const target = new EventTarget();
+  const announce = ({ rdns, name, provider }) => {
+    const event = new Event(EIP6963_ANNOUNCE);
+    event.detail = Object.freeze({ info: { uuid: `${rdns}-uuid`, rdns, name, icon: `data:${rdns}` }, provider });
+    target.dispatchEvent(event);
+  };
+  target.addEventListener(EIP6963_REQUEST, () => wallets.forEach(announce));
+  target.ethereum = ethereum;
+  target.announce = announce;
+  return target;
+}
+
+function createStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+const ids = (connectors) => connectors.getSnapshot().map((connector) => connector.id);
+
+describe('createWalletConnectors', () => {
+  it('lists every announced wallet once, plus window.ethereum when no announcement carries it', () => {
+    const metamask = createProvider();
+    const rabby = createProvider();
+    const legacy = createProvider();
+    const target = createWindow({
+      wallets: [{ rdns: 'io.metamask', name: 'MetaMask', provider: metamask }, { rdns: 'io.rabby', name: 'Rabby', provider: rabby }],
+      ethereum: legacy
+    });
+    const connectors = createWalletConnectors({ target, storage: createStorage(), connectors: [] });
+
+    connectors.start();
+    target.announce({ rdns: 'io.rabby', name: 'Rabby', provider: rabby });
+
+    expect(ids(connectors)).toEqual(['io.metamask', 'io.rabby', LEGACY_INJECTED_ID]);
+    expect(connectors.get('io.rabby')).toMatchObject({ type: 'eip6963', name: 'Rabby', icon: 'data:io.rabby' });
+    connectors.stop();
+  });
+
+  it('leaves window.ethereum out when it is an announced wallet', () => {
+    const metamask = createProvider();
+    const target = createWindow({ wallets: [{ rdns: 'io.metamask', name: 'MetaMask', provider: metamask }], ethereum: metamask });
+    const connectors = createWalletConnectors({ target, storage: createStorage(), connectors: [] });
+
+    connectors.start();
+
+    expect(ids(connectors)).toEqual(['io.metamask']);
+    connectors.stop();
+  });
+
+  it('lists connectors of other types after the injected wallets', () => {
+    const other = { id: 'walletconnect', type: 'walletconnect', name: 'WalletConnect' };
+    const connectors = createWalletConnectors({ target: createWindow({ ethereum: createProvider() }), storage: createStorage(), connectors: [other] });
+
+    connectors.start();
+
+    expect(ids(connectors)).toEqual([LEGACY_INJECTED_ID, 'walletconnect']);
+    connectors.stop();
+  });
+
+  it('lists a connector with a probe only once the probe passes', async () => {
+    const probed = (id, available) => ({ id, type: 'test', name: id, probe: async () => available });
+    const connectors = createWalletConnectors({
+      target: null,
+      storage: createStorage(),
+      connectors: [probed('node-down', false), { id: 'plain', type: 'test', name: 'plain' }, probed('node-up', true)]
+    });
+    expect(ids(connectors)).toEqual(['plain']);
+
+    connectors.start();
+    expect(await connectors.waitFor('node-up', 100)).toMatchObject({ id: 'node-up' });
+    expect(ids(connectors)).toEqual(['plain', 'node-up']);
+    expect(await connectors.waitFor('node-down', 5)).toBeNull();
+    connectors.stop();
+  });
+
+  it('waits for a wallet that announces itself late', async () => {
+    const target = createWindow();
+    const connectors = createWalletConnectors({ target, storage: createStorage(), connectors: [] });
+    connectors.start();
+
+    const late = connectors.waitFor('io.rabby', 100);
+    target.announce({ rdns: 'io.rabby', name: 'Rabby', provider: createProvider() });
+
+    expect((await late).id).toBe('io.rabby');
+    expect(await connectors.waitFor('io.missing', 5)).toBeNull();
+    connectors.stop();
+  });
+
+  it('remembers the wallet the user picked', () => {
+    const storage = createStorage();
+    const connectors = createWalletConnectors({ target: null, storage, connectors: [] });
+
+    connectors.remember('io.rabby');
+    expect(createWalletConnectors({ target: null, storage, connectors: [] }).getLastUsed()).toBe('io.rabby');
+    expect(storage.getItem(CONNECTOR_STORAGE_KEY)).toBe('io.rabby');
+
+    connectors.forget();
+    expect(connectors.getLastUsed()).toBeNull();
+  });
+});
+
+describe('injected connectors', () => {
+  const connect = (provider) => {
+    const connectors = createWalletConnectors({ target: createWindow({ ethereum: provider }), storage: createStorage(), connectors: [] });
+    connectors.start();
+    return connectors.get(LEGACY_INJECTED_ID);
+  };
+
+  it('only prompts when the site is not authorized yet', async () => {
+    const authorized = createProvider({ authorized: ['0x111'] });
+    const fresh = createProvider({ granted: ['0x222'] });
+
+    expect(await connect(authorized).connect()).toEqual(['0x111']);
+    expect(authorized.requests).toEqual(['eth_accounts']);
+    expect(await connect(fresh).connect()).toEqual(['0x222']);
+    expect(fresh.requests).toEqual(['eth_accounts', 'eth_requestAccounts']);
+  });
+
+  it('never prompts when connecting silently', async () => {
+    const provider = createProvider();
+
+    expect(await connect(provider).connect({ silent: true })).toEqual([]);
+    expect(provider.requests).toEqual(['eth_accounts']);
+  });
+
+  it('subscribes to provider events until unsubscribed', () => {
+    const provider = createProvider();
+    const connector = connect(provider);
+    const seen = [];
+
+    const off = connector.on('accountsChanged', (accounts) => seen.push(accounts));
+    provider.emit('accountsChanged', ['0x1']);
+    off();
+    provider.emit('accountsChanged', ['0x2']);
+
+    expect(seen).toEqual([['0x1']]);
+  });
+
+  it('disconnects even when the wallet cannot revoke permissions', async () => {
+    const provider = createProvider();
+
+    await expect(connect(provider).disconnect()).resolves.toBeUndefined();
+    expect(provider.requests).toEqual(['wallet_revokePermissions']);
+  });
+});
+
+describe('getDefaultConnectors', () => {
+  it('offers the burner wallets only while the app browses the Hardhat network', () => {
+    expect(getDefaultConnectors({ network: NETWORKS[11155111] })).toEqual([]);
+    expect(getDefaultConnectors({ network: null })).toEqual([]);
+
+    const [burner] = getDefaultConnectors({ network: NETWORKS[31337] });
+    expect(burner.id).toBe(BURNER_CONNECTOR_ID);
+    // Listed once the node answers
+    expect(typeof burner.probe).toBe('function');
+  });
+});
@@ -0,0 +1,291 @@
+import { describe, it, expect, vi } from 'vitest';
+import { ethers } from 'ethers';
+import { createWalletSession, loadGameDeployment } from '../../src/utils/walletSession';
+import { createWalletConnectors } from '../../src/utils/walletConnectors';
+import { createRpsClient } from '../../src/utils/rpsClient';
+import { createTxTracker } from '../../src/utils/txTracker';
+import { createGameRecord } from '../../src/utils/gameIndexer';
+import { getGameRole, GAME_ROLE } from '../../src/utils/gameState';
+import { MANIFEST_VERSION } from '../../src/utils/deploymentManifest';
+import { CONTRACT_ABI } from '../../src/config/contract';
+import { getNetworkConfig } from '../../src/config/networks';
+
+const ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const network = getNetworkConfig(31337);
+
+// Runtime code shaped like solc's: a PUSH4 per dispatched selector, a PUSH32 per emitted event topic
+function compile(abi) {
+  const contract = ethers.Interface.from(abi);
+  let code = '0x6080604052';
+  contract.forEachFunction((fn) => {
+    code += `63${fn.selector.slice(2)}14`;
+  });
+  contract.forEachEvent((event) => {
+    code += `7f${event.topicHash.slice(2)}a2`;
+  });
+  return code;
+}
+
+const CODE = compile(CONTRACT_ABI);
+
+const MANIFEST = {
+  manifestVersion: MANIFEST_VERSION,
+  chainId: 31337,
+  network: 'localhost',
+  contractName: 'RockPaperScissorsGame_FHE_ResultOnly',
+  address: ADDRESS,
+  deployBlock: 3,
+  deployedBytecodeHash: ethers.keccak256(CODE),
+  multicallAddress: null,
+  abi: CONTRACT_ABI
+};
+
+// Serves the chain's deployment manifest and records what was fetched
+function createFetch() {
+  const fetch = async (url) => {
+    fetch.urls.push(url);
+    return {
+      ok: true,
+      status: 200,
+      headers: new Headers({ 'Content-Type': 'application/json' }),
+      json: async () => MANIFEST
+    };
+  };
+  fetch.urls = [];
+  return fetch;
+}
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+// Wallet connector double: connect() resolves to the wallet's accounts, or waits on `hold` when given
+function createConnector({ accounts = [ALICE], chainId = 31337 } = {}) {
+  const listeners = { accountsChanged: new Set(), chainChanged: new Set() };
+  const connector = {
+    id: 'test-wallet',
+    type: 'test',
+    name: 'Test Wallet',
+    icon: null,
+    accounts,
+    chainId,
+    hold: null,
+    connects: 0,
+    async connect() {
+      connector.connects += 1;
+      const answer = [...connector.accounts];
+      if (connector.hold) await connector.hold;
+      return answer;
+    },
+    async disconnect() {},
+    getProvider: () => connector,
+    on(event, listener) {
+      listeners[event].add(listener);
+      return () => listeners[event].delete(listener);
+    },
+    emit: (event, ...args) => listeners[event].forEach((listener) => listener(...args)),
+    listenerCount: (event) => listeners[event].size
+  };
+  return connector;
+}
+
+// BrowserProvider double over the connector: its signer is the wallet's current account
+function createBrowserProvider(connector) {
+  const account = connector.accounts[0];
+  const provider = {
+    account,
+    getSigner: async () => ({
+      provider,
+      getAddress: async () => account,
+      sendTransaction: async () => {
+        throw new Error('not sent in tests');
+      }
+    }),
+    getNetwork: async () => ({ chainId: BigInt(connector.chainId) }),
+    getBalance: async () => ethers.parseEther('1.5'),
+    getCode: async () => CODE
+  };
+  return provider;
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+function setup({ connector = createConnector() } = {}) {
+  const fetch = createFetch();
+  const rpcProviders = [];
+  const connectors = createWalletConnectors({ target: null, storage: createStorage(), connectors: [connector] });
+  const session = createWalletSession({
+    connectors,
+    readOnlyNetwork: network,
+    loadDeployment: (target, provider) => loadGameDeployment(target, provider, { fetch }),
+    createBrowserProvider,
+    createRpcProvider: (target) => {
+      const provider = { rpcUrl: target.rpcUrl, getCode: async () => CODE };
+      rpcProviders.push(provider);
+      return provider;
+    }
+  });
+  return { session, connector, connectors, fetch, rpcProviders };
+}
+
+describe('createWalletSession: read-only browsing', () => {
+  it('loads the read-only network\'s manifest through its JSON-RPC endpoint', async () => {
+    const { session, fetch, rpcProviders } = setup();
+    await session.connectReadOnly();
+
+    const state = session.getSnapshot();
+    expect(fetch.urls).toEqual(['/deployments/31337.json']);
+    expect(rpcProviders).toHaveLength(1);
+    expect(rpcProviders[0].rpcUrl).toBe(network.rpcUrl);
+    expect(state).toMatchObject({ readOnly: true, account: null, chainId: 31337, provider: rpcProviders[0] });
+    expect(state.network).toMatchObject({ chainId: 31337, contractAddress: ADDRESS, deploymentBlock: 3 });
+    expect(await state.contract.getAddress()).toBe(ADDRESS);
+  });
+
+  it('hands out a contract that reads but cannot send transactions', async () => {
+    const { session } = setup();
+    await session.connectReadOnly();
+
+    const { contract } = session.getSnapshot();
+    expect(contract.runner.sendTransaction).toBeUndefined();
+    await expect(createRpsClient({ contract }).withdraw()).rejects.toMatchObject({ code: 'NO_SIGNER' });
+  });
+
+  it('switches to the wallet\'s signer once a wallet connects', async () => {
+    const { session, connectors } = setup();
+    await session.connectReadOnly();
+    await session.connect('test-wallet');
+
+    const state = session.getSnapshot();
+    expect(state).toMatchObject({ readOnly: false, account: ALICE, loading: false, balance: '1.5' });
+    expect(state.provider.account).toBe(ALICE);
+    expect(typeof state.contract.runner.sendTransaction).toBe('function');
+    expect(await state.contract.getAddress()).toBe(ADDRESS);
+    expect(connectors.getLastUsed()).toBe('test-wallet');
+  });
+
+  it('ignores a read-only load that finishes after a wallet connected', async () => {
+    const { session } = setup();
+    const readOnly = session.connectReadOnly();
+    await session.connect('test-wallet');
+    await readOnly;
+
+    expect(session.getSnapshot()).toMatchObject({ readOnly: false, account: ALICE });
+  });
+
+  it('goes back to nothing on disconnect, for the app to browse read-only again', async () => {
+    const { session, connector, connectors } = setup();
+    await session.connect('test-wallet');
+    session.disconnect();
+
+    expect(session.getSnapshot()).toMatchObject({ account: null, contract: null, connector: null, readOnly: false });
+    expect(connectors.getLastUsed()).toBeNull();
+    expect(connector.listenerCount('accountsChanged')).toBe(0);
+  });
+});
+
+describe('createWalletSession: account switch', () => {
+  // Alice's transaction in the shared localStorage, her game in the shared index
+  function aliceHistory() {
+    const storage = createStorage();
+    const alice = createTxTracker({ provider: {}, account: ALICE, chainId: 31337, storage });
+    alice.track({ hash: `0x${'1'.padStart(64, '0')}`, from: ALICE, nonce: 0 }, { label: 'Create game' });
+    const games = [{ ...createGameRecord('1'), player1: ALICE }];
+    return { storage, games };
+  }
+
+  it('drops the previous account\'s provider and contract at once and rebuilds for the new one', async () => {
+    const { session, connector } = setup();
+    await session.connect('test-wallet');
+    const before = session.getSnapshot();
+
+    connector.accounts = [BOB];
+    connector.emit('accountsChanged', [BOB]);
+
+    // Nothing of Alice's keeps running while Bob's signer is fetched: the tx tracker, FHE instance and game panel
+    // follow provider, account and chain
+    expect(session.getSnapshot()).toMatchObject({ account: BOB, provider: null, contract: null, network: null, balance: '0' });
+
+    await vi.waitFor(() => expect(session.getSnapshot().contract).not.toBeNull());
+    const after = session.getSnapshot();
+    expect(after).toMatchObject({ account: BOB, loading: false, readOnly: false });
+    expect(after.provider).not.toBe(before.provider);
+    // Decryption requests are signed and cached per signer address
+    expect(await after.contract.runner.getAddress()).toBe(BOB);
+  });
+
+  it('shows the new account none of the previous account\'s transactions or games', async () => {
+    const { session, connector } = setup();
+    const { storage, games } = aliceHistory();
+    await session.connect('test-wallet');
+    connector.accounts = [BOB];
+    connector.emit('accountsChanged', [BOB]);
+    await vi.waitFor(() => expect(session.getSnapshot().contract).not.toBeNull());
+
+    const { provider, account, chainId } = session.getSnapshot();
+    expect(createTxTracker({ provider, account, chainId, storage }).getSnapshot().transactions).toEqual([]);
+    expect(games.filter((game) => getGameRole(game, account) !== GAME_ROLE.OTHER)).toEqual([]);
+    expect(createTxTracker({ provider, account: ALICE, chainId, storage }).getSnapshot().transactions).toHaveLength(1);
+  });
+
+  it('ignores the late reply of a connect the account switch overtook', async () => {
+    const { session, connector } = setup();
+    await session.connect('test-wallet');
+
+    // A chain change reconnects; the wallet answers for Alice only after the account switched to Bob
+    const late = deferred();
+    connector.hold = late.promise;
+    connector.emit('chainChanged', '0x7a69');
+    connector.hold = null;
+    connector.accounts = [BOB];
+    connector.emit('accountsChanged', [BOB]);
+    await vi.waitFor(() => expect(session.getSnapshot().contract).not.toBeNull());
+
+    late.resolve();
+    await new Promise((done) => setTimeout(done, 0));
+
+    const state = session.getSnapshot();
+    expect(state).toMatchObject({ account: BOB, loading: false });
+    expect(await state.contract.runner.getAddress()).toBe(BOB);
+    expect(connector.connects).toBe(3);
+  });
+
+  it('drops a balance read for the previous account', async () => {
+    const { session, connector } = setup();
+    await session.connect('test-wallet');
+    const { provider } = session.getSnapshot();
+    const balance = deferred();
+    provider.getBalance = () => balance.promise;
+
+    const refresh = session.refreshBalance();
+    connector.accounts = [BOB];
+    connector.emit('accountsChanged', [BOB]);
+    balance.resolve(ethers.parseEther('99'));
+    await refresh;
+
+    expect(session.getSnapshot().balance).not.toBe('99.0');
+    await vi.waitFor(() => expect(session.getSnapshot().balance).toBe('1.5'));
+  });
+
+  it('disconnects when the wallet revokes every account', async () => {
+    const { session, connector } = setup();
+    await session.connect('test-wallet');
+
+    connector.emit('accountsChanged', []);
+
+    expect(session.getSnapshot()).toMatchObject({ account: null, connector: null, contract: null });
+  });
+});
@@ -1,9 +1,15 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import fheSdkAssets from './vite/fheSdkAssets.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), fheSdkAssets()],
+  worker: {
+    // The FHE worker lazy-loads the SDK and backends, which needs an ES module worker
+    format: 'es',
+    plugins: () => [fheSdkAssets({ emitAssets: false })]
+  },
   build: {
     outDir: 'dist',
     sourcemap: false,
@@ -58,6 +64,10 @@ export default defineConfig({
   optimizeDeps: {
     // No exclusions needed since FHE SDK is loaded via CDN
   },
+  test: {
+    // Frontend unit tests; contract tests run through Hardhat (npm run test:contracts)
+    include: ['tests/unit/**/*.test.js']
+  },
   define: {
     // Environment variables will be available via import.meta.env in Vite
     // No need to define process.env for Vercel deployment
@@ -0,0 +1,112 @@
+// Vite plugin: self-hosted, integrity-checked Zama relayer SDK
+//
+// In the "self-hosted" mode (`vite --mode self-hosted`, `vite build --mode self-hosted`) the pinned
+// SDK JS and WASM files are copied from node_modules into dist/fhe-sdk/<version>/ and the app loads
+// them from there instead of the /cdn.zama.ai proxy. Their SHA-256 digests are pinned below: the
+// build refuses to ship files that don't match, and the browser re-checks every file before running it.
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+
+export const RELAYER_SDK_VERSION = '0.2.0';
+
+// SRI-style digests of the @zama-fhe/relayer-sdk@0.2.0 bundle files
+const PINNED_ASSETS = {
+  sdk: { file: 'relayer-sdk-js.js', integrity: 'sha256-Jpx8LB+9zEN94Nub+sFvCp6RuOwENKqF1r4Ii1Bt6UE=' },
+  tfhe: { file: 'tfhe_bg.wasm', integrity: 'sha256-FjtyVeVVloc/sS7+vutGMzTeEeySbg5VYS0vdWNgbcM=' },
+  kms: { file: 'kms_lib_bg.wasm', integrity: 'sha256-AncxAIlCqDis3vzm5jgmL8XsPczoyLaXOMjj/LRVt/0=' }
+};
+
+const VIRTUAL_ID = 'virtual:fhe-sdk-assets';
+const RESOLVED_VIRTUAL_ID = '\0' + VIRTUAL_ID;
+const PUBLIC_DIR = `fhe-sdk/${RELAYER_SDK_VERSION}`;
+
+function sdkBundleDir() {
+  const require = createRequire(import.meta.url);
+  // "@zama-fhe/relayer-sdk/bundle" resolves to <package>/bundle.js; the files sit in <package>/bundle/
+  return path.join(path.dirname(require.resolve('@zama-fhe/relayer-sdk/bundle')), 'bundle');
+}
+
+function sha256Integrity(source) {
+  return 'sha256-' + createHash('sha256').update(source).digest('base64');
+}
+
+// Read the pinned files and fail the build if any of them differs from its pinned digest
+function readPinnedAssets() {
+  const dir = sdkBundleDir();
+  const assets = {};
+  for (const [key, { file, integrity }] of Object.entries(PINNED_ASSETS)) {
+    const source = readFileSync(path.join(dir, file));
+    const actual = sha256Integrity(source);
+    if (actual !== integrity) {
+      throw new Error(
+        `@zama-fhe/relayer-sdk ${file} does not match the pinned ${RELAYER_SDK_VERSION} digest ` +
+        `(expected ${integrity}, got ${actual}). Reinstall the pinned version before building.`
+      );
+    }
+    assets[key] = { file, integrity, source };
+  }
+  return assets;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.emitAssets=true] - Serve/emit the pinned files; off for the worker build,
+ *   which only needs the virtual module (the main build already ships the files)
+ */
+export default function fheSdkAssets({ emitAssets = true } = {}) {
+  let selfHosted = false;
+  let base = '/';
+  let assets = null;
+
+  return {
+    name: 'fhe-sdk-assets',
+
+    configResolved(config) {
+      selfHosted = config.mode === 'self-hosted';
+      base = config.base;
+      if (selfHosted) {
+        assets = readPinnedAssets();
+      }
+    },
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_VIRTUAL_ID : null;
+    },
+
+    // Exposes { selfHosted, version, assets: { sdk, tfhe, kms: { url, integrity } } } to the app
+    load(id) {
+      if (id !== RESOLVED_VIRTUAL_ID) return null;
+      const manifest = {
+        selfHosted,
+        version: RELAYER_SDK_VERSION,
+        assets: selfHosted
+          ? Object.fromEntries(Object.entries(assets).map(([key, { file, integrity }]) => [
+              key,
+              { url: `${base}${PUBLIC_DIR}/${file}`, integrity }
+            ]))
+          : null
+      };
+      return `export default ${JSON.stringify(manifest)};`;
+    },
+
+    // Dev server: serve the pinned files under the same path they get in dist/
+    configureServer(server) {
+      if (!selfHosted || !emitAssets) return;
+      server.middlewares.use((req, res, next) => {
+        const asset = Object.values(assets).find(({ file }) => req.url === `${base}${PUBLIC_DIR}/${file}`);
+        if (!asset) return next();
+        res.setHeader('Content-Type', asset.file.endsWith('.wasm') ? 'application/wasm' : 'text/javascript');
+        res.end(asset.source);
+      });
+    },
+
+    generateBundle() {
+      if (!selfHosted || !emitAssets) return;
+      for (const { file, source } of Object.values(assets)) {
+        this.emitFile({ type: 'asset', fileName: `${PUBLIC_DIR}/${file}`, source });
+      }
+    }
+  };
+}